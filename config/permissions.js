@@ -0,0 +1,93 @@
+/**
+ * Named permissions checked on pharmacy routes, and the permissions of the
+ * roles every pharmacy starts with. A pharmacy can edit these roles and add its own.
+ */
+const PERMISSIONS = {
+  'dashboard.view': 'View the dashboard and notifications',
+  'report.view': 'View analytics, sales analysis, Z-reports and stock reports',
+  'medicine.view': 'View medicines, batches and the market',
+  'medicine.manage': 'Add and edit medicines and their batches',
+  'request.create': 'Request medicines',
+  'stock.count': 'Start stock takes and record counts',
+  'stock.adjust': 'Approve stock takes, quarantine, write off and release stock',
+  'sale.process': 'Build carts, check out and record sales',
+  'sale.view': 'View transactions, sales and receipts',
+  'price.override': 'Apply manual discounts, set tax and sell below or above list price',
+  'refund.create': 'Request refunds and pay out approved ones',
+  'refund.approve': 'Approve or reject refunds',
+  'customer.manage': 'Add and edit customers, allergies and insurance policies',
+  'credit.manage': 'Set customer credit limits',
+  'insurance.manage': 'Manage insurers, plans, claims and remittances',
+  'promotion.manage': 'Create, edit and deactivate promotions',
+  'purchase.manage': 'Manage suppliers, purchase orders and goods received',
+  'prescription.manage': 'Record, amend and cancel prescriptions',
+  'controlled.view': 'View the controlled drugs register',
+  'interaction.manage': 'Import and remove drug interactions and override interaction warnings',
+  'marketplace.buy': 'Buy from the marketplace',
+  'marketplace.sell': 'List stock on the marketplace and fulfil orders',
+  'shift.operate': 'Open and close shifts and record cash movements',
+  'settings.view': 'View business settings',
+  'settings.edit': 'Edit business settings',
+  'staff.manage': 'Invite staff, change their roles and revoke access',
+  'role.manage': 'Create and edit roles and their permissions'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const ASSISTANT_PERMISSIONS = [
+  'dashboard.view',
+  'medicine.view',
+  'request.create',
+  'stock.count',
+  'sale.process',
+  'sale.view',
+  'refund.create',
+  'customer.manage',
+  'marketplace.buy',
+  'shift.operate',
+  'settings.view'
+];
+
+const PHARMACIST_PERMISSIONS = [
+  ...ASSISTANT_PERMISSIONS,
+  'report.view',
+  'medicine.manage',
+  'stock.adjust',
+  'price.override',
+  'refund.approve',
+  'credit.manage',
+  'insurance.manage',
+  'promotion.manage',
+  'purchase.manage',
+  'prescription.manage',
+  'controlled.view',
+  'interaction.manage',
+  'marketplace.sell'
+];
+
+const DEFAULT_ROLES = [
+  { name: 'admin', description: 'Full access to the pharmacy', permissions: ALL_PERMISSIONS },
+  { name: 'pharmacist', description: 'Dispensing, stock and day-to-day management', permissions: PHARMACIST_PERMISSIONS },
+  { name: 'assistant', description: 'Sales, counts and customer service', permissions: ASSISTANT_PERMISSIONS }
+];
+
+/**
+ * Permissions for running the platform rather than a pharmacy. They are not part
+ * of any pharmacy role (so a pharmacy owner does not get them); they come from
+ * the account's own role (User.role).
+ */
+const PLATFORM_PERMISSIONS = {
+  'support.manage': 'Answer the support tickets of every pharmacy and view support statistics'
+};
+
+const PLATFORM_ROLE_PERMISSIONS = {
+  admin: ['support.manage']
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  PLATFORM_PERMISSIONS,
+  PLATFORM_ROLE_PERMISSIONS
+};
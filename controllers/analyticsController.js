@@ -6,7 +6,7 @@ const mongoose = require('mongoose');
 // Get sales analytics with detailed breakdown
 exports.getSalesAnalytics = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { 
       startDate, 
       endDate, 
@@ -43,7 +43,8 @@ exports.getSalesAnalytics = async (req, res) => {
           },
           averageOrderValue: { $avg: '$totalAmount' },
           totalTax: { $sum: '$tax' },
-          totalDiscount: { $sum: '$discount' }
+          totalDiscount: { $sum: '$discount' },
+          totalPromotionDiscount: { $sum: '$promotionDiscount' }
         }
       }
     ]);
@@ -148,7 +149,8 @@ exports.getSalesAnalytics = async (req, res) => {
           totalItemsSold: 0,
           averageOrderValue: 0,
           totalTax: 0,
-          totalDiscount: 0
+          totalDiscount: 0,
+          totalPromotionDiscount: 0
         },
         topMedicines,
         salesTrend,
@@ -171,10 +173,80 @@ exports.getSalesAnalytics = async (req, res) => {
   }
 };
 
+// Get promotion analytics: how often each promotion was used and what it cost
+exports.getPromotionAnalytics = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { startDate, endDate } = req.query;
+
+    let dateFilter = { pharmacyId, transactionType: 'sale', status: 'completed', 'promotions.0': { $exists: true } };
+    if (startDate || endDate) {
+      dateFilter.transactionDate = {};
+      if (startDate) dateFilter.transactionDate.$gte = new Date(startDate);
+      if (endDate) dateFilter.transactionDate.$lte = new Date(endDate);
+    }
+
+    const promotions = await Transaction.aggregate([
+      { $match: dateFilter },
+      { $unwind: '$promotions' },
+      {
+        $group: {
+          _id: '$promotions.promotionId',
+          name: { $last: '$promotions.name' },
+          type: { $last: '$promotions.type' },
+          code: { $last: '$promotions.code' },
+          timesUsed: { $sum: 1 },
+          totalCost: { $sum: '$promotions.amount' },
+          // Revenue of the sales the promotion was used on
+          salesRevenue: { $sum: '$totalAmount' },
+          unitsDiscounted: { $sum: { $sum: '$promotions.items.quantity' } }
+        }
+      },
+      {
+        $addFields: {
+          averageCost: { $divide: ['$totalCost', '$timesUsed'] }
+        }
+      },
+      { $sort: { totalCost: -1 } }
+    ]);
+
+    const summary = await Transaction.aggregate([
+      { $match: dateFilter },
+      {
+        $group: {
+          _id: null,
+          salesWithPromotions: { $sum: 1 },
+          totalPromotionCost: { $sum: '$promotionDiscount' },
+          totalRevenue: { $sum: '$totalAmount' }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: summary[0] || {
+          salesWithPromotions: 0,
+          totalPromotionCost: 0,
+          totalRevenue: 0
+        },
+        promotions
+      }
+    });
+
+  } catch (error) {
+    console.error('Promotion analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion analytics'
+    });
+  }
+};
+
 // Get refunds analytics
 exports.getRefundsAnalytics = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { 
       startDate, 
       endDate, 
@@ -317,7 +389,7 @@ exports.getRefundsAnalytics = async (req, res) => {
 // Get comprehensive pharmacy performance analytics
 exports.getPharmacyPerformance = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { 
       startDate, 
       endDate,
@@ -443,7 +515,7 @@ exports.getPharmacyPerformance = async (req, res) => {
 // Get medicine-specific sales and refund analytics
 exports.getMedicineAnalytics = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { medicineId } = req.params;
     const { startDate, endDate } = req.query;
 
@@ -4,25 +4,104 @@ const { sendResetCode, sendWelcomeEmail } = require('../utils/mailer');
 const fs = require('fs').promises;
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
+const {
+    PHARMACY_ERROR_STATUS,
+    resolveMembership,
+    createPharmacyForOwner,
+    acceptInvitation
+} = require('../services/pharmacyService');
+const {
+    SESSION_ERROR_STATUS,
+    createSession,
+    refreshSession,
+    markTwoFactorVerified,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} = require('../services/sessionService');
+const { verifyTotp, generateBackupCodes, verifySecondFactor, isTwoFactorRequired } = require('../services/twoFactorService');
+const { reserveAttempt, recordFailure, recordSuccess, releaseAttempt, unlockAccount } = require('../services/authThrottleService');
+
+// Wrong guesses a reset code takes before it is invalidated
+const MAX_RESET_CODE_ATTEMPTS = 5;
+
+// Device details stored with a new session
+const deviceInfo = (req) => ({
+    deviceName: req.body.deviceName,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+});
+
+// Token fields returned whenever a session is started or refreshed
+const sessionTokens = ({ accessToken, refreshToken, expiresIn, session }) => ({
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    sessionId: session._id
+});
+
+// Count an attempt, or answer it if it has to wait because of earlier failures; returns false if it may go ahead
+const rejectThrottled = async (res, scope, subject) => {
+    const block = await reserveAttempt(scope, subject);
+    if (!block) {
+        return false;
+    }
 
-// Generate JWT token
-function generateToken(user) {
-    const token = jwt.sign(
-        { userId: user._id, email: user.email },
-        process.env.JWT_SECRET || 'yourSecretKey', // Use environment variable for security
-        {
-            expiresIn: '1h' // Token expires in 1 hour
-        }
+    res.set('Retry-After', String(block.retryAfter));
+    res.status(429).json({
+        success: false,
+        message: block.message,
+        locked: block.locked,
+        retryAfter: block.retryAfter
+    });
+    return true;
+};
+
+/**
+ * Check a password reset code. Wrong guesses are counted for the code: after
+ * MAX_RESET_CODE_ATTEMPTS of them it is invalidated and a new one has to be
+ * requested. Guessing across codes is held back by the password_reset attempt
+ * limits, which wait and lock out for a time rather than for good.
+ */
+const checkResetCode = async (user, code) => {
+    if (!user || !user.resetPasswordToken) {
+        return 'invalid';
+    }
+    if (user.resetPasswordExpires < Date.now()) {
+        return 'expired';
+    }
+    if (await bcrypt.compare(code.toString().trim(), user.resetPasswordToken)) {
+        return 'valid';
+    }
+
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id, resetPasswordToken: user.resetPasswordToken },
+        { $inc: { resetPasswordAttempts: 1 } },
+        { new: true }
     );
-    return token;
-}
+    if (updated && updated.resetPasswordAttempts >= MAX_RESET_CODE_ATTEMPTS) {
+        await User.updateOne(
+            { _id: user._id },
+            { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } }
+        );
+        return 'exhausted';
+    }
+    return 'invalid';
+};
+
+const RESET_CODE_MESSAGES = {
+    invalid: 'Invalid verification code',
+    expired: 'Verification code has expired',
+    exhausted: 'Too many wrong codes. Please request a new one.'
+};
 
 // ------------------- LOGIN (Updated with 2FA check) -------------------
 exports.login = async (req, res) => {
     try {
-        const { email, username, password, twoFactorToken } = req.body;
+        const { email, username, password, twoFactorToken, backupCode } = req.body;
 
         const user = await User.findOne({
             $or: [
@@ -31,7 +110,14 @@ exports.login = async (req, res) => {
             ].filter(Boolean)
         });
 
+        // Attempts are counted per account (by the name tried, if there is no such account) and per IP
+        const attempt = { account: user ? user._id : (email || username), userId: user?._id, ipAddress: req.ip };
+        if (await rejectThrottled(res, 'login', attempt)) {
+            return;
+        }
+
         if (!user) {
+            await recordFailure('login', attempt);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -40,6 +126,7 @@ exports.login = async (req, res) => {
 
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await recordFailure('login', attempt);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -47,9 +134,11 @@ exports.login = async (req, res) => {
         }
 
         // Check if 2FA is enabled
+        let secondFactor = null;
         if (user.twoFactorEnabled) {
-            // If 2FA token is not provided, request it
-            if (!twoFactorToken) {
+            // If no 2FA code is provided, request one
+            if (!twoFactorToken && !backupCode) {
+                await releaseAttempt('login', attempt);
                 return res.status(200).json({
                     success: true,
                     requires2FA: true,
@@ -57,15 +146,9 @@ exports.login = async (req, res) => {
                 });
             }
 
-            // Verify 2FA token
-            const verified = speakeasy.totp.verify({
-                secret: user.twoFactorSecret,
-                encoding: 'base32',
-                token: twoFactorToken,
-                window: 1 // Allow 1 step (30 seconds) before/after current time
-            });
-
-            if (!verified) {
+            secondFactor = await verifySecondFactor(user, { token: twoFactorToken, backupCode });
+            if (!secondFactor) {
+                await recordFailure('login', attempt);
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid 2FA token'
@@ -73,21 +156,37 @@ exports.login = async (req, res) => {
             }
         }
 
-        const token = generateToken(user);
+        await recordSuccess('login', attempt);
+
+        const { pharmacy, membership } = await resolveMembership(user);
+        // The session records that the sign-in passed 2FA
+        const tokens = await createSession(user, { ...deviceInfo(req), twoFactorVerified: Boolean(secondFactor) });
 
         res.status(200).json({
             success: true,
-            token,
+            ...sessionTokens(tokens),
+            backupCodesRemaining: secondFactor?.backupCodesRemaining,
             user: {
                 id: user._id,
                 email: user.email,
                 username: user.username,
-                pharmacyName: user.pharmacyName,
+                pharmacyName: pharmacy.name,
+                pharmacyId: pharmacy._id,
+                role: membership.role,
+                isOwner: pharmacy.ownerId.equals(user._id),
                 twoFactorEnabled: user.twoFactorEnabled
             }
         });
     } catch (error) {
         console.error('Login error:', error);
+
+        if (PHARMACY_ERROR_STATUS[error.code]) {
+            return res.status(PHARMACY_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({ success: false, message: 'Server error' });
     }
 };
@@ -100,6 +199,14 @@ exports.forgotPassword = async (req, res) => {
         // Find user and explicitly select reset token fields
         const user = await User.findOne({ email }).select('+resetPasswordToken +resetPasswordExpires');
 
+        // Requests are not counted, but no code is sent while failed code checks have the account
+        // (or email tried) or the IP waiting or locked out, whether or not the account exists
+        const attempt = { account: user ? user._id : email, userId: user?._id, ipAddress: req.ip };
+        if (await rejectThrottled(res, 'password_reset', attempt)) {
+            return;
+        }
+        await releaseAttempt('password_reset', attempt);
+
         if (!user) {
             // For security, don't reveal if user exists or not
             return res.status(200).json({ 
@@ -108,16 +215,18 @@ exports.forgotPassword = async (req, res) => {
             });
         }
 
-        const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
+        const resetCode = crypto.randomInt(100000, 1000000).toString();
         const resetCodeExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
 
-        user.resetPasswordToken = resetCode;
+        // Only a hash of the code is stored; a new code gets its own count of wrong guesses
+        user.resetPasswordToken = await bcrypt.hash(resetCode, 10);
         user.resetPasswordExpires = resetCodeExpires;
+        user.resetPasswordAttempts = 0;
         await user.save();
 
         try {
             await sendResetCode(email, resetCode);
-            console.log(`Reset code sent to ${email}: ${resetCode}`); // For debugging
+            console.log(`Reset code sent to ${email}`);
         } catch (emailError) {
             console.error('Failed to send reset code email:', emailError);
             return res.status(500).json({ 
@@ -149,21 +258,23 @@ exports.verifyOtp = async (req, res) => {
             email: email.trim().toLowerCase()
         }).select('+resetPasswordToken +resetPasswordExpires');
 
-        if (!user || !user.resetPasswordToken || user.resetPasswordToken !== code.toString().trim()) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Invalid verification code' 
-            });
+        const attempt = { account: user ? user._id : email.trim(), userId: user?._id, ipAddress: req.ip };
+        if (await rejectThrottled(res, 'password_reset', attempt)) {
+            return;
         }
 
-        // Check if code is expired
-        if (user.resetPasswordExpires < Date.now()) {
+        const codeStatus = await checkResetCode(user, code);
+        if (codeStatus !== 'valid') {
+            await recordFailure('password_reset', attempt);
             return res.status(400).json({ 
                 success: false, 
-                message: 'Verification code has expired' 
+                message: RESET_CODE_MESSAGES[codeStatus] 
             });
         }
 
+        // The code is only used up by the reset itself
+        await releaseAttempt('password_reset', attempt);
+
         // Generate token for successful verification
         const token = jwt.sign(
             { 
@@ -201,7 +312,6 @@ exports.verifyOtp = async (req, res) => {
 exports.resetPassword = async (req, res) => {
     try {
         const { email, code, newPassword } = req.body;
-        console.log('Reset password request:', { email, code });
 
         if (!email || !code || !newPassword) {
             return res.status(400).json({ 
@@ -215,35 +325,17 @@ exports.resetPassword = async (req, res) => {
             email: email.toLowerCase().trim()
         }).select('+resetPasswordToken +resetPasswordExpires');
 
-        console.log('User found:', !!user);
-        if (user) {
-            console.log('Stored token:', user.resetPasswordToken);
-            console.log('Provided code:', code);
-            console.log('Token matches:', user.resetPasswordToken === code.toString().trim());
-            console.log('Token expires:', new Date(user.resetPasswordExpires));
-            console.log('Current time:', new Date());
-            console.log('Is expired:', user.resetPasswordExpires < Date.now());
-        }
-
-        if (!user || !user.resetPasswordToken) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Invalid verification code' 
-            });
-        }
-
-        if (user.resetPasswordToken !== code.toString().trim()) {
-            console.log('Code mismatch - Stored:', user.resetPasswordToken, 'Provided:', code);
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Invalid verification code' 
-            });
+        const attempt = { account: user ? user._id : email.trim(), userId: user?._id, ipAddress: req.ip };
+        if (await rejectThrottled(res, 'password_reset', attempt)) {
+            return;
         }
 
-        if (user.resetPasswordExpires < Date.now()) {
+        const codeStatus = await checkResetCode(user, code);
+        if (codeStatus !== 'valid') {
+            await recordFailure('password_reset', attempt);
             return res.status(400).json({ 
                 success: false, 
-                message: 'Verification code has expired' 
+                message: RESET_CODE_MESSAGES[codeStatus] 
             });
         }
 
@@ -251,8 +343,16 @@ exports.resetPassword = async (req, res) => {
         user.password = newPassword;
         user.resetPasswordToken = undefined;
         user.resetPasswordExpires = undefined;
+        user.resetPasswordAttempts = 0;
         await user.save();
 
+        // Proving control of the email lifts any sign-in lockout on the account
+        await recordSuccess('password_reset', attempt);
+        await unlockAccount('login', attempt, 'password_reset');
+
+        // A new password signs the account out everywhere
+        await revokeAllSessions(user._id, { reason: 'password_changed' });
+
         console.log('Password reset successful for user:', user.email);
 
         res.status(200).json({ 
@@ -352,6 +452,9 @@ exports.registerPharmacy = async (req, res) => {
 
         await user.save();
 
+        // The registering user owns the new pharmacy
+        const { pharmacy } = await createPharmacyForOwner(user);
+
         // Extract latitude and longitude from location if available
         let latitude = null;
         let longitude = null;
@@ -374,14 +477,17 @@ exports.registerPharmacy = async (req, res) => {
             console.error('Failed to send welcome email:', emailError);
         }
 
-        const token = generateToken(user);
+        const tokens = await createSession(user, deviceInfo(req));
         return res.status(201).json({
             success: true,
-            token,
+            ...sessionTokens(tokens),
             user: { 
                 id: user._id, 
                 email: user.email, 
                 pharmacyName: user.pharmacyName,
+                pharmacyId: pharmacy._id,
+                role: user.role,
+                isOwner: true,
                 twoFactorEnabled: user.twoFactorEnabled
             }
         });
@@ -407,17 +513,161 @@ exports.registerPharmacy = async (req, res) => {
     }
 };
 
+// ------------------- ACCEPT STAFF INVITATION -------------------
+exports.acceptInvitation = async (req, res) => {
+    try {
+        const { token, password, username } = req.body;
+
+        const { user, membership, pharmacy } = await acceptInvitation({ token, password, username });
+
+        console.log(`👥 ${user.email} joined ${pharmacy.name} as ${membership.role}`);
+
+        res.status(200).json({
+            success: true,
+            message: `You have joined ${pharmacy.name}`,
+            ...sessionTokens(await createSession(user, deviceInfo(req))),
+            user: {
+                id: user._id,
+                email: user.email,
+                username: user.username,
+                pharmacyName: pharmacy.name,
+                pharmacyId: pharmacy._id,
+                role: membership.role,
+                isOwner: false,
+                twoFactorEnabled: user.twoFactorEnabled
+            }
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+
+        if (PHARMACY_ERROR_STATUS[error.code]) {
+            return res.status(PHARMACY_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Username is already taken'
+            });
+        }
+
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// ------------------- SESSIONS -------------------
+exports.refreshToken = async (req, res) => {
+    try {
+        const tokens = await refreshSession(req.body.refreshToken, deviceInfo(req));
+
+        res.status(200).json({
+            success: true,
+            ...sessionTokens(tokens)
+        });
+    } catch (error) {
+        if (SESSION_ERROR_STATUS[error.code]) {
+            return res.status(SESSION_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Refresh token error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+exports.logout = async (req, res) => {
+    try {
+        await revokeSession(req.user._id, req.authSession._id, 'logout');
+
+        res.status(200).json({
+            success: true,
+            message: 'Signed out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(session => ({
+                _id: session._id,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                isCurrent: session._id.equals(req.authSession._id)
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+exports.revokeSession = async (req, res) => {
+    try {
+        await revokeSession(req.user._id, req.params.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        if (SESSION_ERROR_STATUS[error.code]) {
+            return res.status(SESSION_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Revoke session error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+exports.revokeAllSessions = async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const revoked = await revokeAllSessions(req.user._id, {
+            exceptSessionId: keepCurrent ? req.authSession._id : undefined
+        });
+
+        console.log(`🚪 ${revoked} session(s) revoked for ${req.user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
 // ------------------- 2FA METHODS -------------------
 exports.enable2FA = async (req, res) => {
     try {
-        // Check if session is available
-        if (!req.session) {
-            return res.status(500).json({
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({
                 success: false,
-                message: 'Session not available. Please check session configuration.'
+                message: '2FA is already enabled'
             });
         }
-        
+
         const secret = speakeasy.generateSecret({
             name: `Recyleto (${req.user.email})`
         });
@@ -425,8 +675,8 @@ exports.enable2FA = async (req, res) => {
         // Generate QR code
         const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
         
-        // Save secret temporarily (not enabling yet)
-        req.session.temp2FASecret = secret.base32;
+        // Keep the secret pending (not enabling yet) until a code from the app confirms it
+        await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret.base32 });
         
         res.json({
             success: true,
@@ -444,66 +694,136 @@ exports.enable2FA = async (req, res) => {
 
 exports.verify2FA = async (req, res) => {
     try {
-        // Check if session is available
-        if (!req.session) {
-            return res.status(500).json({
-                success: false,
-                message: 'Session not available. Please check session configuration.'
-            });
-        }
-        
         const { token } = req.body;
-        const secret = req.session.temp2FASecret;
+        const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+        const secret = user.twoFactorPendingSecret;
         
         if (!secret) {
             return res.status(400).json({
                 success: false,
-                message: '2FA setup session expired. Please try again.'
+                message: '2FA setup has not been started. Please try again.'
             });
         }
         
-        const verified = speakeasy.totp.verify({
-            secret: secret,
-            encoding: 'base32',
-            token: token,
-            window: 1 // Allow 1 step (30 seconds) before/after current time
+        if (!verifyTotp(secret, token)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        // Enable 2FA for user, with a fresh set of backup codes
+        const { codes, stored } = generateBackupCodes();
+        await User.findByIdAndUpdate(req.user._id, {
+            twoFactorEnabled: true,
+            twoFactorSecret: secret,
+            twoFactorBackupCodes: stored,
+            $unset: { twoFactorPendingSecret: 1 }
         });
+
+        // This session has just proven the second factor; sessions signed in without it stop working
+        await markTwoFactorVerified(req.authSession._id);
+
+        console.log(`🔐 2FA enabled for ${req.user.email}`);
         
-        if (verified) {
-            // Enable 2FA for user
-            await User.findByIdAndUpdate(req.user.id, {
-                twoFactorEnabled: true,
-                twoFactorSecret: secret
-            });
-            
-            // Clear temporary secret
-            delete req.session.temp2FASecret;
-            
-            res.json({
-                success: true,
-                message: '2FA enabled successfully'
+        res.json({
+            success: true,
+            message: '2FA enabled successfully. Store the backup codes somewhere safe; they will not be shown again.',
+            backupCodes: codes
+        });
+    } catch (error) {
+        console.error('Verify 2FA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying 2FA code'
+        });
+    }
+};
+
+exports.regenerateBackupCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: '2FA is not enabled'
             });
-        } else {
-            res.status(400).json({
+        }
+
+        const attempt = { account: user._id, userId: user._id, ipAddress: req.ip };
+        if (await rejectThrottled(res, 'two_factor', attempt)) {
+            return;
+        }
+
+        if (!verifyTotp(user.twoFactorSecret, req.body.token)) {
+            await recordFailure('two_factor', attempt);
+            return res.status(400).json({
                 success: false,
                 message: 'Invalid verification code'
             });
         }
+        await recordSuccess('two_factor', attempt);
+
+        // Replaces every earlier code, used or not
+        const { codes, stored } = generateBackupCodes();
+        await User.findByIdAndUpdate(req.user._id, { twoFactorBackupCodes: stored });
+
+        res.json({
+            success: true,
+            message: 'New backup codes generated. Earlier codes no longer work.',
+            backupCodes: codes
+        });
     } catch (error) {
-        console.error('Verify 2FA error:', error);
+        console.error('Regenerate backup codes error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error verifying 2FA code'
+            message: 'Error generating backup codes'
         });
     }
 };
 
 exports.disable2FA = async (req, res) => {
     try {
-        await User.findByIdAndUpdate(req.user.id, {
+        const { token, backupCode } = req.body;
+        const user = await User.findById(req.user._id);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: '2FA is not enabled'
+            });
+        }
+
+        if (isTwoFactorRequired(req.pharmacy, req.user._id, req.permissions)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your pharmacy requires two-factor authentication for your role'
+            });
+        }
+
+        const attempt = { account: user._id, userId: user._id, ipAddress: req.ip };
+        if (await rejectThrottled(res, 'two_factor', attempt)) {
+            return;
+        }
+
+        const secondFactor = await verifySecondFactor(user, { token, backupCode });
+        if (!secondFactor) {
+            await recordFailure('two_factor', attempt);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+        await recordSuccess('two_factor', attempt);
+
+        await User.findByIdAndUpdate(req.user._id, {
             twoFactorEnabled: false,
-            twoFactorSecret: null
+            twoFactorSecret: null,
+            $unset: { twoFactorBackupCodes: 1, twoFactorPendingSecret: 1 }
         });
+
+        console.log(`🔓 2FA disabled for ${req.user.email}`);
         
         res.json({
             success: true,
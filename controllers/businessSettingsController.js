@@ -4,17 +4,18 @@ const mongoose = require('mongoose');
 
 exports.getBusinessSettings = async (req, res) => {
   try {
-    console.log('Getting business settings for user ID:', req.user.id);
+    const pharmacyId = req.user.pharmacyId;
+    console.log('Getting business settings for pharmacy ID:', pharmacyId);
     
-    // Always use req.user.id (the authenticated user's ID)
-    const settings = await BusinessSettings.findOne({ pharmacyId: req.user.id });
+    // Settings belong to the pharmacy, so every staff member sees the same ones
+    const settings = await BusinessSettings.findOne({ pharmacyId });
     
     if (!settings) {
-      console.log('No settings found, creating default settings for user:', req.user.id);
+      console.log('No settings found, creating default settings for pharmacy:', pharmacyId);
       
       // Create default settings if none exist
       const defaultSettings = new BusinessSettings({
-        pharmacyId: req.user.id, // Use the user's ID directly
+        pharmacyId,
         businessName: req.user.pharmacyName || 'My Pharmacy'
       });
       
@@ -39,17 +40,18 @@ exports.getBusinessSettings = async (req, res) => {
 
 exports.updateBusinessSettings = async (req, res) => {
   try {
-    console.log('Updating business settings for user ID:', req.user.id);
+    const pharmacyId = req.user.pharmacyId;
+    console.log('Updating business settings for pharmacy ID:', pharmacyId);
     console.log('Update data:', req.body);
     
     const settings = await BusinessSettings.findOneAndUpdate(
-      { pharmacyId: req.user.id }, // Always use the user's ID
+      { pharmacyId },
       { $set: req.body },
       { new: true, runValidators: true }
     );
     
     if (!settings) {
-      console.log('Business settings not found for user:', req.user.id);
+      console.log('Business settings not found for pharmacy:', pharmacyId);
       return res.status(404).json({
         success: false,
         message: 'Business settings not found'
@@ -79,8 +81,8 @@ exports.debugBusinessSettings = async (req, res) => {
     console.log('User role:', req.user.role);
     console.log('User pharmacyName:', req.user.pharmacyName);
     
-    // Check if any business settings exist for this user
-    const settings = await BusinessSettings.findOne({ pharmacyId: req.user.id });
+    // Check if any business settings exist for this user's pharmacy
+    const settings = await BusinessSettings.findOne({ pharmacyId: req.user.pharmacyId });
     console.log('Found settings:', settings);
     
     // Check all business settings in database
@@ -91,6 +93,7 @@ exports.debugBusinessSettings = async (req, res) => {
       success: true,
       user: {
         id: req.user.id,
+        pharmacyId: req.user.pharmacyId,
         role: req.user.role,
         pharmacyName: req.user.pharmacyName
       },
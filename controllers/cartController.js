@@ -3,6 +3,9 @@ const Transaction = require('../models/Transaction');
 const Medicine = require('../models/Medicine');
 const mongoose = require('mongoose');
 const { generateTransactionNumber } = require('../utils/helpers');
+const { checkItems, unapprovedWarnings } = require('../services/interactionService');
+const { applyPromotionsToCart } = require('../services/promotionService');
+const { hasPermission } = require('../middleware/auth');
 
 /**
  * Utility functions for common operations
@@ -73,7 +76,7 @@ exports.addToCartFromTransaction = async (req, res) => {
       transactionType = 'sale'
     } = req.body;
 
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id;
 
     console.log('🛒 Add to Cart from Transaction:', {
@@ -316,6 +319,7 @@ exports.addToCartFromTransaction = async (req, res) => {
     transaction.updatedBy = userId;
     transaction.updatedAt = new Date();
     
+    await applyPromotionsToCart(finalCart);
     await finalCart.save();
     await transaction.save();
 
@@ -325,10 +329,11 @@ exports.addToCartFromTransaction = async (req, res) => {
     });
 
     // Populate for response
-    const [populatedTransaction, populatedCart] = await Promise.all([
+    const [populatedTransaction, populatedCart, interactions] = await Promise.all([
       Transaction.findById(transaction._id)
         .populate('items.medicineId', 'name genericName form price'),
-      finalCart.getPopulatedCart()
+      finalCart.getPopulatedCart(),
+      checkItems(finalCart.pharmacyId, finalCart.items)
     ]);
 
     res.status(200).json({
@@ -337,6 +342,7 @@ exports.addToCartFromTransaction = async (req, res) => {
       data: {
         transaction: populatedTransaction,
         cart: populatedCart,
+        interactions,
         summary: {
           added: addedItems.length,
           conflicts: conflicts.length,
@@ -363,7 +369,7 @@ exports.addToCartFromTransaction = async (req, res) => {
  */
 exports.getCart = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { transactionType = 'sale' } = req.query;
 
     console.log('🛒 GET Cart - Safe version');
@@ -383,6 +389,8 @@ exports.getCart = async (req, res) => {
       updatedAt: new Date()
     };
 
+    let interactions = { warnings: [], requiresOverride: false };
+
     // Try to find actual cart data
     try {
       const cart = await Cart.findOne({ 
@@ -392,6 +400,8 @@ exports.getCart = async (req, res) => {
       });
 
       if (cart) {
+        interactions = await checkItems(cart.pharmacyId, cart.items);
+
         safeCart._id = cart._id;
         safeCart.items = Array.isArray(cart.items) ? cart.items : [];
         safeCart.sourceTransactions = Array.isArray(cart.sourceTransactions) ? cart.sourceTransactions : [];
@@ -436,6 +446,7 @@ exports.getCart = async (req, res) => {
         cart: safeCart, 
         transaction, 
         sourceTransactions: [], 
+        interactions,
         summary 
       }
     });
@@ -455,7 +466,7 @@ exports.getCart = async (req, res) => {
  */
 exports.removeFromCart = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { itemId } = req.params;
 
     const [cart, transaction] = await Promise.all([
@@ -482,6 +493,7 @@ exports.removeFromCart = async (req, res) => {
       if (cartItemIndex !== -1) {
         removedItem = cart.items[cartItemIndex];
         cart.items.splice(cartItemIndex, 1);
+        await applyPromotionsToCart(cart);
         await cart.save();
       }
     }
@@ -536,10 +548,17 @@ exports.removeFromCart = async (req, res) => {
  */
 exports.updateCartItem = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { itemId } = req.params;
     const { quantity, unitPrice } = req.body;
 
+    if (unitPrice !== undefined && !hasPermission(req, 'price.override')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Changing an item price requires the price.override permission'
+      });
+    }
+
     const [cart, transaction] = await Promise.all([
       Cart.findOne({ pharmacyId, status: 'active' }),
       Transaction.findOne({
@@ -583,6 +602,7 @@ exports.updateCartItem = async (req, res) => {
         cart.items[cartItemIndex].totalPrice = 
           cart.items[cartItemIndex].quantity * cart.items[cartItemIndex].unitPrice;
         
+        await applyPromotionsToCart(cart);
         await cart.save();
       }
     }
@@ -634,13 +654,13 @@ exports.updateCartItem = async (req, res) => {
  */
 exports.clearCart = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { transactionType = 'sale' } = req.body;
 
     await Promise.all([
       Cart.findOneAndUpdate(
         { pharmacyId, transactionType, status: 'active' },
-        { $set: { items: [], sourceTransactions: [], sourceTransactionCount: 0 } }
+        { $set: { items: [], sourceTransactions: [], sourceTransactionCount: 0, promotions: [], promotionDiscount: 0 }, $unset: { interactionOverride: '' } }
       ),
       Transaction.findOneAndDelete(
         { pharmacyId, transactionType, status: 'pending' }
@@ -661,3 +681,92 @@ exports.clearCart = async (req, res) => {
     });
   }
 };
+
+/**
+ * Interaction and duplicate-therapy warnings for the active cart
+ */
+exports.getCartInteractions = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { transactionType = 'sale' } = req.query;
+
+    const cart = await Cart.findOne({ pharmacyId, transactionType, status: 'active' });
+    if (!cart) {
+      return res.status(200).json({
+        success: true,
+        data: { warnings: [], requiresOverride: false, pendingOverride: [] }
+      });
+    }
+
+    const interactions = await checkItems(cart.pharmacyId, cart.items);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...interactions,
+        pendingOverride: unapprovedWarnings(interactions, cart.interactionOverride),
+        override: cart.interactionOverride && cart.interactionOverride.approvedBy ? cart.interactionOverride : null
+      }
+    });
+  } catch (error) {
+    console.error('Get cart interactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking cart interactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Pharmacist approves the cart's current high-severity warnings so it can be checked out
+ */
+exports.overrideCartInteractions = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { reason } = req.body;
+
+    const cart = await Cart.findOne({ pharmacyId, transactionType: 'sale', status: 'active' });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty or not found'
+      });
+    }
+
+    const interactions = await checkItems(cart.pharmacyId, cart.items);
+    const highSeverity = interactions.warnings.filter(warning => warning.severity === 'high');
+    if (highSeverity.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The cart has no high-severity interaction warnings to override'
+      });
+    }
+
+    cart.interactionOverride = {
+      approvedBy: req.user._id,
+      approvedAt: new Date(),
+      reason,
+      warningKeys: highSeverity.map(warning => warning.key)
+    };
+    await cart.save();
+
+    console.log(`⚠️ Interaction override by ${req.user._id} for ${highSeverity.length} warning(s)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Interaction warnings overridden',
+      data: {
+        override: cart.interactionOverride,
+        warnings: highSeverity
+      }
+    });
+  } catch (error) {
+    console.error('Override cart interactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error overriding interaction warnings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
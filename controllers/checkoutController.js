@@ -4,9 +4,20 @@ const Medicine = require('../models/Medicine');
 const User = require('../models/User');
 const DeliveryAddress = require('../models/DeliveryAddress');
 const Receipt = require('../models/Receipt');
+const InsuranceClaim = require('../models/InsuranceClaim');
 const { generateReceipt } = require('../utils/receiptGenerator');
 const { sendEmail, isEmailConfigured, transporter } = require('../utils/mailer');
 const { syncTransactionToSales } = require('../services/salesService'); // Add this line
+const { runInTransaction, reserveStock, applyReservations } = require('../services/inventoryService');
+const { PRESCRIPTION_ERROR_STATUS, checkPrescription, dispensePrescription } = require('../services/prescriptionService');
+const { checkItems, unapprovedWarnings } = require('../services/interactionService');
+const { CUSTOMER_ERROR_STATUS, resolveCustomer, linkCustomer } = require('../services/customerService');
+const { getOpenShift } = require('../services/shiftService');
+const { CREDIT_ERROR_STATUS, chargeCreditSale } = require('../services/creditService');
+const { PAYMENT_ERROR_STATUS, buildTenders, paymentMethodOf } = require('../services/paymentService');
+const { GATEWAY_ERROR_STATUS, authorizeTender, captureTenders, voidTenders } = require('../services/paymentGatewayService');
+const { INSURANCE_ERROR_STATUS, quoteCoverage, createClaim } = require('../services/insuranceService');
+const { PROMOTION_ERROR_STATUS, applyPromotionsToCart, findCoupon, redeemPromotions } = require('../services/promotionService');
 
 /**
  * Process checkout with payment method and generate receipt
@@ -14,20 +25,26 @@ const { syncTransactionToSales } = require('../services/salesService'); // Add t
 exports.processCheckout = async (req, res) => {
   let emailSent = false;
   let receipt = null;
+  let paymentResults = [];
+  let committed = false;
   
   try {
     const {
       paymentMethod,
       paymentDetails,
+      payments,
       customerName,
       customerPhone,
       customerEmail,
       deliveryAddressId,
       deliveryOption = 'pickup',
+      prescriptionId,
+      customerId,
+      insurance,
       notes
     } = req.body;
 
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id;
 
     console.log('💰 Checkout request:', {
@@ -38,10 +55,10 @@ exports.processCheckout = async (req, res) => {
     });
 
     // Validate required fields
-    if (!paymentMethod) {
+    if (!paymentMethod && !payments && !insurance) {
       return res.status(400).json({
         success: false,
-        message: 'Payment method is required'
+        message: 'Payment method, payments or insurance are required'
       });
     }
 
@@ -58,6 +75,10 @@ exports.processCheckout = async (req, res) => {
       });
     }
 
+    // Promotions are worked out again at the time of sale (happy hours, coupon limits)
+    await applyPromotionsToCart(cart);
+    await cart.save();
+
     // Find pending transaction
     let transaction = await Transaction.findOne({
       pharmacyId,
@@ -111,7 +132,7 @@ exports.processCheckout = async (req, res) => {
 
     // Validate stock before checkout
     for (const item of cart.items) {
-      const medicine = await Medicine.findById(item.medicineId);
+      const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId });
       if (!medicine) {
         return res.status(404).json({
           success: false,
@@ -119,10 +140,27 @@ exports.processCheckout = async (req, res) => {
         });
       }
 
-      if (cart.transactionType === 'sale' && medicine.quantity < item.quantity) {
+      if (cart.transactionType === 'sale' && medicine.sellableQuantity < item.quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${item.medicineName}. Available: ${medicine.quantity}, Requested: ${item.quantity}`
+          message: `Insufficient stock for ${item.medicineName}. Available: ${medicine.sellableQuantity}, Requested: ${item.quantity}`
+        });
+      }
+    }
+
+    // Prescription-only medicines need a usable prescription before payment is taken
+    let interactionCheck = null;
+    if (cart.transactionType === 'sale') {
+      await checkPrescription({ pharmacyId, prescriptionId, items: cart.items });
+
+      // High-severity interactions need a pharmacist's override (POST /api/cart/interactions/override)
+      interactionCheck = await checkItems(pharmacyId, cart.items);
+      const unapproved = unapprovedWarnings(interactionCheck, cart.interactionOverride);
+      if (unapproved.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'High-severity interaction warnings need a pharmacist override before checkout',
+          data: { warnings: unapproved }
         });
       }
     }
@@ -133,14 +171,43 @@ exports.processCheckout = async (req, res) => {
     // Add delivery fee to final amount
     const finalAmountWithDelivery = cart.finalAmount + deliveryFee;
 
-    // Process payment based on method
-    const paymentResult = await processPayment(paymentMethod, paymentDetails, finalAmountWithDelivery);
-    
-    if (!paymentResult.success) {
-      return res.status(400).json({
-        success: false,
-        message: `Payment failed: ${paymentResult.message}`
+    // An insured sale splits into the insurer's share, claimed later, and the patient's co-pay
+    let coverage = null;
+    let claimNumber = null;
+    if (insurance) {
+      coverage = await quoteCoverage(pharmacyId, {
+        customerId,
+        policyId: insurance.policyId,
+        items: cart.items,
+        saleTotal: finalAmountWithDelivery
       });
+      claimNumber = await InsuranceClaim.generateClaimNumber();
+    }
+    const patientAmount = coverage ? coverage.copayAmount : finalAmountWithDelivery;
+
+    // Split what the patient pays over the tenders offered; a single payment method pays all of it
+    const { tenders, amountTendered, changeDue } = patientAmount > 0
+      ? buildTenders(payments || [{ method: paymentMethod, details: paymentDetails }], patientAmount)
+      : { tenders: [], amountTendered: 0, changeDue: 0 };
+
+    // Authorise each tender with the payment provider; card details go no further than the provider
+    for (const tender of tenders) {
+      console.log('💳 Authorising payment:', { method: tender.method, amount: tender.amount });
+      const result = await authorizeTender({
+        method: tender.method,
+        amount: tender.amount,
+        details: tender.details,
+        reference: transaction.transactionNumber
+      });
+
+      if (!result.success) {
+        await voidTenders(paymentResults);
+        return res.status(400).json({
+          success: false,
+          message: `Payment failed: ${result.message}`
+        });
+      }
+      paymentResults.push(result);
     }
 
     // Update transaction with checkout details
@@ -150,15 +217,47 @@ exports.processCheckout = async (req, res) => {
       email: customerEmail || cart.customerEmail
     };
 
+    const processedAt = new Date();
+    const saleTenders = coverage && coverage.insurerAmount > 0
+      ? [...tenders, { method: 'insurance', amount: coverage.insurerAmount }]
+      : tenders;
+    const singleTender = tenders.length === 1 && saleTenders.length === 1;
     transaction.payment = {
-      method: paymentMethod,
-      details: paymentDetails,
+      method: paymentMethodOf(saleTenders),
+      details: singleTender ? paymentResults[0].details : undefined,
       amount: finalAmountWithDelivery,
       status: 'completed',
-      transactionId: paymentResult.transactionId,
-      processedAt: new Date()
+      transactionId: singleTender ? paymentResults[0].transactionId : undefined,
+      processedAt,
+      tenders: tenders.map((tender, index) => ({
+        method: tender.method,
+        amount: tender.amount,
+        tendered: tender.tendered,
+        change: tender.change,
+        details: paymentResults[index].details,
+        reference: tender.reference,
+        provider: paymentResults[index].provider,
+        transactionId: paymentResults[index].transactionId,
+        status: paymentResults[index].status,
+        processedAt
+      })),
+      amountTendered,
+      changeDue
     };
 
+    // The insurer's share stays pending until the insurer pays the claim
+    if (saleTenders.length > tenders.length) {
+      transaction.payment.tenders.push({
+        method: 'insurance',
+        amount: coverage.insurerAmount,
+        tendered: coverage.insurerAmount,
+        reference: claimNumber,
+        provider: 'insurer',
+        status: 'pending',
+        processedAt
+      });
+    }
+
     // Set delivery information
     if (deliveryOption === 'delivery' && deliveryAddress) {
       transaction.deliveryAddress = deliveryAddressId;
@@ -176,6 +275,14 @@ exports.processCheckout = async (req, res) => {
     }
 
     transaction.notes = notes || cart.notes;
+    if (interactionCheck && interactionCheck.requiresOverride) {
+      transaction.interactionOverride = {
+        approvedBy: cart.interactionOverride.approvedBy,
+        approvedAt: cart.interactionOverride.approvedAt,
+        reason: cart.interactionOverride.reason,
+        warnings: interactionCheck.warnings.filter(warning => warning.severity === 'high')
+      };
+    }
     transaction.status = 'completed';
     transaction.checkoutDate = new Date();
 
@@ -184,6 +291,8 @@ exports.processCheckout = async (req, res) => {
     transaction.tax = cart.taxAmount;
     transaction.discount = cart.discount.amount;
     transaction.discountType = cart.discount.type;
+    transaction.promotions = cart.promotions;
+    transaction.promotionDiscount = cart.promotionDiscount;
     transaction.deliveryFee = deliveryFee;
     transaction.totalAmount = finalAmountWithDelivery;
 
@@ -192,32 +301,93 @@ exports.processCheckout = async (req, res) => {
     transaction.createdBy = transaction.createdBy || userId;
     transaction.updatedBy = userId;
 
-    await transaction.save();
-
-    // ✅ CREATE RECEIPT
-    receipt = await createReceipt(transaction, cart, paymentResult);
-    console.log('🧾 Receipt created:', receipt.receiptNumber);
-
-    // Update stock for sale transactions
-    if (cart.transactionType === 'sale') {
-      for (const item of cart.items) {
-        await Medicine.findByIdAndUpdate(
-          item.medicineId,
-          { $inc: { quantity: -item.quantity } }
-        );
-      }
-    }
-
     // Update cart status
     cart.status = 'completed';
-    cart.paymentMethod = paymentMethod;
+    cart.paymentMethod = transaction.payment.method;
     cart.customerName = customerName || cart.customerName;
     cart.customerPhone = customerPhone || cart.customerPhone;
     cart.customerEmail = customerEmail || cart.customerEmail;
-    await cart.save();
 
-    // ✅ SYNC TRANSACTION TO SALES - Add this line
-    await syncTransactionToSales(transaction._id);
+    // Transaction, stock, receipt, cart and sale are committed together or not at all
+    let creditDueDate;
+    await runInTransaction(async (session) => {
+      // Link the sale to the customer registry, registering new phone numbers
+      const customer = await resolveCustomer(pharmacyId, {
+        customerId,
+        name: transaction.customerInfo.name,
+        phone: transaction.customerInfo.phone,
+        email: transaction.customerInfo.email
+      }, { userId, session });
+      await linkCustomer(transaction, customer, session);
+
+      // Each promotion used counts towards its usage limit
+      await redeemPromotions(transaction.promotions, session);
+
+      if (coverage) {
+        await createClaim(transaction, coverage, { claimNumber, userId, session });
+      }
+
+      // Counted in the cashier's open shift, if they have one
+      const shift = await getOpenShift(pharmacyId, userId, session);
+      transaction.shiftId = shift ? shift._id : undefined;
+
+      // The part paid on credit goes on the customer's account, within their credit limit
+      const creditAmount = tenders
+        .filter(tender => tender.method === 'credit')
+        .reduce((sum, tender) => sum + tender.amount, 0);
+      if (creditAmount > 0) {
+        const charge = await chargeCreditSale(transaction, customer, { amount: creditAmount, userId, session });
+        creditDueDate = charge.dueDate;
+
+        // Due date follows the customer's credit terms
+        transaction.payment.tenders
+          .filter(tender => tender.method === 'credit')
+          .forEach(tender => { tender.details = { ...tender.details, dueDate: creditDueDate }; });
+      }
+
+      // Update stock for sale transactions, earliest-expiring lots first
+      if (cart.transactionType === 'sale') {
+        const reservations = await reserveStock(cart.items, {
+          session,
+          filter: { pharmacyId },
+          movement: {
+            entryType: 'dispense',
+            reference: { type: 'Transaction', id: transaction._id, number: transaction.transactionNumber },
+            party: transaction.customerInfo.name,
+            userId
+          }
+        });
+        applyReservations(transaction, reservations);
+
+        // Counts as one fill of the prescription
+        await dispensePrescription({ pharmacyId, prescriptionId, items: cart.items, transaction, userId, session });
+      }
+
+      await transaction.save({ session });
+
+      // ✅ CREATE RECEIPT
+      receipt = await createReceipt(transaction, cart, session);
+
+      await cart.save({ session });
+
+      // ✅ SYNC TRANSACTION TO SALES
+      await syncTransactionToSales(transaction._id, { session });
+    });
+    committed = true;
+
+    // Take the authorised payments now that the sale is saved. The sale stands whatever
+    // happens here; a tender that was not captured keeps a status saying so.
+    if (transaction.payment.tenders.some(tender => tender.status === 'authorized')) {
+      try {
+        await captureTenders(transaction.payment.tenders);
+        await transaction.save();
+      } catch (error) {
+        console.error('❌ Error saving payment capture:', error);
+      }
+    }
+    const uncaptured = transaction.payment.tenders.filter(tender => ['failed', 'pending_capture'].includes(tender.status));
+
+    console.log('🧾 Receipt created:', receipt.receiptNumber);
 
     // Generate receipt PDF/HTML
     const receiptDocument = await generateReceipt({
@@ -234,9 +404,12 @@ exports.processCheckout = async (req, res) => {
       },
       cart: cart.toObject(),
       payment: {
-        method: paymentMethod,
-        details: paymentDetails,
-        transactionId: paymentResult.transactionId
+        method: transaction.payment.method,
+        details: transaction.payment.details,
+        transactionId: transaction.payment.transactionId,
+        tenders: transaction.payment.tenders,
+        amountTendered,
+        changeDue
       },
       delivery: {
         option: deliveryOption,
@@ -263,7 +436,7 @@ exports.processCheckout = async (req, res) => {
       transactionNumber: transaction.transactionNumber,
       receiptNumber: receipt.receiptNumber,
       amount: transaction.totalAmount,
-      paymentMethod,
+      paymentMethod: transaction.payment.method,
       deliveryOption,
       deliveryStatus,
       emailSent: emailResult.success
@@ -279,7 +452,9 @@ exports.processCheckout = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Checkout completed successfully',
+      message: uncaptured.length > 0
+        ? 'Checkout completed, but some payments could not be captured and need to be resolved'
+        : 'Checkout completed successfully',
       data: {
         transaction,
         receipt: {
@@ -289,7 +464,19 @@ exports.processCheckout = async (req, res) => {
           transactionNumber: transaction.transactionNumber,
           totalAmount: transaction.totalAmount
         },
-        payment: paymentResult,
+        payment: {
+          method: transaction.payment.method,
+          amount: transaction.payment.amount,
+          amountTendered,
+          changeDue,
+          transactionId: transaction.payment.transactionId,
+          dueDate: creditDueDate,
+          insurance: transaction.insurance && transaction.insurance.claimId ? transaction.insurance : undefined,
+          tenders: transaction.payment.tenders.map((tender, index) => ({
+            ...tender.toObject(),
+            message: paymentResults[index] ? paymentResults[index].message : undefined
+          }))
+        },
         delivery: {
           option: deliveryOption,
           fee: deliveryFee,
@@ -307,6 +494,11 @@ exports.processCheckout = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Checkout error:', error);
+
+    // Release payment authorisations of a sale that was not saved
+    if (!committed) {
+      await voidTenders(paymentResults);
+    }
     
     // Close SMTP connection pool on error
     if (transporter && transporter.close) {
@@ -315,6 +507,25 @@ exports.processCheckout = async (req, res) => {
         console.log('📧 SMTP connection pool closed due to error');
       }, 1000);
     }
+
+    // Another sale took the stock between validation and commit
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const status = PRESCRIPTION_ERROR_STATUS[error.code] || CUSTOMER_ERROR_STATUS[error.code] ||
+      CREDIT_ERROR_STATUS[error.code] || PAYMENT_ERROR_STATUS[error.code] || INSURANCE_ERROR_STATUS[error.code] ||
+      PROMOTION_ERROR_STATUS[error.code] || GATEWAY_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+        data: error.details
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -327,9 +538,9 @@ exports.processCheckout = async (req, res) => {
 /**
  * Create receipt for completed transaction
  */
-async function createReceipt(transaction, cart, paymentResult) {
+async function createReceipt(transaction, cart, session = null) {
   try {
-    const receiptNumber = await Receipt.generateReceiptNumber();
+    const receiptNumber = await Receipt.generateReceiptNumber(session);
     
     const receiptData = {
       receiptNumber,
@@ -337,40 +548,55 @@ async function createReceipt(transaction, cart, paymentResult) {
       transactionNumber: transaction.transactionNumber,
       pharmacyId: transaction.pharmacyId,
       userId: transaction.userId,
-      items: cart.items.map(item => ({
-        medicineId: item.medicineId,
-        medicineName: item.medicineName,
-        genericName: item.genericName,
-        form: item.form,
-        packSize: item.packSize,
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        totalPrice: item.totalPrice,
-        batchNumber: item.batchNumber,
-        expiryDate: item.expiryDate,
-        manufacturer: item.manufacturer
-      })),
+      items: cart.items.map(item => {
+        const medicineId = item.medicineId._id || item.medicineId;
+        const transactionItem = transaction.items.find(
+          txItem => txItem.medicineId && txItem.medicineId.toString() === medicineId.toString()
+        );
+
+        return {
+          medicineId,
+          medicineName: item.medicineName,
+          genericName: item.genericName,
+          form: item.form,
+          packSize: item.packSize,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          totalPrice: item.totalPrice,
+          batchNumber: transactionItem?.batchNumber || item.batchNumber,
+          expiryDate: transactionItem?.expiryDate || item.expiryDate,
+          manufacturer: item.manufacturer,
+          batchAllocations: transactionItem?.batchAllocations || []
+        };
+      }),
       subtotal: transaction.subtotal,
       tax: transaction.tax,
       discount: transaction.discount,
+      promotions: transaction.promotions,
+      promotionDiscount: transaction.promotionDiscount,
       deliveryFee: transaction.deliveryFee,
       totalAmount: transaction.totalAmount,
       payment: {
         method: transaction.payment.method,
         amount: transaction.payment.amount,
         status: transaction.payment.status,
-        transactionId: paymentResult.transactionId
+        transactionId: transaction.payment.transactionId,
+        tenders: transaction.payment.tenders,
+        amountTendered: transaction.payment.amountTendered,
+        changeDue: transaction.payment.changeDue
       },
       customerInfo: transaction.customerInfo,
       receiptDate: transaction.checkoutDate
     };
 
     const receipt = new Receipt(receiptData);
-    await receipt.save();
+    await receipt.save({ session });
     
     return receipt;
   } catch (error) {
     console.error('❌ Error creating receipt:', error);
+    // Keep the driver's error labels so a transient write conflict is retried
+    if (error.errorLabels) throw error;
     throw new Error('Failed to create receipt');
   }
 }
@@ -413,11 +639,14 @@ async function handleReceiptEmail(customerEmail, transaction, receiptDocument, c
       subtotal: transaction.subtotal,
       tax: transaction.tax,
       discount: transaction.discount,
+      promotions: transaction.promotions || [],
       deliveryFee: transaction.deliveryFee,
       
       // Payment details
       paymentMethod: transaction.payment.method,
       paymentStatus: transaction.payment.status,
+      tenders: transaction.payment.tenders,
+      changeDue: transaction.payment.changeDue || 0,
       
       // Customer details
       customerName: transaction.customerInfo?.name,
@@ -536,98 +765,6 @@ function calculateDeliveryFee(orderAmount, deliveryAddress) {
   return fee;
 }
 
-/**
- * Process different payment methods
- */
-async function processPayment(method, details, amount) {
-  console.log('💳 Processing payment:', { method, amount });
-
-  switch (method) {
-    case 'cash':
-      return {
-        success: true,
-        message: 'Cash payment accepted',
-        transactionId: `CASH-${Date.now()}`,
-        amount: amount
-      };
-
-    case 'card':
-      if (!details?.cardNumber || !details?.expiryDate || !details?.cvv) {
-        return {
-          success: false,
-          message: 'Card details incomplete'
-        };
-      }
-      return {
-        success: true,
-        message: 'Card payment processed successfully',
-        transactionId: `CARD-${Date.now()}`,
-        amount: amount,
-        cardLast4: details.cardNumber.slice(-4)
-      };
-
-    case 'mobile_money':
-      if (!details?.phoneNumber || !details?.provider) {
-        return {
-          success: false,
-          message: 'Mobile money details incomplete'
-        };
-      }
-      return {
-        success: true,
-        message: 'Mobile money payment processed successfully',
-        transactionId: `MM-${Date.now()}`,
-        amount: amount,
-        provider: details.provider
-      };
-
-    case 'bank_transfer':
-      if (!details?.accountNumber || !details?.bankName) {
-        return {
-          success: false,
-          message: 'Bank transfer details incomplete'
-        };
-      }
-      return {
-        success: true,
-        message: 'Bank transfer initiated successfully',
-        transactionId: `BANK-${Date.now()}`,
-        amount: amount,
-        bankName: details.bankName
-      };
-
-    case 'digital_wallet':
-      if (!details?.walletId || !details?.provider) {
-        return {
-          success: false,
-          message: 'Digital wallet details incomplete'
-        };
-      }
-      return {
-        success: true,
-        message: 'Digital wallet payment processed successfully',
-        transactionId: `WALLET-${Date.now()}`,
-        amount: amount,
-        provider: details.provider
-      };
-
-    case 'credit':
-      return {
-        success: true,
-        message: 'Credit payment recorded',
-        transactionId: `CREDIT-${Date.now()}`,
-        amount: amount,
-        dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-      };
-
-    default:
-      return {
-        success: false,
-        message: 'Unsupported payment method'
-      };
-  }
-}
-
 // ... rest of the file remains the same (getCheckoutSummary, applyDiscount, setTax)
 
 /**
@@ -635,7 +772,7 @@ async function processPayment(method, details, amount) {
  */
 exports.getCheckoutSummary = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id;
 
     const cart = await Cart.findOne({
@@ -673,6 +810,9 @@ exports.getCheckoutSummary = async (req, res) => {
           items: cart.items,
           totalAmount: cart.totalAmount,
           discount: cart.discount,
+          couponCodes: cart.couponCodes,
+          promotions: cart.promotions,
+          promotionDiscount: cart.promotionDiscount,
           taxAmount: cart.taxAmount,
           finalAmount: cart.finalAmount,
           totalItems: cart.totalItems,
@@ -690,6 +830,7 @@ exports.getCheckoutSummary = async (req, res) => {
         summary: {
           subtotal: cart.totalAmount,
           discount: cart.discount.amount,
+          promotionDiscount: cart.promotionDiscount,
           tax: cart.taxAmount,
           deliveryFee: 0,
           total: cart.finalAmount
@@ -712,7 +853,7 @@ exports.getCheckoutSummary = async (req, res) => {
 exports.applyDiscount = async (req, res) => {
   try {
     const { amount, type = 'fixed', reason = '' } = req.body;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const cart = await Cart.findOne({
       pharmacyId,
@@ -746,13 +887,123 @@ exports.applyDiscount = async (req, res) => {
   }
 };
 
+/**
+ * Enter a coupon code on the cart
+ */
+exports.applyCoupon = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const pharmacyId = req.user.pharmacyId;
+
+    if (!code || typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const cart = await Cart.findOne({
+      pharmacyId,
+      status: 'active'
+    });
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active cart not found'
+      });
+    }
+
+    const promotion = await findCoupon(pharmacyId, code);
+    if (!cart.couponCodes.includes(promotion.code)) {
+      cart.couponCodes.push(promotion.code);
+    }
+    await applyPromotionsToCart(cart);
+    await cart.save();
+
+    const applied = cart.promotions.some(applied => applied.code === promotion.code);
+
+    res.status(200).json({
+      success: true,
+      message: applied
+        ? `Coupon ${promotion.code} applied`
+        : `Coupon ${promotion.code} saved; the cart does not qualify for it yet`,
+      data: {
+        couponCodes: cart.couponCodes,
+        promotions: cart.promotions,
+        promotionDiscount: cart.promotionDiscount,
+        finalAmount: cart.finalAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+
+    if (PROMOTION_ERROR_STATUS[error.code]) {
+      return res.status(PROMOTION_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error applying coupon'
+    });
+  }
+};
+
+/**
+ * Remove a coupon code from the cart
+ */
+exports.removeCoupon = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const code = req.params.code.trim().toUpperCase();
+
+    const cart = await Cart.findOne({
+      pharmacyId,
+      status: 'active'
+    });
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active cart not found'
+      });
+    }
+
+    cart.couponCodes = cart.couponCodes.filter(couponCode => couponCode !== code);
+    await applyPromotionsToCart(cart);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Coupon ${code} removed`,
+      data: {
+        couponCodes: cart.couponCodes,
+        promotions: cart.promotions,
+        promotionDiscount: cart.promotionDiscount,
+        finalAmount: cart.finalAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing coupon'
+    });
+  }
+};
+
 /**
  * Set tax for cart
  */
 exports.setTax = async (req, res) => {
   try {
     const { taxAmount } = req.body;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const cart = await Cart.findOne({
       pharmacyId,
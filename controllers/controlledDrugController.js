@@ -0,0 +1,65 @@
+const controlledDrugService = require('../services/controlledDrugService');
+
+/**
+ * Controlled drugs register, oldest entry first
+ */
+const getRegister = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { medicineId, entryType, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const { entries, total } = await controlledDrugService.getRegister(pharmacyId, {
+      medicineId,
+      entryType,
+      startDate,
+      endDate,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get controlled drugs register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching controlled drugs register',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Register balance against stock held, per controlled drug
+ */
+const getReconciliation = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const report = await controlledDrugService.reconcileRegister(pharmacyId);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Reconcile controlled drugs register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling controlled drugs register',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getRegister,
+  getReconciliation
+};
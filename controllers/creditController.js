@@ -0,0 +1,180 @@
+const Customer = require('../models/Customer');
+const {
+  CREDIT_ERROR_STATUS,
+  recordRepayment,
+  getCreditAccount,
+  getLedger,
+  getAgingReport
+} = require('../services/creditService');
+
+const customerNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Customer not found'
+});
+
+/**
+ * A customer's credit account with the sales still owed
+ */
+const getAccount = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const account = await getCreditAccount(pharmacyId, req.params.customerId);
+    if (!account) {
+      return customerNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    console.error('Get credit account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Set a customer's credit limit and payment terms
+ */
+const updateLimit = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { creditLimit, creditTermsDays } = req.body;
+
+    const customer = await Customer.findOne({ _id: req.params.customerId, pharmacyId });
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    if (creditLimit !== undefined) customer.creditLimit = creditLimit;
+    if (creditTermsDays !== undefined) customer.creditTermsDays = creditTermsDays;
+    await customer.save();
+
+    console.log(`🧾 Credit limit for ${customer.name} set to ${customer.creditLimit} (${customer.creditTermsDays} days)`);
+
+    res.status(200).json({
+      success: true,
+      message: customer.creditBalance > customer.creditLimit
+        ? 'Credit limit updated; the balance is above the new limit, so further credit sales are blocked until it is repaid'
+        : 'Credit limit updated successfully',
+      data: await getCreditAccount(pharmacyId, customer._id)
+    });
+  } catch (error) {
+    console.error('Update credit limit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating credit limit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record a full or partial repayment against a customer's open credit sales
+ */
+const createRepayment = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { amount, method, reference, allocations, notes } = req.body;
+
+    const repayment = await recordRepayment(
+      pharmacyId,
+      req.params.customerId,
+      { amount, method, reference, allocations, notes },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Repayment recorded successfully',
+      data: {
+        repayment,
+        account: await getCreditAccount(pharmacyId, req.params.customerId)
+      }
+    });
+  } catch (error) {
+    console.error('Record repayment error:', error);
+
+    if (CREDIT_ERROR_STATUS[error.code]) {
+      return res.status(CREDIT_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error recording repayment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * A customer's credit ledger: charges, repayments and refunds
+ */
+const getCustomerLedger = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { entryType, page = 1, limit = 20 } = req.query;
+
+    const customer = await Customer.exists({ _id: req.params.customerId, pharmacyId });
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const { entries, total } = await getLedger(pharmacyId, req.params.customerId, { entryType, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get credit ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Accounts receivable aging report
+ */
+const getAging = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const report = await getAgingReport(pharmacyId);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get aging report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating aging report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getAccount,
+  updateLimit,
+  createRepayment,
+  getCustomerLedger,
+  getAging
+};
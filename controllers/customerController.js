@@ -0,0 +1,495 @@
+const Customer = require('../models/Customer');
+const {
+  getCustomerSummary,
+  getPurchaseHistory,
+  getRefunds
+} = require('../services/customerService');
+const { INSURANCE_ERROR_STATUS, findPlan } = require('../services/insuranceService');
+
+const customerNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Customer not found'
+});
+
+const findCustomer = (req) => Customer.findOne({
+  _id: req.params.id,
+  pharmacyId: req.user.pharmacyId
+});
+
+// Another customer of the pharmacy already registered with this phone number
+const findDuplicate = (pharmacyId, phone, excludeId) => {
+  const query = { pharmacyId, phone: Customer.normalizePhone(phone) };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Customer.findOne(query).select('name phone');
+};
+
+const duplicateResponse = (res, existing) => res.status(409).json({
+  success: false,
+  message: `Phone number is already registered to ${existing.name}`,
+  data: { customerId: existing._id }
+});
+
+/**
+ * Register a customer
+ */
+const createCustomer = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { name, phone, email, dateOfBirth, gender, address, allergies = [], notes } = req.body;
+
+    const existing = await findDuplicate(pharmacyId, phone);
+    if (existing) {
+      return duplicateResponse(res, existing);
+    }
+
+    const customer = await Customer.create({
+      pharmacyId,
+      name,
+      phone,
+      email,
+      dateOfBirth,
+      gender,
+      address,
+      allergies: allergies.map(allergy => ({ ...allergy, recordedBy: req.user._id })),
+      notes,
+      createdBy: req.user._id
+    });
+
+    console.log(`👤 Customer registered: ${customer.name} (${customer.phone})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer registered successfully',
+      data: customer
+    });
+  } catch (error) {
+    console.error('Create customer error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error registering customer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List customers, optionally searching by name, phone or email
+ */
+const getCustomers = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { search, isActive, page = 1, limit = 10 } = req.query;
+
+    const query = { pharmacyId };
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { name: pattern },
+        { email: pattern }
+      ];
+      const phone = Customer.normalizePhone(search);
+      if (phone) query.$or.push({ phone: new RegExp(phone.replace('+', '\\+')) });
+    }
+
+    const customers = await Customer.find(query)
+      .select('-allergies')
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Customer.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: customers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching customers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a customer's profile with a summary of their purchases
+ */
+const getCustomerById = async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const summary = await getCustomerSummary(customer.pharmacyId, customer._id);
+    summary.outstandingCredit = customer.creditBalance;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching customer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a customer's details
+ */
+const updateCustomer = async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const { phone } = req.body;
+    if (phone !== undefined) {
+      const existing = await findDuplicate(customer.pharmacyId, phone, customer._id);
+      if (existing) {
+        return duplicateResponse(res, existing);
+      }
+    }
+
+    ['name', 'phone', 'email', 'dateOfBirth', 'gender', 'address', 'notes', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) customer[field] = req.body[field];
+    });
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: customer
+    });
+  } catch (error) {
+    console.error('Update customer error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating customer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * A customer's purchase history, newest first
+ */
+const getCustomerPurchases = async (req, res) => {
+  try {
+    const customer = await findCustomer(req).select('_id pharmacyId');
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const { startDate, endDate, page = 1, limit = 20 } = req.query;
+    const { sales, total } = await getPurchaseHistory(customer.pharmacyId, customer._id, { startDate, endDate, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: sales,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get customer purchases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching customer purchases',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Refunds given to a customer
+ */
+const getCustomerRefunds = async (req, res) => {
+  try {
+    const customer = await findCustomer(req).select('_id pharmacyId');
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const refunds = await getRefunds(customer.pharmacyId, customer._id);
+
+    res.status(200).json({
+      success: true,
+      data: refunds
+    });
+  } catch (error) {
+    console.error('Get customer refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching customer refunds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record an allergy on a customer's profile
+ */
+const addAllergy = async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const { substance, reaction, severity } = req.body;
+    const known = customer.allergies.find(allergy => allergy.substance.toLowerCase() === substance.trim().toLowerCase());
+    if (known) {
+      return res.status(409).json({
+        success: false,
+        message: `An allergy to ${known.substance} is already recorded`
+      });
+    }
+
+    customer.allergies.push({ substance, reaction, severity, recordedBy: req.user._id });
+    await customer.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Allergy recorded successfully',
+      data: customer.allergies
+    });
+  } catch (error) {
+    console.error('Add allergy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording allergy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove an allergy from a customer's profile
+ */
+const removeAllergy = async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const allergy = customer.allergies.id(req.params.allergyId);
+    if (!allergy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allergy not found'
+      });
+    }
+
+    allergy.deleteOne();
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Allergy removed successfully',
+      data: customer.allergies
+    });
+  } catch (error) {
+    console.error('Remove allergy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing allergy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const policyNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Insurance policy not found'
+});
+
+/**
+ * Record a customer's membership of an insurer's plan
+ */
+const addInsurancePolicy = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const { insurerId, planId, memberNumber, policyHolder, relationship, validFrom, validTo } = req.body;
+    await findPlan(pharmacyId, insurerId, planId);
+
+    const known = customer.insurancePolicies.find(policy =>
+      policy.insurerId.toString() === insurerId && policy.memberNumber === memberNumber.trim());
+    if (known) {
+      return res.status(409).json({
+        success: false,
+        message: `Member number ${known.memberNumber} is already recorded for this insurer`
+      });
+    }
+
+    customer.insurancePolicies.push({
+      insurerId,
+      planId,
+      memberNumber,
+      policyHolder,
+      relationship,
+      validFrom,
+      validTo,
+      recordedBy: req.user._id
+    });
+    await customer.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Insurance policy recorded successfully',
+      data: customer.insurancePolicies
+    });
+  } catch (error) {
+    console.error('Add insurance policy error:', error);
+
+    if (INSURANCE_ERROR_STATUS[error.code]) {
+      return res.status(INSURANCE_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error recording insurance policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a customer's policy: plan, validity or whether it is still active
+ */
+const updateInsurancePolicy = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const policy = customer.insurancePolicies.id(req.params.policyId);
+    if (!policy) {
+      return policyNotFound(res);
+    }
+
+    if (req.body.planId !== undefined) {
+      await findPlan(pharmacyId, policy.insurerId, req.body.planId);
+    }
+
+    ['planId', 'memberNumber', 'policyHolder', 'relationship', 'validFrom', 'validTo', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Insurance policy updated successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Update insurance policy error:', error);
+
+    if (INSURANCE_ERROR_STATUS[error.code]) {
+      return res.status(INSURANCE_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating insurance policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a policy from a customer's profile
+ */
+const removeInsurancePolicy = async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return customerNotFound(res);
+    }
+
+    const policy = customer.insurancePolicies.id(req.params.policyId);
+    if (!policy) {
+      return policyNotFound(res);
+    }
+
+    policy.deleteOne();
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Insurance policy removed successfully',
+      data: customer.insurancePolicies
+    });
+  } catch (error) {
+    console.error('Remove insurance policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing insurance policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createCustomer,
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+  getCustomerPurchases,
+  getCustomerRefunds,
+  addAllergy,
+  removeAllergy,
+  addInsurancePolicy,
+  updateInsurancePolicy,
+  removeInsurancePolicy
+};
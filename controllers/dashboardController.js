@@ -5,7 +5,7 @@ const Product = require('../models/Product');
 
 exports.getDashboardData = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         const { startDate, endDate } = req.query;
 
         // Calculate date range (default: last 30 days)
@@ -121,7 +121,7 @@ exports.getDashboardData = async (req, res) => {
 
 exports.createRequest = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         const { type, title, description, priority, dueDate } = req.body;
 
         const request = new Request({
@@ -152,7 +152,7 @@ exports.createRequest = async (req, res) => {
 
 exports.getNotifications = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         
         const [lowStock, expiringSoon, pendingRequests] = await Promise.all([
             Inventory.countDocuments({
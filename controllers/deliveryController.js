@@ -161,7 +161,7 @@ const deliveryController = {
   updateDeliveryStatus: async (req, res) => {
     try {
       const { status, notes } = req.body;
-      const transaction = await Transaction.findById(req.params.transactionId);
+      const transaction = await Transaction.findOne({ _id: req.params.transactionId, pharmacyId: req.user.pharmacyId });
 
       if (!transaction) {
         return res.status(404).json({
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const Disposal = require('../models/Disposal');
+const BusinessSettings = require('../models/BusinessSettings');
+const disposalService = require('../services/disposalService');
+
+// HTTP status for the error codes raised by the disposal service
+const DISPOSAL_ERROR_STATUS = {
+  NOTHING_TO_QUARANTINE: 400,
+  BATCH_REQUIRED: 400,
+  INVALID_STATUS: 400,
+  STATUS_CHANGED: 409,
+  INSUFFICIENT_STOCK: 400,
+  BATCH_NOT_FOUND: 404,
+  MEDICINE_NOT_FOUND: 404
+};
+
+const sendDisposalError = (res, error, fallbackMessage) => {
+  const status = DISPOSAL_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const disposalNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Disposal record not found'
+});
+
+/**
+ * Move lots out of sellable stock into quarantine
+ */
+const quarantineStock = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const disposal = await disposalService.quarantineStock(pharmacyId, req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock moved to quarantine',
+      data: disposal
+    });
+  } catch (error) {
+    console.error('Quarantine stock error:', error);
+    sendDisposalError(res, error, 'Error quarantining stock');
+  }
+};
+
+/**
+ * Quarantine every expired lot in one go
+ */
+const quarantineExpiredStock = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const disposal = await disposalService.quarantineExpiredStock(pharmacyId, req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expired stock moved to quarantine',
+      data: disposal
+    });
+  } catch (error) {
+    console.error('Quarantine expired stock error:', error);
+    sendDisposalError(res, error, 'Error quarantining expired stock');
+  }
+};
+
+/**
+ * List disposal records
+ */
+const getDisposals = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, reason, page = 1, limit = 10 } = req.query;
+
+    const query = { pharmacyId };
+    if (status) query.status = status;
+    if (reason) query.reason = reason;
+
+    const disposals = await Disposal.find(query)
+      .sort({ quarantinedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Disposal.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: disposals,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get disposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching disposal records',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a disposal record
+ */
+const getDisposalById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const disposal = await Disposal.findOne({ _id: req.params.id, pharmacyId })
+      .populate('quarantinedBy releasedBy disposal.recordedBy', 'username email');
+
+    if (!disposal) {
+      return disposalNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: disposal
+    });
+  } catch (error) {
+    console.error('Get disposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching disposal record',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record how quarantined stock was destroyed or returned, with an optional certificate file
+ */
+const recordDisposal = async (req, res) => {
+  const removeUpload = () => {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  };
+
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const disposal = await Disposal.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!disposal) {
+      removeUpload();
+      return disposalNotFound(res);
+    }
+
+    await disposalService.recordDisposal(disposal, {
+      ...req.body,
+      certificateFile: req.file ? `/uploads/disposals/${req.file.filename}` : undefined
+    }, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Disposal recorded',
+      data: disposal
+    });
+  } catch (error) {
+    removeUpload();
+    console.error('Record disposal error:', error);
+    sendDisposalError(res, error, 'Error recording disposal');
+  }
+};
+
+/**
+ * Return quarantined stock to sellable inventory
+ */
+const releaseDisposal = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const disposal = await Disposal.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!disposal) {
+      return disposalNotFound(res);
+    }
+
+    await disposalService.releaseQuarantine(disposal, req.user._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock released from quarantine',
+      data: disposal
+    });
+  } catch (error) {
+    console.error('Release disposal error:', error);
+    sendDisposalError(res, error, 'Error releasing stock from quarantine');
+  }
+};
+
+/**
+ * Disposal register for a period, as JSON or as a printable HTML page (format=html)
+ */
+const getDisposalReport = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { startDate, endDate, format = 'json' } = req.query;
+
+    const report = await disposalService.getDisposalReport(pharmacyId, { startDate, endDate });
+
+    if (format !== 'html') {
+      return res.status(200).json({
+        success: true,
+        data: report,
+        meta: { startDate, endDate }
+      });
+    }
+
+    const settings = await BusinessSettings.findOne({ pharmacyId }).select('businessName currency').lean();
+    const html = await ejs.renderFile(path.join(__dirname, '../templates/reports/disposal-report.ejs'), {
+      ...report,
+      pharmacyName: (settings && settings.businessName) || req.user.pharmacyName || 'Pharmacy',
+      currency: (settings && settings.currency) || 'USD',
+      period: `${startDate ? new Date(startDate).toLocaleDateString() : 'start'} - ${endDate ? new Date(endDate).toLocaleDateString() : 'today'}`,
+      generatedAt: new Date()
+    });
+
+    res.setHeader('Content-Type', 'text/html');
+    res.status(200).send(html);
+  } catch (error) {
+    console.error('Get disposal report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating disposal report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  quarantineStock,
+  quarantineExpiredStock,
+  getDisposals,
+  getDisposalById,
+  recordDisposal,
+  releaseDisposal,
+  getDisposalReport
+};
@@ -0,0 +1,528 @@
+const Insurer = require('../models/Insurer');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const ClaimBatch = require('../models/ClaimBatch');
+const {
+  INSURANCE_ERROR_STATUS,
+  updateClaimStatus,
+  createClaimBatch,
+  recordRemittance,
+  getBatchSummary
+} = require('../services/insuranceService');
+
+const sendInsuranceError = (res, error) => res.status(INSURANCE_ERROR_STATUS[error.code]).json({
+  success: false,
+  message: error.message,
+  data: error.details
+});
+
+const insurerNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Insurer not found'
+});
+
+const findInsurer = (req) => Insurer.findOne({
+  _id: req.params.id,
+  pharmacyId: req.user.pharmacyId
+});
+
+const planFields = ['name', 'code', 'defaultCoveragePercent', 'coverageRules', 'isActive'];
+
+/**
+ * Register an insurer, optionally with its plans
+ */
+const createInsurer = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { name, code, contact, paymentTermsDays, plans = [] } = req.body;
+
+    const existing = await Insurer.exists({ pharmacyId, name: name.trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Insurer ${name} is already registered`
+      });
+    }
+
+    const insurer = await Insurer.create({
+      pharmacyId,
+      name,
+      code,
+      contact,
+      paymentTermsDays,
+      plans,
+      createdBy: req.user._id
+    });
+
+    console.log(`🩺 Insurer registered: ${insurer.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Insurer registered successfully',
+      data: insurer
+    });
+  } catch (error) {
+    console.error('Create insurer error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error registering insurer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List insurers
+ */
+const getInsurers = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const query = { pharmacyId };
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const insurers = await Insurer.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: insurers
+    });
+  } catch (error) {
+    console.error('Get insurers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching insurers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get an insurer with its plans
+ */
+const getInsurerById = async (req, res) => {
+  try {
+    const insurer = await findInsurer(req).populate('plans.coverageRules.medicineId', 'name genericName category');
+    if (!insurer) {
+      return insurerNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: insurer
+    });
+  } catch (error) {
+    console.error('Get insurer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching insurer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update an insurer's details
+ */
+const updateInsurer = async (req, res) => {
+  try {
+    const insurer = await findInsurer(req);
+    if (!insurer) {
+      return insurerNotFound(res);
+    }
+
+    ['name', 'code', 'contact', 'paymentTermsDays', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) insurer[field] = req.body[field];
+    });
+    await insurer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Insurer updated successfully',
+      data: insurer
+    });
+  } catch (error) {
+    console.error('Update insurer error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another insurer is registered with this name'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating insurer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a plan to an insurer
+ */
+const addPlan = async (req, res) => {
+  try {
+    const insurer = await findInsurer(req);
+    if (!insurer) {
+      return insurerNotFound(res);
+    }
+
+    const plan = {};
+    planFields.forEach(field => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+    insurer.plans.push(plan);
+    await insurer.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan added successfully',
+      data: insurer.plans[insurer.plans.length - 1]
+    });
+  } catch (error) {
+    console.error('Add plan error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a plan; coverageRules, when given, replaces the plan's rules
+ */
+const updatePlan = async (req, res) => {
+  try {
+    const insurer = await findInsurer(req);
+    if (!insurer) {
+      return insurerNotFound(res);
+    }
+
+    const plan = insurer.plans.id(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    planFields.forEach(field => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+    await insurer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Update plan error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List insurance claims
+ */
+const getClaims = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, insurerId, customerId, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = { pharmacyId };
+    if (status) query.status = status;
+    if (insurerId) query.insurerId = insurerId;
+    if (customerId) query.customerId = customerId;
+    if (startDate || endDate) {
+      query.serviceDate = {};
+      if (startDate) query.serviceDate.$gte = new Date(startDate);
+      if (endDate) query.serviceDate.$lte = new Date(endDate);
+    }
+
+    const claims = await InsuranceClaim.find(query)
+      .select('-lines -statusHistory')
+      .populate('insurerId', 'name code')
+      .sort({ serviceDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await InsuranceClaim.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: claims,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching claims',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a claim with its lines and status history
+ */
+const getClaimById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+
+    const claim = await InsuranceClaim.findOne({ _id: req.params.id, pharmacyId })
+      .populate('insurerId', 'name code contact')
+      .populate('customerId', 'name phone')
+      .populate('batchId', 'batchNumber status');
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: claim
+    });
+  } catch (error) {
+    console.error('Get claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record the insurer's answer to a claim: accepted or rejected
+ */
+const updateClaim = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, reason, insurerReference } = req.body;
+
+    const claim = await updateClaimStatus(pharmacyId, req.params.id, { status, reason, insurerReference }, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Claim ${claim.claimNumber} marked ${status}`,
+      data: claim
+    });
+  } catch (error) {
+    console.error('Update claim error:', error);
+
+    if (INSURANCE_ERROR_STATUS[error.code]) {
+      return sendInsuranceError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Submit an insurer's pending claims as a batch
+ */
+const createBatch = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { insurerId, claimIds, notes } = req.body;
+
+    const batch = await createClaimBatch(pharmacyId, insurerId, { claimIds, notes }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Claim batch ${batch.batchNumber} submitted with ${batch.claimCount} claims`,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Create claim batch error:', error);
+
+    if (INSURANCE_ERROR_STATUS[error.code]) {
+      return sendInsuranceError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating claim batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List claim batches
+ */
+const getBatches = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { insurerId, status, page = 1, limit = 20 } = req.query;
+
+    const query = { pharmacyId };
+    if (insurerId) query.insurerId = insurerId;
+    if (status) query.status = status;
+
+    const batches = await ClaimBatch.find(query)
+      .select('-claims -remittances.lines')
+      .sort({ submittedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await ClaimBatch.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get claim batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching claim batches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a claim batch with its claims, remittances and what is still owed
+ */
+const getBatchById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+
+    const batch = await ClaimBatch.findOne({ _id: req.params.id, pharmacyId })
+      .populate('claims', 'claimNumber transactionNumber patientName memberNumber claimAmount paidAmount status rejectionReason');
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim batch not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batch,
+        summary: await getBatchSummary(batch._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get claim batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching claim batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record a remittance from the insurer and reconcile it against the sales
+ */
+const addRemittance = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { reference, amount, receivedAt, payments } = req.body;
+
+    const { batch, remittance } = await recordRemittance(
+      pharmacyId,
+      req.params.id,
+      { reference, amount, receivedAt, payments },
+      req.user._id
+    );
+
+    const mismatched = remittance.lines.filter(line => line.result !== 'matched').length;
+
+    res.status(201).json({
+      success: true,
+      message: mismatched > 0
+        ? `Remittance recorded; ${mismatched} of ${remittance.lines.length} claims do not match their sales`
+        : 'Remittance recorded; all claims match their sales',
+      data: {
+        remittance,
+        batch: {
+          _id: batch._id,
+          batchNumber: batch.batchNumber,
+          status: batch.status,
+          totalClaimed: batch.totalClaimed,
+          totalPaid: batch.totalPaid
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Record remittance error:', error);
+
+    if (INSURANCE_ERROR_STATUS[error.code]) {
+      return sendInsuranceError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error recording remittance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createInsurer,
+  getInsurers,
+  getInsurerById,
+  updateInsurer,
+  addPlan,
+  updatePlan,
+  getClaims,
+  getClaimById,
+  updateClaim,
+  createBatch,
+  getBatches,
+  getBatchById,
+  addRemittance
+};
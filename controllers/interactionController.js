@@ -0,0 +1,145 @@
+const DrugInteraction = require('../models/DrugInteraction');
+const interactionService = require('../services/interactionService');
+
+/**
+ * Import interactions from an uploaded JSON or CSV file, or from a JSON body
+ */
+const importInteractions = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+
+    let records;
+    try {
+      records = req.file ? interactionService.parseInteractionFile(req.file) : req.body.interactions;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a JSON or CSV file, or send an interactions array'
+      });
+    }
+
+    const result = await interactionService.importInteractions(pharmacyId, req.user._id, records, {
+      replace: req.query.replace === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.added + result.updated} interaction(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Import interactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing interactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the pharmacy's interaction dataset, optionally for one generic name
+ */
+const getInteractions = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { genericName, severity, page = 1, limit = 50 } = req.query;
+
+    const query = { pharmacyId };
+    if (severity) query.severity = severity;
+    if (genericName) {
+      const name = DrugInteraction.normalizeGenericName(genericName);
+      query.$or = [{ genericNameA: name }, { genericNameB: name }];
+    }
+
+    const interactions = await DrugInteraction.find(query)
+      .sort({ genericNameA: 1, genericNameB: 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await DrugInteraction.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: interactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get interactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching interactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove one interaction from the dataset
+ */
+const deleteInteraction = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const interaction = await DrugInteraction.findOneAndDelete({ _id: req.params.id, pharmacyId });
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interaction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Interaction deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete interaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting interaction',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Check a set of medicines, e.g. before a quick sale
+ */
+const checkInteractions = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const result = await interactionService.checkMedicines(pharmacyId, req.body.medicineIds);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Check interactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking interactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  importInteractions,
+  getInteractions,
+  deleteInteraction,
+  checkInteractions
+};
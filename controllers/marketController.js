@@ -1,4 +1,6 @@
 const Medicine = require('../models/Medicine');
+const { parseNear, getPharmacyCoordinates, searchByDistance } = require('../services/geoService');
+const { searchPattern } = require('../utils/helpers');
 
 // Search and filter medicines
 exports.searchMedicines = async (req, res) => {
@@ -8,21 +10,38 @@ exports.searchMedicines = async (req, res) => {
       category,
       minPrice,
       maxPrice,
+      near,
+      maxDistanceKm,
+      sort,
       page = 1,
       limit = 10
     } = req.query;
 
+    // Distances are measured from `near` if given, otherwise from the requesting pharmacy
+    const origin = parseNear(near) || await getPharmacyCoordinates(req.user.pharmacyId);
+    if (!origin && (maxDistanceKm || sort === 'distance')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set your pharmacy location in your profile, or pass near=latitude,longitude, to search by distance'
+      });
+    }
+
     // Build search query
     let query = { isActive: true };
 
-    // Text search
+    // Search text anywhere in the name, generic name or manufacturer
     if (search) {
-      query.$text = { $search: search };
+      const pattern = searchPattern(search);
+      query.$or = [
+        { name: pattern },
+        { genericName: pattern },
+        { manufacturer: pattern }
+      ];
     }
 
     // Category filter
     if (category) {
-      query.category = new RegExp(category, 'i');
+      query.category = searchPattern(category);
     }
 
     // Price range filter
@@ -35,13 +54,14 @@ exports.searchMedicines = async (req, res) => {
     // Execute query with pagination
     const skip = (page - 1) * limit;
     
-    const medicines = await Medicine.find(query)
-      .select('-__v')
-      .sort({ name: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Medicine.countDocuments(query);
+    const { results: medicines, total } = await searchByDistance(Medicine, query, {
+      origin,
+      maxDistanceKm: maxDistanceKm ? parseFloat(maxDistanceKm) : undefined,
+      sortByDistance: sort === 'distance',
+      sort: { name: 1 },
+      skip,
+      limit: parseInt(limit)
+    });
 
     res.status(200).json({
       success: true,
@@ -1,41 +1,55 @@
 const Medicine = require('../models/Medicine');
+const MarketplaceListing = require('../models/MarketplaceListing');
 const Transaction = require('../models/Transaction');
 const Cart = require('../models/Cart');
 const mongoose = require('mongoose');
-const { generateTransactionNumber } = require('../utils/helpers');
+const { placeOrder } = require('../services/marketplaceOrderService');
+const { parseNear, getPharmacyCoordinates, searchByDistance } = require('../services/geoService');
+const { searchPattern } = require('../utils/helpers');
 
 const marketplaceController = {
-  // Get marketplace medicines (available for purchase)
+  // Get marketplace medicines (listings other pharmacies offer for purchase)
   getMarketplaceMedicines: async (req, res) => {
     try {
-      const pharmacyId = req.user.pharmacyId || req.user._id;
+      const pharmacyId = req.user.pharmacyId;
       const {
         search,
         category,
         manufacturer,
         minPrice,
         maxPrice,
-        inStock = true,
+        near,
+        maxDistanceKm,
+        sort,
         page = 1,
         limit = 20
       } = req.query;
 
+      // Distances are measured from `near` if given, otherwise from the requesting pharmacy
+      const origin = parseNear(near) || await getPharmacyCoordinates(pharmacyId);
+      if (!origin && (maxDistanceKm || sort === 'distance')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Set your pharmacy location in your profile, or pass near=latitude,longitude, to search by distance'
+        });
+      }
+
       let query = {
-        pharmacyId: { $ne: pharmacyId }, // Exclude own medicines
-        isActive: true,
-        quantity: { $gt: 0 } // Only show available medicines
+        pharmacyId: { $ne: pharmacyId }, // Exclude own listings
+        ...MarketplaceListing.availableQuery()
       };
 
       if (search) {
+        const pattern = searchPattern(search);
         query.$or = [
-          { name: new RegExp(search, 'i') },
-          { genericName: new RegExp(search, 'i') },
-          { manufacturer: new RegExp(search, 'i') }
+          { medicineName: pattern },
+          { genericName: pattern },
+          { manufacturer: pattern }
         ];
       }
 
       if (category) query.category = category;
-      if (manufacturer) query.manufacturer = new RegExp(manufacturer, 'i');
+      if (manufacturer) query.manufacturer = searchPattern(manufacturer);
       
       if (minPrice || maxPrice) {
         query.price = {};
@@ -43,24 +57,22 @@ const marketplaceController = {
         if (maxPrice) query.price.$lte = parseFloat(maxPrice);
       }
 
-      if (inStock === 'true') {
-        query.quantity = { $gt: 0 };
-      }
-
       const skip = (page - 1) * limit;
 
-      const medicines = await Medicine.find(query)
-        .populate('pharmacyId', 'pharmacyName contactInfo')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .select('-__v');
-
-      const total = await Medicine.countDocuments(query);
+      const { results: listings, total } = await searchByDistance(MarketplaceListing, query, {
+        origin,
+        maxDistanceKm: maxDistanceKm ? parseFloat(maxDistanceKm) : undefined,
+        sortByDistance: sort === 'distance',
+        sort: { createdAt: -1 },
+        skip,
+        limit: parseInt(limit),
+        populate: [{ path: 'pharmacyId', select: 'pharmacyName contactInfo businessAddress' }],
+        select: '-__v -createdBy -priceHistory'
+      });
 
       res.status(200).json({
         success: true,
-        data: medicines,
+        data: listings,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -81,7 +93,7 @@ const marketplaceController = {
   // Add marketplace medicine to cart
   addMarketplaceToCart: async (req, res) => {
     try {
-      const pharmacyId = req.user.pharmacyId || req.user._id;
+      const pharmacyId = req.user.pharmacyId;
       const { medicineId, quantity, sellerId } = req.body;
 
       // Get marketplace medicine
@@ -157,9 +169,10 @@ const marketplaceController = {
   },
 
   // Purchase from marketplace (full cart from a seller)
+  // Places an order; the seller's stock only moves once they accept and dispatch it
   purchaseFromMarketplace: async (req, res) => {
     try {
-      const pharmacyId = req.user.pharmacyId || req.user._id;
+      const pharmacyId = req.user.pharmacyId;
       const { sellerId, description = 'Marketplace purchase' } = req.body;
 
       // Get marketplace cart for this seller
@@ -177,139 +190,44 @@ const marketplaceController = {
         });
       }
 
-      // Validate all items are still available
-      const transactionItems = [];
-      for (const cartItem of cart.items) {
-        const medicine = await Medicine.findOne({
-          _id: cartItem.medicineId,
-          pharmacyId: sellerId,
-          isActive: true
-        });
-
-        if (!medicine) {
-          return res.status(404).json({
-            success: false,
-            message: `Medicine ${cartItem.medicineName} no longer available`
-          });
-        }
-
-        if (medicine.quantity < cartItem.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for ${medicine.name}. Available: ${medicine.quantity}`
-          });
-        }
-
-        transactionItems.push({
-          medicineId: medicine._id,
-          medicineName: medicine.name,
-          genericName: medicine.genericName,
-          form: medicine.form,
-          packSize: medicine.packSize,
-          quantity: cartItem.quantity,
-          unitPrice: cartItem.unitPrice,
-          totalPrice: cartItem.totalPrice,
-          expiryDate: medicine.expiryDate,
-          batchNumber: medicine.batchNumber,
-          manufacturer: medicine.manufacturer
-        });
-      }
-
-      // Calculate totals
-      const subtotal = transactionItems.reduce((sum, item) => sum + item.totalPrice, 0);
-      const totalAmount = subtotal; // Marketplace purchases might have different pricing logic
-
-      // Generate transaction numbers
-      const transactionNumber = await generateTransactionNumber('purchase');
-      const transactionRef = `MP-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`.toUpperCase();
-
-      // Create marketplace purchase transaction
-      const transaction = new Transaction({
-        pharmacyId,
-        transactionType: 'purchase',
-        transactionNumber,
-        transactionRef,
-        description,
-        items: transactionItems,
-        subtotal,
-        totalAmount,
-        paymentMethod: 'bank_transfer', // Default for marketplace
-        status: 'completed',
-        saleType: 'full',
-        marketplace: {
-          isMarketplace: true,
-          sellerId: sellerId,
-          commission: 0 // Could be calculated based on business rules
-        },
-        transactionDate: new Date()
+      const order = await placeOrder({
+        buyerPharmacyId: pharmacyId,
+        sellerPharmacyId: sellerId,
+        items: cart.items.map(cartItem => ({
+          medicineId: cartItem.medicineId,
+          medicineName: cartItem.medicineName,
+          quantity: cartItem.quantity
+        })),
+        userId: req.user._id,
+        notes: description
       });
 
-      await transaction.save();
-
-      // Update seller's stock (this would typically be handled by the seller's system)
-      // For now, we'll simulate the stock update
-      for (const item of transactionItems) {
-        await Medicine.findOneAndUpdate(
-          { _id: item.medicineId, pharmacyId: sellerId },
-          { $inc: { quantity: -item.quantity } }
-        );
-      }
-
-      // Add purchased medicines to buyer's inventory
-      for (const item of transactionItems) {
-        const existingMedicine = await Medicine.findOne({
-          pharmacyId,
-          name: item.medicineName,
-          genericName: item.genericName
-        });
-
-        if (existingMedicine) {
-          // Update existing medicine
-          await Medicine.findByIdAndUpdate(
-            existingMedicine._id,
-            { 
-              $inc: { quantity: item.quantity },
-              $set: { 
-                price: item.unitPrice, // Update price to purchase price
-                lastPurchasePrice: item.unitPrice
-              }
-            }
-          );
-        } else {
-          // Create new medicine in buyer's inventory
-          await Medicine.create({
-            pharmacyId,
-            name: item.medicineName,
-            genericName: item.genericName,
-            form: item.form,
-            packSize: item.packSize,
-            quantity: item.quantity,
-            price: item.unitPrice * 1.2, // Markup for resale
-            costPrice: item.unitPrice,
-            category: 'Purchased',
-            manufacturer: item.manufacturer,
-            expiryDate: item.expiryDate,
-            batchNumber: item.batchNumber,
-            isActive: true
-          });
-        }
-      }
-
       // Clear marketplace cart
       await cart.clearCart();
 
-      const populatedTransaction = await Transaction.findById(transaction._id)
-        .populate('items.medicineId', 'name genericName form')
-        .populate('marketplace.sellerId', 'pharmacyName contactInfo');
-
       res.status(201).json({
         success: true,
-        message: 'Marketplace purchase completed successfully',
-        data: populatedTransaction
+        message: 'Marketplace order placed. Waiting for the seller to accept.',
+        data: order
       });
 
     } catch (error) {
       console.error('Marketplace purchase error:', error);
+
+      if (['INSUFFICIENT_STOCK', 'INVALID_ORDER'].includes(error.code)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 'MEDICINE_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Error processing marketplace purchase'
@@ -320,126 +238,46 @@ const marketplaceController = {
   // Purchase individual medicine from marketplace
   purchaseSingleFromMarketplace: async (req, res) => {
     try {
-      const pharmacyId = req.user.pharmacyId || req.user._id;
-      const { medicineId, quantity, sellerId } = req.body;
-
-      // Get marketplace medicine
-      const medicine = await Medicine.findOne({
-        _id: medicineId,
-        pharmacyId: sellerId,
-        isActive: true
-      });
+      const pharmacyId = req.user.pharmacyId;
+      const { listingId, medicineId, quantity, sellerId } = req.body;
 
-      if (!medicine) {
-        return res.status(404).json({
-          success: false,
-          message: 'Medicine not found in marketplace'
-        });
-      }
-
-      if (medicine.quantity < quantity) {
+      if (!listingId && !medicineId) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock. Available: ${medicine.quantity}`
+          message: 'listingId is required'
         });
       }
 
-      const unitPrice = medicine.price;
-      const totalPrice = quantity * unitPrice;
-
-      // Generate transaction numbers
-      const transactionNumber = await generateTransactionNumber('purchase');
-      const transactionRef = `MP-SINGLE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`.toUpperCase();
-
-      // Create single item purchase transaction
-      const transaction = new Transaction({
-        pharmacyId,
-        transactionType: 'purchase',
-        transactionNumber,
-        transactionRef,
-        description: `Single marketplace purchase: ${medicine.name}`,
-        items: [{
-          medicineId: medicine._id,
-          medicineName: medicine.name,
-          genericName: medicine.genericName,
-          form: medicine.form,
-          packSize: medicine.packSize,
-          quantity: quantity,
-          unitPrice: unitPrice,
-          totalPrice: totalPrice,
-          expiryDate: medicine.expiryDate,
-          batchNumber: medicine.batchNumber,
-          manufacturer: medicine.manufacturer
-        }],
-        subtotal: totalPrice,
-        totalAmount: totalPrice,
-        paymentMethod: 'bank_transfer',
-        status: 'completed',
-        saleType: 'per_medicine',
-        marketplace: {
-          isMarketplace: true,
-          sellerId: sellerId,
-          commission: 0
-        },
-        transactionDate: new Date()
-      });
-
-      await transaction.save();
-
-      // Update seller's stock
-      await Medicine.findOneAndUpdate(
-        { _id: medicineId, pharmacyId: sellerId },
-        { $inc: { quantity: -quantity } }
-      );
-
-      // Add to buyer's inventory
-      const existingMedicine = await Medicine.findOne({
-        pharmacyId,
-        name: medicine.name,
-        genericName: medicine.genericName
+      const order = await placeOrder({
+        buyerPharmacyId: pharmacyId,
+        sellerPharmacyId: sellerId,
+        items: [{ listingId, medicineId, quantity: parseInt(quantity) }],
+        userId: req.user._id
       });
 
-      if (existingMedicine) {
-        await Medicine.findByIdAndUpdate(
-          existingMedicine._id,
-          { 
-            $inc: { quantity: quantity },
-            $set: { 
-              price: unitPrice,
-              lastPurchasePrice: unitPrice
-            }
-          }
-        );
-      } else {
-        await Medicine.create({
-          pharmacyId,
-          name: medicine.name,
-          genericName: medicine.genericName,
-          form: medicine.form,
-          packSize: medicine.packSize,
-          quantity: quantity,
-          price: unitPrice * 1.2,
-          costPrice: unitPrice,
-          category: 'Purchased',
-          manufacturer: medicine.manufacturer,
-          expiryDate: medicine.expiryDate,
-          batchNumber: medicine.batchNumber,
-          isActive: true
-        });
-      }
-
-      const populatedTransaction = await Transaction.findById(transaction._id)
-        .populate('items.medicineId', 'name genericName form')
-        .populate('marketplace.sellerId', 'pharmacyName contactInfo');
-
       res.status(201).json({
         success: true,
-        message: 'Single marketplace purchase completed successfully',
-        data: populatedTransaction
+        message: 'Marketplace order placed. Waiting for the seller to accept.',
+        data: order
       });
 
     } catch (error) {
       console.error('Single marketplace purchase error:', error);
+
+      if (['INSUFFICIENT_STOCK', 'INVALID_ORDER'].includes(error.code)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 'MEDICINE_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'Medicine not found in marketplace'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Error processing single marketplace purchase'
@@ -450,7 +288,7 @@ const marketplaceController = {
   // Get marketplace purchase history
   getMarketplacePurchases: async (req, res) => {
     try {
-      const pharmacyId = req.user.pharmacyId || req.user._id;
+      const pharmacyId = req.user.pharmacyId;
       const {
         sellerId,
         startDate,
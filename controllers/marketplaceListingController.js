@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const MarketplaceListing = require('../models/MarketplaceListing');
+const { getMarkdownRules, applyMarkdownRules } = require('../services/markdownService');
+
+/**
+ * Load a listing owned by the current pharmacy
+ */
+const findOwnListing = async (id, pharmacyId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return MarketplaceListing.findOne({ _id: id, pharmacyId });
+};
+
+const listingNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Marketplace listing not found'
+});
+
+/**
+ * Offer part of a medicine's stock to other pharmacies
+ */
+const createListing = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { medicineId, offeredQuantity, price, minOrderQuantity = 1, expiresAt, notes } = req.body;
+
+    const medicine = await Medicine.findOne({ _id: medicineId, pharmacyId, isActive: true });
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found'
+      });
+    }
+
+    if (offeredQuantity > medicine.sellableQuantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot offer more than the sellable stock. Available: ${medicine.sellableQuantity}`
+      });
+    }
+
+    const existing = await MarketplaceListing.findOne({
+      medicineId,
+      pharmacyId,
+      status: { $in: ['active', 'paused'] }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This medicine already has an open listing. Update or withdraw it first.',
+        data: { listingId: existing._id }
+      });
+    }
+
+    const listing = new MarketplaceListing({
+      pharmacyId,
+      medicineId,
+      offeredQuantity,
+      minOrderQuantity,
+      expiresAt: expiresAt || medicine.expiryDate,
+      notes,
+      createdBy: req.user._id
+    });
+    listing.syncFromMedicine(medicine);
+    listing.setBasePrice(price, 'listed');
+    applyMarkdownRules(listing, await getMarkdownRules(pharmacyId));
+    await listing.save();
+
+    console.log(`🏷️ Marketplace listing created: ${listing.medicineName} x ${listing.offeredQuantity}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Marketplace listing created',
+      data: listing
+    });
+  } catch (error) {
+    console.error('Create marketplace listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating marketplace listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the current pharmacy's own listings
+ */
+const getMyListings = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, medicineId, page = 1, limit = 20 } = req.query;
+
+    const query = { pharmacyId };
+    if (status) query.status = status;
+    if (medicineId) query.medicineId = medicineId;
+
+    const listings = await MarketplaceListing.find(query)
+      .populate('medicineId', 'name quantity batches expiryDate')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .select('-__v');
+
+    const total = await MarketplaceListing.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: listings,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get marketplace listings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching marketplace listings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a listing. Buyers can see available listings; sellers see their own in any state.
+ */
+const getListingById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return listingNotFound(res);
+    }
+
+    const listing = await MarketplaceListing.findOne({
+      _id: id,
+      $or: [{ pharmacyId }, MarketplaceListing.availableQuery()]
+    }).populate('pharmacyId', 'pharmacyName contactInfo');
+
+    if (!listing) {
+      return listingNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: listing
+    });
+  } catch (error) {
+    console.error('Get marketplace listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching marketplace listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change the offered quantity, price, minimum order quantity or expiry of a listing
+ */
+const updateListing = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const listing = await findOwnListing(req.params.id, pharmacyId);
+
+    if (!listing) {
+      return listingNotFound(res);
+    }
+
+    if (listing.status === 'withdrawn') {
+      return res.status(400).json({
+        success: false,
+        message: 'Withdrawn listings cannot be changed'
+      });
+    }
+
+    const { offeredQuantity, price, minOrderQuantity, expiresAt, notes } = req.body;
+
+    if (offeredQuantity !== undefined) {
+      const medicine = await Medicine.findOne({ _id: listing.medicineId, pharmacyId });
+      const available = medicine ? medicine.sellableQuantity : 0;
+
+      if (offeredQuantity > available) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot offer more than the sellable stock. Available: ${available}`
+        });
+      }
+
+      listing.offeredQuantity = offeredQuantity;
+      if (medicine) listing.syncFromMedicine(medicine);
+    }
+
+    if (price !== undefined) {
+      listing.setBasePrice(price);
+      applyMarkdownRules(listing, await getMarkdownRules(pharmacyId));
+    }
+    if (minOrderQuantity !== undefined) listing.minOrderQuantity = minOrderQuantity;
+    if (expiresAt !== undefined) listing.expiresAt = expiresAt;
+    if (notes !== undefined) listing.notes = notes;
+
+    await listing.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Marketplace listing updated',
+      data: listing
+    });
+  } catch (error) {
+    console.error('Update marketplace listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating marketplace listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Build a handler that moves a listing between active, paused and withdrawn
+ */
+const changeListingStatus = (status, allowedFrom, successMessage) => async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const listing = await findOwnListing(req.params.id, pharmacyId);
+
+    if (!listing) {
+      return listingNotFound(res);
+    }
+
+    if (!allowedFrom.includes(listing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${listing.status} listing cannot be set to ${status}`
+      });
+    }
+
+    listing.status = status;
+    if (status === 'paused') listing.pausedAt = new Date();
+    if (status === 'withdrawn') listing.withdrawnAt = new Date();
+    await listing.save();
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: listing
+    });
+  } catch (error) {
+    console.error(`Set marketplace listing ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating marketplace listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const pauseListing = changeListingStatus('paused', ['active'], 'Marketplace listing paused');
+const resumeListing = changeListingStatus('active', ['paused'], 'Marketplace listing resumed');
+const withdrawListing = changeListingStatus('withdrawn', ['active', 'paused'], 'Marketplace listing withdrawn');
+
+module.exports = {
+  createListing,
+  getMyListings,
+  getListingById,
+  updateListing,
+  pauseListing,
+  resumeListing,
+  withdrawListing
+};
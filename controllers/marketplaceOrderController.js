@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const MarketplaceOrder = require('../models/MarketplaceOrder');
+const Cart = require('../models/Cart');
+const {
+  placeOrder,
+  dispatchOrder,
+  receiveOrder,
+  settleOrder
+} = require('../services/marketplaceOrderService');
+
+// HTTP status for the error codes raised by the order service
+const ORDER_ERROR_STATUS = {
+  INVALID_ORDER: 400,
+  INSUFFICIENT_STOCK: 400,
+  RETAIL_PRICE_REQUIRED: 400,
+  MEDICINE_NOT_FOUND: 404,
+  INVALID_TRANSITION: 409
+};
+
+const sendOrderError = (res, error, message) => {
+  const status = ORDER_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Load an order the current pharmacy is a party to
+ */
+const findOrderForPharmacy = async (id, pharmacyId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  return MarketplaceOrder.findOne({
+    _id: id,
+    $or: [{ buyerPharmacyId: pharmacyId }, { sellerPharmacyId: pharmacyId }]
+  });
+};
+
+const populateOrder = (order) => order.populate([
+  { path: 'buyerPharmacyId', select: 'pharmacyName contactInfo' },
+  { path: 'sellerPharmacyId', select: 'pharmacyName contactInfo' }
+]);
+
+/**
+ * Place an order with a seller, from the given items or the buyer's marketplace cart
+ */
+const createOrder = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { sellerId, items, notes } = req.body;
+
+    let orderItems = items;
+    let cart = null;
+
+    if (!orderItems || orderItems.length === 0) {
+      cart = await Cart.findOne({
+        pharmacyId,
+        transactionType: 'purchase',
+        status: 'active',
+        'marketplace.sellerId': sellerId
+      });
+
+      if (!cart || !cart.items.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'No items in marketplace cart for this seller'
+        });
+      }
+
+      orderItems = cart.items.map(item => ({
+        medicineId: item.medicineId,
+        medicineName: item.medicineName,
+        quantity: item.quantity
+      }));
+    }
+
+    const order = await placeOrder({
+      buyerPharmacyId: pharmacyId,
+      sellerPharmacyId: sellerId,
+      items: orderItems,
+      userId: req.user._id,
+      notes
+    });
+
+    if (cart) {
+      await cart.clearCart();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Marketplace order placed. Waiting for the seller to accept.',
+      data: await populateOrder(order)
+    });
+  } catch (error) {
+    console.error('Place marketplace order error:', error);
+    sendOrderError(res, error, 'Error placing marketplace order');
+  }
+};
+
+/**
+ * List orders placed by (role=buyer) or received by (role=seller) this pharmacy
+ */
+const getOrders = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { role, status, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (role === 'buyer') {
+      query.buyerPharmacyId = pharmacyId;
+    } else if (role === 'seller') {
+      query.sellerPharmacyId = pharmacyId;
+    } else {
+      query.$or = [{ buyerPharmacyId: pharmacyId }, { sellerPharmacyId: pharmacyId }];
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const orders = await MarketplaceOrder.find(query)
+      .populate('buyerPharmacyId', 'pharmacyName contactInfo')
+      .populate('sellerPharmacyId', 'pharmacyName contactInfo')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .select('-__v');
+
+    const total = await MarketplaceOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get marketplace orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching marketplace orders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a single order
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const order = await findOrderForPharmacy(req.params.id, pharmacyId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Marketplace order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await populateOrder(order)
+    });
+  } catch (error) {
+    console.error('Get marketplace order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching marketplace order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Build a handler that moves an order one step along its workflow.
+ * `apply` performs the step; its result is returned to the client.
+ */
+const orderStep = (apply, successMessage, errorMessage) => async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const order = await findOrderForPharmacy(req.params.id, pharmacyId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Marketplace order not found'
+      });
+    }
+
+    const party = order.partyOf(pharmacyId);
+    await apply(order, party, req);
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: await populateOrder(order)
+    });
+  } catch (error) {
+    console.error(`${errorMessage}:`, error);
+    sendOrderError(res, error, errorMessage);
+  }
+};
+
+const acceptOrder = orderStep(async (order, party, req) => {
+  order.transitionTo('accepted', party, req.user._id, req.body.note);
+  await order.save();
+}, 'Marketplace order accepted', 'Error accepting marketplace order');
+
+const declineOrder = orderStep(async (order, party, req) => {
+  order.transitionTo('declined', party, req.user._id, req.body.reason);
+  order.declineReason = req.body.reason;
+  await order.save();
+}, 'Marketplace order declined', 'Error declining marketplace order');
+
+const cancelOrder = orderStep(async (order, party, req) => {
+  order.transitionTo('cancelled', party, req.user._id, req.body.reason);
+  order.cancellationReason = req.body.reason;
+  await order.save();
+}, 'Marketplace order cancelled', 'Error cancelling marketplace order');
+
+const dispatchOrderHandler = orderStep(async (order, party, req) => {
+  await dispatchOrder(order, party, req.user._id, {
+    trackingReference: req.body.trackingReference,
+    note: req.body.note
+  });
+}, 'Marketplace order dispatched', 'Error dispatching marketplace order');
+
+const receiveOrderHandler = orderStep(async (order, party, req) => {
+  await receiveOrder(order, party, req.user._id, {
+    receivedItems: req.body.items,
+    note: req.body.note
+  });
+}, 'Marketplace order received into inventory', 'Error receiving marketplace order');
+
+const settleOrderHandler = orderStep(async (order, party, req) => {
+  await settleOrder(order, party, req.user._id, {
+    paymentReference: req.body.paymentReference,
+    note: req.body.note
+  });
+}, 'Marketplace order settled', 'Error settling marketplace order');
+
+module.exports = {
+  createOrder,
+  getOrders,
+  getOrderById,
+  acceptOrder,
+  declineOrder,
+  cancelOrder,
+  dispatchOrder: dispatchOrderHandler,
+  receiveOrder: receiveOrderHandler,
+  settleOrder: settleOrderHandler
+};
@@ -1,8 +1,27 @@
 const Medicine = require('../models/Medicine');
+const { getReorderSuggestions, createPurchaseOrdersFromSuggestions } = require('../services/replenishmentService');
+const { runInTransaction } = require('../services/inventoryService');
+const { recordMovement, openRegister } = require('../services/controlledDrugService');
+
+// HTTP status for the error codes raised when converting reorder suggestions
+const REORDER_ERROR_STATUS = {
+    NOTHING_TO_ORDER: 400,
+    SUPPLIER_REQUIRED: 400,
+    MEDICINE_NOT_FOUND: 404,
+    SUPPLIER_NOT_FOUND: 404
+};
+
+// Reorder settings that can be overridden from the query string, with the fewest days each allows
+const REORDER_OVERRIDE_MINIMUM_DAYS = {
+    lookbackDays: 1,
+    safetyStockDays: 0,
+    coverageDays: 1
+};
+const MAX_REORDER_DAYS = 365;
 
 exports.addMedicine = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         const {
             name,
             genericName,
@@ -10,11 +29,14 @@ exports.addMedicine = async (req, res) => {
             packSize,
             quantity,
             price,
+            costPrice,
             expiryDate,
             manufacturer,
             batchNumber,
             category,
-            requiresPrescription
+            requiresPrescription,
+            preferredSupplierId,
+            controlledSchedule
         } = req.body;
 
         const medicine = new Medicine({
@@ -25,14 +47,28 @@ exports.addMedicine = async (req, res) => {
             packSize,
             quantity: parseInt(quantity),
             price: parseFloat(price),
+            costPrice: costPrice !== undefined ? parseFloat(costPrice) : undefined,
             expiryDate: new Date(expiryDate),
             manufacturer,
             batchNumber,
             category,
-            requiresPrescription: requiresPrescription === 'true'
+            requiresPrescription: requiresPrescription === 'true',
+            preferredSupplierId,
+            controlledSchedule: controlledSchedule || null
         });
 
-        await medicine.save();
+        await runInTransaction(async (session) => {
+            await medicine.save({ session });
+            if (medicine.quantity === 0) return;
+
+            await recordMovement(medicine, {
+                entryType: 'receipt',
+                change: medicine.quantity,
+                batches: medicine.batches,
+                userId: req.user._id,
+                notes: 'Initial stock'
+            }, session);
+        });
 
         res.status(201).json({
             success: true,
@@ -51,7 +87,7 @@ exports.addMedicine = async (req, res) => {
 
 exports.searchMedicines = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         const { search, page = 1, limit = 10 } = req.query;
 
         const query = { pharmacyId, status: 'active' };
@@ -95,7 +131,7 @@ exports.searchMedicines = async (req, res) => {
 
 exports.getMedicineById = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         const { id } = req.params;
 
         const medicine = await Medicine.findOne({ _id: id, pharmacyId });
@@ -123,15 +159,11 @@ exports.getMedicineById = async (req, res) => {
 
 exports.updateMedicine = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         const { id } = req.params;
-        const updateData = req.body;
+        const { batches, ...updateData } = req.body;
 
-        const medicine = await Medicine.findOneAndUpdate(
-            { _id: id, pharmacyId },
-            updateData,
-            { new: true, runValidators: true }
-        );
+        const medicine = await Medicine.findOne({ _id: id, pharmacyId });
 
         if (!medicine) {
             return res.status(404).json({
@@ -140,6 +172,38 @@ exports.updateMedicine = async (req, res) => {
             });
         }
 
+        // Stock is held per lot, so quantity, batch and expiry cannot be overwritten directly
+        const stockFields = ['quantity', 'batchNumber', 'expiryDate'];
+        medicine.ensureBatches();
+        if (medicine.batches.length > 0 && stockFields.some(field => updateData[field] !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Stock is tracked per lot. Use /api/medicines/:id/batches to receive stock.'
+            });
+        }
+
+        // Stock set directly on a medicine without lots still has to reach the controlled drugs register
+        const previousQuantity = medicine.quantity;
+        const becomesControlled = Boolean(updateData.controlledSchedule) && !medicine.controlledSchedule;
+        if (updateData.controlledSchedule === '') updateData.controlledSchedule = null;
+
+        medicine.set(updateData);
+
+        await runInTransaction(async (session) => {
+            await medicine.save({ session });
+
+            if (becomesControlled) {
+                await openRegister(medicine, req.user._id, session);
+            } else if (medicine.quantity !== previousQuantity) {
+                await recordMovement(medicine, {
+                    entryType: 'adjustment',
+                    change: medicine.quantity - previousQuantity,
+                    userId: req.user._id,
+                    notes: 'Quantity edited'
+                }, session);
+            }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Medicine updated successfully',
@@ -155,10 +219,100 @@ exports.updateMedicine = async (req, res) => {
     }
 };
 
+// Get the stock lots of a medicine, earliest expiry first
+exports.getMedicineBatches = async (req, res) => {
+    try {
+        const pharmacyId = req.user.pharmacyId;
+        const { id } = req.params;
+
+        const medicine = await Medicine.findOne({ _id: id, pharmacyId });
+
+        if (!medicine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medicine not found'
+            });
+        }
+
+        medicine.ensureBatches();
+        const batches = [...medicine.batches].sort((a, b) => a.expiryDate - b.expiryDate);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                medicineId: medicine._id,
+                name: medicine.name,
+                quantity: medicine.quantity,
+                sellableQuantity: medicine.sellableQuantity,
+                batches
+            }
+        });
+
+    } catch (error) {
+        console.error('Get medicine batches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching medicine batches'
+        });
+    }
+};
+
+// Receive a new lot of stock for a medicine
+exports.addMedicineBatch = async (req, res) => {
+    try {
+        const pharmacyId = req.user.pharmacyId;
+        const { id } = req.params;
+        const { batchNumber, expiryDate, quantity, costPrice } = req.body;
+
+        const medicine = await Medicine.findOne({ _id: id, pharmacyId });
+
+        if (!medicine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medicine not found'
+            });
+        }
+
+        const batch = medicine.addBatch({
+            batchNumber,
+            expiryDate: new Date(expiryDate),
+            quantity: parseInt(quantity),
+            costPrice: costPrice !== undefined ? parseFloat(costPrice) : undefined
+        });
+
+        await runInTransaction(async (session) => {
+            await medicine.save({ session });
+            await recordMovement(medicine, {
+                entryType: 'receipt',
+                change: parseInt(quantity),
+                batches: [{ batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity: parseInt(quantity) }],
+                userId: req.user._id
+            }, session);
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Batch added successfully',
+            data: {
+                batch,
+                quantity: medicine.quantity,
+                expiryDate: medicine.expiryDate
+            }
+        });
+
+    } catch (error) {
+        console.error('Add medicine batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error adding medicine batch'
+        });
+    }
+};
+
 // Endpoint for expiring medicines
 exports.getExpiringMedicines = async (req, res) => {
     try {
-        const pharmacyId = req.user._id;
+        const pharmacyId = req.user.pharmacyId;
         const days = parseInt(req.query.days) || 30;
         
         if (days < 0) {
@@ -182,7 +336,7 @@ exports.getExpiringMedicines = async (req, res) => {
                 $lte: endDate
             }
         })
-        .select('name genericName form packSize quantity price expiryDate manufacturer batchNumber category requiresPrescription inTransaction transactionNumber')
+        .select('name genericName form packSize quantity price expiryDate manufacturer batchNumber batches category requiresPrescription inTransaction transactionNumber')
         .sort({ expiryDate: 1 });
 
         res.status(200).json({
@@ -207,6 +361,90 @@ exports.getExpiringMedicines = async (req, res) => {
     }
 };
 
+// Suggested order list from sales velocity, supplier lead time and safety stock
+exports.getReorderSuggestions = async (req, res) => {
+    try {
+        const pharmacyId = req.user.pharmacyId;
+        const { supplierId, includeAll } = req.query;
+
+        // Query values are strings; overrides have to be whole numbers of days
+        const overrides = {};
+        for (const [key, minimum] of Object.entries(REORDER_OVERRIDE_MINIMUM_DAYS)) {
+            const value = req.query[key];
+            if (value === undefined) continue;
+
+            const days = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+            if (!(days >= minimum && days <= MAX_REORDER_DAYS)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${key} must be a whole number from ${minimum} to ${MAX_REORDER_DAYS}`
+                });
+            }
+            overrides[key] = days;
+        }
+
+        const { settings, suggestions } = await getReorderSuggestions(pharmacyId, {
+            supplierId,
+            includeAll: includeAll === 'true',
+            ...overrides
+        });
+
+        res.status(200).json({
+            success: true,
+            data: suggestions,
+            meta: {
+                total: suggestions.length,
+                toReorder: suggestions.filter(suggestion => suggestion.needsReorder).length,
+                estimatedCost: suggestions.reduce((total, suggestion) => total + suggestion.estimatedCost, 0),
+                settings
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reorder suggestions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error calculating reorder suggestions'
+        });
+    }
+};
+
+// Turn reorder suggestions into purchase orders, one per supplier
+exports.createReorderPurchaseOrders = async (req, res) => {
+    try {
+        const pharmacyId = req.user.pharmacyId;
+        const { items, supplierId, submit } = req.body;
+
+        const orders = await createPurchaseOrdersFromSuggestions(pharmacyId, req.user._id, {
+            items,
+            supplierId,
+            submit
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${orders.length} purchase order(s) created from reorder suggestions`,
+            data: orders
+        });
+
+    } catch (error) {
+        console.error('Create reorder purchase orders error:', error);
+
+        const status = REORDER_ERROR_STATUS[error.code];
+        if (status) {
+            return res.status(status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating purchase orders'
+        });
+    }
+};
+
 // Helper method to mark medicine as in transaction
 exports.markMedicineInTransaction = async (medicineId, transactionNumber, pharmacyId) => {
     try {
@@ -0,0 +1,40 @@
+const { GATEWAY_ERROR_STATUS, handleWebhook } = require('../services/paymentGatewayService');
+
+/**
+ * Receive a payment provider's webhook and update the tender it is about
+ */
+const receiveWebhook = async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    res.status(200).json({
+      success: true,
+      message: result.duplicate ? 'Event already processed' : 'Event processed',
+      data: {
+        eventId: result.event.id,
+        type: result.event.type,
+        transactionId: result.transactionId,
+        status: result.status
+      }
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+
+    if (GATEWAY_ERROR_STATUS[error.code]) {
+      return res.status(GATEWAY_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error processing payment webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  receiveWebhook
+};
@@ -0,0 +1,378 @@
+const PharmacyMembership = require('../models/PharmacyMembership');
+const {
+  PHARMACY_ERROR_STATUS,
+  isOwner,
+  inviteMember,
+  changeMemberRole,
+  revokeMember,
+  transferOwnership
+} = require('../services/pharmacyService');
+const {
+  ROLE_ERROR_STATUS,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../services/roleService');
+const { PERMISSIONS } = require('../config/permissions');
+
+const errorStatus = (error) => PHARMACY_ERROR_STATUS[error.code] || ROLE_ERROR_STATUS[error.code];
+
+const sendPharmacyError = (res, error) => res.status(errorStatus(error)).json({
+  success: false,
+  message: error.message
+});
+
+/**
+ * Get the current user's pharmacy and their membership of it
+ */
+const getPharmacy = async (req, res) => {
+  try {
+    const pharmacy = await req.pharmacy.populate('ownerId', 'email username');
+    const memberCount = await PharmacyMembership.countDocuments({ pharmacyId: pharmacy._id, status: 'active' });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pharmacy,
+        memberCount,
+        membership: {
+          _id: req.membership._id,
+          role: req.membership.role,
+          joinedAt: req.membership.joinedAt,
+          isOwner: isOwner(req.pharmacy, req.user._id),
+          permissions: req.permissions
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get pharmacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pharmacy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the pharmacy's members and pending invitations
+ */
+const getMembers = async (req, res) => {
+  try {
+    const query = { pharmacyId: req.pharmacy._id };
+    query.status = req.query.status || { $in: ['invited', 'active'] };
+
+    const members = await PharmacyMembership.find(query)
+      .populate('userId', 'email username lastSeen')
+      .populate('invitedBy', 'email username')
+      .sort({ status: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: members.map(member => ({
+        ...member.toObject(),
+        isOwner: Boolean(member.userId) && isOwner(req.pharmacy, member.userId._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching members',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Invite a staff member by email
+ */
+const invite = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (role === 'admin' && !isOwner(req.pharmacy, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can grant or remove admin access'
+      });
+    }
+
+    const { membership, token } = await inviteMember(req.pharmacy, { email, role }, req.user);
+
+    console.log(`✉️ ${membership.email} invited to ${req.pharmacy.name} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${membership.email}`,
+      data: {
+        _id: membership._id,
+        email: membership.email,
+        role: membership.role,
+        status: membership.status,
+        inviteExpires: membership.inviteExpires,
+        inviteToken: process.env.NODE_ENV === 'development' ? token : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    if (errorStatus(error)) {
+      return sendPharmacyError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change a member's role
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const membership = await changeMemberRole(req.pharmacy, req.params.id, req.body.role, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: membership
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    if (errorStatus(error)) {
+      return sendPharmacyError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating member role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke a member's access or cancel an invitation
+ */
+const revoke = async (req, res) => {
+  try {
+    const membership = await revokeMember(req.pharmacy, req.params.id, req.user);
+
+    console.log(`🚫 Access revoked for ${membership.email} at ${req.pharmacy.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Access revoked for ${membership.email}`,
+      data: membership
+    });
+  } catch (error) {
+    console.error('Revoke member error:', error);
+    if (errorStatus(error)) {
+      return sendPharmacyError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Transfer ownership of the pharmacy to another member
+ */
+const transfer = async (req, res) => {
+  try {
+    const pharmacy = await transferOwnership(req.pharmacy, req.body.memberId, req.user);
+
+    console.log(`🔑 Ownership of ${pharmacy.name} transferred to ${pharmacy.ownerId.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Ownership transferred to ${pharmacy.ownerId.email}`,
+      data: pharmacy
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    if (errorStatus(error)) {
+      return sendPharmacyError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring ownership',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Turn the pharmacy's two-factor requirement for admins on or off
+ */
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requireTwoFactorForAdmins } = req.body;
+
+    // Otherwise the caller would be locked out of everything but 2FA setup
+    if (requireTwoFactorForAdmins && !req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    req.pharmacy.requireTwoFactorForAdmins = requireTwoFactorForAdmins;
+    await req.pharmacy.save();
+
+    console.log(`🔐 2FA for admins ${requireTwoFactorForAdmins ? 'required' : 'no longer required'} at ${req.pharmacy.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: requireTwoFactorForAdmins
+        ? 'Two-factor authentication is now required for admins'
+        : 'Two-factor authentication is no longer required for admins',
+      data: { requireTwoFactorForAdmins }
+    });
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating two-factor policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the permissions roles can grant
+ */
+const getPermissionCatalogue = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+/**
+ * List the pharmacy's roles and their permissions
+ */
+const getRoles = async (req, res) => {
+  try {
+    const roles = await listRoles(req.pharmacy._id);
+
+    res.status(200).json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a role to the pharmacy
+ */
+const addRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const role = await createRole(req.pharmacy._id, { name, description, permissions }, req.user._id);
+
+    console.log(`🛡️ Role ${role.name} created at ${req.pharmacy.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (errorStatus(error)) {
+      return sendPharmacyError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change a role's description or permissions
+ */
+const editRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+    const role = await updateRole(req.pharmacy._id, req.params.name.toLowerCase(), { description, permissions }, req.user._id);
+
+    console.log(`🛡️ Role ${role.name} updated at ${req.pharmacy.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    if (errorStatus(error)) {
+      return sendPharmacyError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a role no member holds
+ */
+const removeRole = async (req, res) => {
+  try {
+    const role = await deleteRole(req.pharmacy._id, req.params.name.toLowerCase());
+
+    res.status(200).json({
+      success: true,
+      message: `Role ${role.name} deleted`
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    if (errorStatus(error)) {
+      return sendPharmacyError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getPharmacy,
+  getMembers,
+  invite,
+  updateMemberRole,
+  revoke,
+  transfer,
+  updateTwoFactorPolicy,
+  getPermissionCatalogue,
+  getRoles,
+  addRole,
+  editRole,
+  removeRole
+};
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const Medicine = require('../models/Medicine');
+const Prescription = require('../models/Prescription');
+
+// Prescriptions without an explicit validity can be dispensed for six months from issue
+const DEFAULT_VALIDITY_DAYS = 180;
+
+const prescriptionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Prescription not found'
+});
+
+/**
+ * Fill in medicine names for prescribed lines that name a medicine of this pharmacy
+ */
+const buildPrescriptionItems = async (items, pharmacyId) => {
+  const prescriptionItems = [];
+
+  for (const item of items) {
+    if (!item.medicineId) {
+      prescriptionItems.push(item);
+      continue;
+    }
+
+    const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId }).select('name genericName');
+    if (!medicine) {
+      return { error: `Medicine ${item.medicineId} not found` };
+    }
+
+    prescriptionItems.push({
+      ...item,
+      medicineName: medicine.name,
+      genericName: item.genericName || medicine.genericName
+    });
+  }
+
+  return { prescriptionItems };
+};
+
+/**
+ * Record a prescription, with an optional scanned image
+ */
+const createPrescription = async (req, res) => {
+  const removeUpload = () => {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  };
+
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { prescriber, patient, issueDate, validUntil, items, refillsAllowed = 0, notes } = req.body;
+
+    const { prescriptionItems, error } = await buildPrescriptionItems(items, pharmacyId);
+    if (error) {
+      removeUpload();
+      return res.status(404).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const issued = new Date(issueDate);
+    const prescription = new Prescription({
+      prescriptionNumber: await Prescription.generatePrescriptionNumber(),
+      pharmacyId,
+      prescriber,
+      patient,
+      issueDate: issued,
+      validUntil: validUntil || new Date(issued.getTime() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+      items: prescriptionItems,
+      refillsAllowed,
+      image: req.file ? `/uploads/prescriptions/${req.file.filename}` : undefined,
+      notes,
+      createdBy: req.user._id
+    });
+    await prescription.save();
+
+    console.log(`💊 Prescription recorded: ${prescription.prescriptionNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prescription recorded successfully',
+      data: prescription
+    });
+  } catch (error) {
+    removeUpload();
+    console.error('Create prescription error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error recording prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List prescriptions, optionally searching by number or patient
+ */
+const getPrescriptions = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, search, page = 1, limit = 10 } = req.query;
+
+    const query = { pharmacyId };
+    if (status) query.status = status;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { prescriptionNumber: pattern },
+        { 'patient.name': pattern },
+        { 'patient.phone': pattern }
+      ];
+    }
+
+    const prescriptions = await Prescription.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Prescription.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: prescriptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching prescriptions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a prescription with its dispensing history
+ */
+const getPrescriptionById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const prescription = await Prescription.findOne({ _id: req.params.id, pharmacyId })
+      .populate('dispenses.dispensedBy', 'username email');
+
+    if (!prescription) {
+      return prescriptionNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: prescription
+    });
+  } catch (error) {
+    console.error('Get prescription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Correct a prescription that has not been dispensed yet
+ */
+const updatePrescription = async (req, res) => {
+  const removeUpload = () => {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  };
+
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const prescription = await Prescription.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!prescription) {
+      removeUpload();
+      return prescriptionNotFound(res);
+    }
+
+    if (prescription.status !== 'active' || prescription.dispenses.length > 0) {
+      removeUpload();
+      return res.status(400).json({
+        success: false,
+        message: 'Only active prescriptions that have not been dispensed can be changed'
+      });
+    }
+
+    const { prescriber, patient, issueDate, validUntil, items, refillsAllowed, notes } = req.body;
+
+    if (items) {
+      const { prescriptionItems, error } = await buildPrescriptionItems(items, pharmacyId);
+      if (error) {
+        removeUpload();
+        return res.status(404).json({
+          success: false,
+          message: error
+        });
+      }
+      prescription.items = prescriptionItems;
+    }
+    if (prescriber) prescription.prescriber = prescriber;
+    if (patient) prescription.patient = patient;
+    if (issueDate) prescription.issueDate = issueDate;
+    if (validUntil) prescription.validUntil = validUntil;
+    if (refillsAllowed !== undefined) prescription.refillsAllowed = refillsAllowed;
+    if (notes !== undefined) prescription.notes = notes;
+    if (req.file) prescription.image = `/uploads/prescriptions/${req.file.filename}`;
+
+    await prescription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Prescription updated successfully',
+      data: prescription
+    });
+  } catch (error) {
+    removeUpload();
+    console.error('Update prescription error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cancel a prescription so it can no longer be dispensed
+ */
+const cancelPrescription = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const prescription = await Prescription.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!prescription) {
+      return prescriptionNotFound(res);
+    }
+
+    if (prescription.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `A ${prescription.status} prescription cannot be cancelled`
+      });
+    }
+
+    prescription.status = 'cancelled';
+    prescription.cancelledAt = new Date();
+    prescription.cancelReason = req.body.reason;
+    await prescription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Prescription cancelled',
+      data: prescription
+    });
+  } catch (error) {
+    console.error('Cancel prescription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createPrescription,
+  getPrescriptions,
+  getPrescriptionById,
+  updatePrescription,
+  cancelPrescription
+};
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const fs = require('fs');
 const path = require('path');
+const { revokeAllSessions } = require('../services/sessionService');
 
 // Get current user profile
 exports.getProfile = async (req, res) => {
@@ -35,7 +36,9 @@ exports.updateProfile = async (req, res) => {
         businessEmail,     // instead of email
         businessPhone,     // instead of phone
         mobileNumber,      // instead of mobile
-        businessAddress    // instead of address
+        businessAddress,   // instead of address
+        latitude,
+        longitude
       } = req.body;
   
       // Check if businessEmail is already taken by another user
@@ -59,6 +62,14 @@ exports.updateProfile = async (req, res) => {
       if (businessPhone) updateData.businessPhone = businessPhone;
       if (mobileNumber) updateData.mobileNumber = mobileNumber;
       if (businessAddress) updateData.businessAddress = businessAddress;
+
+      // Pharmacy coordinates used for distance search in the marketplace (GeoJSON is [lng, lat])
+      if (latitude !== undefined && longitude !== undefined) {
+        updateData.location = {
+          type: 'Point',
+          coordinates: [parseFloat(longitude), parseFloat(latitude)]
+        };
+      }
   
       // Handle license image upload if file exists
       if (req.file) {
@@ -113,6 +124,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    await revokeAllSessions(user._id, { exceptSessionId: req.authSession._id, reason: 'password_changed' });
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
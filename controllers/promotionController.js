@@ -0,0 +1,216 @@
+const Promotion = require('../models/Promotion');
+
+const promotionFields = [
+  'name',
+  'description',
+  'type',
+  'target',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'percentOff',
+  'bundleItems',
+  'bundlePrice',
+  'minSubtotal',
+  'schedule',
+  'code',
+  'usageLimit',
+  'priority',
+  'isActive'
+];
+
+const promotionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Promotion not found'
+});
+
+const findPromotion = (req) => Promotion.findOne({
+  _id: req.params.id,
+  pharmacyId: req.user.pharmacyId
+});
+
+// Validation and duplicate coupon errors shared by create and update
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another promotion already uses this coupon code'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Create a promotion
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+
+    const promotion = new Promotion({ pharmacyId, createdBy: req.user._id });
+    promotionFields.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    await promotion.save();
+
+    console.log(`🏷️ Promotion created: ${promotion.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    if (sendSaveError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List promotions
+ */
+const getPromotions = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const query = { pharmacyId };
+    if (type) query.type = type;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const promotions = await Promotion.find(query)
+      .sort({ priority: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Promotion.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: promotions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a promotion
+ */
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req)
+      .populate('target.medicineIds', 'name genericName')
+      .populate('bundleItems.medicineId', 'name genericName price');
+    if (!promotion) {
+      return promotionNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a promotion
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req);
+    if (!promotion) {
+      return promotionNotFound(res);
+    }
+
+    promotionFields.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    if (sendSaveError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Deactivate a promotion. Promotions are kept so past sales still refer to them.
+ */
+const deactivatePromotion = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req);
+    if (!promotion) {
+      return promotionNotFound(res);
+    }
+
+    promotion.isActive = false;
+    await promotion.save();
+
+    console.log(`🏷️ Promotion deactivated: ${promotion.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deactivated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Deactivate promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotion,
+  deactivatePromotion
+};
@@ -0,0 +1,427 @@
+const Medicine = require('../models/Medicine');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const { receiveGoods, getOutstandingItems } = require('../services/procurementService');
+
+// HTTP status for the error codes raised by the procurement service
+const PROCUREMENT_ERROR_STATUS = {
+  INVALID_STATUS: 400,
+  OVER_RECEIPT: 400,
+  ITEM_NOT_FOUND: 404,
+  MEDICINE_NOT_FOUND: 404,
+  ORDER_NOT_FOUND: 404
+};
+
+/**
+ * Resolve requested lines into purchase order items for this pharmacy's medicines
+ */
+const buildOrderItems = async (items, pharmacyId) => {
+  const orderItems = [];
+
+  for (const item of items) {
+    const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId });
+    if (!medicine) {
+      return { error: `Medicine ${item.medicineId} not found` };
+    }
+
+    orderItems.push({
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      orderedQuantity: item.quantity,
+      expectedUnitPrice: item.expectedUnitPrice ?? medicine.costPrice ?? 0,
+      notes: item.notes
+    });
+  }
+
+  return { orderItems };
+};
+
+/**
+ * Create a purchase order (as a draft unless submit is true)
+ */
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { supplierId, items, expectedDeliveryDate, notes, submit = false } = req.body;
+
+    const supplier = await Supplier.findOne({ _id: supplierId, pharmacyId, isActive: true });
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const { orderItems, error } = await buildOrderItems(items, pharmacyId);
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const deliveryDate = expectedDeliveryDate ||
+      new Date(Date.now() + supplier.leadTimeDays * 24 * 60 * 60 * 1000);
+
+    const order = new PurchaseOrder({
+      poNumber: await PurchaseOrder.generatePoNumber(),
+      pharmacyId,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      items: orderItems,
+      expectedDeliveryDate: deliveryDate,
+      notes,
+      status: submit ? 'ordered' : 'draft',
+      orderedAt: submit ? new Date() : undefined,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await order.save();
+
+    console.log(`📝 Purchase order created: ${order.poNumber} (${order.status})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating purchase order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List purchase orders
+ */
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, supplierId, startDate, endDate, page = 1, limit = 10 } = req.query;
+
+    const query = { pharmacyId };
+    if (status) query.status = status;
+    if (supplierId) query.supplierId = supplierId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const orders = await PurchaseOrder.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching purchase orders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Outstanding quantities across open purchase orders
+ */
+const getOutstanding = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { supplierId, medicineId } = req.query;
+
+    const items = await getOutstandingItems(pharmacyId, { supplierId, medicineId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items,
+        summary: {
+          lines: items.length,
+          purchaseOrders: new Set(items.map(item => item.purchaseOrderId.toString())).size,
+          outstandingQuantity: items.reduce((total, item) => total + item.outstandingQuantity, 0),
+          outstandingValue: items.reduce((total, item) => total + item.outstandingValue, 0),
+          overdueLines: items.filter(item => item.isOverdue).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get outstanding purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching outstanding purchase orders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a purchase order with its goods-received notes
+ */
+const getPurchaseOrderById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, pharmacyId })
+      .populate('supplierId', 'name contactPerson email phone');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const receipts = await GoodsReceivedNote.find({ purchaseOrderId: order._id, pharmacyId })
+      .sort({ receivedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchaseOrder: order,
+        receipts
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching purchase order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a draft purchase order
+ */
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be changed'
+      });
+    }
+
+    const { items, expectedDeliveryDate, notes } = req.body;
+
+    if (items) {
+      const { orderItems, error } = await buildOrderItems(items, pharmacyId);
+      if (error) {
+        return res.status(404).json({
+          success: false,
+          message: error
+        });
+      }
+      order.items = orderItems;
+    }
+    if (expectedDeliveryDate !== undefined) order.expectedDeliveryDate = expectedDeliveryDate;
+    if (notes !== undefined) order.notes = notes;
+    order.updatedBy = req.user._id;
+
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating purchase order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Build a handler that moves a purchase order to a new status
+ */
+const changeStatus = (status, allowedFrom, successMessage, apply = () => {}) => async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!allowedFrom.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${order.status} purchase order cannot be ${status}`
+      });
+    }
+
+    order.status = status;
+    order.updatedBy = req.user._id;
+    apply(order, req);
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: order
+    });
+  } catch (error) {
+    console.error(`Set purchase order ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating purchase order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const submitPurchaseOrder = changeStatus('ordered', ['draft'], 'Purchase order sent to supplier', (order) => {
+  order.orderedAt = new Date();
+});
+
+// Nothing has been received yet, so the order can simply be dropped
+const cancelPurchaseOrder = changeStatus('cancelled', ['draft', 'ordered'], 'Purchase order cancelled', (order, req) => {
+  order.cancelledAt = new Date();
+  order.closeReason = req.body.reason;
+});
+
+// Stop waiting for the remaining quantities of a partially received order
+const closePurchaseOrder = changeStatus('closed', ['partially_received'], 'Purchase order closed', (order, req) => {
+  order.closedAt = new Date();
+  order.closeReason = req.body.reason;
+});
+
+/**
+ * Record a goods-received note against a purchase order
+ */
+const receivePurchaseOrder = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const { note, order: received } = await receiveGoods(order, req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: note.hasDiscrepancies
+        ? 'Goods received with discrepancies'
+        : 'Goods received successfully',
+      data: {
+        receipt: note,
+        purchaseOrder: received
+      }
+    });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+
+    const status = PROCUREMENT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error receiving goods',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List goods-received notes, e.g. to review discrepancies
+ */
+const getGoodsReceivedNotes = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { supplierId, hasDiscrepancies, startDate, endDate, page = 1, limit = 10 } = req.query;
+
+    const query = { pharmacyId };
+    if (supplierId) query.supplierId = supplierId;
+    if (hasDiscrepancies !== undefined) query.hasDiscrepancies = hasDiscrepancies === 'true';
+    if (startDate || endDate) {
+      query.receivedAt = {};
+      if (startDate) query.receivedAt.$gte = new Date(startDate);
+      if (endDate) query.receivedAt.$lte = new Date(endDate);
+    }
+
+    const notes = await GoodsReceivedNote.find(query)
+      .populate('supplierId', 'name')
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await GoodsReceivedNote.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: notes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get goods-received notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching goods-received notes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getOutstanding,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  submitPurchaseOrder,
+  cancelPurchaseOrder,
+  closePurchaseOrder,
+  receivePurchaseOrder,
+  getGoodsReceivedNotes
+};
@@ -6,7 +6,7 @@ const Transaction = require('../models/Transaction');
  */
 const getReceipts = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { page = 1, limit = 10, startDate, endDate } = req.query;
 
     const query = { pharmacyId };
@@ -70,7 +70,7 @@ const getReceipts = async (req, res) => {
 const getReceiptById = async (req, res) => {
   try {
     const { id } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const receipt = await Receipt.findOne({
       _id: id,
@@ -119,7 +119,7 @@ const getReceiptById = async (req, res) => {
 const getReceiptByNumber = async (req, res) => {
   try {
     const { receiptNumber } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const receipt = await Receipt.findOne({
       receiptNumber,
@@ -168,7 +168,7 @@ const getReceiptByNumber = async (req, res) => {
 const getReceiptsByTransaction = async (req, res) => {
   try {
     const { transactionId } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const receipts = await Receipt.find({
       transactionId,
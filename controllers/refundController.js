@@ -3,6 +3,10 @@ const Receipt = require('../models/Receipt');
 const Transaction = require('../models/Transaction');
 const Medicine = require('../models/Medicine');
 const { syncRefundToSales } = require('../services/salesService');
+const { runInTransaction, restockStock, selectAllocations } = require('../services/inventoryService');
+const { refundCreditSale } = require('../services/creditService');
+const { refundTenders } = require('../services/paymentGatewayService');
+const { getOpenShift } = require('../services/shiftService');
 
 /**
  * Create a refund request
@@ -10,7 +14,7 @@ const { syncRefundToSales } = require('../services/salesService');
 const createRefund = async (req, res) => {
   try {
     const { receiptNumber, refundReason, refundItems, notes } = req.body;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id;
 
     console.log('🔄 Creating refund for receipt:', receiptNumber);
@@ -96,7 +100,8 @@ const createRefund = async (req, res) => {
           unitPrice: originalItem.unitPrice,
           totalRefundAmount: refundItem.quantity * originalItem.unitPrice,
           batchNumber: originalItem.batchNumber,
-          expiryDate: originalItem.expiryDate
+          expiryDate: originalItem.expiryDate,
+          batchAllocations: selectAllocations(originalItem.batchAllocations, refundItem.quantity)
         });
       }
     } else {
@@ -109,7 +114,8 @@ const createRefund = async (req, res) => {
         unitPrice: item.unitPrice,
         totalRefundAmount: item.quantity * item.unitPrice,
         batchNumber: item.batchNumber,
-        expiryDate: item.expiryDate
+        expiryDate: item.expiryDate,
+        batchAllocations: item.batchAllocations
       }));
     }
 
@@ -177,7 +183,7 @@ const createRefund = async (req, res) => {
  */
 const getRefunds = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { page = 1, limit = 10, status, startDate, endDate } = req.query;
 
     const query = { pharmacyId };
@@ -231,7 +237,7 @@ const getRefunds = async (req, res) => {
 const getRefundById = async (req, res) => {
   try {
     const { id } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const refund = await Refund.findOne({
       _id: id,
@@ -269,7 +275,7 @@ const getRefundById = async (req, res) => {
 const getRefundByNumber = async (req, res) => {
   try {
     const { refundNumber } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const refund = await Refund.findOne({
       refundNumber,
@@ -308,7 +314,7 @@ const approveRefund = async (req, res) => {
   try {
     const { id } = req.params;
     const { paymentMethod, notes } = req.body;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id;
 
     const refund = await Refund.findOne({
@@ -324,14 +330,6 @@ const approveRefund = async (req, res) => {
       });
     }
 
-    // Update stock for refunded items
-    for (const item of refund.refundItems) {
-      await Medicine.findByIdAndUpdate(
-        item.medicineId,
-        { $inc: { quantity: item.refundQuantity } }
-      );
-    }
-
     // Update refund status
     refund.status = 'approved';
     refund.approvedBy = userId;
@@ -339,10 +337,62 @@ const approveRefund = async (req, res) => {
     refund.paymentMethod = paymentMethod || refund.paymentMethod;
     if (notes) refund.notes = notes;
 
-    await refund.save();
+    // Stock only comes back if the approval is recorded
+    let creditRefunded = 0;
+    await runInTransaction(async (session) => {
+      // Claim the approval first so that a refund approved twice at once is only paid once
+      const claimed = await Refund.findOneAndUpdate(
+        { _id: refund._id, pharmacyId, status: 'pending' },
+        { $set: { status: 'approved', approvedBy: userId, approvedAt: refund.approvedAt } },
+        { session }
+      );
+      if (!claimed) {
+        const error = new Error('Refund has already been processed');
+        error.code = 'REFUND_NOT_PENDING';
+        throw error;
+      }
+
+      // Return refunded items to the lots they were sold from
+      for (const item of refund.refundItems) {
+        await restockStock(item.medicineId, item.batchAllocations, item.refundQuantity, { pharmacyId }, session, {
+          entryType: 'return',
+          reference: { type: 'Refund', id: refund._id, number: refund.refundNumber },
+          party: refund.customerInfo && refund.customerInfo.name,
+          userId
+        });
+      }
+
+      // A refund of a sale paid wholly or partly on credit first reduces what the customer still owes on it
+      if (refund.transactionId) {
+        const entry = await refundCreditSale(refund, refund.transactionId._id, { userId, session });
+        creditRefunded = entry ? entry.amount : 0;
+      }
+
+      await refund.save({ session });
+    });
 
     console.log('✅ Refund approved:', refund.refundNumber);
 
+    // The rest goes back through the payment provider to the sale's card and other tenders;
+    // anything left over (the cash part) is paid back at the counter
+    const providerAmount = refund.refundAmount - creditRefunded;
+    if (refund.paymentMethod === 'original_method' && providerAmount > 0 && refund.transactionId && refund.transactionId.payment) {
+      const { refunds } = await refundTenders(refund.transactionId, providerAmount, refund.refundNumber);
+      if (refunds.length > 0) {
+        refund.gatewayRefunds = refunds;
+        await refund.transactionId.save();
+      }
+    }
+
+    // What is not refunded on credit or through the provider is paid out of the cash drawer
+    if (['cash', 'original_method'].includes(refund.paymentMethod)) {
+      const gatewayRefunded = refund.gatewayRefunds
+        .filter(entry => entry.status === 'completed')
+        .reduce((sum, entry) => sum + entry.amount, 0);
+      refund.cashAmount = Math.max(0, Math.round((refund.refundAmount - creditRefunded - gatewayRefunded) * 100) / 100);
+    }
+    await refund.save();
+
     // Sync refund data to sales
     await syncRefundToSales(refund._id);
 
@@ -354,6 +404,22 @@ const approveRefund = async (req, res) => {
 
   } catch (error) {
     console.error('Approve refund error:', error);
+
+    if (error.code === 'REFUND_NOT_PENDING') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // A refunded medicine that is no longer in the pharmacy's inventory
+    if (error.code === 'MEDICINE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error approving refund',
@@ -369,7 +435,7 @@ const rejectRefund = async (req, res) => {
   try {
     const { id } = req.params;
     const { rejectionReason } = req.body;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     if (!rejectionReason) {
       return res.status(400).json({
@@ -419,7 +485,7 @@ const rejectRefund = async (req, res) => {
 const completeRefund = async (req, res) => {
   try {
     const { id } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     const refund = await Refund.findOne({
       _id: id,
@@ -436,6 +502,10 @@ const completeRefund = async (req, res) => {
 
     refund.status = 'completed';
     refund.completedAt = new Date();
+
+    // Cash paid out comes from the drawer of the shift it is paid in
+    const shift = await getOpenShift(pharmacyId, req.user._id);
+    if (shift) refund.shiftId = shift._id;
     await refund.save();
 
     console.log('💰 Refund completed:', refund.refundNumber);
@@ -1,5 +1,4 @@
 const Request = require('../models/Request');
-const User = require('../models/User');
 const fs = require('fs');
 const path = require('path');
 
@@ -15,33 +14,12 @@ exports.createMedicineRequest = async (req, res) => {
       urgencyLevel
     } = req.body;
 
-    // Get user info
-    const user = await User.findById(req.user.id);
-
-    // Check if user has a pharmacyName
-    if (!user.pharmacyName) {
-      // Clean up uploaded file if exists
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({
-        success: false,
-        message: 'User is not associated with a pharmacy. Please update your pharmacy profile.'
-      });
-    }
-
-    // Find the main pharmacist for this pharmacy to use as pharmacyId reference
-    const pharmacist = await User.findOne({ 
-      pharmacyName: user.pharmacyName,
-      role: 'pharmacist' 
-    });
-
-    // Use the pharmacist's ID or the current user's ID as pharmacy reference
-    const targetPharmacyId = pharmacist ? pharmacist._id : user._id;
+    // The request belongs to the pharmacy the user is a member of
+    const pharmacyId = req.user.pharmacyId;
 
     // Create new medicine request
     const newRequest = new Request({
-      pharmacyId: targetPharmacyId,
+      pharmacyId,
       userId: req.user.id,
       type: 'medicine_request',
       title: `Medicine Request: ${medicineName}`,
@@ -87,39 +65,8 @@ exports.createMedicineRequest = async (req, res) => {
 // Get all medicine requests for a pharmacy
 exports.getPharmacyMedicineRequests = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-
-    // Determine pharmacy filter based on user role
-    let pharmacyFilter = {};
-    
-    if (user.role === 'pharmacist') {
-      // Pharmacist can see all requests where they are the pharmacy reference
-      pharmacyFilter = { pharmacyId: user._id };
-    } else if (user.role === 'assistant') {
-      // Assistants work under a pharmacist - find their pharmacist
-      const pharmacist = await User.findOne({
-        pharmacyName: user.pharmacyName,
-        role: 'pharmacist'
-      });
-      
-      if (!pharmacist) {
-        return res.status(400).json({
-          success: false,
-          message: 'No pharmacist found for your pharmacy'
-        });
-      }
-      
-      pharmacyFilter = { pharmacyId: pharmacist._id };
-    } else if (user.role === 'admin') {
-      // Admin can see all requests - no filter needed
-      pharmacyFilter = {};
-    } else {
-      // Customers shouldn't access this route (handled by authorization middleware)
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
+    // Every member of the pharmacy sees its requests
+    const pharmacyFilter = { pharmacyId: req.user.pharmacyId };
 
     const { status, page = 1, limit = 10 } = req.query;
 
@@ -218,9 +165,6 @@ exports.getMedicineRequestDetails = async (req, res) => {
       });
     }
 
-    // Check if user has permission to view this request
-    const user = await User.findById(req.user.id);
-    
     // Request owner can view
     if (request.userId._id.toString() === req.user.id) {
       return res.json({
@@ -230,16 +174,8 @@ exports.getMedicineRequestDetails = async (req, res) => {
     }
     
     // Pharmacy staff can view requests for their pharmacy
-    if (user.pharmacyName && request.pharmacyId && 
-        user.pharmacyName === request.pharmacyId.pharmacyName) {
-      return res.json({
-        success: true,
-        data: request
-      });
-    }
-    
-    // Admin can view all requests
-    if (user.role === 'admin') {
+    const pharmacyId = req.user.pharmacyId;
+    if (request.pharmacyId && request.pharmacyId._id.toString() === pharmacyId.toString()) {
       return res.json({
         success: true,
         data: request
@@ -10,7 +10,7 @@ const Refund = require('../models/Refund');
  */
 const getAllSalesData = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { page = 1, limit = 20 } = req.query;
 
     const pharmacyObjectId = new mongoose.Types.ObjectId(pharmacyId);
@@ -159,7 +159,7 @@ const getAllSalesData = async (req, res) => {
  */
 const getSalesAnalysis = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { period = 'all' } = req.query; // all, today, week, month, year
 
     const pharmacyObjectId = new mongoose.Types.ObjectId(pharmacyId);
@@ -390,7 +390,7 @@ const getSalesAnalysis = async (req, res) => {
  */
 const getTransactionsWithUsage = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { page = 1, limit = 20 } = req.query;
 
     const pharmacyObjectId = new mongoose.Types.ObjectId(pharmacyId);
@@ -515,7 +515,7 @@ const getTransactionsWithUsage = async (req, res) => {
  */
 const getReceiptsWithRefunds = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { page = 1, limit = 20 } = req.query;
 
     const pharmacyObjectId = new mongoose.Types.ObjectId(pharmacyId);
@@ -626,7 +626,7 @@ const getReceiptsWithRefunds = async (req, res) => {
  */
 const getMedicinesWithPopularity = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { limit = 20 } = req.query;
 
     const pharmacyObjectId = new mongoose.Types.ObjectId(pharmacyId);
@@ -723,7 +723,7 @@ const getMedicinesWithPopularity = async (req, res) => {
  */
 const getPurchases = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { page = 1, limit = 20, medicineName } = req.query;
 
     const pharmacyObjectId = new mongoose.Types.ObjectId(pharmacyId);
@@ -0,0 +1,289 @@
+const Shift = require('../models/Shift');
+const {
+  SHIFT_ERROR_STATUS,
+  getOpenShift,
+  openShift,
+  recordCashMovement,
+  closeShift,
+  getShiftReport,
+  getDailyZReport
+} = require('../services/shiftService');
+
+const sendShiftError = (res, error) => res.status(SHIFT_ERROR_STATUS[error.code]).json({
+  success: false,
+  message: error.message,
+  data: error.details
+});
+
+const shiftNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Shift not found'
+});
+
+/**
+ * Open a shift with a starting float
+ */
+const createShift = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { openingFloat, drawerName, notes } = req.body;
+
+    const shift = await openShift(pharmacyId, req.user._id, { openingFloat, drawerName, notes });
+
+    console.log(`🔓 Shift ${shift.shiftNumber} opened with float ${shift.openingFloat}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened successfully',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Open shift error:', error);
+
+    if (SHIFT_ERROR_STATUS[error.code]) {
+      return sendShiftError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error opening shift',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List shifts
+ */
+const getShifts = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, openedBy, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = { pharmacyId };
+    if (status) query.status = status;
+    if (openedBy) query.openedBy = openedBy;
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(endDate);
+    }
+
+    const shifts = await Shift.find(query)
+      .select('-report')
+      .populate('openedBy', 'name email')
+      .populate('closedBy', 'name email')
+      .sort({ openedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Shift.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: shifts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shifts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * The current user's open shift with its running totals (X-report)
+ */
+const getCurrentShift = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+
+    const shift = await getOpenShift(pharmacyId, req.user._id);
+    if (!shift) {
+      return res.status(SHIFT_ERROR_STATUS.NO_OPEN_SHIFT).json({
+        success: false,
+        message: 'You have no open shift'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shift,
+        report: await getShiftReport(shift)
+      }
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching current shift',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a shift
+ */
+const getShiftById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+
+    const shift = await Shift.findOne({ _id: req.params.id, pharmacyId })
+      .populate('openedBy', 'name email')
+      .populate('closedBy', 'name email')
+      .populate('cashMovements.recordedBy', 'name');
+    if (!shift) {
+      return shiftNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shift',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record cash put into or taken out of the drawer
+ */
+const addCashMovement = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { type, amount, reason } = req.body;
+
+    const shift = await recordCashMovement(pharmacyId, req.params.id, { type, amount, reason }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: type === 'cash_in' ? 'Cash in recorded' : 'Cash out recorded',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Record cash movement error:', error);
+
+    if (SHIFT_ERROR_STATUS[error.code]) {
+      return sendShiftError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error recording cash movement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Close a shift with the counted cash and reconcile it against the expected cash
+ */
+const closeShiftById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { countedCash, closingNotes } = req.body;
+
+    const shift = await closeShift(pharmacyId, req.params.id, { countedCash, closingNotes }, req.user._id);
+
+    let message = 'Shift closed; drawer balances';
+    if (shift.variance > 0) message = `Shift closed; drawer is ${shift.variance} over`;
+    if (shift.variance < 0) message = `Shift closed; drawer is ${Math.abs(shift.variance)} short`;
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: shift
+    });
+  } catch (error) {
+    console.error('Close shift error:', error);
+
+    if (SHIFT_ERROR_STATUS[error.code]) {
+      return sendShiftError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error closing shift',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Z-report of a shift (running totals while it is still open)
+ */
+const getShiftZReport = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+
+    const shift = await Shift.findOne({ _id: req.params.id, pharmacyId });
+    if (!shift) {
+      return shiftNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: shift.status,
+        report: await getShiftReport(shift)
+      }
+    });
+  } catch (error) {
+    console.error('Get shift Z-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating shift Z-report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * End-of-day Z-report across all shifts opened on a date
+ */
+const getDailyReport = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    const report = await getDailyZReport(pharmacyId, date);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get daily Z-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating daily Z-report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createShift,
+  getShifts,
+  getCurrentShift,
+  getShiftById,
+  addCashMovement,
+  closeShiftById,
+  getShiftZReport,
+  getDailyReport
+};
@@ -0,0 +1,266 @@
+const StockTake = require('../models/StockTake');
+const stockTakeService = require('../services/stockTakeService');
+
+// HTTP status for the error codes raised by the stock take service
+const STOCK_TAKE_ERROR_STATUS = {
+  NO_ITEMS: 400,
+  INVALID_STATUS: 400,
+  STATUS_CHANGED: 409,
+  INSUFFICIENT_STOCK: 400,
+  ITEM_NOT_FOUND: 404,
+  BATCH_NOT_FOUND: 404,
+  MEDICINE_NOT_FOUND: 404
+};
+
+const sendStockTakeError = (res, error, fallbackMessage) => {
+  const status = STOCK_TAKE_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const stockTakeNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Stock take not found'
+});
+
+/**
+ * Open a stock take over some or all medicines
+ */
+const createStockTake = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const stockTake = await stockTakeService.startStockTake(pharmacyId, req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock take started',
+      data: stockTake
+    });
+  } catch (error) {
+    console.error('Create stock take error:', error);
+    sendStockTakeError(res, error, 'Error starting stock take');
+  }
+};
+
+/**
+ * List stock takes
+ */
+const getStockTakes = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const query = { pharmacyId };
+    if (status) query.status = status;
+
+    const stockTakes = await StockTake.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await StockTake.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: stockTakes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock takes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock takes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a stock take with its lines and variances
+ */
+const getStockTakeById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const stockTake = await StockTake.findOne({ _id: req.params.id, pharmacyId })
+      .populate('adjustmentTransactionIds', 'transactionNumber adjustment totalAmount transactionDate');
+
+    if (!stockTake) {
+      return stockTakeNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stockTake
+    });
+  } catch (error) {
+    console.error('Get stock take error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock take',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record counted quantities for some lines
+ */
+const recordCounts = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const stockTake = await StockTake.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!stockTake) {
+      return stockTakeNotFound(res);
+    }
+
+    await stockTakeService.recordCounts(stockTake, req.body.counts, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Counts recorded',
+      data: stockTake
+    });
+  } catch (error) {
+    console.error('Record stock take counts error:', error);
+    sendStockTakeError(res, error, 'Error recording counts');
+  }
+};
+
+/**
+ * Build a handler that moves a stock take to a new status
+ */
+const changeStatus = (status, allowedFrom, successMessage, apply = () => {}) => async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const stockTake = await StockTake.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!stockTake) {
+      return stockTakeNotFound(res);
+    }
+
+    if (!allowedFrom.includes(stockTake.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${stockTake.status} stock take cannot be ${status}`
+      });
+    }
+
+    const rejection = apply(stockTake, req);
+    if (rejection) {
+      return res.status(400).json({
+        success: false,
+        message: rejection
+      });
+    }
+
+    stockTake.status = status;
+    await stockTake.save();
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: stockTake
+    });
+  } catch (error) {
+    console.error(`Set stock take ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating stock take',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Counting is finished; uncounted lines are left as they are
+const submitStockTake = changeStatus('submitted', ['counting'], 'Stock take submitted for approval', (stockTake, req) => {
+  if (!stockTake.items.some(item => item.isCounted)) {
+    return 'Count at least one line before submitting';
+  }
+  stockTake.submittedAt = new Date();
+  stockTake.submittedBy = req.user._id;
+});
+
+// Send a submitted stock take back for recounting
+const reopenStockTake = changeStatus('counting', ['submitted'], 'Stock take reopened for counting');
+
+const cancelStockTake = changeStatus('cancelled', ['counting', 'submitted'], 'Stock take cancelled', (stockTake) => {
+  stockTake.cancelledAt = new Date();
+});
+
+/**
+ * Approve a submitted stock take and post its variances as stock adjustments
+ */
+const approveStockTake = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const stockTake = await StockTake.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!stockTake) {
+      return stockTakeNotFound(res);
+    }
+
+    await stockTakeService.approveStockTake(stockTake, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock take approved and adjustments posted',
+      data: stockTake
+    });
+  } catch (error) {
+    console.error('Approve stock take error:', error);
+    sendStockTakeError(res, error, 'Error approving stock take');
+  }
+};
+
+/**
+ * Stock adjustments by reason code and period
+ */
+const getShrinkageReport = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { startDate, endDate, period = 'month' } = req.query;
+
+    const report = await stockTakeService.getShrinkageReport(pharmacyId, { startDate, endDate, period });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      meta: { startDate, endDate, period }
+    });
+  } catch (error) {
+    console.error('Get shrinkage report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating shrinkage report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createStockTake,
+  getStockTakes,
+  getStockTakeById,
+  recordCounts,
+  submitStockTake,
+  reopenStockTake,
+  cancelStockTake,
+  approveStockTake,
+  getShrinkageReport
+};
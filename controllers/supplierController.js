@@ -0,0 +1,203 @@
+const Supplier = require('../models/Supplier');
+const { searchPattern } = require('../utils/helpers');
+
+/**
+ * Add a supplier to the pharmacy's registry
+ */
+const createSupplier = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { name, contactPerson, email, phone, address, leadTimeDays, paymentTerms, notes } = req.body;
+
+    const existing = await Supplier.findOne({ pharmacyId, name });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A supplier with this name already exists'
+      });
+    }
+
+    const supplier = new Supplier({
+      pharmacyId,
+      name,
+      contactPerson,
+      email,
+      phone,
+      address,
+      leadTimeDays,
+      paymentTerms,
+      notes
+    });
+    await supplier.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating supplier',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List suppliers
+ */
+const getSuppliers = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const { search, includeInactive, page = 1, limit = 20 } = req.query;
+
+    const query = { pharmacyId };
+    if (includeInactive !== 'true') query.isActive = true;
+    if (search) {
+      const pattern = searchPattern(search);
+      query.$or = [
+        { name: pattern },
+        { contactPerson: pattern }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query)
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Supplier.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: suppliers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suppliers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get supplier by ID
+ */
+const getSupplierById = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const supplier = await Supplier.findOne({ _id: req.params.id, pharmacyId });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching supplier',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update supplier details
+ */
+const updateSupplier = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const allowed = ['name', 'contactPerson', 'email', 'phone', 'address', 'leadTimeDays', 'paymentTerms', 'notes', 'isActive'];
+
+    const updates = {};
+    allowed.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const supplier = await Supplier.findOneAndUpdate(
+      { _id: req.params.id, pharmacyId },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating supplier',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Deactivate a supplier. Suppliers are kept for the history of their orders.
+ */
+const deactivateSupplier = async (req, res) => {
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const supplier = await Supplier.findOneAndUpdate(
+      { _id: req.params.id, pharmacyId },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deactivated',
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Deactivate supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating supplier',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createSupplier,
+  getSuppliers,
+  getSupplierById,
+  updateSupplier,
+  deactivateSupplier
+};
@@ -184,13 +184,9 @@ exports.addMessage = async (req, res, next) => {
   }
 };
 
-// Get all tickets (admin only)
+// Get all tickets (support.manage permission)
 exports.getAllTickets = async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-    
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
@@ -219,13 +215,9 @@ exports.getAllTickets = async (req, res, next) => {
   }
 };
 
-// Update ticket status (admin only)
+// Update ticket status (support.manage permission)
 exports.updateTicketStatus = async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-    
     const { ticketId } = req.params;
     const { status } = req.body;
     
@@ -274,10 +266,6 @@ exports.updateTicketStatus = async (req, res, next) => {
 // Add admin response to ticket
 exports.addAdminResponse = async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-    
     const { ticketId } = req.params;
     const { content } = req.body;
     
@@ -338,13 +326,9 @@ exports.addAdminResponse = async (req, res, next) => {
   }
 };
 
-// Get support statistics (admin only)
+// Get support statistics (support.manage permission)
 exports.getSupportStats = async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-    
     const totalTickets = await SupportTicket.countDocuments();
     const openTickets = await SupportTicket.countDocuments({ status: 'Open' });
     const inProgressTickets = await SupportTicket.countDocuments({ status: 'In Progress' });
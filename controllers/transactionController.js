@@ -2,6 +2,14 @@ const Transaction = require('../models/Transaction');
 const Medicine = require('../models/Medicine');
 const mongoose = require('mongoose');
 const { generateTransactionNumber } = require('../utils/helpers');
+const { runInTransaction, reserveStock, applyReservations } = require('../services/inventoryService');
+const { PRESCRIPTION_ERROR_STATUS, dispensePrescription } = require('../services/prescriptionService');
+const { CUSTOMER_ERROR_STATUS, resolveCustomer, linkCustomer } = require('../services/customerService');
+const { getOpenShift } = require('../services/shiftService');
+const { CREDIT_ERROR_STATUS, chargeCreditSale } = require('../services/creditService');
+const { GATEWAY_METHODS } = require('../services/paymentGatewayService');
+const { syncTransactionToSales } = require('../services/salesService');
+const { hasPermission } = require('../middleware/auth');
 
 // Get all transactions with filtering and pagination
 exports.getTransactions = async (req, res) => {
@@ -17,7 +25,7 @@ exports.getTransactions = async (req, res) => {
       limit = 10 
     } = req.query;
     
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     let query = { pharmacyId };
 
@@ -81,7 +89,7 @@ exports.getTransactions = async (req, res) => {
 exports.getTransactionById = async (req, res) => {
   try {
     const { id } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ 
@@ -125,19 +133,35 @@ exports.createTransaction = async (req, res) => {
       paymentMethod,
       tax = 0,
       discount = 0,
-      status = 'completed'
+      status = 'completed',
+      prescriptionId
     } = req.body;
     
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id; // Get user ID from authenticated user
 
+    if ((tax || discount) && !hasPermission(req, 'price.override')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Applying tax or discount requires the price.override permission'
+      });
+    }
+
+    // Provider payments are authorised and captured at checkout
+    if (transactionType === 'sale' && GATEWAY_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sales paid by card, mobile money, bank transfer or digital wallet go through checkout'
+      });
+    }
+
     // Generate transaction number
     const transactionNumber = await generateTransactionNumber(transactionType);
 
     // Validate and prepare items
     if (transactionType === 'sale') {
       for (const item of items) {
-        const medicine = await Medicine.findById(item.medicineId);
+        const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId });
         if (!medicine) {
           return res.status(404).json({
             success: false,
@@ -145,10 +169,10 @@ exports.createTransaction = async (req, res) => {
           });
         }
         
-        if (medicine.quantity < item.quantity) {
+        if (medicine.sellableQuantity < item.quantity) {
           return res.status(400).json({
             success: false,
-            message: `Insufficient stock for ${medicine.name}. Available: ${medicine.quantity}`
+            message: `Insufficient stock for ${medicine.name}. Available: ${medicine.sellableQuantity}`
           });
         }
         
@@ -157,6 +181,13 @@ exports.createTransaction = async (req, res) => {
         item.medicineName = medicine.name;
         item.form = medicine.form;
         item.packSize = medicine.packSize;
+        if (item.unitPrice && Number(item.unitPrice) !== medicine.price && !hasPermission(req, 'price.override')) {
+          return res.status(403).json({
+            success: false,
+            message: `Selling ${medicine.name} at a price other than its list price requires the price.override permission`
+          });
+        }
+
         item.unitPrice = item.unitPrice || medicine.price;
         item.totalPrice = item.quantity * item.unitPrice;
         item.expiryDate = medicine.expiryDate;
@@ -197,17 +228,25 @@ exports.createTransaction = async (req, res) => {
     };
 
     const transaction = new Transaction(transactionData);
-    await transaction.save();
 
-    // Update stock for completed sales
-    if (transactionType === 'sale' && status === 'completed') {
-      for (const item of items) {
-        await Medicine.findByIdAndUpdate(
-          item.medicineId, 
-          { $inc: { quantity: -item.quantity } }
-        );
+    // Stock for completed sales is taken in the same database transaction, earliest-expiring lots first
+    await runInTransaction(async (session) => {
+      if (transactionType === 'sale' && status === 'completed') {
+        const reservations = await reserveStock(transaction.items, {
+          session,
+          filter: { pharmacyId },
+          movement: {
+            entryType: 'dispense',
+            reference: { type: 'Transaction', id: transaction._id, number: transaction.transactionNumber },
+            party: customerName,
+            userId
+          }
+        });
+        applyReservations(transaction, reservations);
+        await dispensePrescription({ pharmacyId, prescriptionId, items: transaction.items, transaction, userId, session });
       }
-    }
+      await transaction.save({ session });
+    });
 
     res.status(201).json({
       success: true,
@@ -218,6 +257,20 @@ exports.createTransaction = async (req, res) => {
   } catch (error) {
     console.error('Create transaction error details:', error);
     console.error('Error stack:', error.stack);
+
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (PRESCRIPTION_ERROR_STATUS[error.code]) {
+      return res.status(PRESCRIPTION_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -232,7 +285,7 @@ exports.updateTransaction = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -286,7 +339,7 @@ exports.updateTransaction = async (req, res) => {
 exports.deleteTransaction = async (req, res) => {
   try {
     const { id } = req.params;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ 
@@ -303,13 +356,15 @@ exports.deleteTransaction = async (req, res) => {
       });
     }
 
-    if (transaction.transactionType === 'sale' && transaction.status === 'completed') {
-      for (const item of transaction.items) {
-        await Medicine.findByIdAndUpdate(
-          item.medicineId, 
-          { $inc: { quantity: item.quantity } }
-        );
-      }
+    // A completed sale has moved stock and may have charged credit, redeemed promotions,
+    // filled a prescription, claimed insurance, captured payments and synced to sales.
+    // Deleting it would leave all of that behind, so it is refunded instead and stays on record.
+    if (transaction.transactionType === 'sale' &&
+        ['completed', 'partially_refunded', 'refunded'].includes(transaction.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed sales cannot be deleted. Refund the sale instead.'
+      });
     }
 
     await Transaction.findByIdAndDelete(id);
@@ -331,7 +386,7 @@ exports.deleteTransaction = async (req, res) => {
 // Get transaction statistics
 exports.getTransactionStats = async (req, res) => {
   try {
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const { startDate, endDate } = req.query;
 
     let dateFilter = {};
@@ -396,7 +451,7 @@ exports.getTransactionStats = async (req, res) => {
 exports.exportTransactions = async (req, res) => {
   try {
     const { startDate, endDate, format = 'json' } = req.query;
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
 
     let query = { pharmacyId, status: 'completed' };
 
@@ -452,10 +507,12 @@ exports.createQuickSale = async (req, res) => {
       items,
       customerName = 'Walk-in Customer',
       customerPhone = '',
-      paymentMethod = 'cash'
+      paymentMethod = 'cash',
+      prescriptionId,
+      customerId
     } = req.body;
     
-    const pharmacyId = req.user.pharmacyId || req.user._id;
+    const pharmacyId = req.user.pharmacyId;
     const userId = req.user._id;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -473,7 +530,7 @@ exports.createQuickSale = async (req, res) => {
     let subtotal = 0;
 
     for (const item of items) {
-      const medicine = await Medicine.findById(item.medicineId);
+      const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId });
       if (!medicine) {
         return res.status(404).json({
           success: false,
@@ -481,13 +538,20 @@ exports.createQuickSale = async (req, res) => {
         });
       }
       
-      if (medicine.quantity < item.quantity) {
+      if (medicine.sellableQuantity < item.quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${medicine.name}. Available: ${medicine.quantity}`
+          message: `Insufficient stock for ${medicine.name}. Available: ${medicine.sellableQuantity}`
         });
       }
       
+      if (item.unitPrice && Number(item.unitPrice) !== medicine.price && !hasPermission(req, 'price.override')) {
+        return res.status(403).json({
+          success: false,
+          message: `Selling ${medicine.name} at a price other than its list price requires the price.override permission`
+        });
+      }
+
       const unitPrice = item.unitPrice || medicine.price;
       const totalPrice = item.quantity * unitPrice;
       
@@ -539,15 +603,34 @@ exports.createQuickSale = async (req, res) => {
     };
 
     const transaction = new Transaction(transactionData);
-    await transaction.save();
 
-    // Update stock
-    for (const item of items) {
-      await Medicine.findByIdAndUpdate(
-        item.medicineId, 
-        { $inc: { quantity: -item.quantity } }
-      );
-    }
+    // Sale and stock are committed together, earliest-expiring lots first
+    await runInTransaction(async (session) => {
+      const customer = await resolveCustomer(pharmacyId, { customerId, name: customerName, phone: customerPhone }, { userId, session });
+      await linkCustomer(transaction, customer, session);
+      const shift = await getOpenShift(pharmacyId, userId, session);
+      transaction.shiftId = shift ? shift._id : undefined;
+      if (paymentMethod === 'credit') {
+        await chargeCreditSale(transaction, customer, { userId, session });
+      }
+
+      const reservations = await reserveStock(transaction.items, {
+        session,
+        filter: { pharmacyId },
+        movement: {
+          entryType: 'dispense',
+          reference: { type: 'Transaction', id: transaction._id, number: transaction.transactionNumber },
+          party: transaction.customerInfo.name,
+          userId
+        }
+      });
+      applyReservations(transaction, reservations);
+      await dispensePrescription({ pharmacyId, prescriptionId, items: transaction.items, transaction, userId, session });
+      await transaction.save({ session });
+
+      // The sales record is written with the sale, as at checkout
+      await syncTransactionToSales(transaction._id, { session });
+    });
 
     // Populate the response
     const populatedTransaction = await Transaction.findById(transaction._id)
@@ -561,6 +644,23 @@ exports.createQuickSale = async (req, res) => {
 
   } catch (error) {
     console.error('Quick sale error:', error);
+
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const status = PRESCRIPTION_ERROR_STATUS[error.code] || CUSTOMER_ERROR_STATUS[error.code] || CREDIT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+        data: error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while processing quick sale',
@@ -4,6 +4,10 @@ const path = require('path');
 const fs = require('fs').promises;
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { PHARMACY_ERROR_STATUS, resolveMembership, isOwner } = require('../services/pharmacyService');
+const { getPermissions, getPlatformPermissions } = require('../services/roleService');
+const { getActiveSession } = require('../services/sessionService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
 
 // Ensure upload directories exist
 const ensureUploadDirs = async () => {
@@ -88,9 +92,7 @@ const authenticate = async (req, res, next) => {
         let decoded;
         try {
             decoded = jwt.verify(token, process.env.JWT_SECRET);
-            console.log('Decoded token payload:', decoded); // Debug log
         } catch (jwtError) {
-            console.error('JWT verification error:', jwtError.message);
             return res.status(401).json({
                 success: false,
                 message: 'Not authorized to access this route. Invalid token.'
@@ -107,8 +109,6 @@ const authenticate = async (req, res, next) => {
             userId = decoded.userId || decoded.id || decoded.sub || decoded._id;
         }
 
-        console.log('Looking for user with ID:', userId); // Debug log
-
         if (!userId) {
             return res.status(401).json({
                 success: false,
@@ -116,11 +116,18 @@ const authenticate = async (req, res, next) => {
             });
         }
 
+        // Access tokens belong to a session; once it is revoked or expired the token stops working
+        const authSession = decoded.sid ? await getActiveSession(decoded.sid) : null;
+        if (!authSession || authSession.userId.toString() !== userId.toString()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or been revoked. Please sign in again.'
+            });
+        }
+
         // Fetch user - select necessary fields including twoFactorEnabled
         const currentUser = await User.findById(userId).select('_id role pharmacyName email username businessEmail twoFactorEnabled isActive');
-        
-        console.log('Found user:', currentUser ? 'YES' : 'NO'); // Debug log
-        
+
         if (!currentUser) {
             return res.status(401).json({
                 success: false,
@@ -136,23 +143,51 @@ const authenticate = async (req, res, next) => {
             });
         }
 
-        // Check if user has 2FA enabled
-        if (currentUser.twoFactorEnabled) {
-            if (!req.session || !req.session.twoFactorVerified) {
-                return res.status(401).json({
+        // With 2FA enabled, only sessions that passed it at sign-in are accepted
+        if (currentUser.twoFactorEnabled && !authSession.twoFactorVerified) {
+            return res.status(401).json({
+                success: false,
+                message: '2FA verification required',
+                requires2FA: true
+            });
+        }
+
+        // Resolve the pharmacy the user works for; their role is their role there
+        let pharmacy, membership;
+        try {
+            ({ pharmacy, membership } = await resolveMembership(currentUser));
+        } catch (membershipError) {
+            if (PHARMACY_ERROR_STATUS[membershipError.code]) {
+                return res.status(PHARMACY_ERROR_STATUS[membershipError.code]).json({
                     success: false,
-                    message: '2FA verification required',
-                    requires2FA: true
+                    message: membershipError.message
                 });
             }
+            throw membershipError;
         }
+        const accountRole = currentUser.role;
+        currentUser.pharmacyId = pharmacy._id;
+        currentUser.role = membership.role;
 
         // Attach user info to request
         req.user = currentUser;
         req.userId = currentUser._id;
-        req.pharmacyName = currentUser.pharmacyName || currentUser.username;
+        req.authSession = authSession;
+        req.pharmacy = pharmacy;
+        req.membership = membership;
+        req.permissions = [...await getPermissions(pharmacy, membership), ...getPlatformPermissions(accountRole)];
+        req.pharmacyName = pharmacy.name || currentUser.pharmacyName || currentUser.username;
+
+        // Members the pharmacy requires to use 2FA can only set it up until they have
+        if (!currentUser.twoFactorEnabled && !req.twoFactorSetupRoute &&
+            isTwoFactorRequired(pharmacy, currentUser._id, req.permissions)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your pharmacy requires two-factor authentication. Set it up to continue.',
+                requires2FASetup: true
+            });
+        }
 
-        console.log('Authentication successful for user:', currentUser.email || currentUser.businessEmail);
         next();
         
     } catch (error) {
@@ -164,51 +199,74 @@ const authenticate = async (req, res, next) => {
     }
 };
 
-// Role-based authorization - IMPROVED
-const authorize = (...roles) => {
+// Whether the authenticated member's role grants a permission
+const hasPermission = (req, permission) => Boolean(req.permissions && req.permissions.includes(permission));
+
+// Permission check used on every pharmacy route; the member needs all the given permissions
+const requirePermission = (...permissions) => {
     return (req, res, next) => {
-        // Debug logging
-        console.log('=== AUTHORIZE MIDDLEWARE DEBUG ===');
-        console.log('Request URL:', req.originalUrl);
-        console.log('User ID:', req.user ? req.user._id : 'No user');
-        console.log('User Role:', req.user ? req.user.role : 'No role');
-        console.log('Allowed Roles (raw):', roles);
-        
-        // Handle nested array case
-        let allowedRoles = roles.flat();
-        console.log('Allowed Roles (processed):', allowedRoles);
-        
         if (!req.user) {
             return res.status(401).json({
                 success: false,
                 message: 'Authentication required'
             });
         }
-        
-        // If no roles specified, just check if user is authenticated
-        if (allowedRoles.length === 0) {
-            return next();
+
+        const missing = permissions.flat().filter(permission => !hasPermission(req, permission));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Your role '${req.user.role}' does not have permission: ${missing.join(', ')}`
+            });
         }
-        
-        // Check if user has required role
-        const userRole = req.user.role || 'user'; // Default role if not specified
-        const isAuthorized = allowedRoles.includes(userRole);
-        
-        console.log('User Role:', userRole);
-        console.log('Is Authorized:', isAuthorized);
-        console.log('==================================');
-        
-        if (!isAuthorized) {
+
+        next();
+    };
+};
+
+// Like requirePermission, but any one of the given permissions is enough
+const requireAnyPermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const allowed = permissions.flat();
+        if (!allowed.some(permission => hasPermission(req, permission))) {
             return res.status(403).json({
                 success: false,
-                message: `User role '${userRole}' is not authorized to access this route. Required roles: ${allowedRoles.join(', ')}`
+                message: `Your role '${req.user.role}' needs one of these permissions: ${allowed.join(', ')}`
             });
         }
-        
+
         next();
     };
 };
 
+// Allow only the pharmacy owner
+const authorizeOwner = () => {
+    return (req, res, next) => {
+        if (!req.user || !req.pharmacy) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (isOwner(req.pharmacy, req.user._id)) {
+            return next();
+        }
+
+        return res.status(403).json({
+            success: false,
+            message: 'Only the pharmacy owner can access this route'
+        });
+    };
+};
+
 // Optional authentication - CORRECTED
 const optionalAuth = async (req, res, next) => {
     try {
@@ -232,12 +290,24 @@ const optionalAuth = async (req, res, next) => {
                     userId = decoded.userId || decoded.id || decoded.sub || decoded._id;
                 }
 
-                if (userId) {
+                const authSession = decoded.sid ? await getActiveSession(decoded.sid) : null;
+
+                if (userId && authSession && authSession.userId.toString() === userId.toString()) {
                     const currentUser = await User.findById(userId).select('_id role pharmacyName email businessEmail twoFactorEnabled isActive');
-                    if (currentUser && currentUser.isActive !== false) {
+                    if (currentUser && currentUser.isActive !== false &&
+                        (!currentUser.twoFactorEnabled || authSession.twoFactorVerified)) {
+                        const { pharmacy, membership } = await resolveMembership(currentUser);
+                        const accountRole = currentUser.role;
+                        currentUser.pharmacyId = pharmacy._id;
+                        currentUser.role = membership.role;
+
                         req.user = currentUser;
                         req.userId = currentUser._id;
-                        req.pharmacyName = currentUser.pharmacyName || currentUser.username;
+                        req.authSession = authSession;
+                        req.pharmacy = pharmacy;
+                        req.membership = membership;
+                        req.permissions = [...await getPermissions(pharmacy, membership), ...getPlatformPermissions(accountRole)];
+                        req.pharmacyName = pharmacy.name || currentUser.pharmacyName || currentUser.username;
                     }
                 }
             } catch (jwtError) {
@@ -252,6 +322,12 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+// Mark a route as usable by members who still have to set up required 2FA; goes before authenticate
+const allowTwoFactorSetup = (req, res, next) => {
+    req.twoFactorSetupRoute = true;
+    next();
+};
+
 // Alias for backward compatibility
 const protect = authenticate;
 
@@ -263,7 +339,11 @@ module.exports = {
         { name: 'logo', maxCount: 1 }
     ]),
     authenticate,
-    authorize,
+    authorizeOwner,
+    requirePermission,
+    requireAnyPermission,
+    hasPermission,
+    allowTwoFactorSetup,
     optionalAuth,
     protect
 };
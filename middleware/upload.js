@@ -165,6 +165,40 @@ const supportStorage = multer.diskStorage({
     }
 });
 
+// Configure storage for disposal certificates
+const disposalStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        try {
+            const uploadDir = ensureUploadsDir('disposals');
+            cb(null, uploadDir);
+        } catch (error) {
+            cb(error);
+        }
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const safeFilename = file.originalname.replace(/[^a-zA-Z0-9.]/g, '-');
+        cb(null, 'disposal-' + uniqueSuffix + path.extname(safeFilename));
+    }
+});
+
+// Configure storage for prescription images
+const prescriptionStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        try {
+            const uploadDir = ensureUploadsDir('prescriptions');
+            cb(null, uploadDir);
+        } catch (error) {
+            cb(error);
+        }
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const safeFilename = file.originalname.replace(/[^a-zA-Z0-9.]/g, '-');
+        cb(null, 'prescription-' + uniqueSuffix + path.extname(safeFilename));
+    }
+});
+
 // Common file filter for images only
 const imageFileFilter = (req, file, cb) => {
     const allowedMimes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'];
@@ -189,6 +223,25 @@ const supportFileFilter = (req, file, cb) => {
     }
 };
 
+// File filter for scanned documents: disposal certificates and prescriptions
+const scanFileFilter = (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+        cb(null, true);
+    } else {
+        cb(new Error('Only images and PDF files are allowed'), false);
+    }
+};
+
+// File filter for data imports: JSON or CSV
+const dataFileFilter = (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.json', '.csv'].includes(extension)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Only JSON and CSV files are allowed'), false);
+    }
+};
+
 // File filter for backward compatibility (licenseImage and logo fields)
 const pharmacyFileFilter = (req, file, cb) => {
     if (file.fieldname === 'licenseImage' || file.fieldname === 'logo') {
@@ -264,6 +317,34 @@ const uploadSupportInstance = multer({
     }
 });
 
+const uploadDisposalInstance = multer({
+    storage: disposalStorage,
+    fileFilter: scanFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 1
+    }
+});
+
+const uploadPrescriptionInstance = multer({
+    storage: prescriptionStorage,
+    fileFilter: scanFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 1
+    }
+});
+
+// Imported data is parsed straight from memory and never written to disk
+const uploadDataInstance = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: dataFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 1
+    }
+});
+
 // Backward compatible upload instance - ADD THIS
 const upload = multer({
     storage: pharmacyStorage,
@@ -288,6 +369,9 @@ module.exports = {
     uploadLogoInstance,
     uploadProfileInstance,
     uploadSupportInstance,
+    uploadDisposalInstance,
+    uploadPrescriptionInstance,
+    uploadDataInstance,
     
     // Pre-configured middleware functions (for direct use)
     uploadRequest: uploadRequestInstance.single('image'),
@@ -297,6 +381,9 @@ module.exports = {
     uploadSupport: uploadSupportInstance.single('attachment'),
     uploadSupportArray: uploadSupportInstance.array('attachments', 5),
     uploadMedicineRequest: uploadRequestInstance.single('image'),
+    uploadDisposalCertificate: uploadDisposalInstance.single('certificate'),
+    uploadPrescriptionImage: uploadPrescriptionInstance.single('image'),
+    uploadDataFile: uploadDataInstance.single('file'),
 
     // Error handling and utility functions
     handleMulterError, 
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Access tokens carry the session's ID and stop working
+ * as soon as it is revoked; the refresh token is rotated on every use and only
+ * a hash of the current one is stored.
+ */
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token this one replaced; presenting it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+
+  // Whether the sign-in passed two-factor authentication
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // Device metadata
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  userAgent: String,
+  ipAddress: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'password_changed', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a day after they lapse
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+authSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
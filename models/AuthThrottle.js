@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Attempts at a sign-in, password reset or two-factor endpoint, counted per
+ * account and per IP address. Drives the progressive delay and lockout.
+ */
+const authThrottleSchema = new mongoose.Schema({
+  // 'login', 'password_reset' or 'two_factor'
+  scope: {
+    type: String,
+    required: true
+  },
+  keyType: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Normalised email or username for accounts, the address for IPs
+  key: {
+    type: String,
+    required: true
+  },
+  // Failed attempts, plus attempts still being checked
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  // Lockouts so far; each one lasts twice as long as the last
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // When the counter is forgotten
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authThrottleSchema.index({ scope: 1, keyType: 1, key: 1 }, { unique: true });
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
@@ -21,6 +21,23 @@ const businessHoursSchema = new mongoose.Schema({
   }
 });
 
+// Discount applied to marketplace listings once stock is this close to expiry
+const markdownTierSchema = new mongoose.Schema({
+  daysToExpiry: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discountPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, {
+  _id: false
+});
+
 const businessSettingsSchema = new mongoose.Schema({
   pharmacyId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -65,6 +82,51 @@ const businessSettingsSchema = new mongoose.Schema({
   lowStockThreshold: {
     type: Number,
     default: 10
+  },
+  markdownRules: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    tiers: {
+      type: [markdownTierSchema],
+      default: [
+        { daysToExpiry: 90, discountPercent: 10 },
+        { daysToExpiry: 60, discountPercent: 30 },
+        { daysToExpiry: 30, discountPercent: 50 }
+      ],
+      validate: {
+        validator: tiers => new Set(tiers.map(tier => tier.daysToExpiry)).size === tiers.length,
+        message: 'Each markdown tier needs a different daysToExpiry'
+      }
+    }
+  },
+  // Inputs to the reorder suggestions computed from sales velocity
+  reorderSettings: {
+    // Days of sales used to measure average daily consumption
+    lookbackDays: {
+      type: Number,
+      default: 30,
+      min: 1
+    },
+    // Extra days of consumption kept on hand against demand and delivery swings
+    safetyStockDays: {
+      type: Number,
+      default: 7,
+      min: 0
+    },
+    // Days of consumption a reorder should cover once it arrives
+    coverageDays: {
+      type: Number,
+      default: 14,
+      min: 1
+    },
+    // Lead time for medicines without a preferred supplier
+    defaultLeadTimeDays: {
+      type: Number,
+      default: 7,
+      min: 0
+    }
   }
 }, {
   timestamps: true
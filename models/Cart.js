@@ -104,6 +104,28 @@ cartItemSchema.pre('save', function(next) {
   next();
 });
 
+// A promotion the cart qualifies for, with the items it discounts
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  type: String,
+  code: String,
+  amount: Number,
+  items: [{
+    _id: false,
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    },
+    medicineName: String,
+    quantity: Number,
+    discount: Number
+  }]
+}, { _id: false });
+
 const cartSchema = new mongoose.Schema({
   pharmacyId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -160,7 +182,7 @@ const cartSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'mobile_money', 'bank_transfer', 'credit', 'digital_wallet'],
+    enum: ['cash', 'card', 'mobile_money', 'bank_transfer', 'credit', 'digital_wallet', 'insurance', 'split'],
     default: 'cash'
   },
   status: {
@@ -194,6 +216,19 @@ const cartSchema = new mongoose.Schema({
     },
     reason: String
   },
+  // Coupon codes entered by the cashier
+  couponCodes: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  // Worked out from the pharmacy's promotions whenever the cart is saved
+  promotions: [appliedPromotionSchema],
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   taxAmount: {
     type: Number,
     default: 0,
@@ -204,6 +239,16 @@ const cartSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Pharmacist's approval of the high-severity interaction warnings shown for this cart
+  interactionOverride: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    reason: String,
+    warningKeys: [String]
+  },
   // NEW FIELDS FOR TRANSACTION TRACKING
   sourceTransactionCount: {
     type: Number,
@@ -250,7 +295,7 @@ cartSchema.pre('save', function(next) {
     discountValue = (this.totalAmount * this.discount.amount) / 100;
   }
   
-  this.finalAmount = this.totalAmount - discountValue + this.taxAmount;
+  this.finalAmount = Math.max(0, this.totalAmount - discountValue - (this.promotionDiscount || 0) + this.taxAmount);
 
   // Update transaction summary
   this.transactionSummary.totalSourceTransactions = this.sourceTransactions.length;
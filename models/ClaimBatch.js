@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// One claim of a remittance, matched against the sale it was made for
+const remittanceLineSchema = new mongoose.Schema({
+  claimId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceClaim'
+  },
+  claimNumber: String,
+  transactionNumber: String,
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  claimed: Number,
+  paid: Number,
+  // Paid minus claimed; negative means the insurer paid short
+  difference: Number,
+  result: {
+    type: String,
+    enum: ['matched', 'short_paid', 'over_paid', 'sale_missing']
+  }
+}, { _id: false });
+
+// A payment received from the insurer for claims of the batch
+const remittanceSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lines: [remittanceLineSchema],
+  // Amount of the remittance not matched to a claim line
+  unallocated: {
+    type: Number,
+    default: 0
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+/**
+ * Claims sent to one insurer together
+ */
+const claimBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  insurerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Insurer',
+    required: true
+  },
+  insurerName: String,
+  claims: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceClaim'
+  }],
+  claimCount: {
+    type: Number,
+    default: 0
+  },
+  totalClaimed: {
+    type: Number,
+    default: 0
+  },
+  totalPaid: {
+    type: Number,
+    default: 0
+  },
+  // submitted -> partially_paid -> settled (every claim paid or rejected)
+  status: {
+    type: String,
+    enum: ['submitted', 'partially_paid', 'settled'],
+    default: 'submitted'
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  remittances: [remittanceSchema],
+  notes: String
+}, {
+  timestamps: true
+});
+
+claimBatchSchema.index({ pharmacyId: 1, insurerId: 1, submittedAt: -1 });
+
+// Generate batch number
+claimBatchSchema.statics.generateBatchNumber = async function() {
+  const prefix = 'CB';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastBatch = await this.findOne(
+    { batchNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { batchNumber: -1 } }
+  );
+
+  let sequence = 1;
+  if (lastBatch) {
+    const lastSequence = parseInt(lastBatch.batchNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+module.exports = mongoose.model('ClaimBatch', claimBatchSchema);
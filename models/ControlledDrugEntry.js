@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// What moved the stock: opening balance, stock in, stock out, or a disposal witnessed from quarantine
+const ENTRY_TYPES = [
+  'opening',
+  'receipt',
+  'dispense',
+  'return',
+  'transfer_out',
+  'adjustment',
+  'quarantine',
+  'release',
+  'disposal'
+];
+
+/**
+ * One line of the controlled drugs register. Entries are never changed or
+ * removed: corrections are made by appending a new entry.
+ */
+const controlledDrugEntrySchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: {
+    type: String,
+    required: true
+  },
+  schedule: String,
+  // Position in the medicine's register, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  entryType: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  // Units involved, and their effect on the balance (zero for a disposal of quarantined stock)
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  // Running balance after this entry
+  balance: {
+    type: Number,
+    required: true
+  },
+  batches: [{
+    _id: false,
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }],
+  // Document that moved the stock, e.g. a sale, refund, goods-received note or stock take
+  reference: {
+    type: {
+      type: String
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    number: String
+  },
+  // Patient, customer, supplier or pharmacy on the other side of the movement
+  party: String,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+controlledDrugEntrySchema.index({ medicineId: 1, sequence: 1 }, { unique: true });
+controlledDrugEntrySchema.index({ pharmacyId: 1, createdAt: -1 });
+
+const appendOnlyError = () => {
+  const error = new Error('Controlled drug register entries cannot be changed or deleted');
+  error.code = 'REGISTER_APPEND_ONLY';
+  return error;
+};
+
+controlledDrugEntrySchema.pre('save', function(next) {
+  next(this.isNew ? undefined : appendOnlyError());
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteMany'
+].forEach(operation => {
+  controlledDrugEntrySchema.pre(operation, function(next) {
+    next(appendOnlyError());
+  });
+});
+
+controlledDrugEntrySchema.pre('deleteOne', { document: true, query: true }, function(next) {
+  next(appendOnlyError());
+});
+
+controlledDrugEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('ControlledDrugEntry', controlledDrugEntrySchema);
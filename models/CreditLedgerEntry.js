@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A sale on credit adds to what the customer owes; repayments and refunds of credit sales reduce it
+const ENTRY_TYPES = ['charge', 'repayment', 'refund'];
+
+const allocationSchema = new mongoose.Schema({
+  chargeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditLedgerEntry',
+    required: true
+  },
+  transactionNumber: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * One line of a customer's credit account. Charges are the open sales: their
+ * outstanding amount goes down as repayments and refunds are allocated to them.
+ */
+const creditLedgerEntrySchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  entryType: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Customer's balance after this entry
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  // Charges: the credit sale and what is still owed on it
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactionNumber: String,
+  dueDate: Date,
+  outstanding: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'partial', 'paid']
+  },
+
+  // Repayments and refunds: the charges they settle
+  allocations: [allocationSchema],
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'mobile_money', 'bank_transfer', 'digital_wallet']
+  },
+  reference: String,
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+creditLedgerEntrySchema.index({ pharmacyId: 1, customerId: 1, createdAt: -1 });
+creditLedgerEntrySchema.index({ pharmacyId: 1, entryType: 1, status: 1 });
+creditLedgerEntrySchema.index({ transactionId: 1 });
+
+creditLedgerEntrySchema.pre('validate', function(next) {
+  if (this.entryType === 'charge') {
+    if (this.outstanding === undefined) this.outstanding = this.amount;
+    if (this.outstanding <= 0) this.status = 'paid';
+    else this.status = this.outstanding < this.amount ? 'partial' : 'open';
+  }
+  next();
+});
+
+creditLedgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('CreditLedgerEntry', creditLedgerEntrySchema);
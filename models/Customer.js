@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Phone numbers are stored with digits only (and a leading +) so the same number is recognised however it is typed
+const normalizePhone = (phone) => {
+  const value = (phone || '').toString().trim();
+  const digits = value.replace(/\D/g, '');
+  if (!digits) return '';
+  return value.startsWith('+') ? `+${digits}` : digits;
+};
+
+const allergySchema = new mongoose.Schema({
+  substance: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reaction: {
+    type: String,
+    trim: true
+  },
+  severity: {
+    type: String,
+    enum: ['mild', 'moderate', 'severe'],
+    default: 'moderate'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Membership of an insurer's plan
+const insurancePolicySchema = new mongoose.Schema({
+  insurerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Insurer',
+    required: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  memberNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Main member when the customer is covered as a dependant
+  policyHolder: {
+    type: String,
+    trim: true
+  },
+  relationship: {
+    type: String,
+    enum: ['self', 'spouse', 'child', 'other'],
+    default: 'self'
+  },
+  validFrom: Date,
+  validTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * A customer (patient) of one pharmacy, identified by phone number
+ */
+const customerSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    set: normalizePhone
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  dateOfBirth: Date,
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  allergies: [allergySchema],
+  insurancePolicies: [insurancePolicySchema],
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Credit account: sales on credit may not take the balance above the limit
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  creditTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  creditBalance: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastPurchaseAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+customerSchema.index({ pharmacyId: 1, phone: 1 }, { unique: true });
+customerSchema.index({ pharmacyId: 1, name: 1 });
+
+customerSchema.statics.normalizePhone = normalizePhone;
+
+module.exports = mongoose.model('Customer', customerSchema);
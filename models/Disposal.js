@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const DISPOSAL_REASONS = ['expired', 'damaged', 'recalled', 'other'];
+const DISPOSAL_METHODS = [
+  'incineration',
+  'waste_contractor',
+  'returned_to_manufacturer',
+  'returned_to_supplier',
+  'other'
+];
+
+// A lot taken out of sellable stock
+const disposalItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: {
+    type: String,
+    required: true
+  },
+  genericName: String,
+  batchId: mongoose.Schema.Types.ObjectId,
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  costPrice: Number
+});
+
+const disposalSchema = new mongoose.Schema({
+  disposalNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: DISPOSAL_REASONS,
+    required: true
+  },
+  // quarantined -> disposed, or released back into stock
+  status: {
+    type: String,
+    enum: ['quarantined', 'disposed', 'released'],
+    default: 'quarantined'
+  },
+  items: {
+    type: [disposalItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A disposal needs at least one item'
+    }
+  },
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  quarantinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  quarantinedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // How the stock was destroyed or returned, and who witnessed it
+  disposal: {
+    method: {
+      type: String,
+      enum: DISPOSAL_METHODS
+    },
+    disposedAt: Date,
+    witnessName: {
+      type: String,
+      trim: true
+    },
+    witnessRole: {
+      type: String,
+      trim: true
+    },
+    contractorName: {
+      type: String,
+      trim: true
+    },
+    certificateNumber: {
+      type: String,
+      trim: true
+    },
+    certificateFile: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  releasedAt: Date,
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Adjustments taking the stock out of, and (if released) back into, inventory
+  quarantineTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  releaseTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+disposalSchema.index({ pharmacyId: 1, status: 1, quarantinedAt: -1 });
+disposalSchema.index({ pharmacyId: 1, 'disposal.disposedAt': -1 });
+
+disposalSchema.statics.REASONS = DISPOSAL_REASONS;
+disposalSchema.statics.METHODS = DISPOSAL_METHODS;
+
+// Generate disposal number
+disposalSchema.statics.generateDisposalNumber = async function(session = null) {
+  const prefix = 'DSP';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastDisposal = await this.findOne(
+    { disposalNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { disposalNumber: -1 }, session }
+  );
+
+  let sequence = 1;
+  if (lastDisposal) {
+    const lastSequence = parseInt(lastDisposal.disposalNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+disposalSchema.pre('validate', function(next) {
+  this.totalCost = this.items.reduce((total, item) => total + item.quantity * (item.costPrice || 0), 0);
+  next();
+});
+
+module.exports = mongoose.model('Disposal', disposalSchema);
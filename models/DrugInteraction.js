@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['low', 'moderate', 'high'];
+
+// Generic names are compared trimmed, lower-cased and with single spaces
+const normalizeGenericName = (name) => (name || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * A known interaction between two generic names, from a pharmacy's imported dataset.
+ * The pair is stored in alphabetical order so each interaction exists once.
+ */
+const drugInteractionSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  genericNameA: {
+    type: String,
+    required: true
+  },
+  genericNameB: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recommendation: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+drugInteractionSchema.index({ pharmacyId: 1, genericNameA: 1, genericNameB: 1 }, { unique: true });
+drugInteractionSchema.index({ pharmacyId: 1, genericNameB: 1 });
+
+drugInteractionSchema.pre('validate', function(next) {
+  const [first, second] = [normalizeGenericName(this.genericNameA), normalizeGenericName(this.genericNameB)].sort();
+  this.genericNameA = first;
+  this.genericNameB = second;
+  next();
+});
+
+// Key of a pair of generic names, independent of their order
+drugInteractionSchema.statics.pairKey = function(first, second) {
+  return [normalizeGenericName(first), normalizeGenericName(second)].sort().join('|');
+};
+
+drugInteractionSchema.statics.SEVERITIES = SEVERITIES;
+drugInteractionSchema.statics.normalizeGenericName = normalizeGenericName;
+
+module.exports = mongoose.model('DrugInteraction', drugInteractionSchema);
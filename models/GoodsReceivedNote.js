@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['short_shipped', 'over_shipped', 'damaged', 'wrong_batch', 'wrong_item', 'short_dated', 'price_variance', 'other'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  notes: String
+}, {
+  _id: false
+});
+
+const grnItemSchema = new mongoose.Schema({
+  purchaseOrderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: String,
+  batchNumber: String,
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  // Units accepted into stock
+  quantityReceived: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Units delivered but not accepted (e.g. damaged)
+  quantityRejected: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  discrepancies: [discrepancySchema]
+});
+
+const goodsReceivedNoteSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true,
+    index: true
+  },
+  poNumber: String,
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierInvoiceNumber: String,
+  deliveryNoteNumber: String,
+  items: [grnItemSchema],
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  hasDiscrepancies: {
+    type: Boolean,
+    default: false
+  },
+  // Purchase transaction recording the accepted stock
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Generate goods-received note number
+goodsReceivedNoteSchema.statics.generateGrnNumber = async function(session = null) {
+  const prefix = 'GRN';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastNote = await this.findOne(
+    { grnNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { grnNumber: -1 }, session }
+  );
+
+  let sequence = 1;
+  if (lastNote) {
+    const lastSequence = parseInt(lastNote.grnNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+goodsReceivedNoteSchema.pre('validate', function(next) {
+  this.totalCost = this.items.reduce(
+    (total, item) => total + item.quantityReceived * (item.unitCost || 0), 0
+  );
+  this.hasDiscrepancies = this.items.some(item => item.discrepancies.length > 0);
+  next();
+});
+
+module.exports = mongoose.model('GoodsReceivedNote', goodsReceivedNoteSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// What the insurer is asked to pay for one item of the sale
+const claimLineSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine'
+  },
+  medicineName: String,
+  quantity: Number,
+  unitPrice: Number,
+  totalPrice: Number,
+  coveragePercent: Number,
+  insurerAmount: Number,
+  copayAmount: Number
+}, { _id: false });
+
+/**
+ * The insurer's share of one sale. Claims wait as pending until they are sent in a
+ * claim batch, then follow the insurer's answer:
+ * pending -> submitted -> accepted | rejected, accepted -> paid
+ */
+const insuranceClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  insurerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Insurer',
+    required: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  planName: String,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  memberNumber: {
+    type: String,
+    required: true
+  },
+  patientName: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  transactionNumber: String,
+  serviceDate: {
+    type: Date,
+    default: Date.now
+  },
+  lines: [claimLineSchema],
+  claimAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  copayAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'accepted', 'rejected', 'paid'],
+    default: 'pending'
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClaimBatch'
+  },
+  submittedAt: Date,
+  respondedAt: Date,
+  rejectionReason: String,
+  // Insurer's own reference for the claim
+  insurerReference: String,
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  paidAt: Date,
+  remittanceReference: String,
+  statusHistory: [{
+    _id: false,
+    status: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+insuranceClaimSchema.index({ pharmacyId: 1, insurerId: 1, status: 1 });
+insuranceClaimSchema.index({ transactionId: 1 });
+
+// Generate claim number
+insuranceClaimSchema.statics.generateClaimNumber = async function() {
+  const prefix = 'CLM';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastClaim = await this.findOne(
+    { claimNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { claimNumber: -1 } }
+  );
+
+  let sequence = 1;
+  if (lastClaim) {
+    const lastSequence = parseInt(lastClaim.claimNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+module.exports = mongoose.model('InsuranceClaim', insuranceClaimSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// How much of an item a plan pays for. A rule matches one medicine, or a whole category.
+const coverageRuleSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine'
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  // Not covered at all; the patient pays the full price
+  excluded: {
+    type: Boolean,
+    default: false
+  },
+  coveragePercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Most the insurer pays per unit, whatever the percentage
+  maxUnitAmount: {
+    type: Number,
+    min: 0
+  }
+});
+
+coverageRuleSchema.pre('validate', function(next) {
+  if (!this.medicineId && !this.category) {
+    this.invalidate('medicineId', 'A coverage rule needs a medicine or a category');
+  }
+  next();
+});
+
+const planSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true
+  },
+  // Share of items without a matching rule that the insurer pays
+  defaultCoveragePercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  coverageRules: [coverageRuleSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+/**
+ * A health insurer the pharmacy claims from, with its plans
+ */
+const insurerSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  contact: {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: String,
+    address: String
+  },
+  // Days the insurer usually takes to pay a claim
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  plans: [planSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+insurerSchema.index({ pharmacyId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Insurer', insurerSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const marketplaceListingSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  // Copied from the medicine so buyers can search listings directly
+  medicineName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  genericName: {
+    type: String,
+    trim: true
+  },
+  form: String,
+  packSize: String,
+  category: String,
+  manufacturer: String,
+  medicineExpiryDate: Date,
+  offeredQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Price buyers pay: basePrice less any near-expiry markdown
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Price the seller set, before markdowns
+  basePrice: {
+    type: Number,
+    min: 0
+  },
+  markdownPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  priceHistory: [{
+    _id: false,
+    price: Number,
+    markdownPercent: Number,
+    reason: {
+      type: String,
+      enum: ['listed', 'manual', 'markdown']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  minOrderQuantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'withdrawn'],
+    default: 'active'
+  },
+  pausedAt: Date,
+  withdrawnAt: Date,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+marketplaceListingSchema.index({ status: 1, expiresAt: 1, pharmacyId: 1 });
+marketplaceListingSchema.index({ medicineId: 1, status: 1 });
+marketplaceListingSchema.index({
+  medicineName: 'text',
+  genericName: 'text',
+  manufacturer: 'text'
+});
+
+// Whether buyers can currently order from this listing
+marketplaceListingSchema.virtual('isAvailable').get(function() {
+  return this.status === 'active' &&
+    this.expiresAt > new Date() &&
+    this.offeredQuantity >= this.minOrderQuantity;
+});
+
+// Query for listings buyers can currently order from
+marketplaceListingSchema.statics.availableQuery = function() {
+  return {
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+    $expr: { $gte: ['$offeredQuantity', '$minOrderQuantity'] }
+  };
+};
+
+// Refresh the medicine details copied onto the listing
+marketplaceListingSchema.methods.syncFromMedicine = function(medicine) {
+  this.medicineName = medicine.name;
+  this.genericName = medicine.genericName;
+  this.form = medicine.form;
+  this.packSize = medicine.packSize;
+  this.category = medicine.category;
+  this.manufacturer = medicine.manufacturer;
+  this.medicineExpiryDate = medicine.expiryDate;
+  return this;
+};
+
+// Recompute the buyer price from the base price and markdown, recording any change
+const reprice = (listing, reason) => {
+  const price = Math.round(listing.basePrice * (100 - listing.markdownPercent)) / 100;
+  if (listing.price === price && listing.priceHistory.length > 0) {
+    return false;
+  }
+
+  listing.price = price;
+  listing.priceHistory.push({ price, markdownPercent: listing.markdownPercent, reason });
+  return true;
+};
+
+// Seller sets the price before markdowns
+marketplaceListingSchema.methods.setBasePrice = function(basePrice, reason = 'manual') {
+  this.basePrice = basePrice;
+  return reprice(this, reason);
+};
+
+// Apply a near-expiry discount on top of the seller's price
+marketplaceListingSchema.methods.applyMarkdown = function(markdownPercent) {
+  if (this.markdownPercent === markdownPercent) {
+    return false;
+  }
+
+  if (this.basePrice === undefined) {
+    this.basePrice = this.price;
+  }
+  this.markdownPercent = markdownPercent;
+  return reprice(this, 'markdown');
+};
+
+marketplaceListingSchema.pre('validate', function(next) {
+  if (this.minOrderQuantity > this.offeredQuantity && this.status === 'active' && this.isModified('minOrderQuantity')) {
+    this.invalidate('minOrderQuantity', 'Minimum order quantity cannot exceed the offered quantity');
+  }
+  next();
+});
+
+marketplaceListingSchema.set('toJSON', { virtuals: true });
+marketplaceListingSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('MarketplaceListing', marketplaceListingSchema);
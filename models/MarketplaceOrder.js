@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+
+// Which status an order may move to from each status, and which side moves it
+const ORDER_TRANSITIONS = {
+  placed: { accepted: 'seller', declined: 'seller', cancelled: 'buyer' },
+  accepted: { dispatched: 'seller', cancelled: 'buyer' },
+  dispatched: { received: 'buyer' },
+  received: { settled: 'seller' },
+  declined: {},
+  cancelled: {},
+  settled: {}
+};
+
+const orderItemSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarketplaceListing'
+  },
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: {
+    type: String,
+    required: true
+  },
+  genericName: String,
+  form: String,
+  packSize: String,
+  manufacturer: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Seller lots taken at dispatch
+  batchAllocations: [{
+    _id: false,
+    batchId: mongoose.Schema.Types.ObjectId,
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number,
+    costPrice: Number
+  }],
+  // Buyer medicine the stock was received into
+  receivedMedicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine'
+  }
+});
+
+const marketplaceOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  buyerPharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sellerPharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'An order needs at least one item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.keys(ORDER_TRANSITIONS),
+    default: 'placed'
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: String,
+  declineReason: String,
+  cancellationReason: String,
+  trackingReference: String,
+  paymentReference: String,
+  // Buyer's purchase transaction, created on receipt
+  purchaseTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  placedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: Date,
+  declinedAt: Date,
+  cancelledAt: Date,
+  dispatchedAt: Date,
+  receivedAt: Date,
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+marketplaceOrderSchema.index({ sellerPharmacyId: 1, status: 1, createdAt: -1 });
+marketplaceOrderSchema.index({ buyerPharmacyId: 1, status: 1, createdAt: -1 });
+
+// Generate order number
+marketplaceOrderSchema.statics.generateOrderNumber = async function() {
+  const prefix = 'MPO';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastOrder = await this.findOne(
+    { orderNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { orderNumber: -1 } }
+  );
+
+  let sequence = 1;
+  if (lastOrder) {
+    const lastSequence = parseInt(lastOrder.orderNumber.slice(-4));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(4, '0')}`;
+};
+
+// Which side ('buyer' or 'seller') a pharmacy is on for this order, or null
+marketplaceOrderSchema.methods.partyOf = function(pharmacyId) {
+  if (this.sellerPharmacyId.toString() === pharmacyId.toString()) return 'seller';
+  if (this.buyerPharmacyId.toString() === pharmacyId.toString()) return 'buyer';
+  return null;
+};
+
+/**
+ * Move the order to a new status on behalf of one side.
+ * Throws with code INVALID_TRANSITION if the move is not allowed.
+ */
+marketplaceOrderSchema.methods.transitionTo = function(status, party, userId, note) {
+  const allowedParty = ORDER_TRANSITIONS[this.status][status];
+  if (!allowedParty || allowedParty !== party) {
+    const error = new Error(`Order ${this.orderNumber} cannot be ${status} by the ${party} while ${this.status}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  this.status = status;
+  this[`${status}At`] = new Date();
+  this.statusHistory.push({ status, changedBy: userId, note });
+
+  return this;
+};
+
+marketplaceOrderSchema.pre('validate', function(next) {
+  if (this.isModified('items')) {
+    this.items.forEach(item => {
+      item.totalPrice = item.quantity * item.unitPrice;
+    });
+    this.subtotal = this.items.reduce((total, item) => total + item.totalPrice, 0);
+    this.totalAmount = this.subtotal;
+  }
+  next();
+});
+
+marketplaceOrderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+
+module.exports = mongoose.model('MarketplaceOrder', marketplaceOrderSchema);
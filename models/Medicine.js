@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+// Schedules of controlled (narcotic or psychotropic) drugs that must be kept in the register
+const CONTROLLED_SCHEDULES = ['I', 'II', 'III', 'IV', 'V'];
+
+// A lot (batch) of stock received for a medicine
+const batchSchema = new mongoose.Schema({
+    batchNumber: {
+        type: String,
+        trim: true
+    },
+    expiryDate: {
+        type: Date,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    costPrice: {
+        type: Number,
+        min: 0
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: true
+});
+
 const medicineSchema = new mongoose.Schema({
     pharmacyId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -37,6 +67,10 @@ const medicineSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    costPrice: {
+        type: Number,
+        min: 0
+    },
     expiryDate: {
         type: Date,
         required: true
@@ -49,6 +83,8 @@ const medicineSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Individual lots; quantity, batchNumber and expiryDate above mirror them
+    batches: [batchSchema],
     category: {
         type: String,
         required: true,
@@ -62,6 +98,12 @@ const medicineSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set for controlled drugs; every stock movement is then written to the controlled drugs register
+    controlledSchedule: {
+        type: String,
+        enum: [...CONTROLLED_SCHEDULES, null],
+        default: null
+    },
     stockAlert: {
         type: Number,
         default: 10
@@ -70,6 +112,11 @@ const medicineSchema = new mongoose.Schema({
         type: Number,
         default: 10
     },
+    // Supplier used when reorder suggestions are turned into purchase orders
+    preferredSupplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
     status: {
         type: String,
         enum: ['active', 'inactive', 'discontinued'],
@@ -99,6 +146,26 @@ const medicineSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Keep the top-level stock fields in step with the lots
+medicineSchema.pre('validate', function(next) {
+    this.ensureBatches();
+
+    if (this.batches.length > 0) {
+        this.quantity = this.batches.reduce((total, batch) => total + batch.quantity, 0);
+
+        // The current lot is the next one to be sold: earliest unexpired lot with stock
+        const now = new Date();
+        const byExpiry = [...this.batches].sort((a, b) => a.expiryDate - b.expiryDate);
+        const current = byExpiry.find(batch => batch.quantity > 0 && batch.expiryDate > now) ||
+            byExpiry.find(batch => batch.quantity > 0) ||
+            byExpiry[byExpiry.length - 1];
+        this.expiryDate = current.expiryDate;
+        this.batchNumber = current.batchNumber;
+    }
+
+    next();
+});
+
 // Index for search functionality
 medicineSchema.index({
     name: 'text',
@@ -121,6 +188,21 @@ medicineSchema.virtual('stockStatus').get(function() {
     return 'in_stock';
 });
 
+// Quantity that can be sold, i.e. stock in lots that have not expired
+medicineSchema.virtual('sellableQuantity').get(function() {
+    const now = new Date();
+    if (!Array.isArray(this.batches) || this.batches.length === 0) {
+        return this.expiryDate && this.expiryDate <= now ? 0 : this.quantity;
+    }
+    return this.batches
+        .filter(batch => batch.expiryDate > now)
+        .reduce((total, batch) => total + batch.quantity, 0);
+});
+
+medicineSchema.virtual('isControlled').get(function() {
+    return Boolean(this.controlledSchedule);
+});
+
 // Check if medicine is expired
 medicineSchema.virtual('isExpired').get(function() {
     return new Date() > this.expiryDate;
@@ -140,6 +222,129 @@ medicineSchema.methods.expiresWithinDays = function(days) {
     return this.expiryDate <= targetDate && this.expiryDate > new Date();
 };
 
+// Method to seed a lot from the top-level stock fields for medicines created before lot tracking
+medicineSchema.methods.ensureBatches = function() {
+    if ((!this.batches || this.batches.length === 0) && this.quantity > 0 && this.expiryDate) {
+        this.batches = [{
+            batchNumber: this.batchNumber,
+            expiryDate: this.expiryDate,
+            quantity: this.quantity,
+            costPrice: this.costPrice,
+            receivedAt: this.createdAt || new Date()
+        }];
+    }
+    return this;
+};
+
+// Method to add a received lot, merging into an existing lot with the same batch and expiry
+medicineSchema.methods.addBatch = function({ batchNumber, expiryDate, quantity, costPrice, receivedAt }) {
+    this.ensureBatches();
+
+    const expiry = new Date(expiryDate);
+    const existing = this.batches.find(batch =>
+        (batch.batchNumber || '') === (batchNumber || '') &&
+        batch.expiryDate.getTime() === expiry.getTime()
+    );
+
+    if (existing) {
+        existing.quantity += quantity;
+        if (costPrice !== undefined) existing.costPrice = costPrice;
+        return existing;
+    }
+
+    this.batches.push({
+        batchNumber,
+        expiryDate: expiry,
+        quantity,
+        costPrice,
+        receivedAt: receivedAt || new Date()
+    });
+    return this.batches[this.batches.length - 1];
+};
+
+// Method to take stock from lots, earliest expiry first (FEFO). Expired lots are skipped.
+medicineSchema.methods.allocateFEFO = function(quantity) {
+    this.ensureBatches();
+
+    const now = new Date();
+    const lots = this.batches
+        .filter(batch => batch.quantity > 0 && batch.expiryDate > now)
+        .sort((a, b) => a.expiryDate - b.expiryDate);
+
+    const available = lots.reduce((total, batch) => total + batch.quantity, 0);
+    if (available < quantity) {
+        const error = new Error(`Insufficient unexpired stock for ${this.name}. Available: ${available}, Requested: ${quantity}`);
+        error.code = 'INSUFFICIENT_STOCK';
+        throw error;
+    }
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const batch of lots) {
+        if (remaining === 0) break;
+
+        const taken = Math.min(batch.quantity, remaining);
+        batch.quantity -= taken;
+        remaining -= taken;
+
+        allocations.push({
+            batchId: batch._id,
+            batchNumber: batch.batchNumber,
+            expiryDate: batch.expiryDate,
+            quantity: taken,
+            costPrice: batch.costPrice
+        });
+    }
+
+    return allocations;
+};
+
+// Method to put stock back into the lots it was taken from
+medicineSchema.methods.returnToBatches = function(allocations) {
+    this.ensureBatches();
+
+    for (const allocation of allocations) {
+        const batch = allocation.batchId && this.batches.id(allocation.batchId);
+        if (batch) {
+            batch.quantity += allocation.quantity;
+        } else {
+            this.addBatch(allocation);
+        }
+    }
+
+    return this;
+};
+
+// Method to correct the quantity of one lot, e.g. after a stock count.
+// Returns the change as a lot allocation (quantity is the absolute change).
+medicineSchema.methods.adjustBatch = function(batchId, change) {
+    this.ensureBatches();
+
+    const batch = this.batches.id(batchId);
+    if (!batch) {
+        const error = new Error(`Lot ${batchId} not found for ${this.name}`);
+        error.code = 'BATCH_NOT_FOUND';
+        throw error;
+    }
+
+    if (batch.quantity + change < 0) {
+        const error = new Error(`Cannot remove ${-change} from lot ${batch.batchNumber || batch._id} of ${this.name}. In stock: ${batch.quantity}`);
+        error.code = 'INSUFFICIENT_STOCK';
+        throw error;
+    }
+
+    batch.quantity += change;
+
+    return {
+        batchId: batch._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: Math.abs(change),
+        costPrice: batch.costPrice
+    };
+};
+
 // Method to mark medicine as in transaction
 medicineSchema.methods.markInTransaction = function(transactionNumber, transactionId) {
     this.inTransaction = true;
@@ -166,4 +371,6 @@ medicineSchema.statics.findInTransaction = function(pharmacyId, transactionNumbe
     return this.find(query);
 };
 
+medicineSchema.statics.CONTROLLED_SCHEDULES = CONTROLLED_SCHEDULES;
+
 module.exports = mongoose.model('Medicine', medicineSchema);
\ No newline at end of file
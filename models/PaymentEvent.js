@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * A webhook event received from a payment provider. Kept so a redelivered
+ * event is only applied once.
+ */
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  paymentId: String,
+  amount: Number,
+  // Tender status the event moved the payment to, if it was recognised
+  appliedStatus: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
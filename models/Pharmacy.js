@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * A pharmacy account that staff belong to through memberships.
+ *
+ * A pharmacy's _id is its founding owner's user ID, which is what pharmacy-scoped
+ * records (medicines, sales, settings, ...) have always been keyed by. It stays
+ * the same when ownership is transferred.
+ */
+const pharmacySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Require two-factor authentication of the owner and of members who can manage staff or roles
+  requireTwoFactorForAdmins: {
+    type: Boolean,
+    default: false
+  },
+  ownershipHistory: [{
+    _id: false,
+    fromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    transferredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+pharmacySchema.index({ ownerId: 1 });
+
+module.exports = mongoose.model('Pharmacy', pharmacySchema);
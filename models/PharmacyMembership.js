@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * A staff member's access to a pharmacy, from invitation to revocation.
+ *
+ * The role names one of the pharmacy's roles (see PharmacyRole) and takes the
+ * place of User.role on authenticated requests. A user has at most one active membership.
+ */
+const pharmacyMembershipSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+  // Set once the invitation is accepted
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'revoked'],
+    default: 'invited'
+  },
+
+  // Invitation; only a hash of the token is stored
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpires: Date,
+
+  joinedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pharmacyMembershipSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+pharmacyMembershipSchema.index({ pharmacyId: 1, email: 1 });
+pharmacyMembershipSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('PharmacyMembership', pharmacyMembershipSchema);
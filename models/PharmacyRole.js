@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * A role within a pharmacy and the permissions it grants. Every pharmacy has
+ * the system roles (admin, pharmacist, assistant), whose permissions it can
+ * edit, and can add roles of its own. Members refer to a role by name.
+ */
+const pharmacyRoleSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS
+  }],
+  // System roles cannot be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pharmacyRoleSchema.index({ pharmacyId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('PharmacyRole', pharmacyRoleSchema);
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+
+// A medicine prescribed, dispensed up to quantity on each fill
+const prescriptionItemSchema = new mongoose.Schema({
+  // Optional: without it any medicine with the same generic name can be dispensed
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine'
+  },
+  medicineName: {
+    type: String,
+    trim: true
+  },
+  genericName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  dosageInstructions: {
+    type: String,
+    trim: true
+  }
+});
+
+// One fill of the prescription at checkout or quick sale
+const dispenseSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactionNumber: String,
+  items: [{
+    _id: false,
+    prescriptionItemId: mongoose.Schema.Types.ObjectId,
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    },
+    medicineName: String,
+    quantity: Number
+  }],
+  dispensedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dispensedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const prescriptionSchema = new mongoose.Schema({
+  prescriptionNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  prescriber: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    licenseNumber: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    facility: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  patient: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    dateOfBirth: Date,
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  issueDate: {
+    type: Date,
+    required: true
+  },
+  // Last day the prescription can be dispensed
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  items: {
+    type: [prescriptionItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A prescription needs at least one item'
+    }
+  },
+  // Fills allowed after the first one
+  refillsAllowed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dispenses: [dispenseSchema],
+  image: String,
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date,
+  cancelReason: String,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+prescriptionSchema.index({ pharmacyId: 1, status: 1, createdAt: -1 });
+prescriptionSchema.index({ pharmacyId: 1, 'patient.phone': 1 });
+
+prescriptionSchema.virtual('fillsUsed').get(function() {
+  return this.dispenses ? this.dispenses.length : 0;
+});
+
+prescriptionSchema.virtual('refillsRemaining').get(function() {
+  return Math.max(0, this.refillsAllowed + 1 - this.fillsUsed);
+});
+
+prescriptionSchema.virtual('isExpired').get(function() {
+  return this.validUntil < new Date();
+});
+
+// Generate prescription number
+prescriptionSchema.statics.generatePrescriptionNumber = async function() {
+  const prefix = 'RX';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastPrescription = await this.findOne(
+    { prescriptionNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { prescriptionNumber: -1 } }
+  );
+
+  let sequence = 1;
+  if (lastPrescription) {
+    const lastSequence = parseInt(lastPrescription.prescriptionNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+// Reason the prescription cannot be dispensed now, or null if it can
+prescriptionSchema.methods.unusableReason = function(now = new Date()) {
+  if (this.status === 'cancelled') return 'Prescription has been cancelled';
+  if (this.validUntil < now) return 'Prescription has expired';
+  if (this.status === 'completed' || this.refillsRemaining === 0) return 'Prescription has no refills remaining';
+  return null;
+};
+
+// Prescription line covering a medicine: same medicine, or same generic name if no medicine was named
+prescriptionSchema.methods.findItemFor = function(medicine) {
+  const genericName = (medicine.genericName || '').trim().toLowerCase();
+
+  return this.items.find(item => item.medicineId && item.medicineId.toString() === medicine._id.toString()) ||
+    this.items.find(item => !item.medicineId && item.genericName.toLowerCase() === genericName);
+};
+
+prescriptionSchema.set('toJSON', { virtuals: true });
+prescriptionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * A promotion applied automatically to carts it matches.
+ *
+ * Types:
+ * - buy_x_get_y: for every buyQuantity + getQuantity matching units, the cheapest
+ *   getQuantity are discounted by getDiscountPercent (100 = free)
+ * - percentage_off: percentOff of every matching item
+ * - bundle_price: every full set of bundleItems costs bundlePrice
+ *
+ * A schedule limits a promotion to dates, days of the week and a daily time window
+ * (happy hours). A promotion with a code is a coupon: it only applies once the code
+ * is entered on the cart, and usageLimit caps how many sales can use it.
+ */
+const promotionSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'percentage_off', 'bundle_price'],
+    required: true
+  },
+
+  // Items the promotion applies to; no target means every item
+  target: {
+    medicineIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    }],
+    categories: [{
+      type: String,
+      trim: true
+    }],
+    manufacturers: [{
+      type: String,
+      trim: true
+    }]
+  },
+
+  // buy_x_get_y
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100
+  },
+
+  // percentage_off
+  percentOff: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+
+  // bundle_price
+  bundleItems: [{
+    _id: false,
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+  bundlePrice: {
+    type: Number,
+    min: 0
+  },
+
+  // Cart subtotal needed before the promotion applies
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  schedule: {
+    startDate: Date,
+    endDate: Date,
+    // 0 = Sunday ... 6 = Saturday; empty means every day
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // Daily window as HH:mm; a window ending before it starts runs past midnight
+    startTime: {
+      type: String,
+      match: [TIME_PATTERN, 'Start time must be HH:mm']
+    },
+    endTime: {
+      type: String,
+      match: [TIME_PATTERN, 'End time must be HH:mm']
+    }
+  },
+
+  // Coupon code; uppercase and unique within the pharmacy
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // How many sales can use the promotion; null means no limit
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'Usage limit must be a whole number'
+    }
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Higher priority promotions are applied first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy X get Y promotions need buyQuantity and getQuantity');
+  }
+  if (this.type === 'percentage_off' && !(this.percentOff > 0)) {
+    this.invalidate('percentOff', 'Percentage off promotions need percentOff');
+  }
+  if (this.type === 'bundle_price' && (this.bundleItems.length === 0 || this.bundlePrice === undefined || this.bundlePrice === null)) {
+    this.invalidate('bundleItems', 'Bundle promotions need bundleItems and bundlePrice');
+  }
+  if (this.schedule && Boolean(this.schedule.startTime) !== Boolean(this.schedule.endTime)) {
+    this.invalidate('schedule.startTime', 'A time window needs both startTime and endTime');
+  }
+  if (this.schedule && this.schedule.startDate && this.schedule.endDate && this.schedule.endDate < this.schedule.startDate) {
+    this.invalidate('schedule.endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+promotionSchema.index(
+  { pharmacyId: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+promotionSchema.index({ pharmacyId: 1, isActive: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
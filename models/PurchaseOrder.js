@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: {
+    type: String,
+    required: true
+  },
+  orderedQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expectedUnitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Accepted into stock across all goods-received notes
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: String
+});
+
+purchaseOrderItemSchema.virtual('outstandingQuantity').get(function() {
+  return Math.max(0, this.orderedQuantity - this.receivedQuantity);
+});
+
+purchaseOrderItemSchema.set('toJSON', { virtuals: true });
+purchaseOrderItemSchema.set('toObject', { virtuals: true });
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: String,
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A purchase order needs at least one item'
+    }
+  },
+  expectedTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expectedDeliveryDate: Date,
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'],
+    default: 'draft'
+  },
+  orderedAt: Date,
+  receivedAt: Date,
+  closedAt: Date,
+  cancelledAt: Date,
+  closeReason: String,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ pharmacyId: 1, status: 1, expectedDeliveryDate: 1 });
+
+// Generate purchase order number
+purchaseOrderSchema.statics.generatePoNumber = async function() {
+  const prefix = 'PO';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastOrder = await this.findOne(
+    { poNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { poNumber: -1 } }
+  );
+
+  let sequence = 1;
+  if (lastOrder) {
+    const lastSequence = parseInt(lastOrder.poNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+// Statuses in which goods can still be received
+purchaseOrderSchema.statics.OPEN_STATUSES = ['ordered', 'partially_received'];
+
+purchaseOrderSchema.virtual('isOverdue').get(function() {
+  return this.constructor.OPEN_STATUSES.includes(this.status) &&
+    !!this.expectedDeliveryDate &&
+    this.expectedDeliveryDate < new Date();
+});
+
+// Move between ordered, partially received and received from the received quantities
+purchaseOrderSchema.methods.refreshReceiptStatus = function() {
+  if (!this.constructor.OPEN_STATUSES.includes(this.status)) {
+    return this;
+  }
+
+  const fullyReceived = this.items.every(item => item.receivedQuantity >= item.orderedQuantity);
+  const anyReceived = this.items.some(item => item.receivedQuantity > 0);
+
+  if (fullyReceived) {
+    this.status = 'received';
+    this.receivedAt = new Date();
+  } else if (anyReceived) {
+    this.status = 'partially_received';
+  }
+
+  return this;
+};
+
+purchaseOrderSchema.pre('validate', function(next) {
+  if (this.isModified('items')) {
+    this.expectedTotal = this.items.reduce(
+      (total, item) => total + item.orderedQuantity * item.expectedUnitPrice, 0
+    );
+  }
+  next();
+});
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+purchaseOrderSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
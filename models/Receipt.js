@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
 
+// One payment towards the sale, as shown on the receipt
+const tenderSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  tendered: Number,
+  change: {
+    type: Number,
+    default: 0
+  },
+  reference: String,
+  provider: String,
+  transactionId: String
+}, { _id: false });
+
+// A promotion applied to the sale, itemised on the receipt
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  type: String,
+  code: String,
+  amount: Number,
+  items: [{
+    _id: false,
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    },
+    medicineName: String,
+    quantity: Number,
+    discount: Number
+  }]
+}, { _id: false });
+
 const receiptSchema = new mongoose.Schema({
   receiptNumber: {
     type: String,
@@ -51,7 +93,15 @@ const receiptSchema = new mongoose.Schema({
     },
     batchNumber: String,
     expiryDate: Date,
-    manufacturer: String
+    manufacturer: String,
+    batchAllocations: [{
+      _id: false,
+      batchId: mongoose.Schema.Types.ObjectId,
+      batchNumber: String,
+      expiryDate: Date,
+      quantity: Number,
+      costPrice: Number
+    }]
   }],
   subtotal: {
     type: Number,
@@ -65,6 +115,11 @@ const receiptSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  promotions: [appliedPromotionSchema],
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
   deliveryFee: {
     type: Number,
     default: 0
@@ -86,12 +141,22 @@ const receiptSchema = new mongoose.Schema({
       type: String,
       default: 'completed'
     },
-    transactionId: String
+    transactionId: String,
+    tenders: [tenderSchema],
+    amountTendered: Number,
+    changeDue: {
+      type: Number,
+      default: 0
+    }
   },
   customerInfo: {
     name: String,
     phone: String,
-    email: String
+    email: String,
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    }
   },
   receiptDate: {
     type: Date,
@@ -106,7 +171,7 @@ const receiptSchema = new mongoose.Schema({
 });
 
 // Generate receipt number
-receiptSchema.statics.generateReceiptNumber = async function() {
+receiptSchema.statics.generateReceiptNumber = async function(session = null) {
   const prefix = 'RCP';
   const today = new Date();
   const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
@@ -114,7 +179,7 @@ receiptSchema.statics.generateReceiptNumber = async function() {
   const lastReceipt = await this.findOne(
     { receiptNumber: new RegExp(`^${prefix}${dateStr}`) },
     {},
-    { sort: { receiptNumber: -1 } }
+    { sort: { receiptNumber: -1 }, session }
   );
 
   let sequence = 1;
@@ -37,7 +37,11 @@ const refundSchema = new mongoose.Schema({
   customerInfo: {
     name: String,
     phone: String,
-    email: String
+    email: String,
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    }
   },
   refundItems: [{
     medicineId: {
@@ -62,7 +66,15 @@ const refundSchema = new mongoose.Schema({
       required: true
     },
     batchNumber: String,
-    expiryDate: Date
+    expiryDate: Date,
+    batchAllocations: [{
+      _id: false,
+      batchId: mongoose.Schema.Types.ObjectId,
+      batchNumber: String,
+      expiryDate: Date,
+      quantity: Number,
+      costPrice: Number
+    }]
   }],
   originalAmount: {
     type: Number,
@@ -91,12 +103,35 @@ const refundSchema = new mongoose.Schema({
     enum: ['cash', 'card', 'mobile_money', 'bank_transfer', 'credit', 'original_method'],
     required: true
   },
+  // Money sent back through the payment provider to the sale's card and other tenders
+  gatewayRefunds: [{
+    _id: false,
+    provider: String,
+    paymentId: String,
+    refundId: String,
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['completed', 'failed']
+    },
+    message: String
+  }],
+  // Part of the refund paid back in cash from the drawer
+  cashAmount: {
+    type: Number,
+    default: 0
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   approvedAt: Date,
   completedAt: Date,
+  // Cash drawer shift the refund was paid out from
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
   rejectionReason: String,
   notes: String
 }, {
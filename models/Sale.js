@@ -29,9 +29,59 @@ const saleItemSchema = new mongoose.Schema({
     required: true
   },
   costPrice: Number, // For profit calculation
-  profit: Number // Selling price - cost price
+  profit: Number, // Selling price - cost price
+  batchAllocations: [{
+    _id: false,
+    batchId: mongoose.Schema.Types.ObjectId,
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number,
+    costPrice: Number
+  }]
 });
 
+// One payment towards the sale, as recorded on the transaction
+const tenderSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  tendered: Number,
+  change: {
+    type: Number,
+    default: 0
+  },
+  reference: String,
+  provider: String,
+  transactionId: String
+}, { _id: false });
+
+// A promotion applied to the sale; amount is what it cost the pharmacy
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  type: String,
+  code: String,
+  amount: Number,
+  items: [{
+    _id: false,
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    },
+    medicineName: String,
+    quantity: Number,
+    discount: Number
+  }]
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   // Pharmacy Information
   pharmacyId: {
@@ -104,7 +154,7 @@ const saleSchema = new mongoose.Schema({
   payment: {
     method: {
       type: String,
-      enum: ['cash', 'card', 'mobile_money', 'bank_transfer', 'digital_wallet', 'credit'],
+      enum: ['cash', 'card', 'mobile_money', 'bank_transfer', 'digital_wallet', 'credit', 'insurance', 'split'],
       required: true
     },
     amount: {
@@ -116,7 +166,41 @@ const saleSchema = new mongoose.Schema({
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'completed'
     },
-    transactionId: String
+    transactionId: String,
+    tenders: [tenderSchema],
+    amountTendered: Number,
+    changeDue: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Insurer's share of the sale and what the insurer has paid of it
+  insurance: {
+    insurerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Insurer'
+    },
+    insurerName: String,
+    planName: String,
+    memberNumber: String,
+    claimId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsuranceClaim'
+    },
+    claimNumber: String,
+    insurerAmount: Number,
+    copayAmount: Number,
+    claimStatus: {
+      type: String,
+      enum: ['pending', 'submitted', 'accepted', 'rejected', 'paid']
+    },
+    paidAmount: {
+      type: Number,
+      default: 0
+    },
+    paidAt: Date,
+    remittanceReference: String
   },
 
   // Financial Summary
@@ -132,6 +216,11 @@ const saleSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  promotions: [appliedPromotionSchema],
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
   deliveryFee: {
     type: Number,
     default: 0
@@ -203,6 +292,7 @@ saleSchema.index({ pharmacyId: 1, medicineId: 1 });
 saleSchema.index({ transactionNumber: 1 });
 saleSchema.index({ receiptNumber: 1 });
 saleSchema.index({ 'customerInfo.phone': 1 });
+saleSchema.index({ pharmacyId: 1, 'customerInfo.customerId': 1, transactionDate: -1 });
 
 // Pre-save middleware to calculate analytics fields
 saleSchema.pre('save', function(next) {
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * An account or IP address being locked out after repeated failed attempts,
+ * or unlocked again.
+ */
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['lockout', 'unlock'],
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  keyType: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Set when the key belongs to a known account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String,
+  failures: Number,
+  lockedUntil: Date,
+  // Why an unlock happened: the lock expired, or the password was reset
+  reason: {
+    type: String,
+    enum: ['too_many_failures', 'expired', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ key: 1, createdAt: -1 });
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
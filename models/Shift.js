@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Cash put into or taken out of the drawer outside a sale or refund
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['cash_in', 'cash_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * A till session: one member of staff's cash drawer from opening float to closing count
+ */
+const shiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  drawerName: {
+    type: String,
+    trim: true
+  },
+  // open -> closed
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  cashMovements: [cashMovementSchema],
+
+  // Set when the shift is closed
+  countedCash: Number,
+  expectedCash: Number,
+  // Counted minus expected; negative means cash is missing
+  variance: Number,
+  // Z-report: totals of the shift, frozen at closing
+  report: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  notes: String,
+  closingNotes: String
+}, {
+  timestamps: true
+});
+
+// A member of staff has at most one open shift
+shiftSchema.index(
+  { pharmacyId: 1, openedBy: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+shiftSchema.index({ pharmacyId: 1, openedAt: -1 });
+
+// Generate shift number
+shiftSchema.statics.generateShiftNumber = async function() {
+  const prefix = 'SH';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastShift = await this.findOne(
+    { shiftNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { shiftNumber: -1 } }
+  );
+
+  let sequence = 1;
+  if (lastShift) {
+    const lastSequence = parseInt(lastShift.shiftNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Transaction = require('./Transaction');
+
+// One lot to be counted in a stock take
+const stockTakeItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: {
+    type: String,
+    required: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  costPrice: Number,
+  // Quantity on record for the lot when it was counted
+  expectedQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  countedQuantity: {
+    type: Number,
+    min: 0
+  },
+  reasonCode: {
+    type: String,
+    enum: Transaction.ADJUSTMENT_REASONS
+  },
+  notes: String,
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: Date
+});
+
+stockTakeItemSchema.virtual('isCounted').get(function() {
+  return this.countedQuantity !== undefined && this.countedQuantity !== null;
+});
+
+// Counted minus expected; positive means stock was found, negative means it is missing
+stockTakeItemSchema.virtual('variance').get(function() {
+  return this.isCounted ? this.countedQuantity - this.expectedQuantity : null;
+});
+
+stockTakeItemSchema.virtual('varianceValue').get(function() {
+  return this.isCounted ? this.variance * (this.costPrice || 0) : null;
+});
+
+stockTakeItemSchema.set('toJSON', { virtuals: true });
+stockTakeItemSchema.set('toObject', { virtuals: true });
+
+const stockTakeSchema = new mongoose.Schema({
+  stockTakeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // counting -> submitted -> approved, or cancelled before approval
+  status: {
+    type: String,
+    enum: ['counting', 'submitted', 'approved', 'cancelled'],
+    default: 'counting'
+  },
+  items: [stockTakeItemSchema],
+  // Adjustment transactions posted on approval, one per reason and direction
+  adjustmentTransactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  notes: String,
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockTakeSchema.index({ pharmacyId: 1, status: 1, createdAt: -1 });
+
+// Generate stock take number
+stockTakeSchema.statics.generateStockTakeNumber = async function() {
+  const prefix = 'ST';
+  const today = new Date();
+  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const lastStockTake = await this.findOne(
+    { stockTakeNumber: new RegExp(`^${prefix}${dateStr}`) },
+    {},
+    { sort: { stockTakeNumber: -1 } }
+  );
+
+  let sequence = 1;
+  if (lastStockTake) {
+    const lastSequence = parseInt(lastStockTake.stockTakeNumber.slice(-3));
+    sequence = lastSequence + 1;
+  }
+
+  return `${prefix}${dateStr}${sequence.toString().padStart(3, '0')}`;
+};
+
+stockTakeSchema.virtual('summary').get(function() {
+  const counted = this.items.filter(item => item.isCounted);
+  const variances = counted.filter(item => item.variance !== 0);
+
+  return {
+    lines: this.items.length,
+    counted: counted.length,
+    withVariance: variances.length,
+    unitsMissing: variances.filter(item => item.variance < 0).reduce((total, item) => total - item.variance, 0),
+    unitsFound: variances.filter(item => item.variance > 0).reduce((total, item) => total + item.variance, 0),
+    netValue: variances.reduce((total, item) => total + item.varianceValue, 0)
+  };
+});
+
+stockTakeSchema.set('toJSON', { virtuals: true });
+stockTakeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
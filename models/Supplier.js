@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    zipCode: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  // Typical days between ordering and delivery
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  paymentTerms: {
+    type: String,
+    trim: true
+  },
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ pharmacyId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
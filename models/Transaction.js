@@ -1,6 +1,34 @@
 const mongoose = require('mongoose');
 const Counter = require('./Counter');
 
+// Why stock was adjusted outside a sale or purchase
+const ADJUSTMENT_REASONS = ['damaged', 'expired', 'theft', 'count_correction', 'other'];
+
+// Stock lot a transaction item was dispensed from
+const batchAllocationSchema = new mongoose.Schema({
+    batchId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    batchNumber: {
+        type: String,
+        trim: true
+    },
+    expiryDate: {
+        type: Date
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    costPrice: {
+        type: Number,
+        min: 0
+    }
+}, {
+    _id: false
+});
+
 const transactionItemSchema = new mongoose.Schema({
     medicineId: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -51,12 +79,77 @@ const transactionItemSchema = new mongoose.Schema({
     manufacturer: {
         type: String,
         trim: true
-    }
+    },
+    batchAllocations: [batchAllocationSchema]
 }, { 
     timestamps: true,
     _id: true
 });
 
+// One payment towards a sale; a sale can be paid with several
+const tenderSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'bank_transfer', 'digital_wallet', 'mobile_money', 'credit', 'insurance'],
+        required: true
+    },
+    // Amount applied to the sale, and what was handed over (cash may be more, the rest is change)
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    tendered: {
+        type: Number,
+        min: 0
+    },
+    change: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // What may be kept about the source: provider token and last 4 digits, never card data
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    reference: String,
+    // Payment provider and its payment ID ('counter' for cash and credit)
+    provider: String,
+    transactionId: String,
+    status: {
+        type: String,
+        enum: ['pending', 'authorized', 'pending_capture', 'completed', 'failed', 'voided', 'refunded'],
+        default: 'completed'
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    processedAt: Date
+}, { _id: false });
+
+// A promotion applied to the sale, with the items it discounted
+const appliedPromotionSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+    },
+    name: String,
+    type: String,
+    code: String,
+    amount: Number,
+    items: [{
+        _id: false,
+        medicineId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Medicine'
+        },
+        medicineName: String,
+        quantity: Number,
+        discount: Number
+    }]
+}, { _id: false });
+
 const transactionSchema = new mongoose.Schema({
     // Core Identifiers
     pharmacyId: { 
@@ -126,6 +219,13 @@ const transactionSchema = new mongoose.Schema({
         enum: ['fixed', 'percentage'],
         default: 'fixed'
     },
+    // Promotions applied automatically, on top of the manual discount
+    promotions: [appliedPromotionSchema],
+    promotionDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     totalAmount: { 
         type: Number, 
         default: 0,
@@ -146,6 +246,11 @@ const transactionSchema = new mongoose.Schema({
             type: String,
             trim: true,
             lowercase: true
+        },
+        // Registered customer the sale belongs to, if any
+        customerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer'
         }
     },
     
@@ -153,7 +258,7 @@ const transactionSchema = new mongoose.Schema({
     payment: {
         method: {
             type: String,
-            enum: ['cash', 'card', 'bank_transfer', 'digital_wallet', 'mobile_money', 'credit'],
+            enum: ['cash', 'card', 'bank_transfer', 'digital_wallet', 'mobile_money', 'credit', 'insurance', 'split'],
             default: 'cash'
         },
         details: {
@@ -170,7 +275,33 @@ const transactionSchema = new mongoose.Schema({
             default: 'pending'
         },
         transactionId: String,
-        processedAt: Date
+        processedAt: Date,
+        // Breakdown of the payment; split sales have one tender per method used
+        tenders: [tenderSchema],
+        amountTendered: Number,
+        changeDue: {
+            type: Number,
+            default: 0
+        }
+    },
+
+    // Insurer's share of the sale, claimed from the insurer; the patient pays the co-pay
+    insurance: {
+        insurerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Insurer'
+        },
+        insurerName: String,
+        planId: mongoose.Schema.Types.ObjectId,
+        planName: String,
+        memberNumber: String,
+        claimId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InsuranceClaim'
+        },
+        claimNumber: String,
+        insurerAmount: Number,
+        copayAmount: Number
     },
     
     // Delivery Information
@@ -203,7 +334,71 @@ const transactionSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
-    
+
+    // Prescription this sale was dispensed against
+    isPrescription: {
+        type: Boolean,
+        default: false
+    },
+    prescriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Prescription'
+    },
+
+    // Pharmacist's approval to sell despite high-severity interaction warnings
+    interactionOverride: {
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        approvedAt: Date,
+        reason: String,
+        warnings: [{
+            _id: false,
+            type: { type: String },
+            severity: String,
+            medicines: [String],
+            genericNames: [String],
+            description: String
+        }]
+    },
+
+    // Marketplace purchases from another pharmacy
+    marketplace: {
+        isMarketplace: {
+            type: Boolean,
+            default: false
+        },
+        sellerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        orderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MarketplaceOrder'
+        }
+    },
+
+    // Stock adjustments (approved stock-take variances, stock moved in or out of quarantine)
+    adjustment: {
+        reasonCode: {
+            type: String,
+            enum: ADJUSTMENT_REASONS
+        },
+        direction: {
+            type: String,
+            enum: ['increase', 'decrease']
+        },
+        stockTakeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockTake'
+        },
+        disposalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Disposal'
+        }
+    },
+
     // Timestamps
     transactionDate: { 
         type: Date, 
@@ -213,6 +408,12 @@ const transactionSchema = new mongoose.Schema({
     checkoutDate: {
         type: Date
     },
+    // Cash drawer shift the sale was rung up in
+    shiftId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        index: true
+    },
     
     // Audit Fields
     createdBy: {
@@ -305,6 +506,8 @@ transactionSchema.statics.generateTransactionNumber = async function(transaction
     }
 };
 
+transactionSchema.statics.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
+
 transactionSchema.statics.findByStatus = function(pharmacyId, status) {
     return this.find({ pharmacyId, status }).sort({ transactionDate: -1 });
 };
@@ -361,7 +564,9 @@ transactionSchema.methods.calculateTotals = function() {
     const taxAmount = this.tax || 0;
     const deliveryFee = this.deliveryFee || 0;
     
-    this.totalAmount = Math.max(0, this.subtotal + taxAmount - discountAmount + deliveryFee);
+    const promotionDiscount = this.promotionDiscount || 0;
+
+    this.totalAmount = Math.max(0, this.subtotal + taxAmount - discountAmount - promotionDiscount + deliveryFee);
     
     // Sync payment amount
     if (this.payment) {
@@ -493,6 +698,15 @@ transactionSchema.pre('validate', function(next) {
             this.invalidate('payment.amount', 'Payment amount must equal total amount for completed transactions');
         }
     }
+
+    // Tenders must add up to the payment amount
+    const tenders = this.payment && this.payment.tenders;
+    if (tenders && tenders.length > 0) {
+        const tendersTotal = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+        if (Math.abs(tendersTotal - (this.payment.amount || 0)) > 0.005) {
+            this.invalidate('payment.tenders', 'Payment tenders must add up to the payment amount');
+        }
+    }
     next();
 });
 
@@ -60,8 +60,14 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // bcrypt hash of the emailed reset code; cleared after too many wrong guesses
     resetPasswordToken: String,
     resetPasswordExpires: Date,
+    // Wrong guesses at the current reset code
+    resetPasswordAttempts: {
+        type: Number,
+        default: 0
+    },
     isVerified: {
         type: Boolean,
         default: false
@@ -104,6 +110,20 @@ const userSchema = new mongoose.Schema({
     twoFactorSecret: {
         type: String,
         default: null
+    },
+    // Secret awaiting its first code during enrolment
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    // One-time codes for when the authenticator is unavailable; only hashes are stored
+    twoFactorBackupCodes: {
+        type: [{
+            _id: false,
+            codeHash: String,
+            usedAt: Date
+        }],
+        select: false
     }
 }, {
     timestamps: true
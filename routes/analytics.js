@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validateResult } = require('../middleware/validateResult');
 const { 
   analyticsQueryValidator,
@@ -10,10 +10,14 @@ const {
 
 // Apply authentication middleware to all routes
 router.use(protect);
+router.use(requirePermission('report.view'));
 
 // Sales Analytics Routes
 router.get('/sales', analyticsQueryValidator, validateResult, analyticsController.getSalesAnalytics);
 
+// Promotion Analytics Routes
+router.get('/promotions', analyticsQueryValidator, validateResult, analyticsController.getPromotionAnalytics);
+
 // Refunds Analytics Routes  
 router.get('/refunds', analyticsQueryValidator, validateResult, analyticsController.getRefundsAnalytics);
 
@@ -7,16 +7,22 @@ const {
     loginValidator, 
     forgotPasswordValidator, 
     resetPasswordValidator,
-    verifyOtpValidator // Make sure this is imported
+    verifyOtpValidator, // Make sure this is imported
+    acceptInvitationValidator,
+    refreshTokenValidator,
+    twoFactorCodeValidator,
+    disableTwoFactorValidator
 } = require('../validators/authValidator');
 const { registerPharmacyValidator } = require('../validators/pharmacyValidator');
 const { pharmacyUpload, handleMulterError } = require('../middleware/upload');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, allowTwoFactorSetup } = require('../middleware/auth');
+const { param } = require('express-validator');
 
 router.post('/login', loginValidator, validateResult, authController.login);
 router.post('/forgot-password', forgotPasswordValidator, validateResult, authController.forgotPassword);
 router.post('/verify-otp', verifyOtpValidator, validateResult, authController.verifyOtp); // This line was causing the error
 router.post('/reset-password', resetPasswordValidator, validateResult, authController.resetPassword);
+router.post('/accept-invitation', acceptInvitationValidator, validateResult, authController.acceptInvitation);
 
 // Updated registration route with enhanced upload middleware
 router.post('/register-pharmacy', 
@@ -31,9 +37,17 @@ router.post('/register-pharmacy',
     authController.registerPharmacy
 );
 
+// Sessions: short-lived access tokens renewed with a rotating refresh token
+router.post('/refresh', refreshTokenValidator, validateResult, authController.refreshToken);
+router.post('/logout', allowTwoFactorSetup, authenticate, authController.logout);
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions', authenticate, authController.revokeAllSessions);
+router.delete('/sessions/:id', authenticate, param('id').isMongoId().withMessage('Invalid session ID'), validateResult, authController.revokeSession);
+
 // 2FA routes
-router.post('/2fa/enable', authenticate, authController.enable2FA);
-router.post('/2fa/verify', authenticate, authController.verify2FA);
-router.post('/2fa/disable', authenticate, authController.disable2FA);
+router.post('/2fa/enable', allowTwoFactorSetup, authenticate, authController.enable2FA);
+router.post('/2fa/verify', allowTwoFactorSetup, authenticate, twoFactorCodeValidator, validateResult, authController.verify2FA);
+router.post('/2fa/backup-codes', authenticate, twoFactorCodeValidator, validateResult, authController.regenerateBackupCodes);
+router.post('/2fa/disable', authenticate, disableTwoFactorValidator, validateResult, authController.disable2FA);
 
 module.exports = router;
\ No newline at end of file
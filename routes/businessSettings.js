@@ -2,11 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const { getBusinessSettings, updateBusinessSettings } = require('../controllers/businessSettingsController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 //Pass roles as individual arguments
-router.get('/', authenticate, authorize('admin', 'pharmacy', 'pharmacist'), getBusinessSettings);
-router.put('/', authenticate, authorize('admin', 'pharmacy', 'pharmacist'), updateBusinessSettings);
+router.get('/', authenticate, requirePermission('settings.view'), getBusinessSettings);
+router.put('/', authenticate, requirePermission('settings.edit'), updateBusinessSettings);
 
 
 
@@ -1,16 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const cartController = require('../controllers/cartController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const { overrideInteractionsValidator } = require('../validators/interactionValidator');
 
 // Apply auth middleware to all routes
 router.use(authenticate);
 
 // Cart operations
-router.post('/transaction/add', cartController.addToCartFromTransaction);
-router.get('/', cartController.getCart);
-router.delete('/item/:itemId', cartController.removeFromCart);
-router.put('/item/:itemId', cartController.updateCartItem);
-router.delete('/clear', cartController.clearCart);
+router.post('/transaction/add', requirePermission('sale.process'), cartController.addToCartFromTransaction);
+router.get('/', requirePermission('sale.process'), cartController.getCart);
+router.delete('/item/:itemId', requirePermission('sale.process'), cartController.removeFromCart);
+router.put('/item/:itemId', requirePermission('sale.process'), cartController.updateCartItem);
+router.delete('/clear', requirePermission('sale.process'), cartController.clearCart);
+
+// Interaction warnings; high-severity ones need a pharmacist override before checkout
+router.get('/interactions', requirePermission('sale.process'), cartController.getCartInteractions);
+router.post(
+  '/interactions/override',
+  requirePermission('interaction.manage'),
+  overrideInteractionsValidator,
+  validateResult,
+  cartController.overrideCartInteractions
+);
 
 module.exports = router;
\ No newline at end of file
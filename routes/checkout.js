@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const checkoutController = require('../controllers/checkoutController');
-const { authenticate } = require('../middleware/auth'); 
+const { authenticate, requirePermission } = require('../middleware/auth'); 
 
 // Apply auth middleware to all routes
 router.use(authenticate); // Change from 'auth' to 'authenticate'
 
 // Checkout routes
-router.post('/process', checkoutController.processCheckout);
-router.get('/summary', checkoutController.getCheckoutSummary);
-router.post('/apply-discount', checkoutController.applyDiscount);
-router.post('/set-tax', checkoutController.setTax);
+router.post('/process', requirePermission('sale.process'), checkoutController.processCheckout);
+router.get('/summary', requirePermission('sale.process'), checkoutController.getCheckoutSummary);
+router.post('/apply-discount', requirePermission('price.override'), checkoutController.applyDiscount);
+router.post('/coupons', requirePermission('sale.process'), checkoutController.applyCoupon);
+router.delete('/coupons/:code', requirePermission('sale.process'), checkoutController.removeCoupon);
+router.post('/set-tax', requirePermission('price.override'), checkoutController.setTax);
 
 module.exports = router;
\ No newline at end of file
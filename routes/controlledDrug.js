@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const controlledDrugController = require('../controllers/controlledDrugController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const { registerValidator } = require('../validators/controlledDrugValidator');
+
+router.use(protect);
+router.use(requirePermission('controlled.view'));
+
+router.get('/register', registerValidator, validateResult, controlledDrugController.getRegister);
+router.get('/reconciliation', controlledDrugController.getReconciliation);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const creditController = require('../controllers/creditController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  updateLimitValidator,
+  repaymentValidator,
+  getLedgerValidator
+} = require('../validators/creditValidator');
+const { param } = require('express-validator');
+
+const customerIdValidator = [param('customerId').isMongoId().withMessage('Invalid customer ID')];
+
+router.use(protect);
+
+router.get('/aging', requirePermission('report.view'), creditController.getAging);
+router.get('/customers/:customerId', requirePermission('sale.view'), customerIdValidator, validateResult, creditController.getAccount);
+router.put(
+  '/customers/:customerId/limit',
+  requirePermission('credit.manage'),
+  customerIdValidator,
+  updateLimitValidator,
+  validateResult,
+  creditController.updateLimit
+);
+router.get('/customers/:customerId/ledger', requirePermission('sale.view'), customerIdValidator, getLedgerValidator, validateResult, creditController.getCustomerLedger);
+router.post('/customers/:customerId/repayments', requirePermission('sale.process'), customerIdValidator, repaymentValidator, validateResult, creditController.createRepayment);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  createCustomerValidator,
+  updateCustomerValidator,
+  allergyValidator,
+  addPolicyValidator,
+  updatePolicyValidator,
+  getCustomersValidator,
+  getPurchasesValidator
+} = require('../validators/customerValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid customer ID')];
+
+router.use(protect);
+
+router.post('/', requirePermission('customer.manage'), createCustomerValidator, validateResult, customerController.createCustomer);
+router.get('/', requirePermission('sale.view'), getCustomersValidator, validateResult, customerController.getCustomers);
+router.get('/:id', requirePermission('sale.view'), idValidator, validateResult, customerController.getCustomerById);
+router.put('/:id', requirePermission('customer.manage'), idValidator, updateCustomerValidator, validateResult, customerController.updateCustomer);
+router.get('/:id/purchases', requirePermission('sale.view'), idValidator, getPurchasesValidator, validateResult, customerController.getCustomerPurchases);
+router.get('/:id/refunds', requirePermission('sale.view'), idValidator, validateResult, customerController.getCustomerRefunds);
+router.post('/:id/allergies', requirePermission('customer.manage'), idValidator, allergyValidator, validateResult, customerController.addAllergy);
+router.delete(
+  '/:id/allergies/:allergyId',
+  requirePermission('customer.manage'),
+  idValidator,
+  param('allergyId').isMongoId().withMessage('Invalid allergy ID'),
+  validateResult,
+  customerController.removeAllergy
+);
+
+const policyIdValidator = [param('policyId').isMongoId().withMessage('Invalid policy ID')];
+
+router.post('/:id/insurance-policies', requirePermission('customer.manage'), idValidator, addPolicyValidator, validateResult, customerController.addInsurancePolicy);
+router.put(
+  '/:id/insurance-policies/:policyId',
+  requirePermission('customer.manage'),
+  idValidator,
+  policyIdValidator,
+  updatePolicyValidator,
+  validateResult,
+  customerController.updateInsurancePolicy
+);
+router.delete(
+  '/:id/insurance-policies/:policyId',
+  requirePermission('customer.manage'),
+  idValidator,
+  policyIdValidator,
+  validateResult,
+  customerController.removeInsurancePolicy
+);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const deliveryController = require('../controllers/deliveryController');
 const deliveryValidator = require('../validators/deliveryValidator');
-const { authenticate: auth, authorize } = require('../middleware/auth'); // <-- fixed
+const { authenticate: auth, requirePermission } = require('../middleware/auth');
 const { validateResult } = require('../middleware/validateResult');
 
 // User routes
@@ -15,7 +15,7 @@ router.delete('/addresses/:id', auth, deliveryController.deleteAddress);
 router.post('/transactions/:transactionId/delivery-option', auth, deliveryValidator.deliveryOption, validateResult, deliveryController.setDeliveryOption);
 router.get('/transactions/:transactionId/tracking', auth, deliveryController.trackDelivery);
 
-// Admin routes for delivery management
-router.put('/admin/transactions/:transactionId/delivery-status', auth, authorize('admin'), deliveryController.updateDeliveryStatus);
+// Delivery management for the pharmacy's own sales
+router.put('/admin/transactions/:transactionId/delivery-status', auth, requirePermission('sale.process'), deliveryController.updateDeliveryStatus);
 
 module.exports = router;
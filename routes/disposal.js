@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const disposalController = require('../controllers/disposalController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const { uploadDisposalCertificate, handleMulterError } = require('../middleware/upload');
+const {
+  quarantineValidator,
+  recordDisposalValidator,
+  disposalReportValidator
+} = require('../validators/disposalValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid disposal ID')];
+
+router.use(protect);
+
+router.post('/', requirePermission('stock.adjust'), quarantineValidator, validateResult, disposalController.quarantineStock);
+router.post('/expired', requirePermission('stock.adjust'), disposalController.quarantineExpiredStock);
+router.get('/', requirePermission('medicine.view'), disposalController.getDisposals);
+router.get('/report', requirePermission('report.view'), disposalReportValidator, validateResult, disposalController.getDisposalReport);
+router.get('/:id', requirePermission('medicine.view'), idValidator, validateResult, disposalController.getDisposalById);
+router.patch(
+  '/:id/dispose',
+  requirePermission('stock.adjust'),
+  uploadDisposalCertificate,
+  handleMulterError,
+  idValidator,
+  recordDisposalValidator,
+  validateResult,
+  disposalController.recordDisposal
+);
+router.patch('/:id/release', requirePermission('stock.adjust'), idValidator, validateResult, disposalController.releaseDisposal);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const insuranceController = require('../controllers/insuranceController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  createInsurerValidator,
+  updateInsurerValidator,
+  createPlanValidator,
+  updatePlanValidator,
+  getClaimsValidator,
+  updateClaimStatusValidator,
+  createBatchValidator,
+  getBatchesValidator,
+  remittanceValidator
+} = require('../validators/insuranceValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid ID')];
+const planIdValidator = [param('planId').isMongoId().withMessage('Invalid plan ID')];
+const canManage = requirePermission('insurance.manage');
+const canView = requirePermission('sale.view');
+
+router.use(protect);
+
+// Insurers and plans
+router.post('/insurers', canManage, createInsurerValidator, validateResult, insuranceController.createInsurer);
+router.get('/insurers', canView, insuranceController.getInsurers);
+router.get('/insurers/:id', canView, idValidator, validateResult, insuranceController.getInsurerById);
+router.put('/insurers/:id', canManage, idValidator, updateInsurerValidator, validateResult, insuranceController.updateInsurer);
+router.post('/insurers/:id/plans', canManage, idValidator, createPlanValidator, validateResult, insuranceController.addPlan);
+router.put(
+  '/insurers/:id/plans/:planId',
+  canManage,
+  idValidator,
+  planIdValidator,
+  updatePlanValidator,
+  validateResult,
+  insuranceController.updatePlan
+);
+
+// Claims
+router.get('/claims', canView, getClaimsValidator, validateResult, insuranceController.getClaims);
+router.get('/claims/:id', canView, idValidator, validateResult, insuranceController.getClaimById);
+router.patch('/claims/:id/status', canManage, idValidator, updateClaimStatusValidator, validateResult, insuranceController.updateClaim);
+
+// Claim batches and remittances
+router.post('/claim-batches', canManage, createBatchValidator, validateResult, insuranceController.createBatch);
+router.get('/claim-batches', canView, getBatchesValidator, validateResult, insuranceController.getBatches);
+router.get('/claim-batches/:id', canView, idValidator, validateResult, insuranceController.getBatchById);
+router.post(
+  '/claim-batches/:id/remittances',
+  canManage,
+  idValidator,
+  remittanceValidator,
+  validateResult,
+  insuranceController.addRemittance
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const interactionController = require('../controllers/interactionController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const { uploadDataFile, handleMulterError } = require('../middleware/upload');
+const {
+  importInteractionsValidator,
+  getInteractionsValidator,
+  checkInteractionsValidator
+} = require('../validators/interactionValidator');
+const { param } = require('express-validator');
+
+router.use(protect);
+
+router.post(
+  '/import',
+  requirePermission('interaction.manage'),
+  uploadDataFile,
+  handleMulterError,
+  importInteractionsValidator,
+  validateResult,
+  interactionController.importInteractions
+);
+router.post('/check', requirePermission('medicine.view'), checkInteractionsValidator, validateResult, interactionController.checkInteractions);
+router.get('/', requirePermission('medicine.view'), getInteractionsValidator, validateResult, interactionController.getInteractions);
+router.delete(
+  '/:id',
+  requirePermission('interaction.manage'),
+  param('id').isMongoId().withMessage('Invalid interaction ID'),
+  validateResult,
+  interactionController.deleteInteraction
+);
+
+module.exports = router;
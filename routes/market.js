@@ -3,10 +3,11 @@ const router = express.Router();
 const marketController = require('../controllers/marketController');
 const { searchValidator } = require('../validators/searchValidator');
 const { validateResult } = require('../middleware/validateResult');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Apply authentication to all routes
 router.use(authenticate);
+router.use(requirePermission('medicine.view'));
 
 // Search and filter medicines
 router.get('/search', searchValidator, validateResult, marketController.searchMedicines);
@@ -2,18 +2,51 @@
 const express = require('express');
 const router = express.Router();
 const marketplaceController = require('../controllers/marketplaceController');
-const { authenticate } = require('../middleware/auth'); 
+const marketplaceOrderController = require('../controllers/marketplaceOrderController');
+const marketplaceListingController = require('../controllers/marketplaceListingController');
+const { authenticate, requirePermission, requireAnyPermission } = require('../middleware/auth'); 
+const { validateResult } = require('../middleware/validateResult');
+const { searchValidator } = require('../validators/searchValidator');
+const {
+  placeOrderValidator,
+  getOrdersValidator,
+  declineOrderValidator,
+  receiveOrderValidator,
+  createListingValidator,
+  updateListingValidator
+} = require('../validators/marketplaceValidator');
 
 // Marketplace browsing
-router.get('/medicines', authenticate, marketplaceController.getMarketplaceMedicines);
+router.get('/medicines', authenticate, requirePermission('marketplace.buy'), searchValidator, validateResult, marketplaceController.getMarketplaceMedicines);
+
+// Listings: what a pharmacy offers to its peers
+router.post('/listings', authenticate, requirePermission('marketplace.sell'), createListingValidator, validateResult, marketplaceListingController.createListing);
+router.get('/listings/mine', authenticate, requirePermission('marketplace.sell'), marketplaceListingController.getMyListings);
+router.get('/listings/:id', authenticate, requireAnyPermission('marketplace.buy', 'marketplace.sell'), marketplaceListingController.getListingById);
+router.patch('/listings/:id', authenticate, requirePermission('marketplace.sell'), updateListingValidator, validateResult, marketplaceListingController.updateListing);
+router.patch('/listings/:id/pause', authenticate, requirePermission('marketplace.sell'), marketplaceListingController.pauseListing);
+router.patch('/listings/:id/resume', authenticate, requirePermission('marketplace.sell'), marketplaceListingController.resumeListing);
+router.patch('/listings/:id/withdraw', authenticate, requirePermission('marketplace.sell'), marketplaceListingController.withdrawListing);
 
 
 
 // Purchase operations
-router.post('/purchase/full', authenticate, marketplaceController.purchaseFromMarketplace);
-router.post('/purchase/single', authenticate, marketplaceController.purchaseSingleFromMarketplace);
+router.post('/purchase/full', authenticate, requirePermission('marketplace.buy'), marketplaceController.purchaseFromMarketplace);
+router.post('/purchase/single', authenticate, requirePermission('marketplace.buy'), marketplaceController.purchaseSingleFromMarketplace);
 
 // Purchase history
-router.get('/purchases', authenticate, marketplaceController.getMarketplacePurchases);
+router.get('/purchases', authenticate, requirePermission('marketplace.buy'), marketplaceController.getMarketplacePurchases);
+
+// Orders: placed -> accepted/declined -> dispatched -> received -> settled
+// Seller steps need marketplace.sell, buyer steps marketplace.buy; either shows orders
+router.post('/orders', authenticate, requirePermission('marketplace.buy'), placeOrderValidator, validateResult, marketplaceOrderController.createOrder);
+router.get('/orders', authenticate, requireAnyPermission('marketplace.buy', 'marketplace.sell'), getOrdersValidator, validateResult, marketplaceOrderController.getOrders);
+router.get('/orders/:id', authenticate, requireAnyPermission('marketplace.buy', 'marketplace.sell'), marketplaceOrderController.getOrderById);
+router.patch('/orders/:id/accept', authenticate, requirePermission('marketplace.sell'), marketplaceOrderController.acceptOrder);
+router.patch('/orders/:id/decline', authenticate, requirePermission('marketplace.sell'), declineOrderValidator, validateResult, marketplaceOrderController.declineOrder);
+router.patch('/orders/:id/cancel', authenticate, requirePermission('marketplace.buy'), marketplaceOrderController.cancelOrder);
+router.patch('/orders/:id/dispatch', authenticate, requirePermission('marketplace.sell'), marketplaceOrderController.dispatchOrder);
+router.patch('/orders/:id/receive', authenticate, requirePermission('marketplace.buy'), receiveOrderValidator, validateResult, marketplaceOrderController.receiveOrder);
+router.patch('/orders/:id/settle', authenticate, requirePermission('marketplace.sell'), marketplaceOrderController.settleOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -1,16 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const medicineController = require('../controllers/medicineController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validateResult } = require('../middleware/validateResult');
-const { addMedicineValidator, updateMedicineValidator } = require('../validators/medicineValidator');
+const {
+    addMedicineValidator,
+    updateMedicineValidator,
+    addBatchValidator,
+    reorderSuggestionsValidator,
+    reorderPurchaseOrdersValidator
+} = require('../validators/medicineValidator');
 
 router.use(protect);
 
-router.post('/', addMedicineValidator, validateResult, medicineController.addMedicine);
-router.get('/search', medicineController.searchMedicines);
-router.get('/expiring', medicineController.getExpiringMedicines);
-router.get('/:id', medicineController.getMedicineById);
-router.put('/:id', updateMedicineValidator, validateResult, medicineController.updateMedicine);
+router.post('/', requirePermission('medicine.manage'), addMedicineValidator, validateResult, medicineController.addMedicine);
+router.get('/search', requirePermission('medicine.view'), medicineController.searchMedicines);
+router.get('/expiring', requirePermission('medicine.view'), medicineController.getExpiringMedicines);
+router.get('/reorder-suggestions', requirePermission('purchase.manage'), reorderSuggestionsValidator, validateResult, medicineController.getReorderSuggestions);
+router.post('/reorder-suggestions/purchase-orders', requirePermission('purchase.manage'), reorderPurchaseOrdersValidator, validateResult, medicineController.createReorderPurchaseOrders);
+router.get('/:id', requirePermission('medicine.view'), medicineController.getMedicineById);
+router.put('/:id', requirePermission('medicine.manage'), updateMedicineValidator, validateResult, medicineController.updateMedicine);
+router.get('/:id/batches', requirePermission('medicine.view'), medicineController.getMedicineBatches);
+router.post('/:id/batches', requirePermission('medicine.manage'), addBatchValidator, validateResult, medicineController.addMedicineBatch);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// Providers authenticate webhooks with a signature, not a user token
+router.post('/webhooks/:provider', paymentController.receiveWebhook);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const pharmacyController = require('../controllers/pharmacyController');
+const { protect, authorizeOwner, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  inviteMemberValidator,
+  updateMemberRoleValidator,
+  transferOwnershipValidator,
+  getMembersValidator,
+  createRoleValidator,
+  updateRoleValidator,
+  twoFactorPolicyValidator
+} = require('../validators/pharmacyValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid member ID')];
+const roleNameValidator = [param('name').trim().notEmpty().withMessage('Role name is required')];
+const canManageStaff = requirePermission('staff.manage');
+const canManageRoles = requirePermission('role.manage');
+
+router.use(protect);
+
+router.get('/', pharmacyController.getPharmacy);
+router.get('/members', canManageStaff, getMembersValidator, validateResult, pharmacyController.getMembers);
+router.post('/members/invite', canManageStaff, inviteMemberValidator, validateResult, pharmacyController.invite);
+router.patch(
+  '/members/:id/role',
+  canManageStaff,
+  idValidator,
+  updateMemberRoleValidator,
+  validateResult,
+  pharmacyController.updateMemberRole
+);
+router.delete('/members/:id', canManageStaff, idValidator, validateResult, pharmacyController.revoke);
+router.post('/transfer-ownership', authorizeOwner(), transferOwnershipValidator, validateResult, pharmacyController.transfer);
+router.put(
+  '/two-factor-policy',
+  requirePermission('settings.edit'),
+  twoFactorPolicyValidator,
+  validateResult,
+  pharmacyController.updateTwoFactorPolicy
+);
+
+// Roles and the permissions they grant
+router.get('/permissions', canManageRoles, pharmacyController.getPermissionCatalogue);
+router.get('/roles', canManageStaff, pharmacyController.getRoles);
+router.post('/roles', canManageRoles, createRoleValidator, validateResult, pharmacyController.addRole);
+router.put('/roles/:name', canManageRoles, roleNameValidator, updateRoleValidator, validateResult, pharmacyController.editRole);
+router.delete('/roles/:name', canManageRoles, roleNameValidator, validateResult, pharmacyController.removeRole);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const prescriptionController = require('../controllers/prescriptionController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const { uploadPrescriptionImage, handleMulterError } = require('../middleware/upload');
+const {
+  createPrescriptionValidator,
+  updatePrescriptionValidator,
+  cancelPrescriptionValidator,
+  getPrescriptionsValidator
+} = require('../validators/prescriptionValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid prescription ID')];
+
+router.use(protect);
+
+router.post(
+  '/',
+  requirePermission('prescription.manage'),
+  uploadPrescriptionImage,
+  handleMulterError,
+  createPrescriptionValidator,
+  validateResult,
+  prescriptionController.createPrescription
+);
+router.get('/', requirePermission('sale.view'), getPrescriptionsValidator, validateResult, prescriptionController.getPrescriptions);
+router.get('/:id', requirePermission('sale.view'), idValidator, validateResult, prescriptionController.getPrescriptionById);
+router.put(
+  '/:id',
+  requirePermission('prescription.manage'),
+  uploadPrescriptionImage,
+  handleMulterError,
+  idValidator,
+  updatePrescriptionValidator,
+  validateResult,
+  prescriptionController.updatePrescription
+);
+router.patch('/:id/cancel', requirePermission('prescription.manage'), idValidator, cancelPrescriptionValidator, validateResult, prescriptionController.cancelPrescription);
+
+module.exports = router;
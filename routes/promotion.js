@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  createPromotionValidator,
+  updatePromotionValidator,
+  getPromotionsValidator
+} = require('../validators/promotionValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid promotion ID')];
+const canManage = requirePermission('promotion.manage');
+const canView = requirePermission('sale.view');
+
+router.use(protect);
+
+router.post('/', canManage, createPromotionValidator, validateResult, promotionController.createPromotion);
+router.get('/', canView, getPromotionsValidator, validateResult, promotionController.getPromotions);
+router.get('/:id', canView, idValidator, validateResult, promotionController.getPromotionById);
+router.put('/:id', canManage, idValidator, updatePromotionValidator, validateResult, promotionController.updatePromotion);
+router.delete('/:id', canManage, idValidator, validateResult, promotionController.deactivatePromotion);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  createPurchaseOrderValidator,
+  updatePurchaseOrderValidator,
+  receiveGoodsValidator
+} = require('../validators/purchaseOrderValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid purchase order ID')];
+
+router.use(protect);
+router.use(requirePermission('purchase.manage'));
+
+router.post('/', createPurchaseOrderValidator, validateResult, purchaseOrderController.createPurchaseOrder);
+router.get('/', purchaseOrderController.getPurchaseOrders);
+router.get('/outstanding', purchaseOrderController.getOutstanding);
+router.get('/receipts', purchaseOrderController.getGoodsReceivedNotes);
+router.get('/:id', idValidator, validateResult, purchaseOrderController.getPurchaseOrderById);
+router.put('/:id', idValidator, updatePurchaseOrderValidator, validateResult, purchaseOrderController.updatePurchaseOrder);
+router.patch('/:id/submit', idValidator, validateResult, purchaseOrderController.submitPurchaseOrder);
+router.patch('/:id/cancel', idValidator, validateResult, purchaseOrderController.cancelPurchaseOrder);
+router.patch('/:id/close', idValidator, validateResult, purchaseOrderController.closePurchaseOrder);
+router.post('/:id/receipts', idValidator, receiveGoodsValidator, validateResult, purchaseOrderController.receivePurchaseOrder);
+
+module.exports = router;
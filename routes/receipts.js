@@ -1,18 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const receiptController = require('../controllers/receiptController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Get all receipts for pharmacy
-router.get('/', protect, receiptController.getReceipts);
+router.get('/', protect, requirePermission('sale.view'), receiptController.getReceipts);
 
 // Get receipt by ID
-router.get('/:id', protect, receiptController.getReceiptById);
+router.get('/:id', protect, requirePermission('sale.view'), receiptController.getReceiptById);
 
 // Get receipt by receipt number
-router.get('/number/:receiptNumber', protect, receiptController.getReceiptByNumber);
+router.get('/number/:receiptNumber', protect, requirePermission('sale.view'), receiptController.getReceiptByNumber);
 
 // Get receipts by transaction ID
-router.get('/transaction/:transactionId', protect, receiptController.getReceiptsByTransaction);
+router.get('/transaction/:transactionId', protect, requirePermission('sale.view'), receiptController.getReceiptsByTransaction);
 
 module.exports = router;
\ No newline at end of file
@@ -1,27 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const refundController = require('../controllers/refundController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Create refund request
-router.post('/', protect, refundController.createRefund);
+router.post('/', protect, requirePermission('refund.create'), refundController.createRefund);
 
 // Get all refunds
-router.get('/', protect, refundController.getRefunds);
+router.get('/', protect, requirePermission('sale.view'), refundController.getRefunds);
 
 // Get refund by ID
-router.get('/:id', protect, refundController.getRefundById);
+router.get('/:id', protect, requirePermission('sale.view'), refundController.getRefundById);
 
 // Get refund by number
-router.get('/number/:refundNumber', protect, refundController.getRefundByNumber);
+router.get('/number/:refundNumber', protect, requirePermission('sale.view'), refundController.getRefundByNumber);
 
 // Approve refund
-router.patch('/:id/approve', protect, refundController.approveRefund);
+router.patch('/:id/approve', protect, requirePermission('refund.approve'), refundController.approveRefund);
 
 // Reject refund
-router.patch('/:id/reject', protect, refundController.rejectRefund);
+router.patch('/:id/reject', protect, requirePermission('refund.approve'), refundController.rejectRefund);
 
 // Complete refund
-router.patch('/:id/complete', protect, refundController.completeRefund);
+router.patch('/:id/complete', protect, requirePermission('refund.create'), refundController.completeRefund);
 
 module.exports = router;
\ No newline at end of file
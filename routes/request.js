@@ -1,7 +1,7 @@
 // routes/request.js
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validateResult } = require('../middleware/validateResult');
 const { medicineRequestValidator } = require('../validators/requestValidator');
 const { uploadMedicineRequest, handleMulterError } = require('../middleware/upload'); 
@@ -16,6 +16,7 @@ const {
 router.post(
   '/medicine',
   authenticate,
+  requirePermission('request.create'),
   uploadMedicineRequest, // Use the pre-configured middleware directly
   handleMulterError, // Now this function is defined
   medicineRequestValidator,
@@ -23,14 +24,14 @@ router.post(
   createMedicineRequest
 );
 
-router.get('/medicine/user', authenticate, getUserMedicineRequests);
-router.get('/medicine/:requestId', authenticate, getMedicineRequestDetails);
+router.get('/medicine/user', authenticate, requirePermission('request.create'), getUserMedicineRequests);
+router.get('/medicine/:requestId', authenticate, requirePermission('request.create'), getMedicineRequestDetails);
 
 // Pharmacy staff routes for medicine requests (pharmacists, admins, assistants)
 router.get(
   '/medicine/pharmacy/all',
   authenticate,
-  authorize(['pharmacist', 'admin', 'assistant']),
+  requirePermission('medicine.view'),
   getPharmacyMedicineRequests
 );
 
@@ -1,24 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const salesController = require('../controllers/salesController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // GET /sales - Show all medicines, transactions, receipts, and purchases
-router.get('/', protect, salesController.getAllSalesData);
+router.get('/', protect, requirePermission('sale.view'), salesController.getAllSalesData);
 
 // GET /sales/analysis - Show analysis of medicines, transactions, and refund requests
-router.get('/analysis', protect, salesController.getSalesAnalysis);
+router.get('/analysis', protect, requirePermission('report.view'), salesController.getSalesAnalysis);
 
 // GET /sales/transaction - Show transactions and the most used ones
-router.get('/transaction', protect, salesController.getTransactionsWithUsage);
+router.get('/transaction', protect, requirePermission('sale.view'), salesController.getTransactionsWithUsage);
 
 // GET /sales/receipt - Show receipts and receipts in refund process
-router.get('/receipt', protect, salesController.getReceiptsWithRefunds);
+router.get('/receipt', protect, requirePermission('sale.view'), salesController.getReceiptsWithRefunds);
 
 // GET /sales/medicine - Show medicines and the most wanted
-router.get('/medicine', protect, salesController.getMedicinesWithPopularity);
+router.get('/medicine', protect, requirePermission('sale.view'), salesController.getMedicinesWithPopularity);
 
 // GET /sales/purchases - Show only what was purchased
-router.get('/purchases', protect, salesController.getPurchases);
+router.get('/purchases', protect, requirePermission('sale.view'), salesController.getPurchases);
 
 module.exports = router;
\ No newline at end of file
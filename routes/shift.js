@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const shiftController = require('../controllers/shiftController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  openShiftValidator,
+  cashMovementValidator,
+  closeShiftValidator,
+  getShiftsValidator,
+  dailyReportValidator
+} = require('../validators/shiftValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid shift ID')];
+
+router.use(protect);
+
+router.post('/', requirePermission('shift.operate'), openShiftValidator, validateResult, shiftController.createShift);
+router.get('/', requirePermission('shift.operate'), getShiftsValidator, validateResult, shiftController.getShifts);
+router.get('/current', requirePermission('shift.operate'), shiftController.getCurrentShift);
+router.get('/z-report/daily', requirePermission('report.view'), dailyReportValidator, validateResult, shiftController.getDailyReport);
+router.get('/:id', requirePermission('shift.operate'), idValidator, validateResult, shiftController.getShiftById);
+router.post('/:id/cash-movements', requirePermission('shift.operate'), idValidator, cashMovementValidator, validateResult, shiftController.addCashMovement);
+router.post('/:id/close', requirePermission('shift.operate'), idValidator, closeShiftValidator, validateResult, shiftController.closeShiftById);
+router.get('/:id/z-report', requirePermission('report.view'), idValidator, validateResult, shiftController.getShiftZReport);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const stockTakeController = require('../controllers/stockTakeController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const {
+  createStockTakeValidator,
+  recordCountsValidator,
+  shrinkageReportValidator
+} = require('../validators/stockTakeValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid stock take ID')];
+
+router.use(protect);
+
+router.post('/', requirePermission('stock.count'), createStockTakeValidator, validateResult, stockTakeController.createStockTake);
+router.get('/', requirePermission('stock.count'), stockTakeController.getStockTakes);
+router.get('/shrinkage-report', requirePermission('report.view'), shrinkageReportValidator, validateResult, stockTakeController.getShrinkageReport);
+router.get('/:id', requirePermission('stock.count'), idValidator, validateResult, stockTakeController.getStockTakeById);
+router.patch('/:id/counts', requirePermission('stock.count'), idValidator, recordCountsValidator, validateResult, stockTakeController.recordCounts);
+router.patch('/:id/submit', requirePermission('stock.count'), idValidator, validateResult, stockTakeController.submitStockTake);
+router.patch('/:id/reopen', requirePermission('stock.count'), idValidator, validateResult, stockTakeController.reopenStockTake);
+router.patch('/:id/cancel', requirePermission('stock.count'), idValidator, validateResult, stockTakeController.cancelStockTake);
+router.patch('/:id/approve', requirePermission('stock.adjust'), idValidator, validateResult, stockTakeController.approveStockTake);
+
+module.exports = router;
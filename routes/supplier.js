@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateResult } = require('../middleware/validateResult');
+const { createSupplierValidator, updateSupplierValidator } = require('../validators/supplierValidator');
+const { param } = require('express-validator');
+
+const idValidator = [param('id').isMongoId().withMessage('Invalid supplier ID')];
+
+router.use(protect);
+router.use(requirePermission('purchase.manage'));
+
+router.post('/', createSupplierValidator, validateResult, supplierController.createSupplier);
+router.get('/', supplierController.getSuppliers);
+router.get('/:id', idValidator, validateResult, supplierController.getSupplierById);
+router.put('/:id', idValidator, updateSupplierValidator, validateResult, supplierController.updateSupplier);
+router.delete('/:id', idValidator, validateResult, supplierController.deactivateSupplier);
+
+module.exports = router;
@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const supportController = require('../controllers/supportController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { uploadSupport } = require('../middleware/upload');
 const {
   createSupportTicketValidator,
@@ -109,14 +109,14 @@ router.post(
 router.get(
   '/admin/tickets',
   authenticate,
-  authorize(['admin']),
+  requirePermission('support.manage'),
   supportController.getAllTickets
 );
 
 router.patch(
   '/admin/tickets/:ticketId/status',
   authenticate,
-  authorize(['admin']),
+  requirePermission('support.manage'),
   ...updateTicketStatusValidator,
   validateResult,
   supportController.updateTicketStatus
@@ -125,7 +125,7 @@ router.patch(
 router.post(
   '/admin/tickets/:ticketId/messages',
   authenticate,
-  authorize(['admin']),
+  requirePermission('support.manage'),
   (req, res, next) => {
       uploadSupport.array('attachments', 3)(req, res, (err) => {
           if (err) return handleUploadError(err, req, res, next);
@@ -140,7 +140,7 @@ router.post(
 router.get(
   '/admin/support-stats',
   authenticate,
-  authorize(['admin']),
+  requirePermission('support.manage'),
   supportController.getSupportStats
 );
 
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const transactionController = require('../controllers/transactionController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validateResult } = require('../middleware/validateResult');
 const { 
   createTransactionValidator,
+  quickSaleValidator,
   transactionQueryValidator,
   transactionIdValidator,
   updateTransactionValidator
@@ -13,14 +14,15 @@ const {
 router.use(protect);
 
 // Transaction endpoints only
-router.post('/', createTransactionValidator, validateResult, transactionController.createTransaction); 
-router.get('/', transactionQueryValidator, validateResult, transactionController.getTransactions);
-router.get('/:id', transactionIdValidator, validateResult, transactionController.getTransactionById);
-router.put('/:id', updateTransactionValidator, validateResult, transactionController.updateTransaction);
-router.delete('/:id', transactionIdValidator, validateResult, transactionController.deleteTransaction);
+router.post('/', requirePermission('sale.process'), createTransactionValidator, validateResult, transactionController.createTransaction); 
+router.post('/quick-sale', requirePermission('sale.process'), quickSaleValidator, validateResult, transactionController.createQuickSale);
+router.get('/', requirePermission('sale.view'), transactionQueryValidator, validateResult, transactionController.getTransactions);
+router.get('/:id', requirePermission('sale.view'), transactionIdValidator, validateResult, transactionController.getTransactionById);
+router.put('/:id', requirePermission('sale.process'), updateTransactionValidator, validateResult, transactionController.updateTransaction);
+router.delete('/:id', requirePermission('sale.process'), transactionIdValidator, validateResult, transactionController.deleteTransaction);
 
 // Transaction statistics and export
-router.get('/stats/statistics', transactionController.getTransactionStats);
-router.get('/export/transactions', transactionController.exportTransactions);
+router.get('/stats/statistics', requirePermission('report.view'), transactionController.getTransactionStats);
+router.get('/export/transactions', requirePermission('sale.view'), transactionController.exportTransactions);
 
 module.exports = router;
\ No newline at end of file
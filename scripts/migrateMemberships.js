@@ -0,0 +1,30 @@
+/**
+ * Give every account created before pharmacy memberships existed its membership:
+ * pharmacists and admins own their pharmacy, assistants join the pharmacy of the
+ * pharmacist registered under the same pharmacy name.
+ *
+ * Usage: npm run migrate:memberships
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { migrateLegacyMemberships } = require('../services/pharmacyService');
+
+const run = async () => {
+  await connectDB();
+
+  const result = await migrateLegacyMemberships();
+  console.log(`Owners given their pharmacy: ${result.owners}`);
+  console.log(`Assistants added to their pharmacist's pharmacy: ${result.staff}`);
+  if (result.unlinked.length > 0) {
+    console.log(`Assistants with no pharmacist to join (invite them instead): ${result.unlinked.join(', ')}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Membership migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -24,10 +24,33 @@ const salesRoutes = require('./routes/sales');
 const marketplaceRoutes = require('./routes/marketplace');
 const cartRoutes = require('./routes/cart');
 const receiptsRoutes = require('./routes/receipts');
+const supplierRoutes = require('./routes/supplier');
+const purchaseOrderRoutes = require('./routes/purchaseOrder');
+const stockTakeRoutes = require('./routes/stockTake');
+const disposalRoutes = require('./routes/disposal');
+const prescriptionRoutes = require('./routes/prescription');
+const controlledDrugRoutes = require('./routes/controlledDrug');
+const interactionRoutes = require('./routes/interaction');
+const customerRoutes = require('./routes/customer');
+const creditRoutes = require('./routes/credit');
+const paymentRoutes = require('./routes/payment');
+const shiftRoutes = require('./routes/shift');
+const insuranceRoutes = require('./routes/insurance');
+const promotionRoutes = require('./routes/promotion');
+const pharmacyRoutes = require('./routes/pharmacy');
 
 // Middleware
 const { handleMulterError } = require('./middleware/upload');
 
+// Card and other gateway payments need a registered payment provider
+const { checkPaymentProvider } = require('./services/paymentGatewayService');
+try {
+    checkPaymentProvider();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
 const app = express();
 
 // Create uploads directories if they don't exist
@@ -40,7 +63,9 @@ const createUploadsDirectories = () => {
         'uploads/sales',
         'uploads/marketplace',
         'uploads/receipts',
-        'uploads/refunds' // Add refunds directory
+        'uploads/refunds', // Add refunds directory
+        'uploads/disposals',
+        'uploads/prescriptions'
     ];
 
     directories.forEach(dir => {
@@ -58,7 +83,12 @@ connectDB();
 
 // Global Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Payment webhooks are verified against the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use('/uploads', express.static('uploads'));
 
@@ -97,6 +127,20 @@ app.use('/api/sales', salesRoutes);
 app.use('/api/marketplace', marketplaceRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/receipts', receiptsRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/disposals', disposalRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/controlled-drugs', controlledDrugRoutes);
+app.use('/api/interactions', interactionRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/credit', creditRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/insurance', insuranceRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/pharmacy', pharmacyRoutes);
 
 // Multer error handling
 app.use(handleMulterError);
@@ -144,4 +188,18 @@ app.listen(PORT, () => {
     console.log(`- /api/marketplace`);
     console.log(`- /api/cart`);
     console.log(`- /api/receipts`);
+    console.log(`- /api/suppliers`);
+    console.log(`- /api/purchase-orders`);
+    console.log(`- /api/stock-takes`);
+    console.log(`- /api/disposals`);
+    console.log(`- /api/prescriptions`);
+    console.log(`- /api/controlled-drugs`);
+    console.log(`- /api/interactions`);
+    console.log(`- /api/customers`);
+    console.log(`- /api/credit`);
+    console.log(`- /api/payments`);
+    console.log(`- /api/shifts`);
+    console.log(`- /api/insurance`);
+    console.log(`- /api/promotions`);
+    console.log(`- /api/pharmacy`);
 });
\ No newline at end of file
@@ -0,0 +1,214 @@
+const AuthThrottle = require('../models/AuthThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+
+// After the free attempts each failure doubles the wait before the next try; at lockAfter the key is locked out
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 10 },
+  ip: { freeAttempts: 10, lockAfter: 50 }
+};
+const MAX_DELAY_SECONDS = 60;
+// Each lockout of the same key lasts twice as long as the previous one
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+// Failures are forgotten this long after the last one (or after a lockout ends)
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * The counters an attempt is tracked under. `account` is the user's ID when
+ * the account exists, otherwise the email or username that was tried.
+ */
+const keysFor = ({ account, ipAddress }) => [
+  account && { keyType: 'account', key: String(account).trim().toLowerCase() },
+  ipAddress && { keyType: 'ip', key: ipAddress }
+].filter(Boolean);
+
+const delaySeconds = (failures, policy) => {
+  if (failures <= policy.freeAttempts) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - policy.freeAttempts - 1), MAX_DELAY_SECONDS);
+};
+
+const recordEvent = (type, throttle, { userId, ipAddress, reason }) => SecurityEvent.create({
+  type,
+  scope: throttle.scope,
+  keyType: throttle.keyType,
+  key: throttle.key,
+  userId: throttle.keyType === 'account' ? userId : undefined,
+  ipAddress,
+  failures: throttle.failures,
+  lockedUntil: throttle.lockedUntil,
+  reason
+});
+
+const blockMessage = ({ locked, retryAfter }) => {
+  if (locked) {
+    const minutes = Math.ceil(retryAfter / 60);
+    return `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  }
+  return `Too many failed attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`;
+};
+
+/**
+ * Lock a key out. Only the request that locks it records the lockout.
+ * Returns when the lock ends.
+ */
+const lockOut = async (throttle, subject, now) => {
+  const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** throttle.lockCount, MAX_LOCK_MINUTES);
+  const lockedUntil = new Date(now + lockMinutes * 60 * 1000);
+  const locked = await AuthThrottle.findOneAndUpdate(
+    { _id: throttle._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date(now) } }] },
+    {
+      lockedUntil,
+      $inc: { lockCount: 1 },
+      expiresAt: new Date(lockedUntil.getTime() + FAILURE_WINDOW_MS)
+    },
+    { new: true }
+  );
+
+  if (!locked) {
+    const current = await AuthThrottle.findById(throttle._id);
+    return current && current.lockedUntil;
+  }
+
+  await recordEvent('lockout', locked, { ...subject, reason: 'too_many_failures' });
+  console.warn(`🔒 ${locked.scope} locked for ${locked.keyType} ${locked.key} until ${lockedUntil.toISOString()} after ${locked.failures} failed attempts`);
+  return lockedUntil;
+};
+
+// Take back attempts counted by reserveAttempt that turned out not to be failures
+const releaseKeys = async (scope, keys) => {
+  for (const { keyType, key } of keys) {
+    await AuthThrottle.updateOne({ scope, keyType, key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+  }
+};
+
+/**
+ * Count an attempt against the account and the IP address before it is
+ * checked, so that attempts made at the same time cannot all go ahead on the
+ * same count. Returns null if the attempt may go ahead, or
+ * { locked, retryAfter, message } with retryAfter in seconds if it has to wait;
+ * a refused attempt is not counted. A lockout that has run out is lifted here.
+ *
+ * An attempt that goes ahead is settled with recordFailure, recordSuccess or
+ * releaseAttempt.
+ */
+const reserveAttempt = async (scope, subject) => {
+  const now = Date.now();
+  const keys = keysFor(subject);
+  let block = null;
+
+  for (const { keyType, key } of keys) {
+    // The counter as it was before this attempt
+    const previous = await AuthThrottle.findOneAndUpdate(
+      { scope, keyType, key },
+      { $inc: { failures: 1 }, $max: { expiresAt: new Date(now + FAILURE_WINDOW_MS) } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    if (!previous) continue;
+
+    let candidate = null;
+    if (previous.lockedUntil && previous.lockedUntil.getTime() > now) {
+      candidate = { locked: true, retryAfter: Math.ceil((previous.lockedUntil.getTime() - now) / 1000) };
+    } else if (previous.lockedUntil) {
+      // Only the request that clears the lock records the unlock; attempts counted since it ran out stay counted
+      const cleared = await AuthThrottle.findOneAndUpdate(
+        { _id: previous._id, lockedUntil: previous.lockedUntil },
+        { $inc: { failures: -previous.failures }, $unset: { lockedUntil: 1 } }
+      );
+      if (cleared) {
+        await recordEvent('unlock', previous, { ...subject, reason: 'expired' });
+      }
+    } else if (previous.failures >= POLICIES[keyType].lockAfter) {
+      // Attempts still in flight have used up what is left
+      const lockedUntil = await lockOut(previous, subject, now);
+      if (lockedUntil) {
+        candidate = { locked: true, retryAfter: Math.ceil((lockedUntil.getTime() - now) / 1000) };
+      }
+    } else if (previous.lastFailureAt) {
+      const wait = delaySeconds(previous.failures, POLICIES[keyType]) * 1000 - (now - previous.lastFailureAt.getTime());
+      if (wait > 0) {
+        candidate = { locked: false, retryAfter: Math.ceil(wait / 1000) };
+      }
+    }
+
+    if (candidate && (!block || candidate.retryAfter > block.retryAfter)) {
+      block = candidate;
+    }
+  }
+
+  if (block) {
+    await releaseKeys(scope, keys);
+  }
+  return block && { ...block, message: blockMessage(block) };
+};
+
+/**
+ * Record that an attempt counted by reserveAttempt failed, locking the
+ * account or the IP address out once it reaches its limit
+ */
+const recordFailure = async (scope, subject) => {
+  const now = Date.now();
+
+  for (const { keyType, key } of keysFor(subject)) {
+    const throttle = await AuthThrottle.findOneAndUpdate(
+      { scope, keyType, key },
+      { $set: { lastFailureAt: new Date(now) }, $max: { expiresAt: new Date(now + FAILURE_WINDOW_MS) } },
+      { new: true }
+    );
+    if (!throttle) continue;
+
+    const alreadyLocked = throttle.lockedUntil && throttle.lockedUntil.getTime() > now;
+    if (throttle.failures < POLICIES[keyType].lockAfter || alreadyLocked) continue;
+
+    await lockOut(throttle, subject, now);
+  }
+};
+
+/**
+ * Settle an attempt counted by reserveAttempt that was neither a success nor a
+ * failure, e.g. a correct password still waiting for its second factor
+ */
+const releaseAttempt = async (scope, subject) => {
+  await releaseKeys(scope, keysFor(subject));
+};
+
+/**
+ * Record that an attempt counted by reserveAttempt succeeded. The account's
+ * failures are forgotten; the IP address's earlier failures stand, since other
+ * accounts may have been tried from it.
+ */
+const recordSuccess = async (scope, subject) => {
+  for (const { keyType, key } of keysFor(subject)) {
+    if (keyType === 'account') {
+      await AuthThrottle.deleteOne({ scope, keyType, key });
+    } else {
+      await releaseKeys(scope, [{ keyType, key }]);
+    }
+  }
+};
+
+/**
+ * Lift an account's lockout because the owner proved who they are another way,
+ * e.g. by resetting their password
+ */
+const unlockAccount = async (scope, subject, reason) => {
+  const throttle = await AuthThrottle.findOneAndDelete({
+    scope,
+    keyType: 'account',
+    key: String(subject.account).trim().toLowerCase()
+  });
+
+  if (throttle && throttle.lockedUntil && throttle.lockedUntil.getTime() > Date.now()) {
+    await recordEvent('unlock', throttle, { ...subject, reason });
+    console.log(`🔓 ${scope} unlocked for account ${throttle.key} (${reason})`);
+  }
+};
+
+module.exports = {
+  reserveAttempt,
+  recordFailure,
+  recordSuccess,
+  releaseAttempt,
+  unlockAccount
+};
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const ControlledDrugEntry = require('../models/ControlledDrugEntry');
+
+// Stock held in the lots, which may not have been summed into quantity yet
+const stockOnHand = (medicine) => {
+  if (Array.isArray(medicine.batches) && medicine.batches.length > 0) {
+    return medicine.batches.reduce((total, batch) => total + batch.quantity, 0);
+  }
+  return medicine.quantity || 0;
+};
+
+const lastEntry = (medicineId, session = null) => {
+  return ControlledDrugEntry.findOne({ medicineId })
+    .sort({ sequence: -1 })
+    .session(session);
+};
+
+const appendEntry = async (medicine, previous, entry, session) => {
+  const [created] = await ControlledDrugEntry.create([{
+    pharmacyId: medicine.pharmacyId,
+    medicineId: medicine._id,
+    medicineName: medicine.name,
+    schedule: medicine.controlledSchedule,
+    sequence: previous ? previous.sequence + 1 : 1,
+    ...entry,
+    balance: (previous ? previous.balance : 0) + entry.change
+  }], { session });
+
+  return created;
+};
+
+/**
+ * Write a stock movement of a controlled drug to the register, within the caller's
+ * database session. Call it straight after the medicine's lots have been changed.
+ * Does nothing for medicines that are not controlled.
+ *
+ * movement: { change, entryType, quantity?, batches?, reference?: { type, id, number }, party?, userId, notes? }
+ */
+const recordMovement = async (medicine, movement, session = null) => {
+  if (!medicine || !medicine.controlledSchedule) {
+    return null;
+  }
+
+  const { change, entryType, quantity = Math.abs(change), batches = [], reference, party, userId, notes } = movement;
+
+  // Stock held before the drug was registered is carried in as an opening balance
+  let previous = await lastEntry(medicine._id, session);
+  const openingBalance = stockOnHand(medicine) - change;
+  if (!previous && openingBalance !== 0) {
+    previous = await appendEntry(medicine, null, {
+      entryType: 'opening',
+      quantity: Math.abs(openingBalance),
+      change: openingBalance,
+      performedBy: userId,
+      notes: 'Stock held when the register was opened'
+    }, session);
+  }
+
+  const entry = await appendEntry(medicine, previous, {
+    entryType,
+    quantity,
+    change,
+    batches: batches.map(batch => ({
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      quantity: batch.quantity
+    })),
+    reference,
+    party,
+    performedBy: userId,
+    notes
+  }, session);
+
+  console.log(`📒 Controlled drug register: ${entryType} ${change >= 0 ? '+' : ''}${change} ${medicine.name} (balance ${entry.balance})`);
+
+  return entry;
+};
+
+/**
+ * Record the stock held when a medicine is first marked as controlled
+ */
+const openRegister = async (medicine, userId, session = null) => {
+  if (!medicine.controlledSchedule || await lastEntry(medicine._id, session)) {
+    return null;
+  }
+
+  return appendEntry(medicine, null, {
+    entryType: 'opening',
+    quantity: stockOnHand(medicine),
+    change: stockOnHand(medicine),
+    performedBy: userId,
+    notes: 'Register opened'
+  }, session);
+};
+
+/**
+ * Register entries, oldest first, for one medicine or the whole pharmacy
+ */
+const getRegister = async (pharmacyId, { medicineId, entryType, startDate, endDate, page = 1, limit = 50 } = {}) => {
+  const query = { pharmacyId };
+  if (medicineId) query.medicineId = medicineId;
+  if (entryType) query.entryType = entryType;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const [entries, total] = await Promise.all([
+    ControlledDrugEntry.find(query)
+      .populate('performedBy', 'username email')
+      .sort({ createdAt: 1, sequence: 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    ControlledDrugEntry.countDocuments(query)
+  ]);
+
+  return { entries, total };
+};
+
+/**
+ * Compare the register's running balance with the stock held for every controlled
+ * drug, and for any medicine that has register entries but is no longer controlled
+ */
+const reconcileRegister = async (pharmacyId) => {
+  const balances = await ControlledDrugEntry.aggregate([
+    { $match: { pharmacyId: new mongoose.Types.ObjectId(pharmacyId) } },
+    { $sort: { medicineId: 1, sequence: -1 } },
+    {
+      $group: {
+        _id: '$medicineId',
+        balance: { $first: '$balance' },
+        entries: { $sum: 1 },
+        lastEntryAt: { $first: '$createdAt' }
+      }
+    }
+  ]);
+  const balanceByMedicine = new Map(balances.map(row => [row._id.toString(), row]));
+
+  const medicines = await Medicine.find({
+    pharmacyId,
+    $or: [
+      { controlledSchedule: { $ne: null } },
+      { _id: { $in: balances.map(row => row._id) } }
+    ]
+  }).select('name genericName controlledSchedule quantity').sort({ name: 1 });
+
+  const rows = medicines.map(medicine => {
+    const ledger = balanceByMedicine.get(medicine._id.toString());
+    const ledgerBalance = ledger ? ledger.balance : 0;
+    const difference = medicine.quantity - ledgerBalance;
+
+    let status = difference === 0 ? 'balanced' : 'discrepancy';
+    if (!ledger) status = medicine.quantity === 0 ? 'balanced' : 'not_registered';
+
+    return {
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      genericName: medicine.genericName,
+      schedule: medicine.controlledSchedule,
+      stockQuantity: medicine.quantity,
+      ledgerBalance,
+      difference,
+      entries: ledger ? ledger.entries : 0,
+      lastEntryAt: ledger ? ledger.lastEntryAt : null,
+      status
+    };
+  });
+
+  return {
+    medicines: rows,
+    totals: {
+      medicines: rows.length,
+      balanced: rows.filter(row => row.status === 'balanced').length,
+      discrepancies: rows.filter(row => row.status !== 'balanced').length
+    }
+  };
+};
+
+module.exports = {
+  recordMovement,
+  openRegister,
+  getRegister,
+  reconcileRegister
+};
@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const { runInTransaction } = require('./inventoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aging buckets by days since the credit sale
+const AGING_BUCKETS = [
+  { key: 'current', maxDays: 30 },
+  { key: 'days30', maxDays: 60 },
+  { key: 'days60', maxDays: 90 },
+  { key: 'days90Plus', maxDays: Infinity }
+];
+
+// HTTP status for the error codes raised by credit sales and repayments
+const CREDIT_ERROR_STATUS = {
+  CREDIT_CUSTOMER_REQUIRED: 400,
+  CREDIT_LIMIT_EXCEEDED: 400,
+  CREDIT_ACCOUNT_NOT_FOUND: 404,
+  REPAYMENT_EXCEEDS_BALANCE: 400,
+  INVALID_ALLOCATION: 400
+};
+
+const creditError = (message, code, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Charge a sale paid on credit (or the part of it paid on credit) to the customer's account.
+ * The balance only goes up if it stays within the customer's credit limit, so concurrent
+ * sales cannot overshoot it.
+ */
+const chargeCreditSale = async (transaction, customer, { amount: creditAmount, userId, session = null } = {}) => {
+  if (!customer) {
+    throw creditError('Credit sales need a registered customer (customerId or customer phone)', 'CREDIT_CUSTOMER_REQUIRED');
+  }
+
+  const amount = roundAmount(creditAmount !== undefined ? creditAmount : transaction.totalAmount);
+  const updated = await Customer.findOneAndUpdate(
+    {
+      _id: customer._id,
+      $expr: { $lte: [{ $add: ['$creditBalance', amount] }, '$creditLimit'] }
+    },
+    { $inc: { creditBalance: amount } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    const current = await Customer.findById(customer._id).select('name creditLimit creditBalance').session(session);
+    const available = roundAmount(Math.max(0, current.creditLimit - current.creditBalance));
+    throw creditError(
+      `Credit limit exceeded for ${current.name}: ${available} of ${current.creditLimit} available, ${amount} on credit`,
+      'CREDIT_LIMIT_EXCEEDED',
+      { creditLimit: current.creditLimit, creditBalance: current.creditBalance, available, amount }
+    );
+  }
+
+  const saleDate = transaction.transactionDate || new Date();
+  const [charge] = await CreditLedgerEntry.create([{
+    pharmacyId: transaction.pharmacyId,
+    customerId: customer._id,
+    entryType: 'charge',
+    amount,
+    balanceAfter: roundAmount(updated.creditBalance),
+    transactionId: transaction._id,
+    transactionNumber: transaction.transactionNumber,
+    dueDate: new Date(saleDate.getTime() + updated.creditTermsDays * DAY_MS),
+    recordedBy: userId
+  }], { session });
+
+  console.log(`🧾 Credit sale charged to ${updated.name}: ${amount} (balance ${charge.balanceAfter})`);
+
+  return charge;
+};
+
+/**
+ * Apply a settlement to open charges, updating what each still owes.
+ * Without allocations, the oldest charges are settled first.
+ */
+const allocateToCharges = async (pharmacyId, customerId, amount, allocations, session) => {
+  const openCharges = await CreditLedgerEntry.find({
+    pharmacyId,
+    customerId,
+    entryType: 'charge',
+    status: { $in: ['open', 'partial'] }
+  }).sort({ createdAt: 1 }).session(session);
+
+  const applied = [];
+
+  if (allocations && allocations.length > 0) {
+    const total = roundAmount(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (total !== amount) {
+      throw creditError(`Allocations total ${total} but the repayment is ${amount}`, 'INVALID_ALLOCATION');
+    }
+
+    for (const allocation of allocations) {
+      const charge = openCharges.find(entry => entry._id.toString() === allocation.chargeId.toString());
+      if (!charge) {
+        throw creditError(`Credit sale ${allocation.chargeId} is not open for this customer`, 'INVALID_ALLOCATION');
+      }
+      if (allocation.amount > charge.outstanding) {
+        throw creditError(`Only ${charge.outstanding} is outstanding on ${charge.transactionNumber}`, 'INVALID_ALLOCATION');
+      }
+      charge.outstanding = roundAmount(charge.outstanding - allocation.amount);
+      applied.push({ chargeId: charge._id, transactionNumber: charge.transactionNumber, amount: allocation.amount });
+    }
+  } else {
+    let remaining = amount;
+    for (const charge of openCharges) {
+      if (remaining <= 0) break;
+      const settled = Math.min(remaining, charge.outstanding);
+      charge.outstanding = roundAmount(charge.outstanding - settled);
+      remaining = roundAmount(remaining - settled);
+      applied.push({ chargeId: charge._id, transactionNumber: charge.transactionNumber, amount: settled });
+    }
+  }
+
+  for (const charge of openCharges.filter(entry => entry.isModified('outstanding'))) {
+    await charge.save({ session });
+  }
+
+  return applied;
+};
+
+/**
+ * Record a repayment from a customer, optionally allocated to specific credit sales
+ */
+const recordRepayment = async (pharmacyId, customerId, { amount, method = 'cash', reference, allocations, notes }, userId) => {
+  const repaid = roundAmount(amount);
+  let entry;
+
+  await runInTransaction(async (session) => {
+    const customer = await Customer.findOneAndUpdate(
+      { _id: customerId, pharmacyId, creditBalance: { $gte: repaid } },
+      { $inc: { creditBalance: -repaid } },
+      { new: true, session }
+    );
+
+    if (!customer) {
+      const current = await Customer.findOne({ _id: customerId, pharmacyId }).select('creditBalance').session(session);
+      if (!current) {
+        throw creditError('Customer not found', 'CREDIT_ACCOUNT_NOT_FOUND');
+      }
+      throw creditError(`Repayment of ${repaid} is more than the outstanding balance of ${current.creditBalance}`, 'REPAYMENT_EXCEEDS_BALANCE');
+    }
+
+    const applied = await allocateToCharges(pharmacyId, customerId, repaid, allocations, session);
+
+    [entry] = await CreditLedgerEntry.create([{
+      pharmacyId,
+      customerId,
+      entryType: 'repayment',
+      amount: repaid,
+      balanceAfter: roundAmount(customer.creditBalance),
+      allocations: applied,
+      method,
+      reference,
+      notes,
+      recordedBy: userId
+    }], { session });
+  });
+
+  console.log(`💵 Credit repayment recorded: ${repaid} (balance ${entry.balanceAfter})`);
+
+  return entry;
+};
+
+/**
+ * Reduce what is owed on a credit sale when part of it is refunded.
+ * Only the amount still outstanding on the sale is written off the account.
+ */
+const refundCreditSale = async (refund, transactionId, { userId, session = null } = {}) => {
+  const charge = await CreditLedgerEntry.findOne({ transactionId, entryType: 'charge' }).session(session);
+  if (!charge || charge.outstanding <= 0) {
+    return null;
+  }
+
+  const amount = roundAmount(Math.min(refund.refundAmount, charge.outstanding));
+  charge.outstanding = roundAmount(charge.outstanding - amount);
+  await charge.save({ session });
+
+  const customer = await Customer.findByIdAndUpdate(
+    charge.customerId,
+    { $inc: { creditBalance: -amount } },
+    { new: true, session }
+  );
+
+  const [entry] = await CreditLedgerEntry.create([{
+    pharmacyId: charge.pharmacyId,
+    customerId: charge.customerId,
+    entryType: 'refund',
+    amount,
+    balanceAfter: roundAmount(customer.creditBalance),
+    allocations: [{ chargeId: charge._id, transactionNumber: charge.transactionNumber, amount }],
+    refundId: refund._id,
+    reference: refund.refundNumber,
+    recordedBy: userId
+  }], { session });
+
+  return entry;
+};
+
+/**
+ * A customer's credit account: limit, balance and the sales still owed
+ */
+const getCreditAccount = async (pharmacyId, customerId) => {
+  const customer = await Customer.findOne({ _id: customerId, pharmacyId })
+    .select('name phone creditLimit creditTermsDays creditBalance');
+  if (!customer) {
+    return null;
+  }
+
+  const now = Date.now();
+  const openCharges = await CreditLedgerEntry.find({
+    pharmacyId,
+    customerId,
+    entryType: 'charge',
+    status: { $in: ['open', 'partial'] }
+  }).sort({ createdAt: 1 });
+
+  return {
+    customerId: customer._id,
+    name: customer.name,
+    phone: customer.phone,
+    creditLimit: customer.creditLimit,
+    creditTermsDays: customer.creditTermsDays,
+    creditBalance: customer.creditBalance,
+    available: roundAmount(Math.max(0, customer.creditLimit - customer.creditBalance)),
+    openSales: openCharges.map(charge => ({
+      chargeId: charge._id,
+      transactionId: charge.transactionId,
+      transactionNumber: charge.transactionNumber,
+      saleDate: charge.createdAt,
+      dueDate: charge.dueDate,
+      amount: charge.amount,
+      outstanding: charge.outstanding,
+      status: charge.status,
+      daysOverdue: Math.max(0, Math.floor((now - charge.dueDate.getTime()) / DAY_MS))
+    }))
+  };
+};
+
+/**
+ * A customer's ledger, newest first
+ */
+const getLedger = async (pharmacyId, customerId, { entryType, page = 1, limit = 20 } = {}) => {
+  const query = { pharmacyId, customerId };
+  if (entryType) query.entryType = entryType;
+
+  const [entries, total] = await Promise.all([
+    CreditLedgerEntry.find(query)
+      .populate('recordedBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    CreditLedgerEntry.countDocuments(query)
+  ]);
+
+  return { entries, total };
+};
+
+/**
+ * Accounts receivable aging: what each customer owes, by age of the credit sale
+ */
+const getAgingReport = async (pharmacyId) => {
+  const reportDate = new Date();
+
+  const charges = await CreditLedgerEntry.find({
+    pharmacyId: new mongoose.Types.ObjectId(pharmacyId),
+    entryType: 'charge',
+    status: { $in: ['open', 'partial'] }
+  })
+    .populate('customerId', 'name phone creditLimit')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+  const totals = { ...emptyBuckets(), total: 0 };
+  const customers = new Map();
+
+  for (const charge of charges) {
+    const ageDays = Math.max(0, Math.floor((reportDate - charge.createdAt) / DAY_MS));
+    const { key } = AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays);
+    const customerKey = charge.customerId._id.toString();
+
+    if (!customers.has(customerKey)) {
+      customers.set(customerKey, {
+        customerId: charge.customerId._id,
+        name: charge.customerId.name,
+        phone: charge.customerId.phone,
+        creditLimit: charge.customerId.creditLimit,
+        ...emptyBuckets(),
+        total: 0,
+        oldestSaleDate: charge.createdAt
+      });
+    }
+
+    const row = customers.get(customerKey);
+    row[key] = roundAmount(row[key] + charge.outstanding);
+    row.total = roundAmount(row.total + charge.outstanding);
+    totals[key] = roundAmount(totals[key] + charge.outstanding);
+    totals.total = roundAmount(totals.total + charge.outstanding);
+  }
+
+  return {
+    asOf: reportDate,
+    buckets: AGING_BUCKETS.map(bucket => bucket.key),
+    customers: [...customers.values()].sort((a, b) => b.total - a.total),
+    totals
+  };
+};
+
+module.exports = {
+  CREDIT_ERROR_STATUS,
+  chargeCreditSale,
+  recordRepayment,
+  refundCreditSale,
+  getCreditAccount,
+  getLedger,
+  getAgingReport
+};
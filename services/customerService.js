@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const Refund = require('../models/Refund');
+
+// HTTP status for the error codes raised when a sale is linked to a customer
+const CUSTOMER_ERROR_STATUS = {
+  CUSTOMER_NOT_FOUND: 404,
+  CUSTOMER_INACTIVE: 400
+};
+
+const customerError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Find the customer a sale belongs to: by id when given, otherwise by phone number,
+ * registering a new customer for a phone number not seen before. Returns null for
+ * walk-in sales without a phone number.
+ */
+const resolveCustomer = async (pharmacyId, { customerId, name, phone, email } = {}, { userId, session = null } = {}) => {
+  if (customerId) {
+    const customer = mongoose.Types.ObjectId.isValid(customerId)
+      ? await Customer.findOne({ _id: customerId, pharmacyId }).session(session)
+      : null;
+    if (!customer) {
+      throw customerError('Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    if (!customer.isActive) {
+      throw customerError(`Customer ${customer.name} is inactive`, 'CUSTOMER_INACTIVE');
+    }
+    return customer;
+  }
+
+  const normalizedPhone = Customer.normalizePhone(phone);
+  if (!normalizedPhone) {
+    return null;
+  }
+
+  let customer = await Customer.findOne({ pharmacyId, phone: normalizedPhone }).session(session);
+  if (customer) {
+    // Fill in details the registry does not have yet, without overwriting what it does
+    if (!customer.email && email) customer.email = email;
+    if (customer.isModified()) await customer.save({ session });
+    return customer;
+  }
+
+  [customer] = await Customer.create([{
+    pharmacyId,
+    name: name && name.trim() ? name : 'Walk-in Customer',
+    phone: normalizedPhone,
+    email: email || undefined,
+    createdBy: userId
+  }], { session });
+
+  console.log(`👤 Customer registered: ${customer.name} (${customer.phone})`);
+
+  return customer;
+};
+
+/**
+ * Link a sale to a customer: the customer's registered details are copied onto it
+ */
+const linkCustomer = async (transaction, customer, session = null) => {
+  if (!customer) {
+    return transaction;
+  }
+
+  transaction.customerInfo = {
+    name: customer.name,
+    phone: customer.phone,
+    email: customer.email || (transaction.customerInfo && transaction.customerInfo.email),
+    customerId: customer._id
+  };
+
+  customer.lastPurchaseAt = new Date();
+  await customer.save({ session });
+
+  return transaction;
+};
+
+const customerMatch = (pharmacyId, customerId) => ({
+  pharmacyId: new mongoose.Types.ObjectId(pharmacyId),
+  'customerInfo.customerId': new mongoose.Types.ObjectId(customerId)
+});
+
+/**
+ * Spending summary of a customer: visits, total spent and refunds
+ */
+const getCustomerSummary = async (pharmacyId, customerId) => {
+  const [sales] = await Sale.aggregate([
+    { $match: { ...customerMatch(pharmacyId, customerId), status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: null,
+        visits: { $sum: 1 },
+        totalSpent: { $sum: '$totalAmount' },
+        totalRefunded: { $sum: '$refundAmount' },
+        firstPurchaseAt: { $min: '$transactionDate' },
+        lastPurchaseAt: { $max: '$transactionDate' }
+      }
+    }
+  ]);
+
+  return {
+    visits: sales ? sales.visits : 0,
+    totalSpent: sales ? sales.totalSpent : 0,
+    totalRefunded: sales ? sales.totalRefunded : 0,
+    firstPurchaseAt: sales ? sales.firstPurchaseAt : null,
+    lastPurchaseAt: sales ? sales.lastPurchaseAt : null
+  };
+};
+
+/**
+ * A customer's sales, newest first
+ */
+const getPurchaseHistory = async (pharmacyId, customerId, { startDate, endDate, page = 1, limit = 20 } = {}) => {
+  const query = { pharmacyId, 'customerInfo.customerId': customerId };
+  if (startDate || endDate) {
+    query.transactionDate = {};
+    if (startDate) query.transactionDate.$gte = new Date(startDate);
+    if (endDate) query.transactionDate.$lte = new Date(endDate);
+  }
+
+  const [sales, total] = await Promise.all([
+    Sale.find(query)
+      .select('transactionNumber receiptNumber transactionDate items.medicineName items.genericName items.quantity items.unitPrice items.totalPrice payment.method totalAmount refundStatus refundAmount isPrescription prescriptionId status')
+      .sort({ transactionDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Sale.countDocuments(query)
+  ]);
+
+  return { sales, total };
+};
+
+/**
+ * Refunds given to a customer, newest first
+ */
+const getRefunds = (pharmacyId, customerId) => {
+  return Refund.find({ pharmacyId, 'customerInfo.customerId': customerId })
+    .select('refundNumber receiptNumber transactionNumber refundItems refundAmount refundReason refundType status createdAt')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = {
+  CUSTOMER_ERROR_STATUS,
+  resolveCustomer,
+  linkCustomer,
+  getCustomerSummary,
+  getPurchaseHistory,
+  getRefunds
+};
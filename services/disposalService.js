@@ -0,0 +1,384 @@
+const Medicine = require('../models/Medicine');
+const Disposal = require('../models/Disposal');
+const Transaction = require('../models/Transaction');
+const { generateTransactionNumber } = require('../utils/helpers');
+const { runInTransaction } = require('./inventoryService');
+const { recordMovement } = require('./controlledDrugService');
+
+// Adjustment reason posted when stock is quarantined for each disposal reason
+const ADJUSTMENT_REASON_FOR = {
+  expired: 'expired',
+  damaged: 'damaged',
+  recalled: 'other',
+  other: 'other'
+};
+
+const disposalError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Claim a quarantine's move to the disposal's new status inside the session, so
+ * that of two requests releasing or disposing of the same quarantine only one goes ahead
+ */
+const claimQuarantine = async (disposal, session) => {
+  const claimed = await Disposal.findOneAndUpdate(
+    { _id: disposal._id, status: 'quarantined' },
+    { $set: { status: disposal.status } },
+    { session }
+  );
+  if (!claimed) {
+    throw disposalError(`Disposal ${disposal.disposalNumber} is no longer quarantined`, 'STATUS_CHANGED');
+  }
+};
+
+/**
+ * Lots to take from a medicine for one requested line. Without a batchId every
+ * expired lot is taken, which is only allowed when disposing of expired stock.
+ */
+const selectLots = (medicine, { batchId, quantity }, reason, now) => {
+  medicine.ensureBatches();
+
+  if (batchId) {
+    const batch = medicine.batches.id(batchId);
+    if (!batch) {
+      throw disposalError(`Lot ${batchId} not found for ${medicine.name}`, 'BATCH_NOT_FOUND');
+    }
+    return [{ batch, quantity: quantity || batch.quantity }];
+  }
+
+  if (reason !== 'expired') {
+    throw disposalError(`Choose the lot of ${medicine.name} to quarantine`, 'BATCH_REQUIRED');
+  }
+
+  return medicine.batches
+    .filter(batch => batch.quantity > 0 && batch.expiryDate <= now)
+    .map(batch => ({ batch, quantity: batch.quantity }));
+};
+
+/**
+ * Build the adjustment transaction recording stock leaving or returning to inventory
+ */
+const buildAdjustment = (disposal, medicines, { transactionNumber, direction, userId, description }) => {
+  const transactionItems = disposal.items.map(item => {
+    const medicine = medicines.get(item.medicineId.toString());
+    const unitCost = item.costPrice || 0;
+
+    return {
+      medicineId: item.medicineId,
+      medicineName: item.medicineName,
+      genericName: medicine.genericName,
+      form: medicine.form,
+      packSize: medicine.packSize,
+      quantity: item.quantity,
+      unitPrice: unitCost,
+      totalPrice: item.quantity * unitCost,
+      batchNumber: item.batchNumber,
+      expiryDate: item.expiryDate,
+      manufacturer: medicine.manufacturer,
+      batchAllocations: [{
+        batchId: item.batchId,
+        batchNumber: item.batchNumber,
+        expiryDate: item.expiryDate,
+        quantity: item.quantity,
+        costPrice: item.costPrice
+      }]
+    };
+  });
+
+  const totalAmount = transactionItems.reduce((total, item) => total + item.totalPrice, 0);
+
+  return new Transaction({
+    pharmacyId: disposal.pharmacyId,
+    userId,
+    transactionType: 'adjustment',
+    transactionNumber,
+    transactionRef: `${disposal.disposalNumber}-${direction}`,
+    description,
+    items: transactionItems,
+    subtotal: totalAmount,
+    totalAmount,
+    adjustment: {
+      reasonCode: ADJUSTMENT_REASON_FOR[disposal.reason],
+      direction,
+      disposalId: disposal._id
+    },
+    status: 'completed',
+    transactionDate: new Date(),
+    createdBy: userId,
+    updatedBy: userId
+  });
+};
+
+/**
+ * Move lots out of sellable stock into quarantine pending disposal.
+ * Items are { medicineId, batchId?, quantity? }; the whole lot is taken when no
+ * quantity is given, and every expired lot of the medicine when no lot is given.
+ */
+const quarantineStock = async (pharmacyId, userId, { reason, items, notes }) => {
+  const transactionNumber = await generateTransactionNumber('adjustment');
+  const now = new Date();
+  let disposal;
+
+  await runInTransaction(async (session) => {
+    const medicines = new Map();
+
+    disposal = new Disposal({
+      disposalNumber: await Disposal.generateDisposalNumber(session),
+      pharmacyId,
+      reason,
+      items: [],
+      quarantinedAt: now,
+      quarantinedBy: userId,
+      notes
+    });
+
+    for (const item of items) {
+      const key = item.medicineId.toString();
+      if (!medicines.has(key)) {
+        const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId }).session(session);
+        if (!medicine) {
+          throw disposalError(`Medicine ${item.medicineId} not found`, 'MEDICINE_NOT_FOUND');
+        }
+        medicines.set(key, medicine);
+      }
+      const medicine = medicines.get(key);
+
+      for (const { batch, quantity } of selectLots(medicine, item, reason, now)) {
+        const allocation = medicine.adjustBatch(batch._id, -quantity);
+        await recordMovement(medicine, {
+          entryType: 'quarantine',
+          change: -quantity,
+          batches: [allocation],
+          reference: { type: 'Disposal', id: disposal._id, number: disposal.disposalNumber },
+          userId,
+          notes: `Quarantined for disposal (${reason})`
+        }, session);
+
+        disposal.items.push({
+          medicineId: medicine._id,
+          medicineName: medicine.name,
+          genericName: medicine.genericName,
+          batchId: allocation.batchId,
+          batchNumber: allocation.batchNumber,
+          expiryDate: allocation.expiryDate,
+          quantity: allocation.quantity,
+          costPrice: allocation.costPrice ?? medicine.costPrice
+        });
+      }
+    }
+
+    if (disposal.items.length === 0) {
+      throw disposalError('No stock found to quarantine', 'NOTHING_TO_QUARANTINE');
+    }
+
+    const transaction = buildAdjustment(disposal, medicines, {
+      transactionNumber,
+      direction: 'decrease',
+      userId,
+      description: `Quarantined for disposal ${disposal.disposalNumber} (${reason})`
+    });
+    disposal.quarantineTransactionId = transaction._id;
+
+    for (const medicine of medicines.values()) {
+      await medicine.save({ session });
+    }
+    await transaction.save({ session });
+    await disposal.save({ session });
+  });
+
+  console.log(`🚫 Stock quarantined: ${disposal.disposalNumber} (${disposal.items.length} lot(s))`);
+
+  return disposal;
+};
+
+/**
+ * Quarantine every expired lot still held by a pharmacy
+ */
+const quarantineExpiredStock = async (pharmacyId, userId, { notes } = {}) => {
+  const now = new Date();
+  const medicines = await Medicine.find({
+    pharmacyId,
+    $or: [
+      { batches: { $elemMatch: { expiryDate: { $lte: now }, quantity: { $gt: 0 } } } },
+      { 'batches.0': { $exists: false }, expiryDate: { $lte: now }, quantity: { $gt: 0 } }
+    ]
+  }).select('_id');
+
+  if (medicines.length === 0) {
+    throw disposalError('No expired stock to quarantine', 'NOTHING_TO_QUARANTINE');
+  }
+
+  return quarantineStock(pharmacyId, userId, {
+    reason: 'expired',
+    items: medicines.map(medicine => ({ medicineId: medicine._id })),
+    notes
+  });
+};
+
+/**
+ * Put quarantined stock back into its lots, e.g. when damage turns out to be cosmetic
+ */
+const releaseQuarantine = async (disposal, userId, { notes } = {}) => {
+  if (disposal.status !== 'quarantined') {
+    throw disposalError(`A ${disposal.status} disposal cannot be released`, 'INVALID_STATUS');
+  }
+
+  const transactionNumber = await generateTransactionNumber('adjustment');
+
+  disposal.status = 'released';
+  disposal.releasedAt = new Date();
+  disposal.releasedBy = userId;
+  if (notes) disposal.notes = [disposal.notes, notes].filter(Boolean).join('\n');
+
+  await runInTransaction(async (session) => {
+    await claimQuarantine(disposal, session);
+
+    const medicines = new Map();
+
+    for (const item of disposal.items) {
+      const key = item.medicineId.toString();
+      if (!medicines.has(key)) {
+        const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId: disposal.pharmacyId }).session(session);
+        if (!medicine) {
+          throw disposalError(`Medicine ${item.medicineName} no longer exists`, 'MEDICINE_NOT_FOUND');
+        }
+        medicines.set(key, medicine);
+      }
+
+      const lot = {
+        batchId: item.batchId,
+        batchNumber: item.batchNumber,
+        expiryDate: item.expiryDate,
+        quantity: item.quantity,
+        costPrice: item.costPrice
+      };
+      medicines.get(key).returnToBatches([lot]);
+      await recordMovement(medicines.get(key), {
+        entryType: 'release',
+        change: item.quantity,
+        batches: [lot],
+        reference: { type: 'Disposal', id: disposal._id, number: disposal.disposalNumber },
+        userId,
+        notes: 'Released from quarantine'
+      }, session);
+    }
+
+    const transaction = buildAdjustment(disposal, medicines, {
+      transactionNumber,
+      direction: 'increase',
+      userId,
+      description: `Released from quarantine ${disposal.disposalNumber}`
+    });
+    disposal.releaseTransactionId = transaction._id;
+
+    for (const medicine of medicines.values()) {
+      await medicine.save({ session });
+    }
+    await transaction.save({ session });
+    await disposal.save({ session });
+  });
+
+  console.log(`↩️ Quarantine released: ${disposal.disposalNumber}`);
+
+  return disposal;
+};
+
+/**
+ * Record how quarantined stock was destroyed or returned
+ */
+const recordDisposal = async (disposal, details, userId) => {
+  if (disposal.status !== 'quarantined') {
+    throw disposalError(`A ${disposal.status} disposal cannot be recorded as disposed`, 'INVALID_STATUS');
+  }
+
+  disposal.status = 'disposed';
+  disposal.disposal = {
+    method: details.method,
+    disposedAt: details.disposedAt || new Date(),
+    witnessName: details.witnessName,
+    witnessRole: details.witnessRole,
+    contractorName: details.contractorName,
+    certificateNumber: details.certificateNumber,
+    certificateFile: details.certificateFile,
+    recordedBy: userId
+  };
+  if (details.notes) disposal.notes = [disposal.notes, details.notes].filter(Boolean).join('\n');
+
+  // Controlled drugs left the balance when quarantined; the register records their destruction and witness
+  await runInTransaction(async (session) => {
+    await claimQuarantine(disposal, session);
+
+    for (const item of disposal.items) {
+      const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId: disposal.pharmacyId }).session(session);
+      if (!medicine) {
+        throw disposalError(`Medicine ${item.medicineName} no longer exists`, 'MEDICINE_NOT_FOUND');
+      }
+      await recordMovement(medicine, {
+        entryType: 'disposal',
+        change: 0,
+        quantity: item.quantity,
+        batches: [item],
+        reference: { type: 'Disposal', id: disposal._id, number: disposal.disposalNumber },
+        userId,
+        notes: `${details.method.replace(/_/g, ' ')}, witnessed by ${details.witnessName}`
+      }, session);
+    }
+
+    await disposal.save({ session });
+  });
+
+  console.log(`🗑️ Disposal recorded: ${disposal.disposalNumber} (${details.method})`);
+
+  return disposal;
+};
+
+/**
+ * Stock disposed of in a period, with totals by reason and by method
+ */
+const getDisposalReport = async (pharmacyId, { startDate, endDate } = {}) => {
+  const query = { pharmacyId, status: 'disposed' };
+  if (startDate || endDate) {
+    query['disposal.disposedAt'] = {};
+    if (startDate) query['disposal.disposedAt'].$gte = new Date(startDate);
+    if (endDate) query['disposal.disposedAt'].$lte = new Date(endDate);
+  }
+
+  const disposals = await Disposal.find(query)
+    .populate('disposal.recordedBy', 'username email')
+    .sort({ 'disposal.disposedAt': 1 });
+
+  const summarise = (keyOf) => {
+    const totals = new Map();
+    for (const disposal of disposals) {
+      const key = keyOf(disposal);
+      const entry = totals.get(key) || { key, disposals: 0, units: 0, cost: 0 };
+      entry.disposals += 1;
+      entry.units += disposal.items.reduce((total, item) => total + item.quantity, 0);
+      entry.cost += disposal.totalCost;
+      totals.set(key, entry);
+    }
+    return [...totals.values()];
+  };
+
+  return {
+    disposals,
+    byReason: summarise(disposal => disposal.reason),
+    byMethod: summarise(disposal => disposal.disposal.method),
+    totals: {
+      disposals: disposals.length,
+      units: disposals.reduce((total, disposal) => total + disposal.items.reduce((sum, item) => sum + item.quantity, 0), 0),
+      cost: disposals.reduce((total, disposal) => total + disposal.totalCost, 0)
+    }
+  };
+};
+
+module.exports = {
+  quarantineStock,
+  quarantineExpiredStock,
+  releaseQuarantine,
+  recordDisposal,
+  getDisposalReport
+};
@@ -0,0 +1,149 @@
+const User = require('../models/User');
+
+const UNSET_COORDINATES = [0, 0];
+
+/**
+ * Parse a "latitude,longitude" string into GeoJSON [longitude, latitude], or null
+ */
+const parseNear = (near) => {
+  if (!near) return null;
+
+  const [latitude, longitude] = String(near).split(',').map(value => parseFloat(value));
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return [longitude, latitude];
+};
+
+/**
+ * Coordinates of a pharmacy, or null if it has not set its location
+ */
+const getPharmacyCoordinates = async (pharmacyId) => {
+  const pharmacy = await User.findById(pharmacyId).select('location').lean();
+  const coordinates = pharmacy && pharmacy.location && pharmacy.location.coordinates;
+
+  if (!coordinates || coordinates.length !== 2 ||
+    (coordinates[0] === UNSET_COORDINATES[0] && coordinates[1] === UNSET_COORDINATES[1])) {
+    return null;
+  }
+
+  return coordinates;
+};
+
+// Metres from $geoNear to km, to 2 decimal places
+const toKm = (metres) => Math.round(metres / 10) / 100;
+
+// Pharmacies with a location, nearest first, with their distance in metres
+const geoNearStage = (origin, maxDistanceKm) => ({
+  near: { type: 'Point', coordinates: origin },
+  distanceField: 'distance',
+  spherical: true,
+  query: { 'location.coordinates': { $ne: UNSET_COORDINATES } },
+  ...(maxDistanceKm && { maxDistance: maxDistanceKm * 1000 })
+});
+
+/**
+ * Run a paginated search over documents that belong to a pharmacy (pharmacyId),
+ * adding each result's distanceKm from the origin.
+ * With maxDistanceKm only pharmacies in range are searched; with sortByDistance
+ * the nearest come first. Results are plain objects.
+ *
+ * With an origin the search is one aggregation: $geoNear over the pharmacies,
+ * then a $lookup of each one's matching documents. $geoNear has to come first,
+ * so the query cannot use $text.
+ */
+const searchByDistance = async (Model, query, {
+  origin,
+  maxDistanceKm,
+  sortByDistance = false,
+  sort = { createdAt: -1 },
+  skip = 0,
+  limit = 20,
+  populate = [],
+  select = '-__v'
+}) => {
+  if (!origin) {
+    const [docs, total] = await Promise.all([
+      Model.find(query).populate(populate).sort(sort).skip(skip).limit(limit).select(select),
+      Model.countDocuments(query)
+    ]);
+    return { results: docs.map(doc => ({ ...doc.toJSON(), distanceKm: null })), total };
+  }
+
+  // Only what is needed to sort and page
+  const keep = { pharmacyId: 1, ...Object.fromEntries(Object.keys(sort).map(field => [field, 1])) };
+
+  const pipeline = [
+    { $geoNear: geoNearStage(origin, maxDistanceKm) },
+    { $project: { distance: 1 } },
+    {
+      $lookup: {
+        from: Model.collection.name,
+        let: { pharmacyId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$pharmacyId', '$$pharmacyId'] } } },
+          { $match: query },
+          { $project: keep }
+        ],
+        as: 'doc'
+      }
+    },
+    { $unwind: '$doc' },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$doc', { _distance: '$distance', _unlocated: 0 }] } } }
+  ];
+
+  // Without a range, documents of pharmacies that have not set a location are included, last when sorting by distance
+  if (!maxDistanceKm) {
+    pipeline.push({
+      $unionWith: {
+        coll: Model.collection.name,
+        pipeline: [
+          { $match: query },
+          { $lookup: { from: User.collection.name, localField: 'pharmacyId', foreignField: '_id', as: 'pharmacy' } },
+          {
+            $match: {
+              $or: [
+                { 'pharmacy.location.coordinates': { $exists: false } },
+                { 'pharmacy.location.coordinates': UNSET_COORDINATES }
+              ]
+            }
+          },
+          { $project: keep },
+          { $addFields: { _distance: null, _unlocated: 1 } }
+        ]
+      }
+    });
+  }
+
+  const order = sortByDistance ? { _unlocated: 1, _distance: 1, ...sort, _id: 1 } : { ...sort, _id: 1 };
+  pipeline.push({
+    $facet: {
+      total: [{ $count: 'count' }],
+      page: [{ $sort: order }, { $skip: skip }, { $limit: limit }, { $project: { _id: 1, _distance: 1 } }]
+    }
+  });
+
+  const [{ total, page }] = await User.aggregate(pipeline);
+
+  const position = new Map(page.map((doc, index) => [doc._id.toString(), index]));
+  const distances = new Map(page.map(doc => [doc._id.toString(), doc._distance]));
+  const docs = await Model.find({ _id: { $in: page.map(doc => doc._id) } })
+    .populate(populate)
+    .select(select);
+  docs.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+
+  const results = docs.map(doc => {
+    const distance = distances.get(doc._id.toString());
+    return { ...doc.toJSON(), distanceKm: distance === null || distance === undefined ? null : toKm(distance) };
+  });
+
+  return { results, total: total.length > 0 ? total[0].count : 0 };
+};
+
+module.exports = {
+  parseNear,
+  getPharmacyCoordinates,
+  searchByDistance
+};
@@ -0,0 +1,451 @@
+const mongoose = require('mongoose');
+const Insurer = require('../models/Insurer');
+const InsuranceClaim = require('../models/InsuranceClaim');
+const ClaimBatch = require('../models/ClaimBatch');
+const Customer = require('../models/Customer');
+const Medicine = require('../models/Medicine');
+const Sale = require('../models/Sale');
+const { runInTransaction } = require('./inventoryService');
+
+// HTTP status for the error codes raised by insurance coverage, claims and remittances
+const INSURANCE_ERROR_STATUS = {
+  INSURER_NOT_FOUND: 404,
+  PLAN_NOT_FOUND: 404,
+  POLICY_NOT_FOUND: 404,
+  POLICY_NOT_VALID: 400,
+  INSURANCE_CUSTOMER_REQUIRED: 400,
+  CLAIM_NOT_FOUND: 404,
+  INVALID_CLAIM_STATUS: 400,
+  NO_PENDING_CLAIMS: 400,
+  BATCH_NOT_FOUND: 404,
+  INVALID_REMITTANCE: 400
+};
+
+// Status a claim can move to from each status by the insurer's answer; paid is set by remittances
+const CLAIM_TRANSITIONS = {
+  submitted: ['accepted', 'rejected'],
+  accepted: ['rejected']
+};
+
+const insuranceError = (message, code, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * An active insurer of the pharmacy and one of its active plans
+ */
+const findPlan = async (pharmacyId, insurerId, planId, session = null) => {
+  const insurer = await Insurer.findOne({ _id: insurerId, pharmacyId, isActive: true }).session(session);
+  if (!insurer) {
+    throw insuranceError('Insurer not found', 'INSURER_NOT_FOUND');
+  }
+
+  const plan = insurer.plans.id(planId);
+  if (!plan || !plan.isActive) {
+    throw insuranceError(`Plan not found for ${insurer.name}`, 'PLAN_NOT_FOUND');
+  }
+
+  return { insurer, plan };
+};
+
+// A medicine's own rule wins over a rule for its category
+const findCoverageRule = (plan, medicine) => {
+  const rules = plan.coverageRules || [];
+  return rules.find(rule => rule.medicineId && rule.medicineId.toString() === medicine._id.toString()) ||
+    rules.find(rule => !rule.medicineId && rule.category && medicine.category &&
+      rule.category.toLowerCase() === medicine.category.toLowerCase());
+};
+
+/**
+ * Split items into the insurer's share and the patient's co-pay under a plan.
+ * Each item is { medicineId, medicineName, quantity, unitPrice, totalPrice };
+ * medicines maps medicine IDs to medicines (for their category).
+ */
+const computeCoverage = (plan, items, medicines) => {
+  const lines = items.map(item => {
+    const medicineId = (item.medicineId && item.medicineId._id) || item.medicineId;
+    const medicine = medicines.get(medicineId.toString()) || { _id: medicineId };
+    const rule = findCoverageRule(plan, medicine);
+
+    let coveragePercent = plan.defaultCoveragePercent || 0;
+    if (rule) {
+      coveragePercent = rule.excluded ? 0 : (rule.coveragePercent ?? coveragePercent);
+    }
+
+    let insurerAmount = roundAmount(item.totalPrice * coveragePercent / 100);
+    if (rule && rule.maxUnitAmount !== undefined && rule.maxUnitAmount !== null) {
+      insurerAmount = Math.min(insurerAmount, roundAmount(rule.maxUnitAmount * item.quantity));
+    }
+
+    return {
+      medicineId,
+      medicineName: item.medicineName,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice,
+      coveragePercent,
+      insurerAmount,
+      copayAmount: roundAmount(item.totalPrice - insurerAmount)
+    };
+  });
+
+  return {
+    lines,
+    insurerAmount: roundAmount(lines.reduce((sum, line) => sum + line.insurerAmount, 0))
+  };
+};
+
+/**
+ * Work out what a customer's policy pays towards a sale. The insurer never pays more
+ * than the sale total; tax, delivery and anything not covered are the patient's co-pay.
+ */
+const quoteCoverage = async (pharmacyId, { customerId, policyId, items, saleTotal }) => {
+  if (!customerId) {
+    throw insuranceError('Insured sales need a registered customer (customerId)', 'INSURANCE_CUSTOMER_REQUIRED');
+  }
+
+  const customer = await Customer.findOne({ _id: customerId, pharmacyId });
+  if (!customer) {
+    throw insuranceError('Customer not found', 'INSURANCE_CUSTOMER_REQUIRED');
+  }
+
+  const policy = customer.insurancePolicies.id(policyId);
+  if (!policy) {
+    throw insuranceError(`No such insurance policy for ${customer.name}`, 'POLICY_NOT_FOUND');
+  }
+
+  const today = new Date();
+  if (!policy.isActive || (policy.validFrom && policy.validFrom > today) || (policy.validTo && policy.validTo < today)) {
+    throw insuranceError(`Policy ${policy.memberNumber} is not valid today`, 'POLICY_NOT_VALID');
+  }
+
+  const { insurer, plan } = await findPlan(pharmacyId, policy.insurerId, policy.planId);
+
+  const medicineIds = items.map(item => (item.medicineId && item.medicineId._id) || item.medicineId);
+  const medicines = new Map(
+    (await Medicine.find({ _id: { $in: medicineIds } }).select('category'))
+      .map(medicine => [medicine._id.toString(), medicine])
+  );
+
+  const { lines, insurerAmount } = computeCoverage(plan, items, medicines);
+  const covered = Math.min(insurerAmount, roundAmount(saleTotal));
+
+  return {
+    customer,
+    policy,
+    insurer,
+    plan,
+    lines,
+    insurerAmount: covered,
+    copayAmount: roundAmount(saleTotal - covered)
+  };
+};
+
+/**
+ * Record the claim for an insured sale and note the insurer's share on the transaction
+ */
+const createClaim = async (transaction, coverage, { claimNumber, userId, session = null }) => {
+  const [claim] = await InsuranceClaim.create([{
+    claimNumber,
+    pharmacyId: transaction.pharmacyId,
+    insurerId: coverage.insurer._id,
+    planId: coverage.plan._id,
+    planName: coverage.plan.name,
+    customerId: coverage.customer._id,
+    memberNumber: coverage.policy.memberNumber,
+    patientName: coverage.customer.name,
+    transactionId: transaction._id,
+    transactionNumber: transaction.transactionNumber,
+    lines: coverage.lines,
+    claimAmount: coverage.insurerAmount,
+    copayAmount: coverage.copayAmount,
+    statusHistory: [{ status: 'pending', changedBy: userId }],
+    createdBy: userId
+  }], { session });
+
+  transaction.insurance = {
+    insurerId: coverage.insurer._id,
+    insurerName: coverage.insurer.name,
+    planId: coverage.plan._id,
+    planName: coverage.plan.name,
+    memberNumber: coverage.policy.memberNumber,
+    claimId: claim._id,
+    claimNumber: claim.claimNumber,
+    insurerAmount: coverage.insurerAmount,
+    copayAmount: coverage.copayAmount
+  };
+
+  return claim;
+};
+
+// A batch is settled once every claim in it is paid or rejected
+const refreshBatchStatus = async (batchId, session = null) => {
+  const batch = await ClaimBatch.findById(batchId).session(session);
+  if (!batch) return null;
+
+  const open = await InsuranceClaim.countDocuments({
+    batchId,
+    status: { $nin: ['paid', 'rejected'] }
+  }).session(session);
+
+  if (open === 0) {
+    batch.status = 'settled';
+  } else if (batch.totalPaid > 0) {
+    batch.status = 'partially_paid';
+  }
+  await batch.save({ session });
+  return batch;
+};
+
+/**
+ * Record the insurer's answer to a submitted claim
+ */
+const updateClaimStatus = async (pharmacyId, claimId, { status, reason, insurerReference }, userId) => {
+  const claim = await InsuranceClaim.findOne({ _id: claimId, pharmacyId });
+  if (!claim) {
+    throw insuranceError('Claim not found', 'CLAIM_NOT_FOUND');
+  }
+
+  if (!(CLAIM_TRANSITIONS[claim.status] || []).includes(status)) {
+    throw insuranceError(`A ${claim.status} claim cannot be marked ${status}`, 'INVALID_CLAIM_STATUS');
+  }
+
+  claim.status = status;
+  claim.respondedAt = new Date();
+  if (status === 'rejected') claim.rejectionReason = reason;
+  if (insurerReference) claim.insurerReference = insurerReference;
+  claim.statusHistory.push({ status, changedBy: userId, note: reason });
+
+  await runInTransaction(async (session) => {
+    await claim.save({ session });
+    await Sale.updateOne(
+      { transactionId: claim.transactionId },
+      { $set: { 'insurance.claimStatus': status } },
+      { session }
+    );
+    await refreshBatchStatus(claim.batchId, session);
+  });
+
+  console.log(`🩺 Claim ${claim.claimNumber} ${status}`);
+
+  return claim;
+};
+
+/**
+ * Send an insurer's pending claims (or the ones chosen) as one batch
+ */
+const createClaimBatch = async (pharmacyId, insurerId, { claimIds, notes }, userId) => {
+  const insurer = await Insurer.findOne({ _id: insurerId, pharmacyId });
+  if (!insurer) {
+    throw insuranceError('Insurer not found', 'INSURER_NOT_FOUND');
+  }
+
+  const query = { pharmacyId, insurerId, status: 'pending' };
+  if (claimIds && claimIds.length > 0) query._id = { $in: claimIds };
+
+  const claims = await InsuranceClaim.find(query).select('_id claimAmount transactionId').sort({ serviceDate: 1 });
+  if (claims.length === 0) {
+    throw insuranceError(`No pending claims for ${insurer.name}`, 'NO_PENDING_CLAIMS');
+  }
+  if (claimIds && claimIds.length > 0 && claims.length !== claimIds.length) {
+    throw insuranceError(`Only ${claims.length} of the ${claimIds.length} claims are pending for ${insurer.name}`, 'INVALID_CLAIM_STATUS');
+  }
+
+  const batchNumber = await ClaimBatch.generateBatchNumber();
+  const submittedAt = new Date();
+  let batch;
+
+  await runInTransaction(async (session) => {
+    [batch] = await ClaimBatch.create([{
+      batchNumber,
+      pharmacyId,
+      insurerId,
+      insurerName: insurer.name,
+      claims: claims.map(claim => claim._id),
+      claimCount: claims.length,
+      totalClaimed: roundAmount(claims.reduce((sum, claim) => sum + claim.claimAmount, 0)),
+      submittedAt,
+      submittedBy: userId,
+      notes
+    }], { session });
+
+    // Claims batched by someone else in the meantime are no longer pending
+    const result = await InsuranceClaim.updateMany(
+      { _id: { $in: batch.claims }, status: 'pending' },
+      {
+        $set: { status: 'submitted', batchId: batch._id, submittedAt },
+        $push: { statusHistory: { status: 'submitted', changedAt: submittedAt, changedBy: userId, note: batchNumber } }
+      },
+      { session }
+    );
+    if (result.modifiedCount !== claims.length) {
+      throw insuranceError('Some claims were batched by someone else; try again', 'INVALID_CLAIM_STATUS');
+    }
+
+    await Sale.updateMany(
+      { transactionId: { $in: claims.map(claim => claim.transactionId) } },
+      { $set: { 'insurance.claimStatus': 'submitted' } },
+      { session }
+    );
+  });
+
+  console.log(`📨 Claim batch ${batch.batchNumber} for ${insurer.name}: ${batch.claimCount} claims, ${batch.totalClaimed}`);
+
+  return batch;
+};
+
+/**
+ * Record a payment from the insurer for claims of a batch and reconcile each claim
+ * against its sale. Each payment is { claimId, amount }.
+ */
+const recordRemittance = async (pharmacyId, batchId, { reference, amount, receivedAt, payments }, userId) => {
+  const batch = await ClaimBatch.findOne({ _id: batchId, pharmacyId });
+  if (!batch) {
+    throw insuranceError('Claim batch not found', 'BATCH_NOT_FOUND');
+  }
+
+  const claims = await InsuranceClaim.find({ _id: { $in: payments.map(payment => payment.claimId) }, batchId: batch._id });
+  const claimsById = new Map(claims.map(claim => [claim._id.toString(), claim]));
+
+  for (const payment of payments) {
+    const claim = claimsById.get(payment.claimId.toString());
+    if (!claim) {
+      throw insuranceError(`Claim ${payment.claimId} is not in batch ${batch.batchNumber}`, 'INVALID_REMITTANCE');
+    }
+    if (!['submitted', 'accepted'].includes(claim.status)) {
+      throw insuranceError(`Claim ${claim.claimNumber} is ${claim.status} and cannot be paid`, 'INVALID_REMITTANCE');
+    }
+  }
+  if (claimsById.size !== payments.length) {
+    throw insuranceError('Each claim can only be paid once per remittance', 'INVALID_REMITTANCE');
+  }
+
+  const allocated = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  if (allocated > roundAmount(amount)) {
+    throw insuranceError(`Claim payments total ${allocated}, more than the remittance of ${amount}`, 'INVALID_REMITTANCE');
+  }
+
+  const paidAt = receivedAt ? new Date(receivedAt) : new Date();
+  const lines = [];
+  let updatedBatch;
+
+  await runInTransaction(async (session) => {
+    lines.length = 0;
+
+    for (const payment of payments) {
+      const claim = claimsById.get(payment.claimId.toString());
+      const paid = roundAmount(payment.amount);
+
+      await InsuranceClaim.updateOne(
+        { _id: claim._id },
+        {
+          $set: { status: 'paid', paidAmount: paid, paidAt, remittanceReference: reference },
+          $push: { statusHistory: { status: 'paid', changedAt: paidAt, changedBy: userId, note: reference } }
+        },
+        { session }
+      );
+
+      // The sale records what the insurer was meant to pay
+      const sale = await Sale.findOne({ transactionId: claim.transactionId }).session(session);
+      const claimed = sale && sale.insurance && sale.insurance.insurerAmount !== undefined
+        ? sale.insurance.insurerAmount
+        : claim.claimAmount;
+      const difference = roundAmount(paid - claimed);
+
+      let result = 'matched';
+      if (!sale) result = 'sale_missing';
+      else if (difference < 0) result = 'short_paid';
+      else if (difference > 0) result = 'over_paid';
+
+      if (sale) {
+        sale.insurance.claimStatus = 'paid';
+        sale.insurance.paidAmount = paid;
+        sale.insurance.paidAt = paidAt;
+        sale.insurance.remittanceReference = reference;
+        await sale.save({ session });
+      }
+
+      lines.push({
+        claimId: claim._id,
+        claimNumber: claim.claimNumber,
+        transactionNumber: claim.transactionNumber,
+        saleId: sale ? sale._id : undefined,
+        claimed,
+        paid,
+        difference,
+        result
+      });
+    }
+
+    await ClaimBatch.updateOne(
+      { _id: batch._id },
+      {
+        $push: {
+          remittances: {
+            reference,
+            amount: roundAmount(amount),
+            receivedAt: paidAt,
+            lines,
+            unallocated: roundAmount(amount - allocated),
+            recordedBy: userId
+          }
+        },
+        $inc: { totalPaid: allocated }
+      },
+      { session }
+    );
+    updatedBatch = await refreshBatchStatus(batch._id, session);
+  });
+
+  console.log(`💵 Remittance ${reference} for batch ${batch.batchNumber}: ${allocated} over ${lines.length} claims`);
+
+  return {
+    batch: updatedBatch,
+    remittance: updatedBatch.remittances[updatedBatch.remittances.length - 1]
+  };
+};
+
+/**
+ * Claims of a batch by status, with what is still owed by the insurer
+ */
+const getBatchSummary = async (batchId) => {
+  const rows = await InsuranceClaim.aggregate([
+    { $match: { batchId: new mongoose.Types.ObjectId(batchId) } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        claimed: { $sum: '$claimAmount' },
+        paid: { $sum: '$paidAmount' }
+      }
+    }
+  ]);
+
+  const byStatus = rows.reduce((summary, row) => ({
+    ...summary,
+    [row._id]: { count: row.count, claimed: roundAmount(row.claimed), paid: roundAmount(row.paid) }
+  }), {});
+
+  const outstanding = rows
+    .filter(row => ['submitted', 'accepted'].includes(row._id))
+    .reduce((sum, row) => sum + row.claimed, 0);
+
+  return { byStatus, outstanding: roundAmount(outstanding) };
+};
+
+module.exports = {
+  INSURANCE_ERROR_STATUS,
+  findPlan,
+  computeCoverage,
+  quoteCoverage,
+  createClaim,
+  updateClaimStatus,
+  createClaimBatch,
+  recordRemittance,
+  getBatchSummary
+};
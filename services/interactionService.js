@@ -0,0 +1,303 @@
+const path = require('path');
+const Medicine = require('../models/Medicine');
+const DrugInteraction = require('../models/DrugInteraction');
+const { runInTransaction } = require('./inventoryService');
+
+const { normalizeGenericName } = DrugInteraction;
+
+const SEVERITY_RANK = { high: 3, moderate: 2, low: 1 };
+
+// Column names accepted for each field of an imported interaction
+const COLUMN_ALIASES = {
+  genericNameA: ['genericnamea', 'drug_a', 'druga', 'generic_a'],
+  genericNameB: ['genericnameb', 'drug_b', 'drugb', 'generic_b'],
+  severity: ['severity'],
+  description: ['description', 'effect'],
+  recommendation: ['recommendation', 'management'],
+  source: ['source', 'reference']
+};
+
+const interactionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => {
+    const key = name.trim().toLowerCase().replace(/\s+/g, '_');
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key));
+  });
+
+  if (!columns.includes('genericNameA') || !columns.includes('genericNameB')) {
+    throw interactionError('CSV needs genericNameA and genericNameB columns (or drug_a and drug_b)', 'INVALID_FILE');
+  }
+
+  return rows.map(fields => {
+    const record = {};
+    columns.forEach((field, index) => {
+      if (field) record[field] = (fields[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+/**
+ * Read interactions from an uploaded JSON or CSV file.
+ * JSON may be an array of interactions or { interactions: [...] }.
+ */
+const parseInteractionFile = (file) => {
+  const text = file.buffer.toString('utf8');
+
+  if (path.extname(file.originalname).toLowerCase() === '.csv') {
+    return parseCsv(text);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw interactionError('File is not valid JSON', 'INVALID_FILE');
+  }
+
+  const records = Array.isArray(data) ? data : data.interactions;
+  if (!Array.isArray(records)) {
+    throw interactionError('JSON must be an array of interactions', 'INVALID_FILE');
+  }
+  return records;
+};
+
+/**
+ * Add or update interactions in a pharmacy's dataset, keyed by the pair of generic names.
+ * With replace, the existing dataset is removed first. Invalid rows are skipped and reported.
+ */
+const importInteractions = async (pharmacyId, userId, records, { replace = false } = {}) => {
+  const operations = [];
+  const skipped = [];
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const genericNameA = normalizeGenericName(record.genericNameA);
+    const genericNameB = normalizeGenericName(record.genericNameB);
+    const severity = normalizeGenericName(record.severity);
+
+    let reason = null;
+    if (!genericNameA || !genericNameB) reason = 'Both generic names are required';
+    else if (genericNameA === genericNameB) reason = 'Generic names must differ';
+    else if (!DrugInteraction.SEVERITIES.includes(severity)) reason = `Severity must be one of: ${DrugInteraction.SEVERITIES.join(', ')}`;
+    else if (!record.description || !record.description.toString().trim()) reason = 'Description is required';
+
+    const key = DrugInteraction.pairKey(genericNameA, genericNameB);
+    if (!reason && seen.has(key)) reason = 'Duplicate pair in file';
+
+    if (reason) {
+      skipped.push({ row, reason });
+      return;
+    }
+    seen.add(key);
+
+    const [first, second] = key.split('|');
+    operations.push({
+      updateOne: {
+        filter: { pharmacyId, genericNameA: first, genericNameB: second },
+        update: {
+          $set: {
+            severity,
+            description: record.description.toString().trim(),
+            recommendation: record.recommendation ? record.recommendation.toString().trim() : undefined,
+            source: record.source ? record.source.toString().trim() : undefined,
+            importedBy: userId
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  let result = { upsertedCount: 0, modifiedCount: 0 };
+  let removed = 0;
+
+  await runInTransaction(async (session) => {
+    if (replace) {
+      removed = (await DrugInteraction.deleteMany({ pharmacyId }, { session })).deletedCount;
+    }
+    if (operations.length > 0) {
+      result = await DrugInteraction.bulkWrite(operations, { session });
+    }
+  });
+
+  console.log(`💊 Interaction dataset imported: ${result.upsertedCount} added, ${result.modifiedCount} updated, ${skipped.length} skipped`);
+
+  return {
+    added: result.upsertedCount,
+    updated: result.modifiedCount,
+    removed,
+    skipped
+  };
+};
+
+// Ingredients of a generic name; combination products list several ("paracetamol + codeine")
+const ingredientsOf = (genericName) => {
+  return normalizeGenericName(genericName)
+    .split(/\s*[+/,]\s*/)
+    .filter(Boolean);
+};
+
+const warningKey = (type, genericNames, items) => {
+  const medicineIds = items.map(item => item.medicineId.toString()).sort();
+  return `${type}:${[...genericNames].sort().join('|')}:${medicineIds.join('|')}`;
+};
+
+/**
+ * Check a set of items ({ medicineId, medicineName, genericName }) for duplicate
+ * therapy and for interactions in the pharmacy's dataset. Warnings are sorted
+ * with the most severe first; high-severity warnings need a pharmacist override.
+ */
+const checkItems = async (pharmacyId, items) => {
+  const lines = items
+    .filter(item => item.medicineId)
+    .map(item => ({
+      medicineId: item.medicineId._id || item.medicineId,
+      medicineName: item.medicineName,
+      ingredients: ingredientsOf(item.genericName)
+    }));
+
+  const warnings = [];
+  const pairs = [];
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      if (lines[i].medicineId.toString() !== lines[j].medicineId.toString()) {
+        pairs.push([lines[i], lines[j]]);
+      }
+    }
+  }
+
+  // Two different products containing the same ingredient
+  for (const [first, second] of pairs) {
+    for (const ingredient of first.ingredients.filter(name => second.ingredients.includes(name))) {
+      warnings.push({
+        key: warningKey('duplicate_therapy', [ingredient], [first, second]),
+        type: 'duplicate_therapy',
+        severity: 'moderate',
+        medicines: [first.medicineName, second.medicineName],
+        genericNames: [ingredient],
+        description: `${first.medicineName} and ${second.medicineName} both contain ${ingredient}`,
+        recommendation: 'Check that both products are intended'
+      });
+    }
+  }
+
+  const ingredients = [...new Set(lines.flatMap(line => line.ingredients))];
+  if (pairs.length > 0 && ingredients.length > 1) {
+    const interactions = await DrugInteraction.find({
+      pharmacyId,
+      genericNameA: { $in: ingredients },
+      genericNameB: { $in: ingredients }
+    });
+
+    for (const interaction of interactions) {
+      const { genericNameA, genericNameB } = interaction;
+
+      for (const [first, second] of pairs) {
+        const matches = (first.ingredients.includes(genericNameA) && second.ingredients.includes(genericNameB)) ||
+          (first.ingredients.includes(genericNameB) && second.ingredients.includes(genericNameA));
+        if (!matches) continue;
+
+        warnings.push({
+          key: warningKey('interaction', [genericNameA, genericNameB], [first, second]),
+          type: 'interaction',
+          severity: interaction.severity,
+          medicines: [first.medicineName, second.medicineName],
+          genericNames: [genericNameA, genericNameB],
+          description: interaction.description,
+          recommendation: interaction.recommendation,
+          interactionId: interaction._id
+        });
+      }
+    }
+  }
+
+  warnings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+  return {
+    warnings,
+    requiresOverride: warnings.some(warning => warning.severity === 'high')
+  };
+};
+
+/**
+ * Check medicines by id, e.g. before a quick sale
+ */
+const checkMedicines = async (pharmacyId, medicineIds) => {
+  const medicines = await Medicine.find({ _id: { $in: medicineIds }, pharmacyId }).select('name genericName');
+
+  return checkItems(pharmacyId, medicines.map(medicine => ({
+    medicineId: medicine._id,
+    medicineName: medicine.name,
+    genericName: medicine.genericName
+  })));
+};
+
+/**
+ * High-severity warnings not covered by a pharmacist's override.
+ * An override only covers the warnings it was given for, so adding items afterwards needs a new one.
+ */
+const unapprovedWarnings = (check, override) => {
+  const approved = new Set((override && override.warningKeys) || []);
+  return check.warnings.filter(warning => warning.severity === 'high' && !approved.has(warning.key));
+};
+
+module.exports = {
+  parseInteractionFile,
+  importInteractions,
+  checkItems,
+  checkMedicines,
+  unapprovedWarnings
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const { recordMovement } = require('./controlledDrugService');
+
+/**
+ * Run a unit of work in a MongoDB transaction.
+ * Everything written with the given session is committed together or rolled back;
+ * write conflicts between concurrent sales are retried by the driver.
+ */
+const runInTransaction = (work) => {
+  return mongoose.connection.transaction(work);
+};
+
+/**
+ * Take stock for a medicine from its lots, earliest expiry first.
+ * Returns the lots consumed so they can be recorded on the sale.
+ * For controlled drugs the movement ({ entryType, reference, party, userId }) is written to the register.
+ */
+const dispenseStock = async (medicineId, quantity, filter = {}, session = null, movement = null) => {
+  const medicine = await Medicine.findOne({ _id: medicineId, ...filter }).session(session);
+  if (!medicine) {
+    const error = new Error(`Medicine ${medicineId} not found`);
+    error.code = 'MEDICINE_NOT_FOUND';
+    throw error;
+  }
+
+  const allocations = medicine.allocateFEFO(quantity);
+  await medicine.save({ session });
+
+  if (movement) {
+    await recordMovement(medicine, { ...movement, change: -quantity, batches: allocations }, session);
+  }
+
+  return { medicine, allocations };
+};
+
+/**
+ * Reserve stock for every item of a sale within the caller's session.
+ * Items are { medicineId, quantity }. If any item cannot be covered an
+ * INSUFFICIENT_STOCK error is thrown, which aborts the surrounding transaction.
+ * Pass a movement to write controlled drugs to the register.
+ */
+const reserveStock = async (items, { session = null, filter = {}, movement = null } = {}) => {
+  const reservations = [];
+
+  for (const item of items) {
+    const medicineId = item.medicineId._id || item.medicineId;
+    const { medicine, allocations } = await dispenseStock(medicineId, item.quantity, filter, session, movement);
+
+    reservations.push({
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      quantity: item.quantity,
+      allocations
+    });
+  }
+
+  return reservations;
+};
+
+/**
+ * Copy reserved lots onto the matching transaction items
+ */
+const applyReservations = (transaction, reservations) => {
+  for (const reservation of reservations) {
+    const item = transaction.items.find(
+      transactionItem => transactionItem.medicineId &&
+        (transactionItem.medicineId._id || transactionItem.medicineId).toString() === reservation.medicineId.toString()
+    );
+
+    if (item && reservation.allocations.length > 0) {
+      item.batchAllocations = reservation.allocations;
+      item.batchNumber = reservation.allocations[0].batchNumber;
+      item.expiryDate = reservation.allocations[0].expiryDate;
+    }
+  }
+
+  return transaction;
+};
+
+/**
+ * Put stock back into the lots it was dispensed from.
+ * When only part of the quantity comes back, the latest-expiring lots are refilled first.
+ * The filter (e.g. { pharmacyId }) limits which medicine can be restocked, as for dispenseStock.
+ */
+const restockStock = async (medicineId, allocations = [], quantity, filter = {}, session = null, movement = null) => {
+  const medicine = await Medicine.findOne({ _id: medicineId, ...filter }).session(session);
+  if (!medicine) {
+    const error = new Error(`Medicine ${medicineId} not found`);
+    error.code = 'MEDICINE_NOT_FOUND';
+    throw error;
+  }
+
+  const returned = selectAllocations(allocations, quantity);
+
+  if (returned.length > 0) {
+    medicine.returnToBatches(returned);
+  } else {
+    // Nothing recorded about the lots (legacy sale) - return to the current lot
+    medicine.addBatch({
+      batchNumber: medicine.batchNumber,
+      expiryDate: medicine.expiryDate,
+      quantity
+    });
+  }
+
+  await medicine.save({ session });
+
+  if (movement) {
+    await recordMovement(medicine, { ...movement, change: quantity, batches: returned }, session);
+  }
+
+  return { medicine, allocations: returned };
+};
+
+/**
+ * Pick the part of a set of lot allocations that covers the given quantity,
+ * starting from the latest-expiring lot
+ */
+const selectAllocations = (allocations = [], quantity) => {
+  const total = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+  let remaining = quantity === undefined ? total : Math.min(quantity, total);
+
+  const selected = [];
+  const byExpiryDesc = [...allocations].sort((a, b) => new Date(b.expiryDate) - new Date(a.expiryDate));
+
+  for (const allocation of byExpiryDesc) {
+    if (remaining === 0) break;
+
+    const taken = Math.min(allocation.quantity, remaining);
+    remaining -= taken;
+
+    selected.push({
+      batchId: allocation.batchId,
+      batchNumber: allocation.batchNumber,
+      expiryDate: allocation.expiryDate,
+      quantity: taken,
+      costPrice: allocation.costPrice
+    });
+  }
+
+  return selected;
+};
+
+/**
+ * Weighted cost per unit of a set of lot allocations, or null if any lot has no cost
+ */
+const averageAllocationCost = (allocations = []) => {
+  const quantity = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+  if (quantity === 0 || allocations.some(allocation => allocation.costPrice === undefined || allocation.costPrice === null)) {
+    return null;
+  }
+
+  const cost = allocations.reduce((sum, allocation) => sum + allocation.costPrice * allocation.quantity, 0);
+  return cost / quantity;
+};
+
+module.exports = {
+  runInTransaction,
+  dispenseStock,
+  reserveStock,
+  applyReservations,
+  restockStock,
+  selectAllocations,
+  averageAllocationCost
+};
@@ -0,0 +1,81 @@
+const BusinessSettings = require('../models/BusinessSettings');
+const Medicine = require('../models/Medicine');
+const MarketplaceListing = require('../models/MarketplaceListing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Discount for stock expiring on the given date: the tier with the fewest
+ * days to expiry that the stock has already reached, or 0 if none applies
+ */
+const markdownPercentFor = (rules, expiryDate, now = new Date()) => {
+  if (!rules || !rules.enabled || !expiryDate) {
+    return 0;
+  }
+
+  const daysToExpiry = Math.ceil((new Date(expiryDate) - now) / DAY_MS);
+  const tier = [...rules.tiers]
+    .sort((a, b) => a.daysToExpiry - b.daysToExpiry)
+    .find(candidate => daysToExpiry <= candidate.daysToExpiry);
+
+  return tier ? tier.discountPercent : 0;
+};
+
+/**
+ * Markdown rules of a pharmacy, or null if it has none configured
+ */
+const getMarkdownRules = async (pharmacyId) => {
+  const settings = await BusinessSettings.findOne({ pharmacyId }).select('markdownRules').lean();
+  return settings ? settings.markdownRules : null;
+};
+
+/**
+ * Apply a pharmacy's markdown rules to one listing. Returns true if the price changed.
+ */
+const applyMarkdownRules = (listing, rules, now = new Date()) => {
+  return listing.applyMarkdown(markdownPercentFor(rules, listing.medicineExpiryDate, now));
+};
+
+/**
+ * Reprice every open listing from its pharmacy's markdown rules and the
+ * current expiry of the listed stock
+ */
+const repriceListings = async (now = new Date()) => {
+  const listings = await MarketplaceListing.find({ status: { $in: ['active', 'paused'] } });
+  const rulesByPharmacy = new Map();
+  let repriced = 0;
+
+  for (const listing of listings) {
+    try {
+      const pharmacyKey = listing.pharmacyId.toString();
+      if (!rulesByPharmacy.has(pharmacyKey)) {
+        rulesByPharmacy.set(pharmacyKey, await getMarkdownRules(listing.pharmacyId));
+      }
+
+      // Lots are sold and received between runs, so the listed expiry moves
+      const medicine = await Medicine.findById(listing.medicineId);
+      if (medicine) {
+        listing.syncFromMedicine(medicine);
+      }
+
+      if (applyMarkdownRules(listing, rulesByPharmacy.get(pharmacyKey), now)) {
+        repriced++;
+      }
+
+      if (listing.isModified()) {
+        await listing.save();
+      }
+    } catch (error) {
+      console.error(`Error repricing marketplace listing ${listing._id}:`, error);
+    }
+  }
+
+  return { checked: listings.length, repriced };
+};
+
+module.exports = {
+  markdownPercentFor,
+  getMarkdownRules,
+  applyMarkdownRules,
+  repriceListings
+};
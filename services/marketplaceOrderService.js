@@ -0,0 +1,336 @@
+const Medicine = require('../models/Medicine');
+const MarketplaceOrder = require('../models/MarketplaceOrder');
+const MarketplaceListing = require('../models/MarketplaceListing');
+const Transaction = require('../models/Transaction');
+const { generateTransactionNumber } = require('../utils/helpers');
+const { runInTransaction, reserveStock, applyReservations } = require('./inventoryService');
+const { recordMovement } = require('./controlledDrugService');
+
+const orderError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Claim an order's move from one status to the next, so that of two requests
+ * taking the same step only one goes ahead. Made inside the step's session, so
+ * the claim is undone if the step fails.
+ */
+const claimTransition = async (order, fromStatus, session) => {
+  const claimed = await MarketplaceOrder.findOneAndUpdate(
+    { _id: order._id, status: fromStatus },
+    { $set: { status: order.status } },
+    { session }
+  );
+  if (!claimed) {
+    throw orderError(`Order ${order.orderNumber} is no longer ${fromStatus}`, 'INVALID_TRANSITION');
+  }
+};
+
+/**
+ * Find the listing an order item is placed against. Items name a listing directly,
+ * or a medicine (marketplace cart items) whose available listing is used.
+ */
+const findListingForItem = (item, sellerPharmacyId) => {
+  const query = {
+    pharmacyId: sellerPharmacyId,
+    ...MarketplaceListing.availableQuery()
+  };
+
+  if (item.listingId) {
+    query._id = item.listingId;
+  } else {
+    query.medicineId = item.medicineId._id || item.medicineId;
+  }
+
+  return MarketplaceListing.findOne(query);
+};
+
+/**
+ * Place an order with a seller. Items are { listingId | medicineId, quantity }
+ * and are priced from the seller's listing.
+ * Stock is only checked here; nothing moves until the seller dispatches.
+ */
+const placeOrder = async ({ buyerPharmacyId, sellerPharmacyId, items, userId, notes }) => {
+  if (buyerPharmacyId.toString() === sellerPharmacyId.toString()) {
+    throw orderError('You cannot order from your own pharmacy', 'INVALID_ORDER');
+  }
+
+  const orderItems = [];
+  for (const item of items) {
+    const listing = await findListingForItem(item, sellerPharmacyId);
+    if (!listing) {
+      throw orderError(`${item.medicineName || 'This medicine'} is not listed on the marketplace by this seller`, 'MEDICINE_NOT_FOUND');
+    }
+
+    if (item.quantity < listing.minOrderQuantity) {
+      throw orderError(`Minimum order for ${listing.medicineName} is ${listing.minOrderQuantity}`, 'INVALID_ORDER');
+    }
+
+    const medicine = await Medicine.findOne({
+      _id: listing.medicineId,
+      pharmacyId: sellerPharmacyId,
+      isActive: true
+    });
+
+    const available = Math.min(listing.offeredQuantity, medicine ? medicine.sellableQuantity : 0);
+    if (available < item.quantity) {
+      throw orderError(`Insufficient stock for ${listing.medicineName}. Available: ${available}`, 'INSUFFICIENT_STOCK');
+    }
+
+    const unitPrice = listing.price;
+    orderItems.push({
+      listingId: listing._id,
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      genericName: medicine.genericName,
+      form: medicine.form,
+      packSize: medicine.packSize,
+      manufacturer: medicine.manufacturer,
+      quantity: item.quantity,
+      unitPrice,
+      totalPrice: item.quantity * unitPrice
+    });
+  }
+
+  const order = new MarketplaceOrder({
+    orderNumber: await MarketplaceOrder.generateOrderNumber(),
+    buyerPharmacyId,
+    sellerPharmacyId,
+    items: orderItems,
+    subtotal: 0,
+    totalAmount: 0,
+    notes,
+    placedBy: userId,
+    statusHistory: [{ status: 'placed', changedBy: userId, note: notes }]
+  });
+
+  await order.save();
+
+  console.log(`🛒 Marketplace order placed: ${order.orderNumber}`);
+
+  return order;
+};
+
+/**
+ * Seller ships the order: stock leaves the seller's lots, earliest expiry first
+ */
+const dispatchOrder = async (order, party, userId, { trackingReference, note } = {}) => {
+  const fromStatus = order.status;
+  order.transitionTo('dispatched', party, userId, note);
+  if (trackingReference) order.trackingReference = trackingReference;
+
+  await runInTransaction(async (session) => {
+    await claimTransition(order, fromStatus, session);
+
+    const reservations = await reserveStock(order.items, {
+      session,
+      filter: { pharmacyId: order.sellerPharmacyId },
+      movement: {
+        entryType: 'transfer_out',
+        reference: { type: 'MarketplaceOrder', id: order._id, number: order.orderNumber },
+        userId
+      }
+    });
+    applyReservations(order, reservations);
+
+    // What was shipped is no longer on offer
+    for (const item of order.items) {
+      if (!item.listingId) continue;
+
+      await MarketplaceListing.updateOne(
+        { _id: item.listingId },
+        { $inc: { offeredQuantity: -item.quantity } },
+        { session }
+      );
+      // The listing may have been cut below what was ordered since
+      await MarketplaceListing.updateOne(
+        { _id: item.listingId, offeredQuantity: { $lt: 0 } },
+        { $set: { offeredQuantity: 0 } },
+        { session }
+      );
+    }
+
+    await order.save({ session });
+  });
+
+  console.log(`🚚 Marketplace order dispatched: ${order.orderNumber}`);
+
+  return order;
+};
+
+/**
+ * Add a received order item to the buyer's inventory, one lot per seller lot.
+ * The buyer picks the medicine to receive into, or sets a retail price for a new one.
+ */
+const receiveIntoBuyerInventory = async (buyerPharmacyId, item, { medicineId, retailPrice } = {}, session = null) => {
+  const medicine = medicineId
+    ? await Medicine.findOne({ _id: medicineId, pharmacyId: buyerPharmacyId }).session(session)
+    : await Medicine.findOne({
+      pharmacyId: buyerPharmacyId,
+      name: item.medicineName,
+      genericName: item.genericName
+    }).session(session);
+
+  if (medicineId && !medicine) {
+    throw orderError(`Medicine ${medicineId} not found in your inventory`, 'MEDICINE_NOT_FOUND');
+  }
+
+  let target = medicine;
+  if (target) {
+    target.costPrice = item.unitPrice;
+    if (retailPrice !== undefined) target.price = retailPrice;
+  } else {
+    if (retailPrice === undefined) {
+      throw orderError(`A retail price is required to add ${item.medicineName} to your inventory`, 'RETAIL_PRICE_REQUIRED');
+    }
+
+    // A controlled drug stays controlled in the buyer's register
+    const sellerMedicine = await Medicine.findById(item.medicineId).select('controlledSchedule').session(session);
+
+    target = new Medicine({
+      pharmacyId: buyerPharmacyId,
+      name: item.medicineName,
+      genericName: item.genericName,
+      form: item.form,
+      packSize: item.packSize,
+      quantity: 0,
+      price: retailPrice,
+      costPrice: item.unitPrice,
+      category: 'Purchased',
+      manufacturer: item.manufacturer,
+      controlledSchedule: sellerMedicine ? sellerMedicine.controlledSchedule : null,
+      isActive: true
+    });
+  }
+
+  item.batchAllocations.forEach(allocation => target.addBatch({
+    batchNumber: allocation.batchNumber,
+    expiryDate: allocation.expiryDate,
+    quantity: allocation.quantity,
+    costPrice: item.unitPrice
+  }));
+  await target.save({ session });
+
+  return target;
+};
+
+/**
+ * Buyer confirms delivery: stock enters the buyer's inventory and a purchase
+ * transaction is recorded, awaiting settlement.
+ * receivedItems is [{ itemId, medicineId?, retailPrice? }].
+ */
+const receiveOrder = async (order, party, userId, { receivedItems = [], note } = {}) => {
+  const fromStatus = order.status;
+  order.transitionTo('received', party, userId, note);
+
+  const transactionNumber = await generateTransactionNumber('purchase');
+
+  await runInTransaction(async (session) => {
+    await claimTransition(order, fromStatus, session);
+
+    const transactionItems = [];
+
+    for (const item of order.items) {
+      const options = receivedItems.find(received => received.itemId === item._id.toString()) || {};
+      const medicine = await receiveIntoBuyerInventory(order.buyerPharmacyId, item, options, session);
+      item.receivedMedicineId = medicine._id;
+
+      await recordMovement(medicine, {
+        entryType: 'receipt',
+        change: item.quantity,
+        batches: item.batchAllocations,
+        reference: { type: 'MarketplaceOrder', id: order._id, number: order.orderNumber },
+        userId
+      }, session);
+
+      transactionItems.push({
+        medicineId: medicine._id,
+        medicineName: item.medicineName,
+        genericName: item.genericName,
+        form: item.form,
+        packSize: item.packSize,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+        batchNumber: item.batchAllocations[0]?.batchNumber,
+        expiryDate: item.batchAllocations[0]?.expiryDate,
+        batchAllocations: item.batchAllocations
+      });
+    }
+
+    const transaction = new Transaction({
+      pharmacyId: order.buyerPharmacyId,
+      userId,
+      transactionType: 'purchase',
+      transactionNumber,
+      transactionRef: order.orderNumber,
+      description: `Marketplace order ${order.orderNumber}`,
+      items: transactionItems,
+      subtotal: order.subtotal,
+      totalAmount: order.totalAmount,
+      payment: {
+        method: 'bank_transfer',
+        amount: 0,
+        status: 'pending'
+      },
+      status: 'completed',
+      transactionDate: new Date(),
+      marketplace: {
+        isMarketplace: true,
+        sellerId: order.sellerPharmacyId,
+        orderId: order._id
+      },
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await transaction.save({ session });
+
+    order.purchaseTransactionId = transaction._id;
+    await order.save({ session });
+  });
+
+  console.log(`📥 Marketplace order received: ${order.orderNumber}`);
+
+  return order;
+};
+
+/**
+ * Seller confirms payment, which completes the buyer's purchase transaction
+ */
+const settleOrder = async (order, party, userId, { paymentReference, note } = {}) => {
+  const fromStatus = order.status;
+  order.transitionTo('settled', party, userId, note);
+  if (paymentReference) order.paymentReference = paymentReference;
+
+  await runInTransaction(async (session) => {
+    await claimTransition(order, fromStatus, session);
+
+    if (order.purchaseTransactionId) {
+      const transaction = await Transaction.findById(order.purchaseTransactionId).session(session);
+      if (transaction) {
+        transaction.payment.amount = transaction.totalAmount;
+        transaction.payment.status = 'completed';
+        transaction.payment.transactionId = paymentReference;
+        transaction.payment.processedAt = new Date();
+        transaction.updatedBy = userId;
+        await transaction.save({ session });
+      }
+    }
+
+    await order.save({ session });
+  });
+
+  console.log(`💰 Marketplace order settled: ${order.orderNumber}`);
+
+  return order;
+};
+
+module.exports = {
+  placeOrder,
+  dispatchOrder,
+  receiveIntoBuyerInventory,
+  receiveOrder,
+  settleOrder
+};
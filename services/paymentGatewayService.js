@@ -0,0 +1,252 @@
+const Transaction = require('../models/Transaction');
+const PaymentEvent = require('../models/PaymentEvent');
+
+/**
+ * Payment providers implement:
+ * - name
+ * - authorize({ method, amount, source, reference }) -> { status: 'authorized' | 'declined', paymentId, message, details }
+ *   where details is what may be stored about the source (token, last 4 digits), never card data
+ * - capture(paymentId, amount) -> { status: 'captured' | 'failed', message }
+ * - void(paymentId) -> { status: 'voided' | 'failed', message }
+ * - refund(paymentId, amount) -> { status: 'refunded' | 'failed', refundId, message }
+ * - parseWebhook(rawBody, headers) -> { id, type, paymentId, amount }, or null if the signature is wrong
+ *
+ * The provider in use is PAYMENT_PROVIDER (default: sandbox). The sandbox is
+ * not available in production, where a live provider has to be registered;
+ * checkPaymentProvider stops the server from starting without one.
+ */
+const DEFAULT_PROVIDER = 'sandbox';
+const providers = {};
+if (process.env.NODE_ENV !== 'production') {
+  const sandboxProvider = require('./sandboxPaymentProvider');
+  providers[sandboxProvider.name] = sandboxProvider;
+}
+
+// Methods settled through the provider; cash and credit are settled at the counter
+const GATEWAY_METHODS = ['card', 'mobile_money', 'bank_transfer', 'digital_wallet'];
+
+// Tender status each webhook event type moves a payment to
+const WEBHOOK_STATUS = {
+  'payment.captured': 'completed',
+  'payment.failed': 'failed',
+  'payment.voided': 'voided',
+  'payment.refunded': 'refunded'
+};
+
+// HTTP status for the error codes raised by the gateway
+const GATEWAY_ERROR_STATUS = {
+  UNKNOWN_PROVIDER: 404,
+  INVALID_SIGNATURE: 401,
+  PROVIDER_NOT_CONFIGURED: 503,
+  PROVIDER_UNAVAILABLE: 503,
+  WEBHOOK_NOT_CONFIGURED: 503
+};
+
+const gatewayError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const configuredProviderName = () => process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER;
+
+// Without a name, the configured provider
+const getProvider = (name) => {
+  const provider = providers[name || configuredProviderName()];
+  if (!provider && !name) {
+    throw gatewayError(
+      `Card, mobile money, bank transfer and wallet payments are unavailable: payment provider ${configuredProviderName()} is not configured`,
+      'PROVIDER_NOT_CONFIGURED'
+    );
+  }
+  if (!provider) {
+    throw gatewayError(`Unknown payment provider ${name}`, 'UNKNOWN_PROVIDER');
+  }
+  return provider;
+};
+
+/**
+ * Check at startup that the configured provider is registered, so a missing
+ * provider stops the server instead of failing every checkout
+ */
+const checkPaymentProvider = () => {
+  if (!providers[configuredProviderName()]) {
+    throw new Error(
+      `Payment provider ${configuredProviderName()} is not registered. ` +
+      'Set PAYMENT_PROVIDER to a registered provider (the sandbox is not available in production).'
+    );
+  }
+};
+
+/**
+ * Authorise one tender. Cash and credit need no provider and are settled straight away.
+ * Returns { success, message, provider, status, transactionId, details }.
+ */
+const authorizeTender = async ({ method, amount, details, reference }) => {
+  if (!GATEWAY_METHODS.includes(method)) {
+    return {
+      success: true,
+      message: method === 'credit' ? 'Credit payment recorded' : 'Cash payment accepted',
+      provider: 'counter',
+      status: 'completed',
+      transactionId: `${method.toUpperCase()}-${reference}-${Date.now()}`
+    };
+  }
+
+  const provider = getProvider();
+  let result;
+  try {
+    result = await provider.authorize({ method, amount, source: details || {}, reference });
+  } catch (error) {
+    console.error(`❌ Payment authorisation error with ${provider.name}:`, error.message);
+    throw gatewayError('The payment provider could not be reached. Please try again or take another payment method.', 'PROVIDER_UNAVAILABLE');
+  }
+
+  return {
+    success: result.status === 'authorized',
+    message: result.message,
+    provider: provider.name,
+    status: result.status === 'authorized' ? 'authorized' : 'failed',
+    transactionId: result.paymentId,
+    details: result.details
+  };
+};
+
+/**
+ * Capture authorised tenders once the sale is committed. A capture the provider
+ * refuses is marked failed; one that could not reach the provider is marked
+ * pending_capture. Both are left for the provider's webhook or staff to resolve.
+ */
+const captureTenders = async (tenders) => {
+  for (const tender of tenders.filter(entry => entry.status === 'authorized')) {
+    try {
+      const result = await getProvider(tender.provider).capture(tender.transactionId, tender.amount);
+      tender.status = result.status === 'captured' ? 'completed' : 'failed';
+
+      if (tender.status === 'failed') {
+        console.error(`❌ Payment capture failed for ${tender.transactionId}: ${result.message}`);
+      }
+    } catch (error) {
+      tender.status = 'pending_capture';
+      console.error(`❌ Payment capture error for ${tender.transactionId}:`, error.message);
+    }
+  }
+  return tenders;
+};
+
+/**
+ * Release authorisations of a sale that was not completed
+ */
+const voidTenders = async (tenders) => {
+  for (const tender of tenders.filter(entry => entry.status === 'authorized')) {
+    try {
+      const result = await getProvider(tender.provider).void(tender.transactionId);
+      tender.status = result.status === 'voided' ? 'voided' : tender.status;
+    } catch (error) {
+      console.error(`❌ Payment void failed for ${tender.transactionId}:`, error.message);
+    }
+  }
+  return tenders;
+};
+
+/**
+ * Refund an amount to the provider tenders of a sale, largest tender first.
+ * Whatever is left (the cash part) has to be paid back at the counter.
+ * Returns the provider refunds and the amount left.
+ */
+const refundTenders = async (transaction, amount, reference) => {
+  const refunds = [];
+  let remaining = Math.round(amount * 100) / 100;
+
+  const tenders = (transaction.payment.tenders || [])
+    .filter(tender => GATEWAY_METHODS.includes(tender.method) && tender.status === 'completed')
+    .sort((a, b) => b.amount - a.amount);
+
+  for (const tender of tenders) {
+    if (remaining <= 0) break;
+    const refundable = Math.round((tender.amount - (tender.refundedAmount || 0)) * 100) / 100;
+    const refundAmount = Math.min(remaining, refundable);
+    if (refundAmount <= 0) continue;
+
+    const result = await getProvider(tender.provider).refund(tender.transactionId, refundAmount, reference);
+    refunds.push({
+      provider: tender.provider,
+      paymentId: tender.transactionId,
+      refundId: result.refundId,
+      amount: refundAmount,
+      status: result.status === 'refunded' ? 'completed' : 'failed',
+      message: result.message
+    });
+
+    if (result.status === 'refunded') {
+      remaining = Math.round((remaining - refundAmount) * 100) / 100;
+      tender.refundedAmount = Math.round(((tender.refundedAmount || 0) + refundAmount) * 100) / 100;
+      if (tender.refundedAmount >= tender.amount) tender.status = 'refunded';
+    }
+  }
+
+  return { refunds, remaining };
+};
+
+/**
+ * Apply a provider webhook to the tender it is about. Each event is applied once.
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  const event = rawBody ? provider.parseWebhook(rawBody, headers) : null;
+  if (!event) {
+    throw gatewayError('Invalid webhook signature', 'INVALID_SIGNATURE');
+  }
+
+  const alreadyApplied = await PaymentEvent.exists({ provider: provider.name, eventId: event.id });
+  if (alreadyApplied) {
+    return { event, duplicate: true };
+  }
+
+  const status = WEBHOOK_STATUS[event.type];
+  let transaction = null;
+  if (status && event.paymentId) {
+    transaction = await Transaction.findOneAndUpdate(
+      { 'payment.tenders.transactionId': event.paymentId },
+      { $set: { 'payment.tenders.$[tender].status': status } },
+      { arrayFilters: [{ 'tender.transactionId': event.paymentId }], new: true }
+    ).select('_id transactionNumber');
+  }
+
+  try {
+    await PaymentEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      paymentId: event.paymentId,
+      amount: event.amount,
+      appliedStatus: transaction ? status : undefined,
+      transactionId: transaction ? transaction._id : undefined
+    });
+  } catch (error) {
+    // Delivered twice at the same time: the other delivery recorded it
+    if (error.code !== 11000) throw error;
+    return { event, duplicate: true };
+  }
+
+  console.log(`🔔 Payment webhook ${event.type} for ${event.paymentId}${transaction ? ` (${transaction.transactionNumber})` : ''}`);
+
+  return { event, duplicate: false, transactionId: transaction ? transaction._id : null, status: transaction ? status : null };
+};
+
+module.exports = {
+  GATEWAY_METHODS,
+  GATEWAY_ERROR_STATUS,
+  registerProvider,
+  getProvider,
+  checkPaymentProvider,
+  authorizeTender,
+  captureTenders,
+  voidTenders,
+  refundTenders,
+  handleWebhook
+};
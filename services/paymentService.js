@@ -0,0 +1,95 @@
+const PAYMENT_METHODS = ['cash', 'card', 'mobile_money', 'bank_transfer', 'digital_wallet', 'credit'];
+
+// HTTP status for the error codes raised while splitting a payment into tenders
+const PAYMENT_ERROR_STATUS = {
+  INVALID_TENDER: 400,
+  INSUFFICIENT_PAYMENT: 400,
+  OVERPAYMENT: 400
+};
+
+const paymentError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out how a sale total is paid from the tenders offered.
+ *
+ * Each tender is { method, amount, details, reference }. Without an amount, a tender
+ * covers whatever is still unpaid. Only cash can be over-tendered: change is given
+ * from the cash, so card, credit and other tenders may not add up to more than the total.
+ *
+ * Returns the tenders with the amount each applies to the sale, plus the total
+ * tendered and the change due.
+ */
+const buildTenders = (payments, total) => {
+  const saleTotal = roundAmount(total);
+
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw paymentError('At least one payment is required', 'INVALID_TENDER');
+  }
+
+  let unpaid = saleTotal;
+  const tenders = payments.map((payment, index) => {
+    if (!PAYMENT_METHODS.includes(payment.method)) {
+      throw paymentError(`Payment ${index + 1}: unsupported payment method ${payment.method}`, 'INVALID_TENDER');
+    }
+
+    const tendered = roundAmount(payment.amount !== undefined && payment.amount !== null ? Number(payment.amount) : Math.max(0, unpaid));
+    if (!(tendered > 0)) {
+      throw paymentError(`Payment ${index + 1}: amount must be greater than 0`, 'INVALID_TENDER');
+    }
+    unpaid = roundAmount(unpaid - tendered);
+
+    return {
+      method: payment.method,
+      tendered,
+      details: payment.details,
+      reference: payment.reference
+    };
+  });
+
+  const amountTendered = roundAmount(tenders.reduce((sum, tender) => sum + tender.tendered, 0));
+  if (amountTendered < saleTotal) {
+    throw paymentError(`Payments total ${amountTendered}, which is ${roundAmount(saleTotal - amountTendered)} short of ${saleTotal}`, 'INSUFFICIENT_PAYMENT');
+  }
+
+  const nonCash = roundAmount(tenders.filter(tender => tender.method !== 'cash').reduce((sum, tender) => sum + tender.tendered, 0));
+  if (nonCash > saleTotal) {
+    throw paymentError(`Non-cash payments total ${nonCash}, more than the sale total of ${saleTotal}`, 'OVERPAYMENT');
+  }
+
+  // Change comes out of the cash tenders, last cash tender first
+  const changeDue = roundAmount(amountTendered - saleTotal);
+  let change = changeDue;
+  for (const tender of [...tenders].reverse()) {
+    const given = tender.method === 'cash' ? Math.min(change, tender.tendered) : 0;
+    tender.change = roundAmount(given);
+    tender.amount = roundAmount(tender.tendered - given);
+    change = roundAmount(change - given);
+  }
+
+  return {
+    tenders,
+    amountTendered,
+    changeDue
+  };
+};
+
+/**
+ * Payment method recorded for a sale: the tender's method, or split when several were used
+ */
+const paymentMethodOf = (tenders) => {
+  const methods = [...new Set(tenders.map(tender => tender.method))];
+  return methods.length === 1 ? methods[0] : 'split';
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_ERROR_STATUS,
+  buildTenders,
+  paymentMethodOf
+};
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Pharmacy = require('../models/Pharmacy');
+const PharmacyMembership = require('../models/PharmacyMembership');
+const User = require('../models/User');
+const { sendEmail } = require('../utils/mailer');
+const { runInTransaction } = require('./inventoryService');
+const { assertRoleExists } = require('./roleService');
+
+// HTTP status for the error codes raised by pharmacy memberships
+const PHARMACY_ERROR_STATUS = {
+  ACCESS_REVOKED: 403,
+  PHARMACY_INACTIVE: 403,
+  NOT_OWNER: 403,
+  MEMBER_NOT_FOUND: 404,
+  ALREADY_MEMBER: 409,
+  NO_PHARMACY: 403,
+  INVITATION_INVALID: 400,
+  INVALID_CREDENTIALS: 401,
+  INVALID_MEMBER_CHANGE: 400
+};
+
+const INVITE_TTL_DAYS = 7;
+
+const pharmacyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isOwner = (pharmacy, userId) => (pharmacy.ownerId._id || pharmacy.ownerId).toString() === userId.toString();
+
+// Make a user an active member of a pharmacy, unless they already are a member of one
+const joinPharmacy = (user, pharmacy, role, session = null) => PharmacyMembership.findOneAndUpdate(
+  { userId: user._id, status: 'active' },
+  {
+    $setOnInsert: {
+      pharmacyId: pharmacy._id,
+      email: user.email,
+      role,
+      joinedAt: new Date()
+    }
+  },
+  { upsert: true, new: true, session }
+);
+
+/**
+ * Create the pharmacy founded by a user, with the user as its owner and first member.
+ * The pharmacy takes the owner's user ID so records already keyed by it stay with it.
+ */
+const createPharmacyForOwner = async (user, session = null) => {
+  const pharmacy = await Pharmacy.findOneAndUpdate(
+    { _id: user._id },
+    { $setOnInsert: { name: user.pharmacyName || user.email, ownerId: user._id } },
+    { upsert: true, new: true, session }
+  );
+
+  const membership = await joinPharmacy(user, pharmacy, user.role || 'pharmacist', session);
+
+  return { pharmacy, membership };
+};
+
+/**
+ * Give an account created before memberships existed the membership its old links
+ * gave it. Pharmacists and admins founded their own pharmacy. Assistants worked
+ * for the pharmacist registered under the same pharmacy name, so they join that
+ * pharmacist's pharmacy; an assistant without one is not linked to any pharmacy.
+ */
+const migrateLegacyUser = async (user, session = null) => {
+  if (user.role !== 'assistant') {
+    return createPharmacyForOwner(user, session);
+  }
+
+  const pharmacist = user.pharmacyName
+    ? await User.findOne({ pharmacyName: user.pharmacyName, role: 'pharmacist' }).session(session)
+    : null;
+  if (!pharmacist) {
+    throw pharmacyError('Your account is not linked to a pharmacy. Ask the pharmacy owner to invite you.', 'NO_PHARMACY');
+  }
+
+  const { pharmacy } = await createPharmacyForOwner(pharmacist, session);
+  const membership = await joinPharmacy(user, pharmacy, 'assistant', session);
+
+  return { pharmacy, membership };
+};
+
+/**
+ * Run migrateLegacyUser for every account that has never had a membership.
+ * Pharmacists go first so their assistants join the pharmacies they create.
+ * Returns how many accounts were linked and the emails of those that could not be.
+ */
+const migrateLegacyMemberships = async () => {
+  const members = await PharmacyMembership.distinct('userId', { userId: { $ne: null } });
+  const users = await User.find({ _id: { $nin: members } }).select('_id email role pharmacyName');
+  users.sort((a, b) => (a.role === 'assistant') - (b.role === 'assistant'));
+
+  const result = { owners: 0, staff: 0, unlinked: [] };
+  for (const user of users) {
+    try {
+      await migrateLegacyUser(user);
+      if (user.role === 'assistant') result.staff += 1;
+      else result.owners += 1;
+    } catch (error) {
+      if (error.code !== 'NO_PHARMACY') throw error;
+      result.unlinked.push(user.email);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * The pharmacy a user works for and their membership of it.
+ *
+ * Accounts created before memberships existed have none and are migrated on first
+ * use (see migrateLegacyUser). Users whose access was revoked get none.
+ */
+const resolveMembership = async (user) => {
+  let membership = await PharmacyMembership.findOne({ userId: user._id, status: 'active' });
+
+  if (!membership) {
+    const revoked = await PharmacyMembership.exists({ userId: user._id, status: 'revoked' });
+    if (revoked) {
+      throw pharmacyError('Your access to this pharmacy has been revoked', 'ACCESS_REVOKED');
+    }
+    ({ membership } = await migrateLegacyUser(user));
+  }
+
+  const pharmacy = await Pharmacy.findById(membership.pharmacyId);
+  if (!pharmacy || !pharmacy.isActive) {
+    throw pharmacyError('This pharmacy account is no longer active', 'PHARMACY_INACTIVE');
+  }
+
+  return { pharmacy, membership };
+};
+
+/**
+ * Invite someone by email to join a pharmacy with a role. Inviting an email that
+ * already has a pending invitation sends a new one in its place.
+ * Returns the membership and the invitation token (sent by email, never stored).
+ */
+const inviteMember = async (pharmacy, { email, role }, invitedBy) => {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existing = await PharmacyMembership.findOne({
+    pharmacyId: pharmacy._id,
+    email: normalizedEmail,
+    status: { $in: ['invited', 'active'] }
+  });
+  if (existing && existing.status === 'active') {
+    throw pharmacyError(`${normalizedEmail} is already a member of ${pharmacy.name}`, 'ALREADY_MEMBER');
+  }
+
+  await assertRoleExists(pharmacy._id, role);
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const membership = existing || new PharmacyMembership({ pharmacyId: pharmacy._id, email: normalizedEmail });
+  membership.role = role;
+  membership.invitedBy = invitedBy._id;
+  membership.inviteTokenHash = hashToken(token);
+  membership.inviteExpires = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await membership.save();
+
+  const frontendUrl = process.env.FRONTEND_URL;
+  await sendEmail({
+    to: normalizedEmail,
+    subject: `You're invited to join ${pharmacy.name}`,
+    template: 'staff-invitation',
+    data: {
+      pharmacyName: pharmacy.name,
+      invitedByName: invitedBy.username || invitedBy.email,
+      role,
+      token,
+      acceptUrl: frontendUrl ? `${frontendUrl}/accept-invitation?token=${token}` : null,
+      expiresInDays: INVITE_TTL_DAYS
+    },
+    text: `You have been invited to join ${pharmacy.name} as ${role}. Invitation code: ${token}`
+  });
+
+  return { membership, token };
+};
+
+/**
+ * Accept an invitation. Someone without an account signs up with the given
+ * password; someone with one confirms it with their password.
+ */
+const acceptInvitation = async ({ token, password, username }) => {
+  const membership = await PharmacyMembership.findOne({
+    inviteTokenHash: hashToken(token),
+    status: 'invited'
+  });
+  if (!membership || !membership.inviteExpires || membership.inviteExpires < new Date()) {
+    throw pharmacyError('Invitation is invalid or has expired', 'INVITATION_INVALID');
+  }
+
+  const pharmacy = await Pharmacy.findById(membership.pharmacyId);
+  if (!pharmacy || !pharmacy.isActive) {
+    throw pharmacyError('This pharmacy account is no longer active', 'PHARMACY_INACTIVE');
+  }
+
+  let user = await User.findOne({ email: membership.email });
+  if (user) {
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      throw pharmacyError('Invalid credentials', 'INVALID_CREDENTIALS');
+    }
+    const current = await PharmacyMembership.exists({ userId: user._id, status: 'active' });
+    if (current) {
+      throw pharmacyError('You are already a member of another pharmacy. Leave it before joining a new one.', 'ALREADY_MEMBER');
+    }
+  }
+
+  await runInTransaction(async (session) => {
+    if (!user) {
+      user = new User({
+        email: membership.email,
+        username,
+        password,
+        pharmacyName: pharmacy.name,
+        // The membership holds the real role. User.role 'admin' gives platform permissions, so
+        // a pharmacy admin's account is a pharmacist's
+        role: ['admin', 'pharmacist'].includes(membership.role) ? 'pharmacist' : 'assistant',
+        isVerified: true
+      });
+      await user.save({ session });
+    }
+
+    membership.userId = user._id;
+    membership.status = 'active';
+    membership.joinedAt = new Date();
+    membership.inviteTokenHash = undefined;
+    membership.inviteExpires = undefined;
+    await membership.save({ session });
+  });
+
+  return { user, membership, pharmacy };
+};
+
+const findMember = async (pharmacy, memberId, session = null) => {
+  const membership = await PharmacyMembership.findOne({ _id: memberId, pharmacyId: pharmacy._id }).session(session);
+  if (!membership) {
+    throw pharmacyError('Member not found', 'MEMBER_NOT_FOUND');
+  }
+  return membership;
+};
+
+// The owner can change anyone but themselves; admins can only change non-admins
+const assertCanChange = (pharmacy, membership, actingUser, newRole) => {
+  if (membership.userId && isOwner(pharmacy, membership.userId)) {
+    throw pharmacyError('The owner\'s access cannot be changed. Transfer ownership first.', 'INVALID_MEMBER_CHANGE');
+  }
+  if (!isOwner(pharmacy, actingUser._id) && (membership.role === 'admin' || newRole === 'admin')) {
+    throw pharmacyError('Only the owner can grant or remove admin access', 'INVALID_MEMBER_CHANGE');
+  }
+};
+
+/**
+ * Change a member's role within the pharmacy
+ */
+const changeMemberRole = async (pharmacy, memberId, role, actingUser) => {
+  const membership = await findMember(pharmacy, memberId);
+  if (membership.status === 'revoked') {
+    throw pharmacyError('Access for this member has been revoked', 'INVALID_MEMBER_CHANGE');
+  }
+  assertCanChange(pharmacy, membership, actingUser, role);
+  await assertRoleExists(pharmacy._id, role);
+
+  membership.role = role;
+  await membership.save();
+  return membership;
+};
+
+/**
+ * Revoke a member's access, or cancel a pending invitation
+ */
+const revokeMember = async (pharmacy, memberId, actingUser) => {
+  const membership = await findMember(pharmacy, memberId);
+  if (membership.status === 'revoked') {
+    throw pharmacyError('Access for this member has already been revoked', 'INVALID_MEMBER_CHANGE');
+  }
+  assertCanChange(pharmacy, membership, actingUser, membership.role);
+
+  membership.status = 'revoked';
+  membership.revokedAt = new Date();
+  membership.revokedBy = actingUser._id;
+  membership.inviteTokenHash = undefined;
+  membership.inviteExpires = undefined;
+  await membership.save();
+  return membership;
+};
+
+/**
+ * Make another active member the owner. The new owner becomes an admin;
+ * the previous owner stays on as a member with their current role.
+ */
+const transferOwnership = async (pharmacy, memberId, actingUser) => {
+  await runInTransaction(async (session) => {
+    const membership = await findMember(pharmacy, memberId, session);
+    if (membership.status !== 'active') {
+      throw pharmacyError('Ownership can only be transferred to an active member', 'INVALID_MEMBER_CHANGE');
+    }
+    if (isOwner(pharmacy, membership.userId)) {
+      throw pharmacyError('This member already owns the pharmacy', 'INVALID_MEMBER_CHANGE');
+    }
+
+    // Only the owner at the time of the transfer can hand the pharmacy on
+    const transferred = await Pharmacy.findOneAndUpdate(
+      { _id: pharmacy._id, ownerId: actingUser._id },
+      {
+        $set: { ownerId: membership.userId },
+        $push: { ownershipHistory: { fromUserId: actingUser._id, toUserId: membership.userId, transferredAt: new Date() } }
+      },
+      { session }
+    );
+    if (!transferred) {
+      throw pharmacyError('Only the owner can transfer ownership', 'NOT_OWNER');
+    }
+
+    const promoted = await PharmacyMembership.updateOne(
+      { _id: membership._id, status: 'active' },
+      { $set: { role: 'admin' } },
+      { session }
+    );
+    if (promoted.matchedCount === 0) {
+      throw pharmacyError('Ownership can only be transferred to an active member', 'INVALID_MEMBER_CHANGE');
+    }
+  });
+
+  return Pharmacy.findById(pharmacy._id).populate('ownerId', 'email username');
+};
+
+module.exports = {
+  PHARMACY_ERROR_STATUS,
+  isOwner,
+  createPharmacyForOwner,
+  migrateLegacyMemberships,
+  resolveMembership,
+  inviteMember,
+  acceptInvitation,
+  changeMemberRole,
+  revokeMember,
+  transferOwnership
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const Prescription = require('../models/Prescription');
+
+// HTTP status for the error codes raised when a sale is checked against a prescription
+const PRESCRIPTION_ERROR_STATUS = {
+  PRESCRIPTION_REQUIRED: 400,
+  PRESCRIPTION_INVALID: 400,
+  PRESCRIPTION_MISMATCH: 400,
+  PRESCRIPTION_NOT_FOUND: 404
+};
+
+const prescriptionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check that a sale's items can be dispensed: prescription-only medicines need a
+ * usable prescription from this pharmacy that lists them, within the quantity per fill.
+ * Items are { medicineId, quantity }. Returns the prescription (or null when none
+ * is needed or given) and the lines it covers.
+ */
+const checkPrescription = async ({ pharmacyId, prescriptionId, items, session = null }) => {
+  const lines = [];
+  for (const item of items) {
+    const medicineId = item.medicineId._id || item.medicineId;
+    const medicine = await Medicine.findById(medicineId)
+      .select('name genericName requiresPrescription')
+      .session(session);
+    if (medicine) {
+      lines.push({ medicine, quantity: item.quantity });
+    }
+  }
+
+  const prescriptionOnly = lines.filter(line => line.medicine.requiresPrescription);
+
+  if (!prescriptionId) {
+    if (prescriptionOnly.length > 0) {
+      throw prescriptionError(
+        `A prescription is required for: ${prescriptionOnly.map(line => line.medicine.name).join(', ')}`,
+        'PRESCRIPTION_REQUIRED'
+      );
+    }
+    return { prescription: null, dispensedItems: [] };
+  }
+
+  const prescription = mongoose.Types.ObjectId.isValid(prescriptionId)
+    ? await Prescription.findOne({ _id: prescriptionId, pharmacyId }).session(session)
+    : null;
+  if (!prescription) {
+    throw prescriptionError('Prescription not found', 'PRESCRIPTION_NOT_FOUND');
+  }
+
+  const unusable = prescription.unusableReason();
+  if (unusable) {
+    throw prescriptionError(`${unusable} (${prescription.prescriptionNumber})`, 'PRESCRIPTION_INVALID');
+  }
+
+  const dispensedQuantity = new Map();
+  const dispensedItems = [];
+
+  for (const { medicine, quantity } of lines) {
+    const prescriptionItem = prescription.findItemFor(medicine);
+
+    if (!prescriptionItem) {
+      if (medicine.requiresPrescription) {
+        throw prescriptionError(
+          `${medicine.name} is not on prescription ${prescription.prescriptionNumber}`,
+          'PRESCRIPTION_MISMATCH'
+        );
+      }
+      continue;
+    }
+
+    const key = prescriptionItem._id.toString();
+    const total = (dispensedQuantity.get(key) || 0) + quantity;
+    if (total > prescriptionItem.quantity) {
+      throw prescriptionError(
+        `Prescription ${prescription.prescriptionNumber} allows ${prescriptionItem.quantity} of ${prescriptionItem.medicineName || prescriptionItem.genericName} per fill`,
+        'PRESCRIPTION_MISMATCH'
+      );
+    }
+    dispensedQuantity.set(key, total);
+
+    dispensedItems.push({
+      prescriptionItemId: prescriptionItem._id,
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      quantity
+    });
+  }
+
+  return { prescription, dispensedItems };
+};
+
+/**
+ * Check the prescription and record the sale as one fill of it, within the caller's
+ * database session. Links the prescription to the transaction before it is saved.
+ */
+const dispensePrescription = async ({ pharmacyId, prescriptionId, items, transaction, userId, session = null }) => {
+  const { prescription, dispensedItems } = await checkPrescription({ pharmacyId, prescriptionId, items, session });
+  if (!prescription) {
+    return null;
+  }
+
+  prescription.dispenses.push({
+    transactionId: transaction._id,
+    transactionNumber: transaction.transactionNumber,
+    items: dispensedItems,
+    dispensedAt: new Date(),
+    dispensedBy: userId
+  });
+  if (prescription.refillsRemaining === 0) {
+    prescription.status = 'completed';
+  }
+  await prescription.save({ session });
+
+  transaction.isPrescription = true;
+  transaction.prescriptionId = prescription._id;
+
+  console.log(`💊 Prescription ${prescription.prescriptionNumber} dispensed (${prescription.refillsRemaining} fill(s) left)`);
+
+  return prescription;
+};
+
+module.exports = {
+  PRESCRIPTION_ERROR_STATUS,
+  checkPrescription,
+  dispensePrescription
+};
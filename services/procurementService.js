@@ -0,0 +1,254 @@
+const Medicine = require('../models/Medicine');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const Transaction = require('../models/Transaction');
+const { generateTransactionNumber } = require('../utils/helpers');
+const { runInTransaction } = require('./inventoryService');
+const { recordMovement } = require('./controlledDrugService');
+
+const procurementError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check a delivery against a purchase order: the order must be open, and each
+ * line must be on it and not exceed what is outstanding unless over-shipped
+ */
+const checkDelivery = (order, items) => {
+  if (!PurchaseOrder.OPEN_STATUSES.includes(order.status)) {
+    throw procurementError(`Goods cannot be received against a ${order.status} purchase order`, 'INVALID_STATUS');
+  }
+
+  for (const item of items) {
+    const orderItem = order.items.id(item.purchaseOrderItemId);
+    if (!orderItem) {
+      throw procurementError(`Item ${item.purchaseOrderItemId} is not on purchase order ${order.poNumber}`, 'ITEM_NOT_FOUND');
+    }
+
+    if (item.quantityReceived > orderItem.outstandingQuantity && !isOverShipped(item)) {
+      throw overReceiptError(orderItem);
+    }
+  }
+};
+
+const isOverShipped = (item) => (item.discrepancies || []).some(discrepancy => discrepancy.type === 'over_shipped');
+
+const overReceiptError = (orderItem) => procurementError(
+  `Only ${orderItem.outstandingQuantity} of ${orderItem.medicineName} is outstanding. Record an over_shipped discrepancy to accept more.`,
+  'OVER_RECEIPT'
+);
+
+/**
+ * Add a delivered quantity to an order line. Unless the line was over-shipped,
+ * the update only matches while the quantity is still outstanding, so that
+ * concurrent deliveries cannot receive more than was ordered.
+ */
+const addReceivedQuantity = async (order, item, session) => {
+  const orderItem = order.items.id(item.purchaseOrderItemId);
+  const line = isOverShipped(item)
+    ? { _id: orderItem._id }
+    : { _id: orderItem._id, receivedQuantity: { $lte: orderItem.orderedQuantity - item.quantityReceived } };
+
+  const updated = await PurchaseOrder.findOneAndUpdate(
+    { _id: order._id, status: { $in: PurchaseOrder.OPEN_STATUSES }, items: { $elemMatch: line } },
+    { $inc: { 'items.$.receivedQuantity': item.quantityReceived } },
+    { session }
+  );
+
+  if (!updated) {
+    throw overReceiptError(orderItem);
+  }
+};
+
+/**
+ * Record a (possibly partial) delivery against a purchase order.
+ * Accepted units are added to the medicine as a new lot, the order's received
+ * quantities and status are updated and a purchase transaction is recorded,
+ * all in one database transaction. The order is checked again as it stands
+ * inside that transaction.
+ * Items are { purchaseOrderItemId, batchNumber, expiryDate, quantityReceived,
+ * quantityRejected?, unitCost?, discrepancies? }.
+ *
+ * Returns the goods-received note and the updated order.
+ */
+const receiveGoods = async (order, { items, supplierInvoiceNumber, deliveryNoteNumber, notes }, userId) => {
+  checkDelivery(order, items);
+
+  const transactionNumber = await generateTransactionNumber('purchase');
+  let note;
+  let received;
+
+  await runInTransaction(async (session) => {
+    const current = await PurchaseOrder.findOne({ _id: order._id, pharmacyId: order.pharmacyId }).session(session);
+    if (!current) {
+      throw procurementError(`Purchase order ${order.poNumber} no longer exists`, 'ORDER_NOT_FOUND');
+    }
+    checkDelivery(current, items);
+
+    for (const item of items) {
+      await addReceivedQuantity(current, item, session);
+    }
+
+    const transactionItems = [];
+
+    note = new GoodsReceivedNote({
+      grnNumber: await GoodsReceivedNote.generateGrnNumber(session),
+      pharmacyId: current.pharmacyId,
+      purchaseOrderId: current._id,
+      poNumber: current.poNumber,
+      supplierId: current.supplierId,
+      supplierInvoiceNumber,
+      deliveryNoteNumber,
+      items: [],
+      receivedBy: userId,
+      notes
+    });
+
+    for (const item of items) {
+      const orderItem = current.items.id(item.purchaseOrderItemId);
+      const unitCost = item.unitCost ?? orderItem.expectedUnitPrice;
+
+      const medicine = await Medicine.findOne({
+        _id: orderItem.medicineId,
+        pharmacyId: current.pharmacyId
+      }).session(session);
+
+      if (!medicine) {
+        throw procurementError(`Medicine ${orderItem.medicineName} no longer exists`, 'MEDICINE_NOT_FOUND');
+      }
+
+      let lot = null;
+      if (item.quantityReceived > 0) {
+        lot = medicine.addBatch({
+          batchNumber: item.batchNumber,
+          expiryDate: item.expiryDate,
+          quantity: item.quantityReceived,
+          costPrice: unitCost
+        });
+        medicine.costPrice = unitCost;
+        await medicine.save({ session });
+
+        await recordMovement(medicine, {
+          entryType: 'receipt',
+          change: item.quantityReceived,
+          batches: [{ batchNumber: lot.batchNumber, expiryDate: lot.expiryDate, quantity: item.quantityReceived }],
+          reference: { type: 'GoodsReceivedNote', id: note._id, number: note.grnNumber },
+          party: current.supplierName,
+          userId,
+          notes: supplierInvoiceNumber ? `Supplier invoice ${supplierInvoiceNumber}` : undefined
+        }, session);
+
+        transactionItems.push({
+          medicineId: medicine._id,
+          medicineName: medicine.name,
+          genericName: medicine.genericName,
+          form: medicine.form,
+          packSize: medicine.packSize,
+          quantity: item.quantityReceived,
+          unitPrice: unitCost,
+          totalPrice: item.quantityReceived * unitCost,
+          batchNumber: lot.batchNumber,
+          expiryDate: lot.expiryDate,
+          costPrice: unitCost
+        });
+      }
+
+      note.items.push({
+        purchaseOrderItemId: orderItem._id,
+        medicineId: medicine._id,
+        medicineName: medicine.name,
+        batchNumber: lot ? lot.batchNumber : item.batchNumber,
+        expiryDate: item.expiryDate,
+        quantityReceived: item.quantityReceived,
+        quantityRejected: item.quantityRejected || 0,
+        unitCost,
+        discrepancies: item.discrepancies || []
+      });
+    }
+
+    if (transactionItems.length > 0) {
+      const totalAmount = transactionItems.reduce((total, item) => total + item.totalPrice, 0);
+      const transaction = new Transaction({
+        pharmacyId: current.pharmacyId,
+        userId,
+        transactionType: 'purchase',
+        transactionNumber,
+        transactionRef: note.grnNumber,
+        description: `Goods received ${note.grnNumber} for ${current.poNumber} from ${current.supplierName}`,
+        items: transactionItems,
+        subtotal: totalAmount,
+        totalAmount,
+        payment: {
+          method: 'bank_transfer',
+          amount: 0,
+          status: 'pending'
+        },
+        status: 'completed',
+        transactionDate: new Date(),
+        createdBy: userId,
+        updatedBy: userId
+      });
+      await transaction.save({ session });
+      note.transactionId = transaction._id;
+    }
+
+    await note.save({ session });
+
+    // The status follows the received quantities as updated above
+    received = await PurchaseOrder.findById(current._id).session(session);
+    received.refreshReceiptStatus();
+    received.updatedBy = userId;
+    await received.save({ session });
+  });
+
+  console.log(`📦 Goods received ${note.grnNumber} against ${order.poNumber}`);
+
+  return { note, order: received };
+};
+
+/**
+ * Outstanding quantities on a pharmacy's open purchase orders, one row per order line
+ */
+const getOutstandingItems = async (pharmacyId, { supplierId, medicineId } = {}) => {
+  const query = {
+    pharmacyId,
+    status: { $in: PurchaseOrder.OPEN_STATUSES }
+  };
+  if (supplierId) query.supplierId = supplierId;
+
+  const orders = await PurchaseOrder.find(query).sort({ expectedDeliveryDate: 1 });
+
+  const rows = [];
+  for (const order of orders) {
+    for (const item of order.items) {
+      if (item.outstandingQuantity === 0) continue;
+      if (medicineId && item.medicineId.toString() !== medicineId.toString()) continue;
+
+      rows.push({
+        purchaseOrderId: order._id,
+        poNumber: order.poNumber,
+        supplierId: order.supplierId,
+        supplierName: order.supplierName,
+        purchaseOrderItemId: item._id,
+        medicineId: item.medicineId,
+        medicineName: item.medicineName,
+        orderedQuantity: item.orderedQuantity,
+        receivedQuantity: item.receivedQuantity,
+        outstandingQuantity: item.outstandingQuantity,
+        expectedUnitPrice: item.expectedUnitPrice,
+        outstandingValue: item.outstandingQuantity * item.expectedUnitPrice,
+        expectedDeliveryDate: order.expectedDeliveryDate,
+        isOverdue: order.isOverdue
+      });
+    }
+  }
+
+  return rows;
+};
+
+module.exports = {
+  receiveGoods,
+  getOutstandingItems
+};
@@ -0,0 +1,281 @@
+const Promotion = require('../models/Promotion');
+const Medicine = require('../models/Medicine');
+
+// HTTP status for the error codes raised by promotions and coupons
+const PROMOTION_ERROR_STATUS = {
+  INVALID_COUPON: 400,
+  COUPON_USAGE_LIMIT: 400
+};
+
+const promotionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a promotion's dates, days of the week and daily time window include a moment
+ */
+const isInSchedule = (schedule, now = new Date()) => {
+  if (!schedule) return true;
+  if (schedule.startDate && schedule.startDate > now) return false;
+  if (schedule.endDate && schedule.endDate < now) return false;
+  if (schedule.daysOfWeek && schedule.daysOfWeek.length > 0 && !schedule.daysOfWeek.includes(now.getDay())) return false;
+
+  if (schedule.startTime && schedule.endTime) {
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(schedule.startTime);
+    const end = toMinutes(schedule.endTime);
+    // A window such as 22:00-02:00 runs past midnight
+    const inWindow = start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+const sameText = (list, value) => Boolean(value) &&
+  list.some(entry => entry.toLowerCase() === value.toLowerCase());
+
+// Whether a cart line is one the promotion applies to
+const matchesTarget = (promotion, line) => {
+  const target = promotion.target || {};
+  const medicineIds = target.medicineIds || [];
+  const categories = target.categories || [];
+  const manufacturers = target.manufacturers || [];
+
+  if (medicineIds.length === 0 && categories.length === 0 && manufacturers.length === 0) {
+    return true;
+  }
+
+  return medicineIds.some(id => id.toString() === line.medicineId.toString()) ||
+    sameText(categories, line.category) ||
+    sameText(manufacturers, line.manufacturer);
+};
+
+// Discount per line index for each promotion type, before capping at what is left of the line
+const discountCalculators = {
+  percentage_off: (promotion, lines) => {
+    const discounts = new Map();
+    lines.forEach((line, index) => {
+      if (matchesTarget(promotion, line)) {
+        discounts.set(index, line.remaining * promotion.percentOff / 100);
+      }
+    });
+    return discounts;
+  },
+
+  // The cheapest units of each set are the discounted ones
+  buy_x_get_y: (promotion, lines) => {
+    const discounts = new Map();
+    const units = [];
+    lines.forEach((line, index) => {
+      if (matchesTarget(promotion, line)) {
+        for (let unit = 0; unit < line.quantity; unit++) {
+          units.push({ index, unitPrice: line.unitPrice });
+        }
+      }
+    });
+
+    const setSize = promotion.buyQuantity + promotion.getQuantity;
+    const discountedUnits = Math.floor(units.length / setSize) * promotion.getQuantity;
+    if (discountedUnits === 0) return discounts;
+
+    units
+      .sort((a, b) => a.unitPrice - b.unitPrice)
+      .slice(0, discountedUnits)
+      .forEach(unit => {
+        const discount = unit.unitPrice * (promotion.getDiscountPercent ?? 100) / 100;
+        discounts.set(unit.index, (discounts.get(unit.index) || 0) + discount);
+      });
+    return discounts;
+  },
+
+  // Each full set of the bundle's items costs the bundle price; the saving is shared by price
+  bundle_price: (promotion, lines) => {
+    const discounts = new Map();
+    const parts = promotion.bundleItems.map(bundleItem => {
+      const index = lines.findIndex(line => line.medicineId.toString() === bundleItem.medicineId.toString());
+      const quantity = lines
+        .filter(line => line.medicineId.toString() === bundleItem.medicineId.toString())
+        .reduce((sum, line) => sum + line.quantity, 0);
+      return { index, required: bundleItem.quantity, quantity };
+    });
+
+    if (parts.some(part => part.index === -1)) return discounts;
+
+    const sets = Math.min(...parts.map(part => Math.floor(part.quantity / part.required)));
+    const regularPrice = parts.reduce((sum, part) => sum + lines[part.index].unitPrice * part.required, 0);
+    const saving = regularPrice - promotion.bundlePrice;
+    if (sets === 0 || saving <= 0) return discounts;
+
+    parts.forEach(part => {
+      const share = (lines[part.index].unitPrice * part.required) / regularPrice;
+      discounts.set(part.index, (discounts.get(part.index) || 0) + saving * share * sets);
+    });
+    return discounts;
+  }
+};
+
+/**
+ * Apply promotions to cart items. Each item is { medicineId, medicineName, quantity, unitPrice };
+ * medicines maps medicine IDs to their category and manufacturer. Higher priority
+ * promotions go first, and a line is never discounted below zero.
+ *
+ * Returns the promotions that gave a discount, each with the lines it discounted, and the total.
+ */
+const evaluatePromotions = (promotions, items, medicines, { couponCodes = [], now = new Date() } = {}) => {
+  const lines = items.map(item => {
+    const medicineId = (item.medicineId && item.medicineId._id) || item.medicineId;
+    const medicine = medicines.get(medicineId.toString()) || {};
+    return {
+      medicineId,
+      medicineName: item.medicineName,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      category: medicine.category,
+      manufacturer: item.manufacturer || medicine.manufacturer,
+      remaining: roundAmount(item.quantity * item.unitPrice)
+    };
+  });
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.remaining, 0));
+  const codes = couponCodes.map(code => code.toUpperCase());
+
+  const applied = [];
+  const ordered = [...promotions].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  for (const promotion of ordered) {
+    if (!promotion.isActive || !isInSchedule(promotion.schedule, now)) continue;
+    if (promotion.code && !codes.includes(promotion.code)) continue;
+    if (promotion.usageLimit != null && promotion.usageCount >= promotion.usageLimit) continue;
+    if (subtotal < (promotion.minSubtotal || 0)) continue;
+
+    const discounts = discountCalculators[promotion.type](promotion, lines);
+    const discountedItems = [];
+    for (const [index, discount] of discounts) {
+      const line = lines[index];
+      const amount = roundAmount(Math.min(discount, line.remaining));
+      if (amount <= 0) continue;
+
+      line.remaining = roundAmount(line.remaining - amount);
+      discountedItems.push({
+        medicineId: line.medicineId,
+        medicineName: line.medicineName,
+        quantity: line.quantity,
+        discount: amount
+      });
+    }
+
+    const amount = roundAmount(discountedItems.reduce((sum, item) => sum + item.discount, 0));
+    if (amount > 0) {
+      applied.push({
+        promotionId: promotion._id,
+        name: promotion.name,
+        type: promotion.type,
+        code: promotion.code,
+        amount,
+        items: discountedItems
+      });
+    }
+  }
+
+  return {
+    promotions: applied,
+    totalDiscount: roundAmount(applied.reduce((sum, promotion) => sum + promotion.amount, 0))
+  };
+};
+
+/**
+ * Work out the promotions of a cart from the pharmacy's active promotions and the
+ * coupon codes entered on it. Sets cart.promotions and cart.promotionDiscount;
+ * only sale carts get promotions. Call it before saving a cart whose items or
+ * coupons changed.
+ */
+const applyPromotionsToCart = async (cart, now = new Date()) => {
+  if (!cart.pharmacyId || cart.transactionType !== 'sale' || cart.items.length === 0) {
+    cart.promotions = [];
+    cart.promotionDiscount = 0;
+    return cart;
+  }
+
+  const promotions = await Promotion.find({ pharmacyId: cart.pharmacyId, isActive: true });
+  if (promotions.length === 0) {
+    cart.promotions = [];
+    cart.promotionDiscount = 0;
+    return cart;
+  }
+
+  const medicineIds = cart.items.map(item => (item.medicineId && item.medicineId._id) || item.medicineId);
+  const medicines = new Map(
+    (await Medicine.find({ _id: { $in: medicineIds }, pharmacyId: cart.pharmacyId }).select('category manufacturer'))
+      .map(medicine => [medicine._id.toString(), medicine])
+  );
+
+  const result = evaluatePromotions(promotions, cart.items, medicines, { couponCodes: cart.couponCodes || [], now });
+  cart.promotions = result.promotions;
+  cart.promotionDiscount = result.totalDiscount;
+  return cart;
+};
+
+/**
+ * The coupon promotion for a code, if it can be used now
+ */
+const findCoupon = async (pharmacyId, code) => {
+  const promotion = await Promotion.findOne({ pharmacyId, code: code.trim().toUpperCase(), isActive: true });
+  if (!promotion) {
+    throw promotionError(`Coupon ${code} is not valid`, 'INVALID_COUPON');
+  }
+
+  const now = new Date();
+  if (promotion.schedule && ((promotion.schedule.endDate && promotion.schedule.endDate < now) ||
+      (promotion.schedule.startDate && promotion.schedule.startDate > now))) {
+    throw promotionError(`Coupon ${promotion.code} is not valid today`, 'INVALID_COUPON');
+  }
+  if (promotion.usageLimit != null && promotion.usageCount >= promotion.usageLimit) {
+    throw promotionError(`Coupon ${promotion.code} has been used the maximum number of times`, 'COUPON_USAGE_LIMIT');
+  }
+
+  return promotion;
+};
+
+/**
+ * Count a sale against each promotion it used. Coupons at their usage limit
+ * (used up by another sale in the meantime) stop the sale.
+ */
+const redeemPromotions = async (appliedPromotions, session = null) => {
+  for (const applied of appliedPromotions) {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: applied.promotionId,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!promotion) {
+      throw promotionError(`${applied.code ? `Coupon ${applied.code}` : applied.name} has been used the maximum number of times`, 'COUPON_USAGE_LIMIT');
+    }
+  }
+};
+
+module.exports = {
+  PROMOTION_ERROR_STATUS,
+  isInSchedule,
+  evaluatePromotions,
+  applyPromotionsToCart,
+  findCoupon,
+  redeemPromotions
+};
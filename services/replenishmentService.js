@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const BusinessSettings = require('../models/BusinessSettings');
+const Medicine = require('../models/Medicine');
+const Sale = require('../models/Sale');
+const Refund = require('../models/Refund');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { getOutstandingItems } = require('./procurementService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REORDER_DEFAULTS = {
+  lookbackDays: 30,
+  safetyStockDays: 7,
+  coverageDays: 14,
+  defaultLeadTimeDays: 7
+};
+
+const replenishmentError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Reorder settings of a pharmacy, with any overrides (e.g. from the query string) applied
+ */
+const getReorderSettings = async (pharmacyId, overrides = {}) => {
+  const settings = await BusinessSettings.findOne({ pharmacyId }).select('reorderSettings').lean();
+  const stored = (settings && settings.reorderSettings) || {};
+
+  const resolved = { ...REORDER_DEFAULTS };
+  for (const key of Object.keys(REORDER_DEFAULTS)) {
+    if (overrides[key] !== undefined) resolved[key] = overrides[key];
+    else if (stored[key] !== undefined) resolved[key] = stored[key];
+  }
+  return resolved;
+};
+
+// Sales that count as demand; fully refunded sales drop out on their own
+const COUNTED_SALE_STATUSES = ['completed', 'partially_refunded'];
+
+/**
+ * Units sold per medicine since the given date, net of refunded sales. Keyed by medicine id.
+ * Units refunded (approved or completed refunds) on sales still counted are subtracted.
+ */
+const getUnitsSold = async (pharmacyId, since) => {
+  const pharmacyObjectId = new mongoose.Types.ObjectId(pharmacyId);
+
+  const [rows, refundRows] = await Promise.all([
+    Sale.aggregate([
+      {
+        $match: {
+          pharmacyId: pharmacyObjectId,
+          status: { $in: COUNTED_SALE_STATUSES },
+          transactionDate: { $gte: since }
+        }
+      },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.medicineId',
+          unitsSold: { $sum: '$items.quantity' }
+        }
+      }
+    ]),
+    // A refund comes after its sale, so only refunds since the same date can be for these sales
+    Refund.aggregate([
+      {
+        $match: {
+          pharmacyId: pharmacyObjectId,
+          status: { $in: ['approved', 'completed'] },
+          createdAt: { $gte: since }
+        }
+      },
+      { $lookup: { from: Sale.collection.name, localField: 'transactionId', foreignField: 'transactionId', as: 'sale' } },
+      { $match: { sale: { $elemMatch: { transactionDate: { $gte: since }, status: { $in: COUNTED_SALE_STATUSES } } } } },
+      { $unwind: '$refundItems' },
+      {
+        $group: {
+          _id: '$refundItems.medicineId',
+          unitsRefunded: { $sum: '$refundItems.refundQuantity' }
+        }
+      }
+    ])
+  ]);
+
+  const refunded = new Map(refundRows.filter(row => row._id).map(row => [row._id.toString(), row.unitsRefunded]));
+  return new Map(rows.map(row => [
+    row._id.toString(),
+    Math.max(0, row.unitsSold - (refunded.get(row._id.toString()) || 0))
+  ]));
+};
+
+/**
+ * Reorder point and suggested quantity for one medicine.
+ * With sales history the reorder point is lead-time demand plus safety stock and
+ * the order tops stock up to the reorder point plus the coverage period's demand.
+ * Without sales the static low-stock threshold is used, ordering up to twice it.
+ */
+const computeReorder = ({ available, onOrder, unitsSold, lowStockThreshold, leadTimeDays }, settings) => {
+  const averageDailyConsumption = unitsSold / settings.lookbackDays;
+  const position = available + onOrder;
+
+  let safetyStock;
+  let reorderPoint;
+  let targetStockLevel;
+  let basis;
+
+  if (averageDailyConsumption > 0) {
+    safetyStock = Math.ceil(averageDailyConsumption * settings.safetyStockDays);
+    reorderPoint = Math.ceil(averageDailyConsumption * leadTimeDays) + safetyStock;
+    targetStockLevel = reorderPoint + Math.ceil(averageDailyConsumption * settings.coverageDays);
+    basis = 'sales_velocity';
+  } else {
+    safetyStock = 0;
+    reorderPoint = lowStockThreshold || 0;
+    targetStockLevel = reorderPoint * 2;
+    basis = 'low_stock_threshold';
+  }
+
+  const needsReorder = reorderPoint > 0 && position <= reorderPoint;
+
+  return {
+    averageDailyConsumption: Math.round(averageDailyConsumption * 100) / 100,
+    daysOfStockLeft: averageDailyConsumption > 0
+      ? Math.floor(available / averageDailyConsumption)
+      : null,
+    safetyStock,
+    reorderPoint,
+    targetStockLevel,
+    basis,
+    needsReorder,
+    suggestedQuantity: needsReorder ? Math.max(targetStockLevel - position, 1) : 0
+  };
+};
+
+/**
+ * Suggested order lines for a pharmacy: every active medicine whose sellable stock
+ * plus quantity already on order has fallen to its reorder point.
+ * Pass includeAll to get the figures for every medicine instead.
+ */
+const getReorderSuggestions = async (pharmacyId, {
+  supplierId,
+  medicineIds,
+  includeAll = false,
+  now = new Date(),
+  ...overrides
+} = {}) => {
+  const settings = await getReorderSettings(pharmacyId, overrides);
+  const since = new Date(now.getTime() - settings.lookbackDays * DAY_MS);
+
+  const query = { pharmacyId, status: 'active', isActive: true };
+  if (supplierId) query.preferredSupplierId = supplierId;
+  if (medicineIds) query._id = { $in: medicineIds };
+
+  const [medicines, unitsSold, outstanding, suppliers] = await Promise.all([
+    Medicine.find(query).sort({ name: 1 }),
+    getUnitsSold(pharmacyId, since),
+    getOutstandingItems(pharmacyId),
+    Supplier.find({ pharmacyId, isActive: true }).select('name leadTimeDays').lean()
+  ]);
+
+  const onOrder = new Map();
+  for (const row of outstanding) {
+    const key = row.medicineId.toString();
+    onOrder.set(key, (onOrder.get(key) || 0) + row.outstandingQuantity);
+  }
+  const supplierById = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier]));
+
+  const suggestions = [];
+  for (const medicine of medicines) {
+    const key = medicine._id.toString();
+    const supplier = medicine.preferredSupplierId
+      ? supplierById.get(medicine.preferredSupplierId.toString())
+      : null;
+    const leadTimeDays = supplier ? supplier.leadTimeDays : settings.defaultLeadTimeDays;
+
+    const reorder = computeReorder({
+      available: medicine.sellableQuantity,
+      onOrder: onOrder.get(key) || 0,
+      unitsSold: unitsSold.get(key) || 0,
+      lowStockThreshold: medicine.lowStockThreshold,
+      leadTimeDays
+    }, settings);
+
+    if (!reorder.needsReorder && !includeAll) continue;
+
+    const unitCost = medicine.costPrice || 0;
+    suggestions.push({
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      genericName: medicine.genericName,
+      supplierId: supplier ? supplier._id : null,
+      supplierName: supplier ? supplier.name : null,
+      sellableQuantity: medicine.sellableQuantity,
+      onOrderQuantity: onOrder.get(key) || 0,
+      unitsSold: unitsSold.get(key) || 0,
+      leadTimeDays,
+      ...reorder,
+      estimatedUnitCost: unitCost,
+      estimatedCost: reorder.suggestedQuantity * unitCost
+    });
+  }
+
+  return { settings, suggestions };
+};
+
+/**
+ * Turn suggested lines into draft purchase orders, one per supplier.
+ * Lines are { medicineId, quantity?, supplierId? }; without them every current
+ * suggestion is used. A line's supplier defaults to the medicine's preferred
+ * supplier, then to the fallback supplierId.
+ */
+const createPurchaseOrdersFromSuggestions = async (pharmacyId, userId, { items, supplierId, submit = false } = {}) => {
+  const { suggestions } = await getReorderSuggestions(pharmacyId, {
+    medicineIds: items ? items.map(item => item.medicineId) : undefined,
+    includeAll: Boolean(items)
+  });
+  const suggestionById = new Map(suggestions.map(suggestion => [suggestion.medicineId.toString(), suggestion]));
+
+  const lines = items
+    ? items.map(item => {
+      const suggestion = suggestionById.get(item.medicineId.toString());
+      if (!suggestion) {
+        throw replenishmentError(`Medicine ${item.medicineId} not found`, 'MEDICINE_NOT_FOUND');
+      }
+      return {
+        suggestion,
+        quantity: item.quantity || suggestion.suggestedQuantity,
+        supplierId: item.supplierId || suggestion.supplierId || supplierId
+      };
+    })
+    : suggestions.map(suggestion => ({
+      suggestion,
+      quantity: suggestion.suggestedQuantity,
+      supplierId: suggestion.supplierId || supplierId
+    }));
+
+  const orderable = lines.filter(line => line.quantity > 0);
+  if (orderable.length === 0) {
+    throw replenishmentError('Nothing needs to be reordered', 'NOTHING_TO_ORDER');
+  }
+
+  const withoutSupplier = orderable.filter(line => !line.supplierId);
+  if (withoutSupplier.length > 0) {
+    throw replenishmentError(
+      `No supplier for ${withoutSupplier.map(line => line.suggestion.medicineName).join(', ')}. Set a preferred supplier or pass supplierId.`,
+      'SUPPLIER_REQUIRED'
+    );
+  }
+
+  const bySupplier = new Map();
+  for (const line of orderable) {
+    const key = line.supplierId.toString();
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push(line);
+  }
+
+  const suppliers = await Supplier.find({
+    _id: { $in: [...bySupplier.keys()] },
+    pharmacyId,
+    isActive: true
+  });
+  if (suppliers.length !== bySupplier.size) {
+    throw replenishmentError('Supplier not found', 'SUPPLIER_NOT_FOUND');
+  }
+
+  const orders = [];
+  for (const supplier of suppliers) {
+    const order = new PurchaseOrder({
+      poNumber: await PurchaseOrder.generatePoNumber(),
+      pharmacyId,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      items: bySupplier.get(supplier._id.toString()).map(line => ({
+        medicineId: line.suggestion.medicineId,
+        medicineName: line.suggestion.medicineName,
+        orderedQuantity: line.quantity,
+        expectedUnitPrice: line.suggestion.estimatedUnitCost
+      })),
+      expectedDeliveryDate: new Date(Date.now() + supplier.leadTimeDays * DAY_MS),
+      notes: 'Generated from reorder suggestions',
+      status: submit ? 'ordered' : 'draft',
+      orderedAt: submit ? new Date() : undefined,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await order.save();
+    orders.push(order);
+  }
+
+  console.log(`📝 ${orders.length} purchase order(s) created from reorder suggestions`);
+
+  return orders;
+};
+
+module.exports = {
+  REORDER_DEFAULTS,
+  getReorderSettings,
+  computeReorder,
+  getReorderSuggestions,
+  createPurchaseOrdersFromSuggestions
+};
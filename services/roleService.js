@@ -0,0 +1,155 @@
+const PharmacyRole = require('../models/PharmacyRole');
+const PharmacyMembership = require('../models/PharmacyMembership');
+const { ALL_PERMISSIONS, DEFAULT_ROLES, PLATFORM_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// HTTP status for the error codes raised by roles
+const ROLE_ERROR_STATUS = {
+  ROLE_NOT_FOUND: 404,
+  ROLE_EXISTS: 409,
+  ROLE_IN_USE: 400,
+  SYSTEM_ROLE: 400
+};
+
+const roleError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Create the system roles a pharmacy does not have yet. Roles already there
+ * keep the permissions the pharmacy gave them.
+ */
+const ensureDefaultRoles = async (pharmacyId) => {
+  await PharmacyRole.bulkWrite(DEFAULT_ROLES.map(role => ({
+    updateOne: {
+      filter: { pharmacyId, name: role.name },
+      update: {
+        $setOnInsert: {
+          description: role.description,
+          permissions: role.permissions,
+          isSystem: true
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+const findRole = async (pharmacyId, name) => {
+  let role = await PharmacyRole.findOne({ pharmacyId, name });
+  if (!role && DEFAULT_ROLES.some(defaultRole => defaultRole.name === name)) {
+    await ensureDefaultRoles(pharmacyId);
+    role = await PharmacyRole.findOne({ pharmacyId, name });
+  }
+  return role;
+};
+
+/**
+ * The permissions a member has. The owner always has every permission,
+ * so a pharmacy can never lock itself out of its own settings.
+ */
+const getPermissions = async (pharmacy, membership) => {
+  if (membership.userId && pharmacy.ownerId.toString() === membership.userId.toString()) {
+    return ALL_PERMISSIONS;
+  }
+
+  const role = await findRole(pharmacy._id, membership.role);
+  return role ? role.permissions : [];
+};
+
+// Platform permissions given by the account's own role, whatever pharmacy it works for
+const getPlatformPermissions = (accountRole) => PLATFORM_ROLE_PERMISSIONS[accountRole] || [];
+
+/**
+ * Check that a role exists in the pharmacy before giving it to a member
+ */
+const assertRoleExists = async (pharmacyId, name) => {
+  const role = await findRole(pharmacyId, name);
+  if (!role) {
+    throw roleError(`Role ${name} does not exist`, 'ROLE_NOT_FOUND');
+  }
+  return role;
+};
+
+/**
+ * List the pharmacy's roles with how many members hold each
+ */
+const listRoles = async (pharmacyId) => {
+  await ensureDefaultRoles(pharmacyId);
+
+  const [roles, counts] = await Promise.all([
+    PharmacyRole.find({ pharmacyId }).sort({ isSystem: -1, name: 1 }),
+    PharmacyMembership.aggregate([
+      { $match: { pharmacyId, status: { $in: ['invited', 'active'] } } },
+      { $group: { _id: '$role', members: { $sum: 1 } } }
+    ])
+  ]);
+
+  const memberCounts = new Map(counts.map(count => [count._id, count.members]));
+  return roles.map(role => ({ ...role.toObject(), memberCount: memberCounts.get(role.name) || 0 }));
+};
+
+/**
+ * Add a role of the pharmacy's own
+ */
+const createRole = async (pharmacyId, { name, description, permissions }, userId) => {
+  await ensureDefaultRoles(pharmacyId);
+
+  const exists = await PharmacyRole.exists({ pharmacyId, name: name.trim().toLowerCase() });
+  if (exists) {
+    throw roleError(`Role ${name} already exists`, 'ROLE_EXISTS');
+  }
+
+  return PharmacyRole.create({
+    pharmacyId,
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    updatedBy: userId
+  });
+};
+
+/**
+ * Change a role's description or permissions
+ */
+const updateRole = async (pharmacyId, name, { description, permissions }, userId) => {
+  const role = await assertRoleExists(pharmacyId, name);
+
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+  role.updatedBy = userId;
+  await role.save();
+
+  return role;
+};
+
+/**
+ * Delete a role of the pharmacy's own that no member holds
+ */
+const deleteRole = async (pharmacyId, name) => {
+  const role = await assertRoleExists(pharmacyId, name);
+  if (role.isSystem) {
+    throw roleError(`${role.name} is a system role and cannot be deleted`, 'SYSTEM_ROLE');
+  }
+
+  const inUse = await PharmacyMembership.countDocuments({ pharmacyId, role: role.name, status: { $in: ['invited', 'active'] } });
+  if (inUse > 0) {
+    throw roleError(`Role ${role.name} is held by ${inUse} member(s). Give them another role first.`, 'ROLE_IN_USE');
+  }
+
+  await role.deleteOne();
+  return role;
+};
+
+module.exports = {
+  ROLE_ERROR_STATUS,
+  ensureDefaultRoles,
+  getPermissions,
+  getPlatformPermissions,
+  assertRoleExists,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -5,6 +5,7 @@ const Refund = require('../models/Refund');
 const Medicine = require('../models/Medicine');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const { averageAllocationCost } = require('./inventoryService');
 
 /**
  * Sync all existing completed transactions to sales
@@ -52,14 +53,16 @@ const syncAllCompletedTransactions = async (pharmacyId) => {
 
 /**
  * Sync completed transaction to sales
+ * Pass a session to write the sale inside the caller's MongoDB transaction.
  */
-const syncTransactionToSales = async (transactionId) => {
+const syncTransactionToSales = async (transactionId, { session = null } = {}) => {
   try {
     console.log('🔄 Syncing transaction to sales:', transactionId);
 
     const transaction = await Transaction.findById(transactionId)
       .populate('items.medicineId')
-      .populate('pharmacyId', 'businessName');
+      .populate('pharmacyId', 'businessName')
+      .session(session);
 
     if (!transaction || transaction.status !== 'completed') {
       console.log('Transaction not found or not completed');
@@ -67,20 +70,21 @@ const syncTransactionToSales = async (transactionId) => {
     }
 
     // Check if sale already exists
-    const existingSale = await Sale.findOne({ transactionId });
+    const existingSale = await Sale.findOne({ transactionId }).session(session);
     if (existingSale) {
       console.log('Sale already exists for this transaction');
       return existingSale;
     }
 
     // Get receipt for this transaction
-    const receipt = await Receipt.findOne({ transactionId });
+    const receipt = await Receipt.findOne({ transactionId }).session(session);
 
     // Calculate profit for each item
     const saleItems = await Promise.all(
       transaction.items.map(async (item) => {
-        const medicine = await Medicine.findById(item.medicineId);
-        const costPrice = medicine?.costPrice || item.unitPrice * 0.7; // Default 30% margin
+        const medicine = await Medicine.findById(item.medicineId).session(session);
+        const lotCost = averageAllocationCost(item.batchAllocations);
+        const costPrice = lotCost ?? medicine?.costPrice ?? item.unitPrice * 0.7; // Default 30% margin
         const profit = (item.unitPrice - costPrice) * item.quantity;
 
         return {
@@ -96,7 +100,8 @@ const syncTransactionToSales = async (transactionId) => {
           unitPrice: item.unitPrice,
           totalPrice: item.totalPrice,
           costPrice: costPrice,
-          profit: profit
+          profit: profit,
+          batchAllocations: item.batchAllocations
         };
       })
     );
@@ -116,9 +121,22 @@ const syncTransactionToSales = async (transactionId) => {
       customerInfo: transaction.customerInfo,
       items: saleItems,
       payment: transaction.payment,
+      insurance: transaction.insurance && transaction.insurance.claimId ? {
+        insurerId: transaction.insurance.insurerId,
+        insurerName: transaction.insurance.insurerName,
+        planName: transaction.insurance.planName,
+        memberNumber: transaction.insurance.memberNumber,
+        claimId: transaction.insurance.claimId,
+        claimNumber: transaction.insurance.claimNumber,
+        insurerAmount: transaction.insurance.insurerAmount,
+        copayAmount: transaction.insurance.copayAmount,
+        claimStatus: 'pending'
+      } : undefined,
       subtotal: transaction.subtotal,
       tax: transaction.tax,
       discount: transaction.discount,
+      promotions: transaction.promotions,
+      promotionDiscount: transaction.promotionDiscount || 0,
       deliveryFee: transaction.deliveryFee || 0,
       totalAmount: transaction.totalAmount,
       totalProfit: totalProfit,
@@ -130,7 +148,7 @@ const syncTransactionToSales = async (transactionId) => {
       status: 'completed'
     });
 
-    await sale.save();
+    await sale.save({ session });
     console.log('✅ Sale record created:', sale._id);
 
     return sale;
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+/**
+ * Local sandbox payment provider. Outcomes depend only on the input, so tests can
+ * rely on them:
+ * - cards ending 0002 (or token tok_sandbox_decline) are declined
+ * - cards ending 9995 are declined for insufficient funds
+ * - mobile money numbers ending 0000 are declined
+ * - everything else with complete details is authorised
+ *
+ * Payments are kept in memory; refunds of payments it no longer knows (after a
+ * restart) are accepted.
+ */
+
+// The sandbox authorises any well-formed payment, so it must never take real orders
+if (process.env.NODE_ENV === 'production') {
+  throw new Error('The sandbox payment provider cannot be used in production; set PAYMENT_PROVIDER to a live provider');
+}
+
+const NAME = 'sandbox';
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+
+const payments = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const declined = (message) => ({ status: 'declined', message });
+
+const cardBrand = (cardNumber) => {
+  if (/^4/.test(cardNumber)) return 'visa';
+  if (/^5[1-5]/.test(cardNumber)) return 'mastercard';
+  if (/^3[47]/.test(cardNumber)) return 'amex';
+  return 'card';
+};
+
+// Swap card details for a token; the same card always gets the same token
+const tokenizeCard = ({ cardNumber, expiryDate, cvv, token }) => {
+  if (token) {
+    const last4 = (token.match(/(\d{4})$/) || [])[1];
+    return { token, last4, brand: 'card' };
+  }
+
+  const number = (cardNumber || '').toString().replace(/\D/g, '');
+  if (number.length < 12 || !expiryDate || !cvv) {
+    return null;
+  }
+
+  return {
+    token: `tok_sandbox_${crypto.createHash('sha256').update(number).digest('hex').slice(0, 24)}`,
+    last4: number.slice(-4),
+    brand: cardBrand(number)
+  };
+};
+
+// Check the payment source and reduce it to what may be stored
+const checkSource = (method, source) => {
+  switch (method) {
+    case 'card': {
+      const card = tokenizeCard(source);
+      if (!card) return declined('Card details incomplete');
+      if (card.token === 'tok_sandbox_decline' || card.last4 === '0002') return declined('Card declined');
+      if (card.last4 === '9995') return declined('Insufficient funds');
+      return { details: card };
+    }
+    case 'mobile_money': {
+      const phone = (source.phoneNumber || '').toString().replace(/\D/g, '');
+      if (!phone || !source.provider) return declined('Mobile money details incomplete');
+      if (phone.endsWith('0000')) return declined('Mobile money payment declined');
+      return { details: { provider: source.provider, phoneLast4: phone.slice(-4) } };
+    }
+    case 'bank_transfer': {
+      const account = (source.accountNumber || '').toString();
+      if (!account || !source.bankName) return declined('Bank transfer details incomplete');
+      return { details: { bankName: source.bankName, accountLast4: account.slice(-4) } };
+    }
+    case 'digital_wallet':
+      if (!source.walletId || !source.provider) return declined('Digital wallet details incomplete');
+      return { details: { provider: source.provider } };
+    default:
+      return declined(`Sandbox does not support ${method} payments`);
+  }
+};
+
+const authorize = async ({ method, amount, source = {}, reference }) => {
+  if (!(amount > 0)) {
+    return declined('Amount must be greater than 0');
+  }
+
+  const checked = checkSource(method, source);
+  if (checked.status === 'declined') {
+    return checked;
+  }
+
+  const paymentId = newId('sbx_pay');
+  payments.set(paymentId, { method, amount, captured: 0, refunded: 0, status: 'authorized', reference });
+
+  return {
+    status: 'authorized',
+    paymentId,
+    message: 'Payment authorised',
+    details: checked.details
+  };
+};
+
+const capture = async (paymentId, amount) => {
+  const payment = payments.get(paymentId);
+  if (!payment || payment.status !== 'authorized') {
+    return { status: 'failed', message: 'Only authorised payments can be captured' };
+  }
+
+  const captured = amount !== undefined ? amount : payment.amount;
+  if (captured > payment.amount) {
+    return { status: 'failed', message: `Cannot capture more than the authorised ${payment.amount}` };
+  }
+
+  payment.status = 'captured';
+  payment.captured = captured;
+  return { status: 'captured', paymentId, amount: captured };
+};
+
+const voidPayment = async (paymentId) => {
+  const payment = payments.get(paymentId);
+  if (!payment || payment.status !== 'authorized') {
+    return { status: 'failed', message: 'Only authorised payments can be voided' };
+  }
+
+  payment.status = 'voided';
+  return { status: 'voided', paymentId };
+};
+
+const refund = async (paymentId, amount) => {
+  const payment = payments.get(paymentId);
+  if (payment) {
+    if (payment.status !== 'captured') {
+      return { status: 'failed', message: 'Only captured payments can be refunded' };
+    }
+    if (payment.refunded + amount > payment.captured) {
+      return { status: 'failed', message: `Only ${payment.captured - payment.refunded} can still be refunded` };
+    }
+    payment.refunded += amount;
+  }
+
+  return { status: 'refunded', paymentId, refundId: newId('sbx_ref'), amount };
+};
+
+// Webhooks cannot be verified without PAYMENT_WEBHOOK_SECRET; payments work without it
+const sign = (rawBody) => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    const error = new Error('Payment webhooks are not configured: PAYMENT_WEBHOOK_SECRET is not set');
+    error.code = 'WEBHOOK_NOT_CONFIGURED';
+    throw error;
+  }
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+/**
+ * Verify and read a webhook: { id, type, paymentId, amount }.
+ * Returns null when the signature does not match.
+ */
+const parseWebhook = (rawBody, headers) => {
+  const signature = (headers[SIGNATURE_HEADER] || '').toString();
+  const expected = sign(rawBody);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const { id, type, data = {} } = JSON.parse(rawBody.toString('utf8'));
+  return { id, type, paymentId: data.paymentId, amount: data.amount };
+};
+
+module.exports = {
+  name: NAME,
+  authorize,
+  capture,
+  void: voidPayment,
+  refund,
+  parseWebhook,
+  sign
+};
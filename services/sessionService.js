@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+
+// Access tokens are signed with JWT_SECRET; refuse to start rather than sign with a guessable key
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set to sign access tokens');
+}
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// How stale lastUsedAt may get before an authenticated request refreshes it
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+// HTTP status for the error codes raised by sessions
+const SESSION_ERROR_STATUS = {
+  SESSION_INVALID: 401,
+  TOKEN_REUSED: 401,
+  SESSION_NOT_FOUND: 404
+};
+
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const newRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+const issueTokens = (user, session, secret) => {
+  const accessToken = jwt.sign(
+    { userId: user._id, email: user.email, sid: session._id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    session,
+    accessToken,
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: exp - iat,
+    refreshExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Start a session for a user who has just signed in
+ */
+const createSession = async (user, { deviceName, userAgent, ipAddress, twoFactorVerified = false } = {}) => {
+  const secret = newRefreshSecret();
+  const session = await AuthSession.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    twoFactorVerified,
+    deviceName,
+    userAgent,
+    ipAddress,
+    expiresAt: refreshExpiry()
+  });
+
+  return issueTokens(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. A refresh
+ * token that was already exchanged revokes the session, since either the
+ * client or an attacker is holding a stolen copy.
+ */
+const refreshSession = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw sessionError('Invalid refresh token', 'SESSION_INVALID');
+  }
+
+  const session = await AuthSession.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+  if (!session || !session.isActive) {
+    throw sessionError('Session has expired or been revoked. Please sign in again.', 'SESSION_INVALID');
+  }
+
+  const presentedHash = hashToken(secret);
+  if (session.previousTokenHash === presentedHash) {
+    await revokeSession(session.userId, session._id, 'token_reuse');
+    console.warn(`⚠️ Refresh token reuse detected on session ${session._id}; session revoked`);
+    throw sessionError('Refresh token has already been used. Please sign in again.', 'TOKEN_REUSED');
+  }
+
+  const user = await User.findById(session.userId).select('_id email isActive');
+  if (!user || user.isActive === false) {
+    throw sessionError('Session has expired or been revoked. Please sign in again.', 'SESSION_INVALID');
+  }
+
+  // Rotate only if no other request rotated this token first
+  const nextSecret = newRefreshSecret();
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...(userAgent && { userAgent }),
+      ...(ipAddress && { ipAddress })
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw sessionError('Invalid refresh token', 'SESSION_INVALID');
+  }
+
+  return issueTokens(user, rotated, nextSecret);
+};
+
+/**
+ * The session an access token belongs to, if it is still active. Keeps the
+ * session's last-used time roughly current.
+ */
+const getActiveSession = async (sessionId) => {
+  const session = await AuthSession.findById(sessionId);
+  if (!session || !session.isActive) {
+    return null;
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await AuthSession.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+  return session;
+};
+
+/**
+ * Record that a session has passed two-factor authentication, e.g. after enrolling from it
+ */
+const markTwoFactorVerified = async (sessionId) => {
+  await AuthSession.updateOne({ _id: sessionId }, { twoFactorVerified: true });
+};
+
+/**
+ * A user's active sessions, most recently used first
+ */
+const listSessions = async (userId) => {
+  return AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoke one of a user's sessions
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+  if (!session) {
+    throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+  }
+  return session;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping the one making the request
+ */
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'revoked_all' } = {}) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await AuthSession.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  SESSION_ERROR_STATUS,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  markTwoFactorVerified,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const Transaction = require('../models/Transaction');
+const Refund = require('../models/Refund');
+
+// HTTP status for the error codes raised by shifts
+const SHIFT_ERROR_STATUS = {
+  SHIFT_ALREADY_OPEN: 409,
+  SHIFT_NOT_FOUND: 404,
+  SHIFT_CLOSED: 400,
+  NO_OPEN_SHIFT: 404
+};
+
+const shiftError = (message, code, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The shift a member of staff currently has open, if any
+ */
+const getOpenShift = (pharmacyId, userId, session = null) => {
+  return Shift.findOne({ pharmacyId, openedBy: userId, status: 'open' }).session(session);
+};
+
+/**
+ * Open a shift with the float counted into the drawer. Staff can only have one open shift.
+ */
+const openShift = async (pharmacyId, userId, { openingFloat, drawerName, notes }) => {
+  const existing = await getOpenShift(pharmacyId, userId);
+  if (existing) {
+    throw shiftError(`Shift ${existing.shiftNumber} is still open`, 'SHIFT_ALREADY_OPEN', { shiftId: existing._id });
+  }
+
+  const shiftNumber = await Shift.generateShiftNumber();
+
+  try {
+    return await Shift.create({
+      shiftNumber,
+      pharmacyId,
+      drawerName,
+      openingFloat: roundAmount(openingFloat),
+      openedBy: userId,
+      notes
+    });
+  } catch (error) {
+    // Opened twice at the same time: the other request opened it
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.openedBy) {
+      throw shiftError('A shift is already open', 'SHIFT_ALREADY_OPEN');
+    }
+    throw error;
+  }
+};
+
+// Load a shift of the pharmacy that can still take cash movements or be closed
+const findOpenShift = async (pharmacyId, shiftId) => {
+  const shift = await Shift.findOne({ _id: shiftId, pharmacyId });
+  if (!shift) {
+    throw shiftError('Shift not found', 'SHIFT_NOT_FOUND');
+  }
+  if (shift.status !== 'open') {
+    throw shiftError(`Shift ${shift.shiftNumber} is already closed`, 'SHIFT_CLOSED');
+  }
+  return shift;
+};
+
+/**
+ * Record cash put into (cash_in) or taken out of (cash_out) the drawer, e.g. change
+ * brought in or a cash drop to the safe
+ */
+const recordCashMovement = async (pharmacyId, shiftId, { type, amount, reason }, userId) => {
+  await findOpenShift(pharmacyId, shiftId);
+
+  const shift = await Shift.findOneAndUpdate(
+    { _id: shiftId, pharmacyId, status: 'open' },
+    { $push: { cashMovements: { type, amount: roundAmount(amount), reason, recordedBy: userId } } },
+    { new: true, runValidators: true }
+  );
+  if (!shift) {
+    throw shiftError('Shift was closed before the cash movement was recorded', 'SHIFT_CLOSED');
+  }
+
+  return shift;
+};
+
+// Amount a sale took per payment method: its tenders, or the single payment of older sales
+const salePayments = (transaction) => {
+  const tenders = (transaction.payment && transaction.payment.tenders) || [];
+  if (tenders.length > 0) {
+    return tenders.map(tender => ({ method: tender.method, amount: tender.amount }));
+  }
+  return [{
+    method: (transaction.payment && transaction.payment.method) || 'cash',
+    amount: (transaction.payment && transaction.payment.amount) || transaction.totalAmount || 0
+  }];
+};
+
+/**
+ * Totals of a shift: sales by payment method, refunds paid out, cash movements and
+ * the cash the drawer should hold (float + cash sales - cash refunds + cash in - cash out)
+ */
+const buildShiftReport = async (shift) => {
+  const [transactions, refunds] = await Promise.all([
+    Transaction.find({ shiftId: shift._id, transactionType: 'sale', status: 'completed' })
+      .select('payment totalAmount tax discount')
+      .lean(),
+    Refund.find({ shiftId: shift._id, status: 'completed' })
+      .select('refundAmount cashAmount')
+      .lean()
+  ]);
+
+  const sales = { count: transactions.length, total: 0, tax: 0, discount: 0, byMethod: {} };
+  for (const transaction of transactions) {
+    sales.total = roundAmount(sales.total + (transaction.totalAmount || 0));
+    sales.tax = roundAmount(sales.tax + (transaction.tax || 0));
+    sales.discount = roundAmount(sales.discount + (transaction.discount || 0));
+    for (const { method, amount } of salePayments(transaction)) {
+      sales.byMethod[method] = roundAmount((sales.byMethod[method] || 0) + amount);
+    }
+  }
+
+  const refundTotals = {
+    count: refunds.length,
+    total: roundAmount(refunds.reduce((sum, refund) => sum + refund.refundAmount, 0)),
+    cash: roundAmount(refunds.reduce((sum, refund) => sum + (refund.cashAmount || 0), 0))
+  };
+
+  const movementTotal = (type) => roundAmount(shift.cashMovements
+    .filter(movement => movement.type === type)
+    .reduce((sum, movement) => sum + movement.amount, 0));
+
+  const cash = {
+    openingFloat: shift.openingFloat,
+    cashSales: sales.byMethod.cash || 0,
+    cashRefunds: refundTotals.cash,
+    cashIn: movementTotal('cash_in'),
+    cashOut: movementTotal('cash_out')
+  };
+  cash.expected = roundAmount(cash.openingFloat + cash.cashSales - cash.cashRefunds + cash.cashIn - cash.cashOut);
+
+  return {
+    shiftId: shift._id,
+    shiftNumber: shift.shiftNumber,
+    drawerName: shift.drawerName,
+    openedBy: shift.openedBy,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt,
+    sales,
+    refunds: refundTotals,
+    netSales: roundAmount(sales.total - refundTotals.total),
+    cash
+  };
+};
+
+/**
+ * Close a shift with the cash counted in the drawer. The Z-report and the variance
+ * against the expected cash are kept on the shift.
+ */
+const closeShift = async (pharmacyId, shiftId, { countedCash, closingNotes }, userId) => {
+  const shift = await findOpenShift(pharmacyId, shiftId);
+
+  const closedAt = new Date();
+  const report = await buildShiftReport(shift);
+  const counted = roundAmount(countedCash);
+  const variance = roundAmount(counted - report.cash.expected);
+
+  report.closedAt = closedAt;
+  report.cash.counted = counted;
+  report.cash.variance = variance;
+
+  const closed = await Shift.findOneAndUpdate(
+    { _id: shiftId, pharmacyId, status: 'open' },
+    {
+      $set: {
+        status: 'closed',
+        countedCash: counted,
+        expectedCash: report.cash.expected,
+        variance,
+        report,
+        closedBy: userId,
+        closedAt,
+        closingNotes
+      }
+    },
+    { new: true }
+  );
+  if (!closed) {
+    throw shiftError(`Shift ${shift.shiftNumber} is already closed`, 'SHIFT_CLOSED');
+  }
+
+  console.log(`🧾 Shift ${closed.shiftNumber} closed, variance ${variance}`);
+
+  return closed;
+};
+
+/**
+ * Z-report of a shift: the one frozen at closing, or the running totals (X-report) while open
+ */
+const getShiftReport = async (shift) => {
+  if (shift.status === 'closed' && shift.report) {
+    return shift.report;
+  }
+  return buildShiftReport(shift);
+};
+
+/**
+ * End-of-day Z-report: every shift opened on the date, with the day's totals
+ */
+const getDailyZReport = async (pharmacyId, date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  const shifts = await Shift.find({
+    pharmacyId: new mongoose.Types.ObjectId(pharmacyId),
+    openedAt: { $gte: start, $lt: end }
+  }).sort({ openedAt: 1 });
+
+  const reports = [];
+  for (const shift of shifts) {
+    const report = await getShiftReport(shift);
+    reports.push({ ...report, status: shift.status });
+  }
+
+  const totals = {
+    shifts: reports.length,
+    openShifts: reports.filter(report => report.status === 'open').length,
+    salesCount: 0,
+    sales: 0,
+    tax: 0,
+    discount: 0,
+    byMethod: {},
+    refundsCount: 0,
+    refunds: 0,
+    netSales: 0,
+    expectedCash: 0,
+    countedCash: 0,
+    variance: 0
+  };
+
+  for (const report of reports) {
+    totals.salesCount += report.sales.count;
+    totals.sales = roundAmount(totals.sales + report.sales.total);
+    totals.tax = roundAmount(totals.tax + report.sales.tax);
+    totals.discount = roundAmount(totals.discount + report.sales.discount);
+    for (const [method, amount] of Object.entries(report.sales.byMethod)) {
+      totals.byMethod[method] = roundAmount((totals.byMethod[method] || 0) + amount);
+    }
+    totals.refundsCount += report.refunds.count;
+    totals.refunds = roundAmount(totals.refunds + report.refunds.total);
+    totals.netSales = roundAmount(totals.netSales + report.netSales);
+
+    // Only closed shifts have been counted
+    if (report.status === 'closed') {
+      totals.expectedCash = roundAmount(totals.expectedCash + report.cash.expected);
+      totals.countedCash = roundAmount(totals.countedCash + report.cash.counted);
+      totals.variance = roundAmount(totals.variance + report.cash.variance);
+    }
+  }
+
+  return {
+    date: start,
+    shifts: reports,
+    totals
+  };
+};
+
+module.exports = {
+  SHIFT_ERROR_STATUS,
+  getOpenShift,
+  openShift,
+  recordCashMovement,
+  buildShiftReport,
+  closeShift,
+  getShiftReport,
+  getDailyZReport
+};
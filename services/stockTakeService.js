@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const StockTake = require('../models/StockTake');
+const Transaction = require('../models/Transaction');
+const { generateTransactionNumber } = require('../utils/helpers');
+const { runInTransaction } = require('./inventoryService');
+const { recordMovement } = require('./controlledDrugService');
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const stockTakeError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Open a stock take over a subset of medicines (by id and/or category),
+ * with one line per lot currently holding stock
+ */
+const startStockTake = async (pharmacyId, userId, { name, medicineIds, category, notes } = {}) => {
+  const query = { pharmacyId, status: 'active', isActive: true };
+  if (medicineIds && medicineIds.length > 0) query._id = { $in: medicineIds };
+  if (category) query.category = category;
+
+  const medicines = await Medicine.find(query).sort({ name: 1 });
+
+  const items = [];
+  for (const medicine of medicines) {
+    medicine.ensureBatches();
+    const lots = [...medicine.batches]
+      .filter(batch => batch.quantity > 0)
+      .sort((a, b) => a.expiryDate - b.expiryDate);
+
+    for (const batch of lots) {
+      items.push({
+        medicineId: medicine._id,
+        medicineName: medicine.name,
+        batchId: batch._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        costPrice: batch.costPrice ?? medicine.costPrice,
+        expectedQuantity: batch.quantity
+      });
+    }
+
+    // Seeded lots only exist in memory until the medicine is saved
+    if (medicine.isModified('batches')) {
+      await medicine.save();
+    }
+  }
+
+  if (items.length === 0) {
+    throw stockTakeError('No stock found to count for the selected medicines', 'NO_ITEMS');
+  }
+
+  const stockTake = new StockTake({
+    stockTakeNumber: await StockTake.generateStockTakeNumber(),
+    pharmacyId,
+    name,
+    items,
+    notes,
+    createdBy: userId
+  });
+  await stockTake.save();
+
+  console.log(`📋 Stock take started: ${stockTake.stockTakeNumber} (${items.length} lots)`);
+
+  return stockTake;
+};
+
+/**
+ * Record counted quantities. The expected quantity is refreshed from the lot at the
+ * time of counting, so sales made since the stock take opened do not show as variances.
+ * Counts are { itemId, countedQuantity, reasonCode?, notes? }.
+ */
+const recordCounts = async (stockTake, counts, userId) => {
+  if (stockTake.status !== 'counting') {
+    throw stockTakeError(`Counts cannot be recorded on a ${stockTake.status} stock take`, 'INVALID_STATUS');
+  }
+
+  const medicines = new Map();
+
+  for (const count of counts) {
+    const item = stockTake.items.id(count.itemId);
+    if (!item) {
+      throw stockTakeError(`Line ${count.itemId} is not on stock take ${stockTake.stockTakeNumber}`, 'ITEM_NOT_FOUND');
+    }
+
+    const key = item.medicineId.toString();
+    if (!medicines.has(key)) {
+      medicines.set(key, await Medicine.findOne({ _id: item.medicineId, pharmacyId: stockTake.pharmacyId }));
+    }
+    const medicine = medicines.get(key);
+    const batch = medicine && medicine.batches.id(item.batchId);
+
+    item.expectedQuantity = batch ? batch.quantity : 0;
+    item.countedQuantity = count.countedQuantity;
+    if (count.reasonCode !== undefined) item.reasonCode = count.reasonCode;
+    if (count.notes !== undefined) item.notes = count.notes;
+    item.countedBy = userId;
+    item.countedAt = new Date();
+  }
+
+  await stockTake.save();
+
+  return stockTake;
+};
+
+/**
+ * Approve a submitted stock take: apply every variance to its lot and post one
+ * adjustment transaction per reason code and direction, all in one database transaction.
+ * Variances without a reason are posted as count corrections.
+ */
+const approveStockTake = async (stockTake, userId) => {
+  if (stockTake.status !== 'submitted') {
+    throw stockTakeError(`A ${stockTake.status} stock take cannot be approved`, 'INVALID_STATUS');
+  }
+
+  const groups = new Map();
+  for (const item of stockTake.items) {
+    if (!item.isCounted || item.variance === 0) continue;
+
+    const reasonCode = item.reasonCode || 'count_correction';
+    const direction = item.variance > 0 ? 'increase' : 'decrease';
+    const key = `${reasonCode}:${direction}`;
+
+    if (!groups.has(key)) groups.set(key, { reasonCode, direction, items: [] });
+    groups.get(key).items.push(item);
+  }
+
+  // Numbers come from a counter outside the database transaction
+  for (const group of groups.values()) {
+    group.transactionNumber = await generateTransactionNumber('adjustment');
+  }
+
+  stockTake.status = 'approved';
+  stockTake.approvedAt = new Date();
+  stockTake.approvedBy = userId;
+
+  await runInTransaction(async (session) => {
+    // Claimed first, so that of two approvals of the same stock take only one applies the variances
+    const claimed = await StockTake.findOneAndUpdate(
+      { _id: stockTake._id, status: 'submitted' },
+      { $set: { status: 'approved', approvedAt: stockTake.approvedAt, approvedBy: userId } },
+      { session }
+    );
+    if (!claimed) {
+      throw stockTakeError(`Stock take ${stockTake.stockTakeNumber} is no longer submitted`, 'STATUS_CHANGED');
+    }
+
+    const medicines = new Map();
+    const loadMedicine = async (medicineId) => {
+      const key = medicineId.toString();
+      if (!medicines.has(key)) {
+        const medicine = await Medicine.findOne({ _id: medicineId, pharmacyId: stockTake.pharmacyId }).session(session);
+        if (!medicine) {
+          throw stockTakeError(`Medicine ${medicineId} no longer exists`, 'MEDICINE_NOT_FOUND');
+        }
+        medicines.set(key, medicine);
+      }
+      return medicines.get(key);
+    };
+
+    const transactions = [];
+    for (const group of groups.values()) {
+      const transactionItems = [];
+
+      for (const item of group.items) {
+        const medicine = await loadMedicine(item.medicineId);
+        const allocation = medicine.adjustBatch(item.batchId, item.variance);
+        await recordMovement(medicine, {
+          entryType: 'adjustment',
+          change: item.variance,
+          batches: [allocation],
+          reference: { type: 'StockTake', id: stockTake._id, number: stockTake.stockTakeNumber },
+          userId,
+          notes: `Stock count: ${group.reasonCode.replaceAll('_', ' ')}`
+        }, session);
+        const unitCost = allocation.costPrice ?? medicine.costPrice ?? 0;
+
+        transactionItems.push({
+          medicineId: medicine._id,
+          medicineName: medicine.name,
+          genericName: medicine.genericName,
+          form: medicine.form,
+          packSize: medicine.packSize,
+          quantity: allocation.quantity,
+          unitPrice: unitCost,
+          totalPrice: allocation.quantity * unitCost,
+          batchNumber: allocation.batchNumber,
+          expiryDate: allocation.expiryDate,
+          manufacturer: medicine.manufacturer,
+          batchAllocations: [allocation]
+        });
+      }
+
+      const totalAmount = transactionItems.reduce((total, item) => total + item.totalPrice, 0);
+      transactions.push(new Transaction({
+        pharmacyId: stockTake.pharmacyId,
+        userId,
+        transactionType: 'adjustment',
+        transactionNumber: group.transactionNumber,
+        transactionRef: `${stockTake.stockTakeNumber}-${group.reasonCode}-${group.direction}`,
+        description: `Stock take ${stockTake.stockTakeNumber}: ${group.reasonCode.replaceAll('_', ' ')} (${group.direction})`,
+        items: transactionItems,
+        subtotal: totalAmount,
+        totalAmount,
+        adjustment: {
+          reasonCode: group.reasonCode,
+          direction: group.direction,
+          stockTakeId: stockTake._id
+        },
+        status: 'completed',
+        transactionDate: new Date(),
+        createdBy: userId,
+        updatedBy: userId
+      }));
+    }
+
+    for (const medicine of medicines.values()) {
+      await medicine.save({ session });
+    }
+    for (const transaction of transactions) {
+      await transaction.save({ session });
+    }
+
+    stockTake.adjustmentTransactionIds = transactions.map(transaction => transaction._id);
+    await stockTake.save({ session });
+  });
+
+  console.log(`📋 Stock take approved: ${stockTake.stockTakeNumber} (${groups.size} adjustment(s) posted)`);
+
+  return stockTake;
+};
+
+/**
+ * Stock adjustments summarised by reason code and by period (day, week or month)
+ */
+const getShrinkageReport = async (pharmacyId, { startDate, endDate, period = 'month' } = {}) => {
+  const match = {
+    pharmacyId: new mongoose.Types.ObjectId(pharmacyId),
+    transactionType: 'adjustment',
+    status: 'completed'
+  };
+  if (startDate || endDate) {
+    match.transactionDate = {};
+    if (startDate) match.transactionDate.$gte = new Date(startDate);
+    if (endDate) match.transactionDate.$lte = new Date(endDate);
+  }
+
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: {
+          reasonCode: '$adjustment.reasonCode',
+          direction: '$adjustment.direction',
+          period: { $dateToString: { format: PERIOD_FORMATS[period] || PERIOD_FORMATS.month, date: '$transactionDate' } }
+        },
+        units: { $sum: '$items.quantity' },
+        value: { $sum: '$items.totalPrice' }
+      }
+    }
+  ]);
+
+  const emptyTotals = () => ({ unitsLost: 0, valueLost: 0, unitsFound: 0, valueFound: 0, netUnits: 0, netValue: 0 });
+  const addRow = (totals, row) => {
+    if (row._id.direction === 'increase') {
+      totals.unitsFound += row.units;
+      totals.valueFound += row.value;
+    } else {
+      totals.unitsLost += row.units;
+      totals.valueLost += row.value;
+    }
+    totals.netUnits = totals.unitsFound - totals.unitsLost;
+    totals.netValue = totals.valueFound - totals.valueLost;
+    return totals;
+  };
+
+  const byReason = new Map();
+  const byPeriod = new Map();
+  const totals = emptyTotals();
+
+  for (const row of rows) {
+    const reasonCode = row._id.reasonCode || 'other';
+    if (!byReason.has(reasonCode)) byReason.set(reasonCode, { reasonCode, ...emptyTotals() });
+    if (!byPeriod.has(row._id.period)) byPeriod.set(row._id.period, { period: row._id.period, ...emptyTotals() });
+
+    addRow(byReason.get(reasonCode), row);
+    addRow(byPeriod.get(row._id.period), row);
+    addRow(totals, row);
+  }
+
+  return {
+    byReason: [...byReason.values()].sort((a, b) => b.valueLost - a.valueLost),
+    byPeriod: [...byPeriod.values()].sort((a, b) => a.period.localeCompare(b.period)),
+    totals
+  };
+};
+
+module.exports = {
+  startStockTake,
+  recordCounts,
+  approveStockTake,
+  getShrinkageReport
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const User = require('../models/User');
+const { isOwner } = require('./pharmacyService');
+
+const BACKUP_CODE_COUNT = 10;
+// Permissions that make a member an administrator for the pharmacy's 2FA requirement
+const ADMIN_PERMISSIONS = ['staff.manage', 'role.manage'];
+
+const normaliseBackupCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+const hashCode = (code) => crypto.createHash('sha256').update(normaliseBackupCode(code)).digest('hex');
+
+/**
+ * Check a code from the user's authenticator app
+ */
+const verifyTotp = (secret, token) => Boolean(secret && token) && speakeasy.totp.verify({
+  secret,
+  encoding: 'base32',
+  token: String(token).trim(),
+  window: 1 // Allow 1 step (30 seconds) before/after current time
+});
+
+/**
+ * A fresh set of backup codes: the codes to show the user once, and the hashes to store
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ codeHash: hashCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Use up one of a user's backup codes. Returns how many remain, or null if the code is not valid.
+ */
+const consumeBackupCode = async (userId, code) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, twoFactorBackupCodes: { $elemMatch: { codeHash: hashCode(code), usedAt: null } } },
+    { $set: { 'twoFactorBackupCodes.$.usedAt': new Date() } },
+    { new: true }
+  ).select('+twoFactorBackupCodes');
+
+  if (!user) {
+    return null;
+  }
+  return user.twoFactorBackupCodes.filter(backupCode => !backupCode.usedAt).length;
+};
+
+/**
+ * Verify the second factor a user supplied: an authenticator code or a backup code.
+ * Returns { method, backupCodesRemaining } or null.
+ */
+const verifySecondFactor = async (user, { token, backupCode }) => {
+  if (token && verifyTotp(user.twoFactorSecret, token)) {
+    return { method: 'totp' };
+  }
+
+  if (backupCode) {
+    const backupCodesRemaining = await consumeBackupCode(user._id, backupCode);
+    if (backupCodesRemaining !== null) {
+      return { method: 'backup_code', backupCodesRemaining };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether the pharmacy requires this member to use two-factor authentication
+ */
+const isTwoFactorRequired = (pharmacy, userId, permissions = []) => {
+  if (!pharmacy.requireTwoFactorForAdmins) {
+    return false;
+  }
+  return isOwner(pharmacy, userId) || ADMIN_PERMISSIONS.some(permission => permissions.includes(permission));
+};
+
+module.exports = {
+  verifyTotp,
+  generateBackupCodes,
+  verifySecondFactor,
+  isTwoFactorRequired
+};
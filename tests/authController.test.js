@@ -0,0 +1,227 @@
+const { query, mockResponse, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const mailer = require('../utils/mailer');
+const User = require('../models/User');
+const AuthThrottle = require('../models/AuthThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+
+// Reset codes are captured instead of emailed
+const sentCodes = [];
+mailer.sendResetCode = async (email, code) => {
+  sentCodes.push(code);
+};
+
+const { forgotPassword, verifyOtp } = require('../controllers/authController');
+
+const EMAIL = 'owner@pharmacy.test';
+const WRONG_CODE = '000000';
+
+/**
+ * In-memory attempt counters with a clock that can be moved forward, so that
+ * the progressive delay between attempts can be waited out
+ */
+const stubThrottles = (t) => {
+  let throttles = [];
+
+  const matches = (throttle, filter) => Object.entries(filter).every(([field, expected]) => {
+    if (field === '$or') return expected.some(alternative => matches(throttle, alternative));
+    if (expected === null) return throttle[field] === null || throttle[field] === undefined;
+    if (expected instanceof Date) return Boolean(throttle[field]) && throttle[field].getTime() === expected.getTime();
+    if (expected && expected.$gt !== undefined) return throttle[field] > expected.$gt;
+    if (expected && expected.$lte !== undefined) return Boolean(throttle[field]) && throttle[field] <= expected.$lte;
+    return String(throttle[field]) === String(expected);
+  });
+
+  const apply = (throttle, update) => {
+    for (const [operator, fields] of Object.entries(update)) {
+      if (operator === '$inc') {
+        Object.entries(fields).forEach(([field, by]) => { throttle[field] = (throttle[field] || 0) + by; });
+      } else if (operator === '$set') {
+        Object.assign(throttle, fields);
+      } else if (operator === '$unset') {
+        Object.keys(fields).forEach(field => { delete throttle[field]; });
+      } else if (operator === '$max') {
+        Object.entries(fields).forEach(([field, value]) => {
+          if (!throttle[field] || throttle[field] < value) throttle[field] = value;
+        });
+      } else {
+        throttle[operator] = fields;
+      }
+    }
+  };
+
+  t.mock.method(AuthThrottle, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let throttle = throttles.find(candidate => matches(candidate, filter));
+    if (!throttle) {
+      if (!options.upsert) return null;
+      throttle = { _id: objectId(), scope: filter.scope, keyType: filter.keyType, key: filter.key, failures: 0, lockCount: 0 };
+      throttles.push(throttle);
+      apply(throttle, update);
+      return options.new ? { ...throttle } : null;
+    }
+    const before = { ...throttle };
+    apply(throttle, update);
+    return options.new ? { ...throttle } : before;
+  });
+  t.mock.method(AuthThrottle, 'findById', async (id) => throttles.find(throttle => throttle._id.equals(id)));
+  t.mock.method(AuthThrottle, 'updateOne', async (filter, update) => {
+    const throttle = throttles.find(candidate => matches(candidate, filter));
+    if (throttle) apply(throttle, update);
+  });
+  t.mock.method(AuthThrottle, 'deleteOne', async (filter) => {
+    throttles = throttles.filter(throttle => !matches(throttle, filter));
+  });
+  t.mock.method(AuthThrottle, 'findOneAndDelete', async (filter) => {
+    const throttle = throttles.find(candidate => matches(candidate, filter));
+    throttles = throttles.filter(candidate => candidate !== throttle);
+    return throttle || null;
+  });
+  t.mock.method(SecurityEvent, 'create', async (event) => event);
+
+  return {
+    // Move every recorded time back, as if ms had passed
+    elapse: (ms) => throttles.forEach(throttle => {
+      ['lastFailureAt', 'lockedUntil', 'expiresAt'].forEach(field => {
+        if (throttle[field]) throttle[field] = new Date(throttle[field].getTime() - ms);
+      });
+    })
+  };
+};
+
+/**
+ * A user with a pending reset code. Reset code fields are updated the way the
+ * controller's conditional updates would update the stored document.
+ */
+const stubUser = async (t, code) => {
+  const user = {
+    _id: objectId(),
+    email: EMAIL,
+    username: 'owner',
+    resetPasswordToken: await bcrypt.hash(code, 10),
+    resetPasswordExpires: Date.now() + 10 * 60 * 1000,
+    resetPasswordAttempts: 0,
+    save: async () => user
+  };
+
+  t.mock.method(User, 'findOne', () => query(user));
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.resetPasswordToken !== user.resetPasswordToken) return null;
+    user.resetPasswordAttempts += update.$inc.resetPasswordAttempts;
+    return { ...user };
+  });
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    Object.keys(update.$unset || {}).forEach(field => { user[field] = undefined; });
+  });
+
+  return user;
+};
+
+const request = (body) => ({ body, ip: '203.0.113.7', get: () => undefined });
+
+const submitCode = async (code) => {
+  const res = mockResponse();
+  await verifyOtp(request({ email: EMAIL, code }), res);
+  return res;
+};
+
+const requestCode = async () => {
+  const res = mockResponse();
+  await forgotPassword(request({ email: EMAIL }), res);
+  return sentCodes[sentCodes.length - 1];
+};
+
+test('wrong reset codes invalidate the code, and a new code starts the count again', async (t) => {
+  const clock = stubThrottles(t);
+  const user = await stubUser(t, '123456');
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const res = await submitCode(WRONG_CODE);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid verification code');
+    clock.elapse(60 * 1000);
+  }
+
+  const fifth = await submitCode(WRONG_CODE);
+  assert.equal(fifth.body.message, 'Too many wrong codes. Please request a new one.');
+  assert.equal(user.resetPasswordToken, undefined);
+
+  // The right code no longer works once the code has been invalidated
+  clock.elapse(60 * 1000);
+  assert.equal((await submitCode('123456')).body.message, 'Invalid verification code');
+
+  // A new code gets its own count, so one wrong guess does not invalidate it
+  clock.elapse(60 * 1000);
+  const code = await requestCode();
+  assert.equal(user.resetPasswordAttempts, 0);
+  clock.elapse(60 * 1000);
+  assert.equal((await submitCode(WRONG_CODE)).body.message, 'Invalid verification code');
+
+  // The right code still works
+  clock.elapse(60 * 1000);
+  const verified = await submitCode(code);
+  assert.equal(verified.statusCode, 200);
+  assert.equal(verified.body.success, true);
+});
+
+test('repeated wrong reset codes lock the account out', async (t) => {
+  const clock = stubThrottles(t);
+  await stubUser(t, '123456');
+
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    if (attempt > 1) clock.elapse(61 * 1000);
+    const res = await submitCode(WRONG_CODE);
+    assert.equal(res.statusCode, 400, `attempt ${attempt}`);
+  }
+
+  const locked = await submitCode('123456');
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.body.locked, true);
+  // The first lockout lasts 15 minutes
+  const retryAfter = Number(locked.headers['Retry-After']);
+  assert.ok(retryAfter > 14 * 60 && retryAfter <= 15 * 60, `Retry-After ${retryAfter}`);
+});
+
+test('attempts made too quickly have to wait', async (t) => {
+  stubThrottles(t);
+  await stubUser(t, '123456');
+
+  // Three free attempts, then each failure has to be waited out
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    assert.equal((await submitCode(WRONG_CODE)).statusCode, 400);
+  }
+
+  const early = await submitCode(WRONG_CODE);
+  assert.equal(early.statusCode, 429);
+  assert.equal(early.body.locked, false);
+});
+
+test('requesting reset codes is not counted, but no code is sent during a lockout', async (t) => {
+  const clock = stubThrottles(t);
+  await stubUser(t, '123456');
+
+  for (let requested = 1; requested <= 20; requested++) {
+    const res = mockResponse();
+    await forgotPassword(request({ email: EMAIL }), res);
+    assert.equal(res.statusCode, 200, `request ${requested}`);
+  }
+
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    if (attempt > 1) clock.elapse(61 * 1000);
+    await submitCode(WRONG_CODE);
+  }
+
+  const sent = sentCodes.length;
+  const res = mockResponse();
+  await forgotPassword(request({ email: EMAIL }), res);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.locked, true);
+  assert.equal(sentCodes.length, sent);
+
+  // Once the lockout has run out codes can be requested again
+  clock.elapse(15 * 60 * 1000);
+  const after = mockResponse();
+  await forgotPassword(request({ email: EMAIL }), after);
+  assert.equal(after.statusCode, 200);
+});
@@ -0,0 +1,104 @@
+const { query, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../models/Counter');
+const Medicine = require('../models/Medicine');
+const Disposal = require('../models/Disposal');
+const Transaction = require('../models/Transaction');
+const { releaseQuarantine, recordDisposal } = require('../services/disposalService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DISPOSED = {
+  method: 'incineration',
+  witnessName: 'A. Witness',
+  witnessRole: 'Pharmacist'
+};
+
+const quarantinedMedicine = (pharmacyId) => new Medicine({
+  pharmacyId,
+  name: 'Insulin Glargine',
+  genericName: 'Insulin Glargine',
+  form: 'Injection',
+  packSize: '5 pens',
+  price: 40,
+  category: 'Diabetes',
+  quantity: 0,
+  expiryDate: new Date(Date.now() + 30 * DAY_MS),
+  batches: [{ batchNumber: 'LOT-3', expiryDate: new Date(Date.now() + 30 * DAY_MS), quantity: 0, costPrice: 25 }]
+});
+
+// The stored disposal: a claim only succeeds while it is still quarantined
+const stubStoredDisposal = (t, disposalId) => {
+  const stored = { status: 'quarantined' };
+  t.mock.method(Disposal, 'findOneAndUpdate', async (filter, update) => {
+    if (!filter._id.equals(disposalId) || filter.status !== stored.status) {
+      return null;
+    }
+    stored.status = update.$set.status;
+    return { _id: disposalId, status: stored.status };
+  });
+  return stored;
+};
+
+// A request's copy of the quarantine of 4 pens
+const loadDisposal = (t, disposalId, pharmacyId, medicine) => {
+  const disposal = new Disposal({
+    _id: disposalId,
+    disposalNumber: 'DSP-0001',
+    pharmacyId,
+    reason: 'damaged',
+    quarantinedBy: objectId(),
+    items: [{
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      batchId: medicine.batches[0]._id,
+      batchNumber: 'LOT-3',
+      expiryDate: medicine.batches[0].expiryDate,
+      quantity: 4,
+      costPrice: 25
+    }]
+  });
+  t.mock.method(disposal, 'save', async () => disposal);
+  return disposal;
+};
+
+test('a quarantine released and disposed of at once is only handled once', async (t) => {
+  const pharmacyId = objectId();
+  const medicine = quarantinedMedicine(pharmacyId);
+  t.mock.method(Medicine, 'findOne', () => query(medicine));
+  t.mock.method(medicine, 'save', async () => medicine);
+  t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 1 }));
+  t.mock.method(Transaction.prototype, 'save', async function() { return this; });
+
+  const disposalId = objectId();
+  const stored = stubStoredDisposal(t, disposalId);
+
+  const results = await Promise.allSettled([
+    releaseQuarantine(loadDisposal(t, disposalId, pharmacyId, medicine), objectId()),
+    recordDisposal(loadDisposal(t, disposalId, pharmacyId, medicine), DISPOSED, objectId())
+  ]);
+
+  const fulfilled = results.filter(result => result.status === 'fulfilled');
+  assert.equal(fulfilled.length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'STATUS_CHANGED');
+
+  // Stock went back to the lot only if the release won
+  assert.equal(stored.status, fulfilled[0].value.status);
+  assert.equal(medicine.batches[0].quantity, stored.status === 'released' ? 4 : 0);
+});
+
+test('disposing of stock whose medicine was deleted is refused with a not found error', async (t) => {
+  const pharmacyId = objectId();
+  const medicine = quarantinedMedicine(pharmacyId);
+  const findOne = t.mock.method(Medicine, 'findOne', () => query(null));
+
+  const disposalId = objectId();
+  stubStoredDisposal(t, disposalId);
+
+  await assert.rejects(
+    recordDisposal(loadDisposal(t, disposalId, pharmacyId, medicine), DISPOSED, objectId()),
+    { code: 'MEDICINE_NOT_FOUND' }
+  );
+  assert.equal(findOne.mock.calls[0].arguments[0].pharmacyId, pharmacyId);
+});
@@ -0,0 +1,60 @@
+/**
+ * Shared set-up for the unit tests. They run without a database: each test
+ * replaces the model methods it needs, and any query left unstubbed fails
+ * straight away instead of waiting for a connection.
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test_webhook_secret';
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+// Transactions run their work straight away with a stand-in session
+const session = { id: 'test-session' };
+mongoose.connection.transaction = async (work) => work(session);
+
+/**
+ * A stand-in for a Mongoose query that resolves to value. Chained calls such
+ * as .session(), .select() and .populate() are accepted and ignored.
+ */
+const query = (value) => {
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * A stand-in Express response that records what the handler sent
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  session,
+  query,
+  mockResponse,
+  objectId
+};
@@ -0,0 +1,98 @@
+const { session, query, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Medicine = require('../models/Medicine');
+const { reserveStock, restockStock } = require('../services/inventoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+// Lots deliberately out of expiry order, with one already expired
+const medicineWithLots = (pharmacyId = objectId()) => new Medicine({
+  pharmacyId,
+  name: 'Amoxicillin 500mg',
+  genericName: 'Amoxicillin',
+  form: 'Capsule',
+  packSize: '21 capsules',
+  price: 12,
+  category: 'Antibiotics',
+  quantity: 22,
+  expiryDate: inDays(20),
+  batches: [
+    { batchNumber: 'LATE', expiryDate: inDays(90), quantity: 10 },
+    { batchNumber: 'EXPIRED', expiryDate: inDays(-1), quantity: 5 },
+    { batchNumber: 'EARLY', expiryDate: inDays(20), quantity: 3 },
+    { batchNumber: 'MID', expiryDate: inDays(45), quantity: 4 }
+  ]
+});
+
+const lotQuantities = (medicine) => Object.fromEntries(
+  medicine.batches.map(batch => [batch.batchNumber, batch.quantity])
+);
+
+test('allocateFEFO takes the earliest-expiring unexpired lots first', () => {
+  const medicine = medicineWithLots();
+
+  const allocations = medicine.allocateFEFO(6);
+
+  assert.deepEqual(
+    allocations.map(allocation => [allocation.batchNumber, allocation.quantity]),
+    [['EARLY', 3], ['MID', 3]]
+  );
+  assert.deepEqual(lotQuantities(medicine), { LATE: 10, EXPIRED: 5, EARLY: 0, MID: 1 });
+});
+
+test('allocateFEFO refuses more than the unexpired stock and leaves the lots alone', () => {
+  const medicine = medicineWithLots();
+
+  assert.throws(() => medicine.allocateFEFO(18), { code: 'INSUFFICIENT_STOCK' });
+  assert.deepEqual(lotQuantities(medicine), { LATE: 10, EXPIRED: 5, EARLY: 3, MID: 4 });
+});
+
+test('reserveStock dispenses across lots of the pharmacy\'s own medicine', async (t) => {
+  const pharmacyId = objectId();
+  const medicine = medicineWithLots(pharmacyId);
+  const findOne = t.mock.method(Medicine, 'findOne', () => query(medicine));
+  const save = t.mock.method(medicine, 'save', async () => medicine);
+
+  const [reservation] = await reserveStock(
+    [{ medicineId: medicine._id, quantity: 8 }],
+    { session, filter: { pharmacyId } }
+  );
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: medicine._id, pharmacyId });
+  assert.deepEqual(
+    reservation.allocations.map(allocation => [allocation.batchNumber, allocation.quantity]),
+    [['EARLY', 3], ['MID', 4], ['LATE', 1]]
+  );
+  assert.deepEqual(lotQuantities(medicine), { LATE: 9, EXPIRED: 5, EARLY: 0, MID: 0 });
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(save.mock.calls[0].arguments[0].session, session);
+});
+
+test('reserveStock does not dispense another pharmacy\'s medicine', async (t) => {
+  const medicine = medicineWithLots();
+  t.mock.method(Medicine, 'findOne', (filter) => query(
+    filter.pharmacyId.equals(medicine.pharmacyId) ? medicine : null
+  ));
+
+  await assert.rejects(
+    reserveStock([{ medicineId: medicine._id, quantity: 1 }], { session, filter: { pharmacyId: objectId() } }),
+    { code: 'MEDICINE_NOT_FOUND' }
+  );
+  assert.deepEqual(lotQuantities(medicine), { LATE: 10, EXPIRED: 5, EARLY: 3, MID: 4 });
+});
+
+test('restockStock does not return stock to another pharmacy\'s medicine', async (t) => {
+  const medicine = medicineWithLots();
+  t.mock.method(Medicine, 'findOne', (filter) => query(
+    filter.pharmacyId.equals(medicine.pharmacyId) ? medicine : null
+  ));
+  const allocations = [{ batchId: medicine.batches[2]._id, batchNumber: 'EARLY', expiryDate: inDays(20), quantity: 2 }];
+
+  await assert.rejects(
+    restockStock(medicine._id, allocations, 2, { pharmacyId: objectId() }, session),
+    { code: 'MEDICINE_NOT_FOUND' }
+  );
+  assert.deepEqual(lotQuantities(medicine), { LATE: 10, EXPIRED: 5, EARLY: 3, MID: 4 });
+});
@@ -0,0 +1,102 @@
+const { query, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Medicine = require('../models/Medicine');
+const MarketplaceOrder = require('../models/MarketplaceOrder');
+const MarketplaceListing = require('../models/MarketplaceListing');
+const { dispatchOrder } = require('../services/marketplaceOrderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('an order dispatched twice at once only takes the stock once', async (t) => {
+  const sellerPharmacyId = objectId();
+  const medicine = new Medicine({
+    pharmacyId: sellerPharmacyId,
+    name: 'Paracetamol 500mg',
+    genericName: 'Paracetamol',
+    form: 'Tablet',
+    packSize: '16 tablets',
+    price: 3,
+    category: 'Pain Relief',
+    quantity: 8,
+    expiryDate: new Date(Date.now() + 60 * DAY_MS),
+    batches: [{ batchNumber: 'LOT-1', expiryDate: new Date(Date.now() + 60 * DAY_MS), quantity: 8 }]
+  });
+  const saveMedicine = t.mock.method(medicine, 'save', async () => medicine);
+  t.mock.method(Medicine, 'findOne', () => query(medicine));
+
+  const listingId = objectId();
+  const listingUpdates = t.mock.method(MarketplaceListing, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  // The stored order: a claim only succeeds while it is still in the expected status
+  const orderId = objectId();
+  let storedStatus = 'accepted';
+  t.mock.method(MarketplaceOrder, 'findOneAndUpdate', async (filter, update) => {
+    if (!filter._id.equals(orderId) || filter.status !== storedStatus) {
+      return null;
+    }
+    storedStatus = update.$set.status;
+    return { _id: orderId, status: storedStatus };
+  });
+
+  // Two requests that each loaded the accepted order
+  const loadOrder = () => {
+    const order = new MarketplaceOrder({
+      _id: orderId,
+      orderNumber: 'MPO-0001',
+      buyerPharmacyId: objectId(),
+      sellerPharmacyId,
+      status: 'accepted',
+      items: [{
+        listingId,
+        medicineId: medicine._id,
+        medicineName: medicine.name,
+        quantity: 5,
+        unitPrice: 2,
+        totalPrice: 10
+      }],
+      subtotal: 10,
+      totalAmount: 10
+    });
+    t.mock.method(order, 'save', async () => order);
+    return order;
+  };
+
+  const results = await Promise.allSettled([
+    dispatchOrder(loadOrder(), 'seller', objectId()),
+    dispatchOrder(loadOrder(), 'seller', objectId())
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  const rejected = results.find(result => result.status === 'rejected');
+  assert.equal(rejected.reason.code, 'INVALID_TRANSITION');
+
+  assert.equal(storedStatus, 'dispatched');
+  assert.equal(saveMedicine.mock.callCount(), 1);
+  assert.equal(medicine.batches[0].quantity, 3);
+
+  // The listing is decremented once, atomically
+  const decrements = listingUpdates.mock.calls.filter(call => call.arguments[1].$inc);
+  assert.equal(decrements.length, 1);
+  assert.deepEqual(decrements[0].arguments[0], { _id: listingId });
+  assert.deepEqual(decrements[0].arguments[1], { $inc: { offeredQuantity: -5 } });
+});
+
+test('a dispatch only takes stock from the seller\'s own medicine', async (t) => {
+  const sellerPharmacyId = objectId();
+  const findOne = t.mock.method(Medicine, 'findOne', () => query(null));
+  t.mock.method(MarketplaceOrder, 'findOneAndUpdate', async (filter) => ({ _id: filter._id, status: 'dispatched' }));
+
+  const order = new MarketplaceOrder({
+    orderNumber: 'MPO-0002',
+    buyerPharmacyId: objectId(),
+    sellerPharmacyId,
+    status: 'accepted',
+    items: [{ medicineId: objectId(), medicineName: 'Ibuprofen 200mg', quantity: 1, unitPrice: 1, totalPrice: 1 }],
+    subtotal: 1,
+    totalAmount: 1
+  });
+
+  await assert.rejects(dispatchOrder(order, 'seller', objectId()), { code: 'MEDICINE_NOT_FOUND' });
+  assert.equal(findOne.mock.calls[0].arguments[0].pharmacyId, sellerPharmacyId);
+});
@@ -0,0 +1,72 @@
+const { query, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Pharmacy = require('../models/Pharmacy');
+const PharmacyMembership = require('../models/PharmacyMembership');
+const { resolveMembership } = require('../services/pharmacyService');
+
+const legacyUser = (role, pharmacyName = 'Green Cross') => ({
+  _id: objectId(),
+  email: `${role}@greencross.test`,
+  role,
+  pharmacyName
+});
+
+// Accounts from before memberships: none stored yet, pharmacies created on demand
+const stubNoMemberships = (t) => {
+  const pharmacies = new Map();
+  const memberships = [];
+
+  t.mock.method(PharmacyMembership, 'findOne', async () => null);
+  t.mock.method(PharmacyMembership, 'exists', async () => null);
+  t.mock.method(PharmacyMembership, 'findOneAndUpdate', async (filter, update) => {
+    const membership = { userId: filter.userId, status: 'active', ...update.$setOnInsert };
+    memberships.push(membership);
+    return membership;
+  });
+  t.mock.method(Pharmacy, 'findOneAndUpdate', async (filter, update) => {
+    const key = filter._id.toString();
+    if (!pharmacies.has(key)) pharmacies.set(key, { _id: filter._id, isActive: true, ...update.$setOnInsert });
+    return pharmacies.get(key);
+  });
+  t.mock.method(Pharmacy, 'findById', async (id) => pharmacies.get(id.toString()) || null);
+
+  return memberships;
+};
+
+test('a legacy pharmacist owns a pharmacy keyed by their own user ID', async (t) => {
+  stubNoMemberships(t);
+  const pharmacist = legacyUser('pharmacist');
+
+  const { pharmacy, membership } = await resolveMembership(pharmacist);
+
+  assert.ok(pharmacy._id.equals(pharmacist._id));
+  assert.ok(pharmacy.ownerId.equals(pharmacist._id));
+  assert.equal(membership.role, 'pharmacist');
+});
+
+test('a legacy assistant joins the pharmacy of the pharmacist with the same pharmacy name', async (t) => {
+  const memberships = stubNoMemberships(t);
+  const pharmacist = legacyUser('pharmacist');
+  const assistant = legacyUser('assistant');
+  const findPharmacist = t.mock.method(User, 'findOne', () => query(pharmacist));
+
+  const { pharmacy, membership } = await resolveMembership(assistant);
+
+  assert.deepEqual(findPharmacist.mock.calls[0].arguments[0], { pharmacyName: 'Green Cross', role: 'pharmacist' });
+  assert.ok(pharmacy._id.equals(pharmacist._id));
+  assert.ok(pharmacy.ownerId.equals(pharmacist._id));
+  assert.equal(membership.role, 'assistant');
+  assert.ok(membership.pharmacyId.equals(pharmacist._id));
+  // The pharmacist is made owner of the pharmacy the assistant joins
+  assert.deepEqual(memberships.map(entry => entry.role).sort(), ['assistant', 'pharmacist']);
+});
+
+test('a legacy assistant with no pharmacist is not given a pharmacy of their own', async (t) => {
+  const memberships = stubNoMemberships(t);
+  t.mock.method(User, 'findOne', () => query(null));
+
+  await assert.rejects(resolveMembership(legacyUser('assistant')), { code: 'NO_PHARMACY' });
+  assert.equal(memberships.length, 0);
+});
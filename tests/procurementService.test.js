@@ -0,0 +1,109 @@
+const { query, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../models/Counter');
+const Medicine = require('../models/Medicine');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const Transaction = require('../models/Transaction');
+const { receiveGoods } = require('../services/procurementService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A purchase order for 10 packs, stored in memory. Each load is a fresh copy of
+ * the stored order, and received quantities change only through the guarded update.
+ */
+const stubPurchaseOrder = (t) => {
+  const pharmacyId = objectId();
+  const itemId = objectId();
+  const medicine = new Medicine({
+    pharmacyId,
+    name: 'Omeprazole 20mg',
+    genericName: 'Omeprazole',
+    form: 'Capsule',
+    packSize: '28 capsules',
+    price: 6,
+    category: 'Gastrointestinal',
+    quantity: 0,
+    expiryDate: new Date(Date.now() + 365 * DAY_MS)
+  });
+  const stored = { _id: objectId(), status: 'ordered', receivedQuantity: 0 };
+
+  const load = () => {
+    const order = new PurchaseOrder({
+      _id: stored._id,
+      poNumber: 'PO20260101001',
+      pharmacyId,
+      supplierId: objectId(),
+      supplierName: 'MedSupply Ltd',
+      status: stored.status,
+      createdBy: objectId(),
+      items: [{
+        _id: itemId,
+        medicineId: medicine._id,
+        medicineName: medicine.name,
+        orderedQuantity: 10,
+        expectedUnitPrice: 2,
+        receivedQuantity: stored.receivedQuantity
+      }]
+    });
+    t.mock.method(order, 'save', async () => {
+      stored.status = order.status;
+      return order;
+    });
+    return order;
+  };
+
+  t.mock.method(PurchaseOrder, 'findOne', () => query(load()));
+  t.mock.method(PurchaseOrder, 'findById', () => query(load()));
+  t.mock.method(PurchaseOrder, 'findOneAndUpdate', async (filter, update) => {
+    const line = filter.items.$elemMatch;
+    const bound = line.receivedQuantity ? line.receivedQuantity.$lte : Infinity;
+    if (!filter.status.$in.includes(stored.status) || stored.receivedQuantity > bound) {
+      return null;
+    }
+    stored.receivedQuantity += update.$inc['items.$.receivedQuantity'];
+    return { _id: stored._id };
+  });
+
+  t.mock.method(Medicine, 'findOne', () => query(medicine));
+  t.mock.method(medicine, 'save', async () => medicine);
+  t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 1 }));
+  t.mock.method(GoodsReceivedNote, 'findOne', async () => null);
+  t.mock.method(GoodsReceivedNote.prototype, 'save', async function() { return this; });
+  t.mock.method(Transaction.prototype, 'save', async function() { return this; });
+
+  return { stored, load, itemId };
+};
+
+const delivery = (itemId, ...quantities) => ({
+  items: quantities.map(quantityReceived => ({
+    purchaseOrderItemId: itemId,
+    batchNumber: 'OM-1',
+    expiryDate: new Date(Date.now() + 365 * DAY_MS),
+    quantityReceived
+  }))
+});
+
+test('two deliveries of the whole order recorded at once are not both received', async (t) => {
+  const { stored, load, itemId } = stubPurchaseOrder(t);
+
+  const results = await Promise.allSettled([
+    receiveGoods(load(), delivery(itemId, 10), objectId()),
+    receiveGoods(load(), delivery(itemId, 10), objectId())
+  ]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'OVER_RECEIPT');
+  assert.equal(stored.receivedQuantity, 10);
+  assert.equal(stored.status, 'received');
+});
+
+test('a delivery cannot receive more than is outstanding by listing a line twice', async (t) => {
+  const { stored, load, itemId } = stubPurchaseOrder(t);
+
+  await assert.rejects(receiveGoods(load(), delivery(itemId, 6, 6), objectId()), { code: 'OVER_RECEIPT' });
+  // The first line's update is rolled back with the rest of the delivery in a real transaction
+  assert.equal(stored.status, 'ordered');
+});
@@ -0,0 +1,55 @@
+const { query, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Medicine = require('../models/Medicine');
+const Promotion = require('../models/Promotion');
+const { evaluatePromotions, applyPromotionsToCart } = require('../services/promotionService');
+
+const tenPercentOff = (fields = {}) => ({
+  _id: objectId(),
+  name: '10% off',
+  type: 'percentage_off',
+  percentOff: 10,
+  isActive: true,
+  usageCount: 0,
+  usageLimit: null,
+  ...fields
+});
+
+const item = (medicineId = objectId()) => ({ medicineId, medicineName: 'Paracetamol 500mg', quantity: 2, unitPrice: 5 });
+
+test('a usage limit must be a whole number of at least 1, or null for no limit', () => {
+  const limitError = (usageLimit) => {
+    const error = new Promotion(tenPercentOff({ pharmacyId: objectId(), createdBy: objectId(), usageLimit })).validateSync();
+    return error && error.errors.usageLimit && error.errors.usageLimit.message;
+  };
+
+  assert.equal(limitError(0), 'Usage limit must be at least 1');
+  assert.equal(limitError(2.5), 'Usage limit must be a whole number');
+  assert.equal(limitError(null), undefined);
+  assert.equal(limitError(3), undefined);
+});
+
+test('only promotions with a usage limit stop applying once used up', () => {
+  const promotions = [
+    tenPercentOff({ name: 'Unlimited', usageCount: 50 }),
+    tenPercentOff({ name: 'Used up', usageLimit: 1, usageCount: 1, priority: 1 })
+  ];
+
+  const result = evaluatePromotions(promotions, [item()], new Map());
+
+  assert.deepEqual(result.promotions.map(promotion => promotion.name), ['Unlimited']);
+  assert.equal(result.totalDiscount, 1);
+});
+
+test('cart promotions only look up the pharmacy\'s own medicines', async (t) => {
+  const pharmacyId = objectId();
+  t.mock.method(Promotion, 'find', async () => [tenPercentOff()]);
+  const findMedicines = t.mock.method(Medicine, 'find', () => query([]));
+  const cart = { pharmacyId, transactionType: 'sale', items: [item()], couponCodes: [] };
+
+  await applyPromotionsToCart(cart);
+
+  assert.equal(findMedicines.mock.calls[0].arguments[0].pharmacyId, pharmacyId);
+  assert.equal(cart.promotionDiscount, 1);
+});
@@ -0,0 +1,106 @@
+const { query, mockResponse, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Refund = require('../models/Refund');
+const Customer = require('../models/Customer');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const { approveRefund } = require('../controllers/refundController');
+
+// A sale of 100 paid 40 on the customer's credit account and 60 in cash
+const splitSale = () => ({
+  _id: objectId(),
+  transactionNumber: 'SAL-000042',
+  payment: {
+    method: 'cash',
+    tenders: [
+      { method: 'credit', amount: 40, provider: 'counter', status: 'completed' },
+      { method: 'cash', amount: 60, provider: 'counter', status: 'completed' }
+    ]
+  }
+});
+
+const pendingRefund = (transaction, refundAmount) => ({
+  _id: objectId(),
+  refundNumber: 'REF-000007',
+  refundAmount,
+  refundItems: [],
+  gatewayRefunds: [],
+  paymentMethod: 'cash',
+  status: 'pending',
+  transactionId: transaction,
+  save: async () => {}
+});
+
+const approve = async (refund) => {
+  const res = mockResponse();
+  const userId = objectId();
+  await approveRefund({
+    params: { id: refund._id.toString() },
+    body: { paymentMethod: 'cash' },
+    user: { _id: userId, pharmacyId: objectId() }
+  }, res);
+  return res;
+};
+
+// Refund lookups; syncing to sales finds nothing to update
+const stubRefund = (t, refund, { claimed = true } = {}) => {
+  t.mock.method(Refund, 'findOne', () => query(refund));
+  t.mock.method(Refund, 'findById', () => query(null));
+  return t.mock.method(Refund, 'findOneAndUpdate', async () => (claimed ? { ...refund, status: 'approved' } : null));
+};
+
+test('refunding a split sale reverses the credit part and pays only the rest in cash', async (t) => {
+  const transaction = splitSale();
+  const refund = pendingRefund(transaction, 50);
+  stubRefund(t, refund);
+
+  const charge = {
+    _id: objectId(),
+    pharmacyId: objectId(),
+    customerId: objectId(),
+    transactionNumber: transaction.transactionNumber,
+    amount: 40,
+    outstanding: 40,
+    save: async () => charge
+  };
+  const findCharge = t.mock.method(CreditLedgerEntry, 'findOne', () => query(charge));
+  const updateCustomer = t.mock.method(Customer, 'findByIdAndUpdate', async () => ({ creditBalance: 0 }));
+  const createEntry = t.mock.method(CreditLedgerEntry, 'create', async (entries) => entries);
+
+  const res = await approve(refund);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(findCharge.mock.calls[0].arguments[0], { transactionId: transaction._id, entryType: 'charge' });
+  assert.equal(charge.outstanding, 0);
+  assert.deepEqual(updateCustomer.mock.calls[0].arguments[1], { $inc: { creditBalance: -40 } });
+  assert.equal(createEntry.mock.calls[0].arguments[0][0].entryType, 'refund');
+  assert.equal(createEntry.mock.calls[0].arguments[0][0].amount, 40);
+  assert.equal(refund.cashAmount, 10);
+});
+
+test('refunding a sale with nothing on credit pays it all in cash', async (t) => {
+  const transaction = splitSale();
+  transaction.payment.tenders = [{ method: 'cash', amount: 100, provider: 'counter', status: 'completed' }];
+  const refund = pendingRefund(transaction, 50);
+  stubRefund(t, refund);
+  t.mock.method(CreditLedgerEntry, 'findOne', () => query(null));
+  const createEntry = t.mock.method(CreditLedgerEntry, 'create', async (entries) => entries);
+
+  const res = await approve(refund);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(createEntry.mock.callCount(), 0);
+  assert.equal(refund.cashAmount, 50);
+});
+
+test('a refund approved by another request first is not paid again', async (t) => {
+  const refund = pendingRefund(splitSale(), 50);
+  stubRefund(t, refund, { claimed: false });
+  const findCharge = t.mock.method(CreditLedgerEntry, 'findOne', () => query(null));
+
+  const res = await approve(refund);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(findCharge.mock.callCount(), 0);
+  assert.equal(refund.cashAmount, undefined);
+});
@@ -0,0 +1,75 @@
+const { query, objectId } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../models/Counter');
+const Medicine = require('../models/Medicine');
+const StockTake = require('../models/StockTake');
+const Transaction = require('../models/Transaction');
+const { approveStockTake } = require('../services/stockTakeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a stock take approved twice at once only applies its variances once', async (t) => {
+  const pharmacyId = objectId();
+  const medicine = new Medicine({
+    pharmacyId,
+    name: 'Cetirizine 10mg',
+    genericName: 'Cetirizine',
+    form: 'Tablet',
+    packSize: '30 tablets',
+    price: 4,
+    category: 'Antihistamines',
+    quantity: 10,
+    expiryDate: new Date(Date.now() + 90 * DAY_MS),
+    batches: [{ batchNumber: 'LOT-7', expiryDate: new Date(Date.now() + 90 * DAY_MS), quantity: 10, costPrice: 2 }]
+  });
+  t.mock.method(Medicine, 'findOne', () => query(medicine));
+  t.mock.method(medicine, 'save', async () => medicine);
+  t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 1 }));
+  const saveTransaction = t.mock.method(Transaction.prototype, 'save', async function() { return this; });
+
+  // The stored stock take: a claim only succeeds while it is still submitted
+  const stockTakeId = objectId();
+  let storedStatus = 'submitted';
+  t.mock.method(StockTake, 'findOneAndUpdate', async (filter, update) => {
+    if (!filter._id.equals(stockTakeId) || filter.status !== storedStatus) {
+      return null;
+    }
+    storedStatus = update.$set.status;
+    return { _id: stockTakeId, status: storedStatus };
+  });
+
+  // Two requests that each loaded the submitted stock take; three units are missing
+  const loadStockTake = () => {
+    const stockTake = new StockTake({
+      _id: stockTakeId,
+      stockTakeNumber: 'ST-0001',
+      pharmacyId,
+      status: 'submitted',
+      createdBy: objectId(),
+      items: [{
+        medicineId: medicine._id,
+        medicineName: medicine.name,
+        batchId: medicine.batches[0]._id,
+        batchNumber: 'LOT-7',
+        expectedQuantity: 10,
+        countedQuantity: 7,
+        reasonCode: 'theft'
+      }]
+    });
+    t.mock.method(stockTake, 'save', async () => stockTake);
+    return stockTake;
+  };
+
+  const results = await Promise.allSettled([
+    approveStockTake(loadStockTake(), objectId()),
+    approveStockTake(loadStockTake(), objectId())
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'STATUS_CHANGED');
+
+  assert.equal(storedStatus, 'approved');
+  assert.equal(medicine.batches[0].quantity, 7);
+  assert.equal(saveTransaction.mock.callCount(), 1);
+});
@@ -2,7 +2,12 @@
 const cron = require('node-cron');
 const Medicine = require('../models/Medicine');
 const Request = require('../models/Request');
+const User = require('../models/User');
 const { sendEmail } = require('./mailer');
+const { repriceListings } = require('../services/markdownService');
+const { getReorderSuggestions } = require('../services/replenishmentService');
+
+const REORDER_REQUEST_TITLE = 'Reorder suggestions';
 
 // Check for expiring medicines
 cron.schedule('0 8 * * *', async () => { // Run daily at 8 AM
@@ -45,45 +50,62 @@ cron.schedule('0 8 * * *', async () => { // Run daily at 8 AM
   }
 });
 
-// Check for low stock and auto-create requests
+// Raise a stock request for medicines that have reached their reorder point
 cron.schedule('0 9 * * *', async () => { // Run daily at 9 AM
   try {
-    const medicines = await Medicine.find({
-      stock: { $lt: '$lowStockThreshold' }
-    }).populate('pharmacyId');
-    
-    for (const medicine of medicines) {
-      // Check if a request already exists for this medicine
-      const existingRequest = await Request.findOne({
-        medicineName: medicine.name,
+    const pharmacyIds = await Medicine.distinct('pharmacyId', { status: 'active', isActive: true });
+
+    for (const pharmacyId of pharmacyIds) {
+      const { suggestions } = await getReorderSuggestions(pharmacyId);
+      if (suggestions.length === 0) continue;
+
+      const outOfStock = suggestions.filter(suggestion => suggestion.sellableQuantity === 0).length;
+      const description = suggestions
+        .map(suggestion => `${suggestion.medicineName}: ${suggestion.sellableQuantity} in stock, ` +
+          `reorder point ${suggestion.reorderPoint}, suggested order ${suggestion.suggestedQuantity}`)
+        .join('\n');
+
+      // Keep one open reorder request per pharmacy, refreshed each day
+      const request = await Request.findOne({
+        pharmacyId,
+        type: 'stock_request',
+        title: REORDER_REQUEST_TITLE,
         status: 'pending'
+      }) || new Request({
+        pharmacyId,
+        type: 'stock_request',
+        title: REORDER_REQUEST_TITLE
       });
-      
-      if (!existingRequest) {
-        // Create auto-request
-        const request = new Request({
-          pharmacyId: medicine.pharmacyId,
-          medicineName: medicine.name,
-          quantity: medicine.lowStockThreshold * 2, // Request double the threshold
-          reason: 'Auto-generated low stock request',
-          status: 'pending',
-          isAutoGenerated: true
+
+      request.description = description;
+      request.priority = outOfStock > 0 ? 'high' : 'medium';
+      await request.save();
+
+      const pharmacy = await User.findById(pharmacyId).select('email pharmacyName notificationPreferences');
+      if (pharmacy && pharmacy.notificationPreferences && pharmacy.notificationPreferences.email) {
+        await sendEmail({
+          to: pharmacy.email,
+          subject: 'Low Stock Alert',
+          template: 'low-stock',
+          data: {
+            pharmacyName: pharmacy.pharmacyName,
+            suggestions
+          },
+          text: `${suggestions.length} medicines have reached their reorder point.`
         });
-        
-        await request.save();
-        
-        // Send notification if enabled
-        if (medicine.pharmacyId.notificationPreferences && 
-            medicine.pharmacyId.notificationPreferences.email) {
-          await sendEmail(
-            medicine.pharmacyId.email,
-            'Low Stock Alert',
-            `${medicine.name} is low on stock. An automatic request has been generated.`
-          );
-        }
       }
     }
   } catch (error) {
     console.error('Error in low stock alert cron job:', error);
   }
-});
\ No newline at end of file
+});
+
+// Reprice marketplace listings from each pharmacy's near-expiry markdown rules
+cron.schedule('0 1 * * *', async () => { // Run daily at 1 AM
+  try {
+    const { checked, repriced } = await repriceListings();
+    console.log(`🏷️ Marketplace markdowns: ${repriced} of ${checked} listings repriced`);
+  } catch (error) {
+    console.error('Error in marketplace markdown cron job:', error);
+  }
+});
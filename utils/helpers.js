@@ -394,4 +394,7 @@ exports.validateMedicineData = (medicineData) => {
   };
 };
 
+// Case-insensitive pattern matching text literally, so search input cannot inject a regular expression
+exports.searchPattern = (text) => new RegExp(String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
 module.exports = exports;
\ No newline at end of file
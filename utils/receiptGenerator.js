@@ -25,6 +25,7 @@ exports.generateReceipt = async (receiptData) => {
         subtotal: transaction.subtotal || 0,
         tax: transaction.tax || 0,
         discount: transaction.discount || 0,
+        promotions: transaction.promotions || [],
         total: transaction.totalAmount || 0
       },
       customer: transaction.customerInfo || {
@@ -36,7 +37,10 @@ exports.generateReceipt = async (receiptData) => {
       payment: {
         method: payment.method,
         transactionId: payment.transactionId,
-        details: payment.details
+        details: payment.details,
+        tenders: payment.tenders || [],
+        amountTendered: payment.amountTendered,
+        changeDue: payment.changeDue || 0
       },
       delivery: delivery || {
         option: 'pickup',
@@ -214,7 +218,17 @@ function createReceiptTemplate() {
       <div class="info-card">
         <div class="section-title">Payment Information</div>
         <div><strong>Method:</strong> <%= payment.method.toUpperCase() %></div>
+        <% if (payment.tenders.length > 1) { %>
+        <% payment.tenders.forEach(function(tender) { %>
+        <div><%= tender.method.toUpperCase() %>: $<%= tender.amount.toFixed(2) %><% if (tender.reference || tender.transactionId) { %> (<%= tender.reference || tender.transactionId %>)<% } %></div>
+        <% }); %>
+        <% } else { %>
         <div><strong>Payment ID:</strong> <%= payment.transactionId %></div>
+        <% } %>
+        <% if (payment.changeDue > 0) { %>
+        <div><strong>Tendered:</strong> $<%= payment.amountTendered.toFixed(2) %></div>
+        <div><strong>Change:</strong> $<%= payment.changeDue.toFixed(2) %></div>
+        <% } %>
         <div><strong>Status:</strong> Completed</div>
       </div>
     </div>
@@ -255,6 +269,9 @@ function createReceiptTemplate() {
       <% if (transaction.discount > 0) { %>
       <div class="total-row"><strong>Discount:</strong> -$<%= (transaction.discount || 0).toFixed(2) %></div>
       <% } %>
+      <% transaction.promotions.forEach(function(promotion) { %>
+      <div class="total-row"><strong><%= promotion.name %><% if (promotion.code) { %> (<%= promotion.code %>)<% } %>:</strong> -$<%= promotion.amount.toFixed(2) %></div>
+      <% }); %>
       <% if (delivery.fee > 0) { %>
       <div class="total-row"><strong>Delivery Fee:</strong> $<%= (delivery.fee || 0).toFixed(2) %></div>
       <% } %>
@@ -317,8 +334,10 @@ ${customer.email ? `Email: ${customer.email}` : ''}
 
 PAYMENT INFORMATION:
 Method: ${payment.method.toUpperCase()}
-Payment ID: ${payment.transactionId}
-Status: Completed
+${payment.tenders.length > 1
+    ? payment.tenders.map(tender => `${tender.method.toUpperCase()}: $${tender.amount.toFixed(2)}${tender.reference || tender.transactionId ? ` (${tender.reference || tender.transactionId})` : ''}`).join('\n')
+    : `Payment ID: ${payment.transactionId}`}
+${payment.changeDue > 0 ? `Tendered: $${payment.amountTendered.toFixed(2)}\nChange: $${payment.changeDue.toFixed(2)}\n` : ''}Status: Completed
 
 ITEMS PURCHASED:
 ${'='.repeat(50)}
@@ -337,6 +356,7 @@ SUMMARY:
 Subtotal: $${(transaction.subtotal || 0).toFixed(2)}
 ${transaction.tax > 0 ? `Tax: $${(transaction.tax || 0).toFixed(2)}\n` : ''}
 ${transaction.discount > 0 ? `Discount: -$${(transaction.discount || 0).toFixed(2)}\n` : ''}
+${transaction.promotions.map(promotion => `${promotion.name}${promotion.code ? ` (${promotion.code})` : ''}: -$${promotion.amount.toFixed(2)}\n`).join('')}
 ${delivery.fee > 0 ? `Delivery Fee: $${(delivery.fee || 0).toFixed(2)}\n` : ''}
 TOTAL: $${(transaction.total || 0).toFixed(2)}
 
@@ -53,6 +53,9 @@ exports.loginValidator = [
     body('email').optional().isEmail().withMessage('Please provide a valid email'),
     body('username').optional().isString(),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('twoFactorToken').optional().isString(),
+    body('backupCode').optional().isString(),
+    body('deviceName').optional().trim().isLength({ max: 100 }).withMessage('Device name must be less than 100 characters'),
     // ensure at least email or username present
     body().custom(value => {
         if (!value.email && !value.username) {
@@ -90,4 +93,44 @@ exports.resetPasswordValidator = [
     body('newPassword')
         .isLength({ min: 6 })
         .withMessage('Password must be at least 6 characters')
-];
\ No newline at end of file
+];
+
+exports.acceptInvitationValidator = [
+    body('token')
+        .trim()
+        .notEmpty()
+        .withMessage('Invitation token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters'),
+    body('username')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Username must be between 3 and 30 characters')
+];
+
+exports.refreshTokenValidator = [
+    body('refreshToken')
+        .trim()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+];
+
+exports.twoFactorCodeValidator = [
+    body('token')
+        .trim()
+        .notEmpty()
+        .withMessage('Verification code is required')
+];
+
+exports.disableTwoFactorValidator = [
+    body('token').optional().trim(),
+    body('backupCode').optional().trim(),
+    body().custom(value => {
+        if (!value.token && !value.backupCode) {
+            throw new Error('Please provide a verification code or a backup code');
+        }
+        return true;
+    })
+];
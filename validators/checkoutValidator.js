@@ -27,7 +27,19 @@ const checkoutValidator = [
   body('transactionNotes')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Transaction notes cannot exceed 500 characters')
+    .withMessage('Transaction notes cannot exceed 500 characters'),
+  body('prescriptionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid prescription ID'),
+  body('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  body('insurance.policyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid insurance policy ID')
 ];
 
 module.exports = checkoutValidator;
\ No newline at end of file
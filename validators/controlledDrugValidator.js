@@ -0,0 +1,31 @@
+const { query } = require('express-validator');
+const ControlledDrugEntry = require('../models/ControlledDrugEntry');
+
+const ENTRY_TYPES = ControlledDrugEntry.ENTRY_TYPES;
+
+exports.registerValidator = [
+    query('medicineId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    query('entryType')
+        .optional()
+        .isIn(ENTRY_TYPES)
+        .withMessage(`Entry type must be one of: ${ENTRY_TYPES.join(', ')}`),
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid end date format'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+];
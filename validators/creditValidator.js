@@ -0,0 +1,59 @@
+const { body, query } = require('express-validator');
+
+exports.updateLimitValidator = [
+    body('creditLimit')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Credit limit must be a non-negative number')
+        .toFloat(),
+    body('creditTermsDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('Credit terms must be between 0 and 365 days')
+        .toInt(),
+    body()
+        .custom((value) => {
+            if (value.creditLimit === undefined && value.creditTermsDays === undefined) {
+                throw new Error('Provide creditLimit or creditTermsDays');
+            }
+            return true;
+        })
+];
+
+exports.repaymentValidator = [
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Repayment amount must be greater than 0')
+        .toFloat(),
+    body('method')
+        .optional()
+        .isIn(['cash', 'card', 'mobile_money', 'bank_transfer', 'digital_wallet'])
+        .withMessage('Invalid payment method'),
+    body('reference')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Reference must be less than 100 characters'),
+    body('allocations')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Allocations must be a non-empty array'),
+    body('allocations.*.chargeId')
+        .isMongoId()
+        .withMessage('Invalid credit sale ID'),
+    body('allocations.*.amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Allocated amount must be greater than 0')
+        .toFloat(),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
+
+exports.getLedgerValidator = [
+    query('entryType')
+        .optional()
+        .isIn(['charge', 'repayment', 'refund'])
+        .withMessage('Entry type must be charge, repayment or refund')
+];
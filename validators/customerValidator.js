@@ -0,0 +1,144 @@
+const { body, query } = require('express-validator');
+
+const allergyRules = (prefix) => [
+    body(`${prefix}substance`)
+        .trim()
+        .notEmpty()
+        .withMessage('Allergy substance is required')
+        .isLength({ max: 100 })
+        .withMessage('Substance must be less than 100 characters'),
+    body(`${prefix}reaction`)
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reaction must be less than 200 characters'),
+    body(`${prefix}severity`)
+        .optional()
+        .isIn(['mild', 'moderate', 'severe'])
+        .withMessage('Severity must be mild, moderate or severe')
+];
+
+const customerRules = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Customer name is required')
+            .isLength({ max: 100 })
+            .withMessage('Name must be less than 100 characters'),
+        field('phone')
+            .trim()
+            .matches(/^\+?[\d\s()-]{7,20}$/)
+            .withMessage('Please provide a valid phone number'),
+        body('email')
+            .optional({ values: 'falsy' })
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .normalizeEmail(),
+        body('dateOfBirth')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid date of birth format'),
+        body('gender')
+            .optional()
+            .isIn(['male', 'female', 'other'])
+            .withMessage('Gender must be male, female or other'),
+        body('address')
+            .optional()
+            .isLength({ max: 200 })
+            .withMessage('Address must be less than 200 characters'),
+        body('notes')
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage('Notes must be less than 500 characters')
+    ];
+};
+
+exports.createCustomerValidator = [
+    ...customerRules(false),
+    body('allergies')
+        .optional()
+        .isArray()
+        .withMessage('Allergies must be an array'),
+    ...allergyRules('allergies.*.')
+];
+
+exports.updateCustomerValidator = [
+    ...customerRules(true),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+];
+
+exports.allergyValidator = allergyRules('');
+
+const policyRules = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('planId')
+            .isMongoId()
+            .withMessage('Invalid plan ID'),
+        field('memberNumber')
+            .trim()
+            .notEmpty()
+            .withMessage('Member number is required')
+            .isLength({ max: 50 })
+            .withMessage('Member number must be less than 50 characters'),
+        body('policyHolder')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Policy holder must be less than 100 characters'),
+        body('relationship')
+            .optional()
+            .isIn(['self', 'spouse', 'child', 'other'])
+            .withMessage('Relationship must be self, spouse, child or other'),
+        body('validFrom')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid valid-from date format'),
+        body('validTo')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid valid-to date format')
+    ];
+};
+
+exports.addPolicyValidator = [
+    body('insurerId')
+        .isMongoId()
+        .withMessage('Invalid insurer ID'),
+    ...policyRules(false)
+];
+
+exports.updatePolicyValidator = [
+    ...policyRules(true),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+];
+
+exports.getCustomersValidator = [
+    query('isActive')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('isActive must be true or false')
+];
+
+exports.getPurchasesValidator = [
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid end date format')
+];
@@ -0,0 +1,76 @@
+const { body, query } = require('express-validator');
+const Disposal = require('../models/Disposal');
+
+exports.quarantineValidator = [
+    body('reason')
+        .isIn(Disposal.REASONS)
+        .withMessage(`Reason must be one of: ${Disposal.REASONS.join(', ')}`),
+    body('items')
+        .isArray({ min: 1 })
+        .withMessage('At least one item is required'),
+    body('items.*.medicineId')
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('items.*.batchId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid batch ID'),
+    body('items.*.quantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer')
+        .toInt(),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
+
+exports.recordDisposalValidator = [
+    body('method')
+        .isIn(Disposal.METHODS)
+        .withMessage(`Method must be one of: ${Disposal.METHODS.join(', ')}`),
+    body('disposedAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid disposal date format')
+        .custom((value) => {
+            if (new Date(value) > new Date()) {
+                throw new Error('Disposal date cannot be in the future');
+            }
+            return true;
+        }),
+    body('witnessName')
+        .trim()
+        .notEmpty()
+        .withMessage('Witness name is required')
+        .isLength({ max: 100 })
+        .withMessage('Witness name must be less than 100 characters'),
+    body('witnessRole')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Witness role must be less than 100 characters'),
+    body('contractorName')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Contractor name must be less than 100 characters'),
+    body('certificateNumber')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Certificate number must be less than 100 characters')
+];
+
+exports.disposalReportValidator = [
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid end date format'),
+    query('format')
+        .optional()
+        .isIn(['json', 'html'])
+        .withMessage('Format must be json or html')
+];
@@ -0,0 +1,229 @@
+const { body, query } = require('express-validator');
+
+const coverageRuleRules = [
+    body('coverageRules')
+        .optional()
+        .isArray()
+        .withMessage('Coverage rules must be an array'),
+    body('coverageRules.*.medicineId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('coverageRules.*.category')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Category must be less than 100 characters'),
+    body('coverageRules.*')
+        .custom((rule) => {
+            if (!rule.medicineId && !rule.category) {
+                throw new Error('Each coverage rule needs a medicineId or a category');
+            }
+            return true;
+        }),
+    body('coverageRules.*.excluded')
+        .optional()
+        .isBoolean()
+        .withMessage('excluded must be a boolean')
+        .toBoolean(),
+    body('coverageRules.*.coveragePercent')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Coverage must be between 0 and 100 percent')
+        .toFloat(),
+    body('coverageRules.*.maxUnitAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Maximum unit amount must be a non-negative number')
+        .toFloat()
+];
+
+const planRules = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Plan name is required')
+            .isLength({ max: 100 })
+            .withMessage('Plan name must be less than 100 characters'),
+        body('code')
+            .optional()
+            .trim()
+            .isLength({ max: 30 })
+            .withMessage('Plan code must be less than 30 characters'),
+        body('defaultCoveragePercent')
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Default coverage must be between 0 and 100 percent')
+            .toFloat(),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+            .toBoolean(),
+        ...coverageRuleRules
+    ];
+};
+
+const insurerRules = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Insurer name is required')
+            .isLength({ max: 100 })
+            .withMessage('Insurer name must be less than 100 characters'),
+        body('code')
+            .optional()
+            .trim()
+            .isLength({ max: 20 })
+            .withMessage('Insurer code must be less than 20 characters'),
+        body('contact.email')
+            .optional({ values: 'falsy' })
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .normalizeEmail(),
+        body('contact.phone')
+            .optional()
+            .trim()
+            .isLength({ max: 30 })
+            .withMessage('Phone must be less than 30 characters'),
+        body('contact.address')
+            .optional()
+            .isLength({ max: 200 })
+            .withMessage('Address must be less than 200 characters'),
+        body('paymentTermsDays')
+            .optional()
+            .isInt({ min: 0, max: 365 })
+            .withMessage('Payment terms must be between 0 and 365 days')
+            .toInt(),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+            .toBoolean()
+    ];
+};
+
+exports.createInsurerValidator = [
+    ...insurerRules(false),
+    body('plans')
+        .optional()
+        .isArray()
+        .withMessage('Plans must be an array'),
+    body('plans.*.name')
+        .trim()
+        .notEmpty()
+        .withMessage('Plan name is required'),
+    body('plans.*.defaultCoveragePercent')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Default coverage must be between 0 and 100 percent')
+        .toFloat()
+];
+
+exports.updateInsurerValidator = insurerRules(true);
+
+exports.createPlanValidator = planRules(false);
+
+exports.updatePlanValidator = planRules(true);
+
+exports.getClaimsValidator = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'submitted', 'accepted', 'rejected', 'paid'])
+        .withMessage('Invalid claim status'),
+    query('insurerId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid insurer ID'),
+    query('customerId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid customer ID'),
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid end date format')
+];
+
+exports.updateClaimStatusValidator = [
+    body('status')
+        .isIn(['accepted', 'rejected'])
+        .withMessage('Status must be accepted or rejected'),
+    body('reason')
+        .if(body('status').equals('rejected'))
+        .trim()
+        .notEmpty()
+        .withMessage('A reason is required to reject a claim')
+        .isLength({ max: 500 })
+        .withMessage('Reason must be less than 500 characters'),
+    body('insurerReference')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Insurer reference must be less than 100 characters')
+];
+
+exports.createBatchValidator = [
+    body('insurerId')
+        .isMongoId()
+        .withMessage('Invalid insurer ID'),
+    body('claimIds')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Claim IDs must be a non-empty array'),
+    body('claimIds.*')
+        .isMongoId()
+        .withMessage('Invalid claim ID'),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
+
+exports.getBatchesValidator = [
+    query('insurerId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid insurer ID'),
+    query('status')
+        .optional()
+        .isIn(['submitted', 'partially_paid', 'settled'])
+        .withMessage('Invalid batch status')
+];
+
+exports.remittanceValidator = [
+    body('reference')
+        .trim()
+        .notEmpty()
+        .withMessage('Remittance reference is required')
+        .isLength({ max: 100 })
+        .withMessage('Reference must be less than 100 characters'),
+    body('amount')
+        .isFloat({ min: 0 })
+        .withMessage('Remittance amount must be a non-negative number')
+        .toFloat(),
+    body('receivedAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid received date format'),
+    body('payments')
+        .isArray({ min: 1 })
+        .withMessage('Payments must be a non-empty array'),
+    body('payments.*.claimId')
+        .isMongoId()
+        .withMessage('Invalid claim ID'),
+    body('payments.*.amount')
+        .isFloat({ min: 0 })
+        .withMessage('Paid amount must be a non-negative number')
+        .toFloat()
+];
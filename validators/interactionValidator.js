@@ -0,0 +1,40 @@
+const { body, query } = require('express-validator');
+const DrugInteraction = require('../models/DrugInteraction');
+
+const SEVERITIES = DrugInteraction.SEVERITIES;
+
+exports.importInteractionsValidator = [
+    query('replace')
+        .optional()
+        .isBoolean()
+        .withMessage('Replace must be true or false'),
+    body('interactions')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Interactions must be a non-empty array')
+];
+
+exports.getInteractionsValidator = [
+    query('severity')
+        .optional()
+        .isIn(SEVERITIES)
+        .withMessage(`Severity must be one of: ${SEVERITIES.join(', ')}`)
+];
+
+exports.checkInteractionsValidator = [
+    body('medicineIds')
+        .isArray({ min: 2 })
+        .withMessage('At least two medicine IDs are required'),
+    body('medicineIds.*')
+        .isMongoId()
+        .withMessage('Invalid medicine ID')
+];
+
+exports.overrideInteractionsValidator = [
+    body('reason')
+        .trim()
+        .notEmpty()
+        .withMessage('A reason for the override is required')
+        .isLength({ max: 500 })
+        .withMessage('Reason must be less than 500 characters')
+];
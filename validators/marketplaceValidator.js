@@ -0,0 +1,131 @@
+const { body, query } = require('express-validator');
+
+exports.placeOrderValidator = [
+    body('sellerId')
+        .isMongoId()
+        .withMessage('Invalid seller ID'),
+    body('items')
+        .optional()
+        .isArray()
+        .withMessage('Items must be an array'),
+    body('items.*')
+        .custom((item) => {
+            if (!item.listingId && !item.medicineId) {
+                throw new Error('Each item needs a listingId');
+            }
+            return true;
+        }),
+    body('items.*.listingId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid listing ID'),
+    body('items.*.medicineId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('items.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
+
+exports.getOrdersValidator = [
+    query('role')
+        .optional()
+        .isIn(['buyer', 'seller'])
+        .withMessage('Role must be buyer or seller'),
+    query('status')
+        .optional()
+        .isIn(['placed', 'accepted', 'declined', 'cancelled', 'dispatched', 'received', 'settled'])
+        .withMessage('Invalid order status')
+];
+
+exports.declineOrderValidator = [
+    body('reason')
+        .notEmpty()
+        .withMessage('A reason is required')
+        .isLength({ max: 500 })
+        .withMessage('Reason must be less than 500 characters')
+        .trim()
+];
+
+exports.receiveOrderValidator = [
+    body('items')
+        .optional()
+        .isArray()
+        .withMessage('Items must be an array'),
+    body('items.*.itemId')
+        .isMongoId()
+        .withMessage('Invalid order item ID'),
+    body('items.*.medicineId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('items.*.retailPrice')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Retail price must be a positive number')
+        .toFloat()
+];
+
+exports.createListingValidator = [
+    body('medicineId')
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('offeredQuantity')
+        .isInt({ min: 1 })
+        .withMessage('Offered quantity must be a positive integer')
+        .toInt(),
+    body('price')
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number')
+        .toFloat(),
+    body('minOrderQuantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Minimum order quantity must be a positive integer')
+        .toInt(),
+    body('expiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid listing expiry date format')
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Listing expiry must be in the future');
+            }
+            return true;
+        }),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
+
+exports.updateListingValidator = [
+    body('offeredQuantity')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offered quantity must be zero or more')
+        .toInt(),
+    body('price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number')
+        .toFloat(),
+    body('minOrderQuantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Minimum order quantity must be a positive integer')
+        .toInt(),
+    body('expiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid listing expiry date format'),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
@@ -1,4 +1,7 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const Medicine = require('../models/Medicine');
+
+const SCHEDULES = Medicine.CONTROLLED_SCHEDULES;
 
 exports.addMedicineValidator = [
     body('name')
@@ -40,7 +43,15 @@ exports.addMedicineValidator = [
     body('batchNumber')
         .optional()
         .isLength({ max: 50 })
-        .withMessage('Batch number must be less than 50 characters')
+        .withMessage('Batch number must be less than 50 characters'),
+    body('preferredSupplierId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid supplier ID'),
+    body('controlledSchedule')
+        .optional({ values: 'falsy' })
+        .isIn(SCHEDULES)
+        .withMessage(`Controlled schedule must be one of: ${SCHEDULES.join(', ')}`)
 ];
 
 // NEW: Update Medicine Validator (all fields optional)
@@ -94,5 +105,83 @@ exports.updateMedicineValidator = [
     body('requiresPrescription')
         .optional()
         .isBoolean()
-        .withMessage('Requires prescription must be a boolean value')
+        .withMessage('Requires prescription must be a boolean value'),
+    body('lowStockThreshold')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Low stock threshold must be zero or more'),
+    body('preferredSupplierId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid supplier ID'),
+    body('controlledSchedule')
+        .optional({ values: 'falsy' })
+        .isIn(SCHEDULES)
+        .withMessage(`Controlled schedule must be one of: ${SCHEDULES.join(', ')}`)
+];
+
+exports.addBatchValidator = [
+    body('quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer'),
+    body('expiryDate')
+        .isISO8601()
+        .withMessage('Invalid expiry date format'),
+    body('batchNumber')
+        .optional()
+        .isLength({ max: 50 })
+        .withMessage('Batch number must be less than 50 characters'),
+    body('costPrice')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Cost price must be a positive number')
+];
+
+exports.reorderSuggestionsValidator = [
+    query('supplierId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid supplier ID'),
+    query('includeAll')
+        .optional()
+        .isBoolean()
+        .withMessage('includeAll must be a boolean value'),
+    query(['lookbackDays', 'coverageDays'])
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Days must be between 1 and 365')
+        .toInt(),
+    query('safetyStockDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('Safety stock days must be between 0 and 365')
+        .toInt()
+];
+
+exports.reorderPurchaseOrdersValidator = [
+    body('items')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Items must be a non-empty array'),
+    body('items.*.medicineId')
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('items.*.quantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer')
+        .toInt(),
+    body('items.*.supplierId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid supplier ID'),
+    body('supplierId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid supplier ID'),
+    body('submit')
+        .optional()
+        .isBoolean()
+        .withMessage('Submit must be a boolean value')
+        .toBoolean()
 ];
\ No newline at end of file
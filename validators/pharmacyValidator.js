@@ -1,4 +1,5 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const { ALL_PERMISSIONS } = require('../config/permissions');
 
 exports.registerPharmacyValidator = [
     body('pharmacyName')
@@ -35,4 +36,74 @@ exports.registerPharmacyValidator = [
     body('businessAddress.zipCode')
         .notEmpty()
         .withMessage('Zip code is required')
-];
\ No newline at end of file
+];
+
+const roleNameRules = (field) => [
+    body(field)
+        .trim()
+        .toLowerCase()
+        .notEmpty()
+        .withMessage('Role is required')
+        .matches(/^[a-z][a-z0-9_-]*$/)
+        .withMessage('Role name may only contain letters, numbers, dashes and underscores')
+        .isLength({ max: 40 })
+        .withMessage('Role name must be less than 40 characters')
+];
+
+exports.inviteMemberValidator = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email')
+        .normalizeEmail(),
+    ...roleNameRules('role')
+];
+
+exports.updateMemberRoleValidator = roleNameRules('role');
+
+exports.transferOwnershipValidator = [
+    body('memberId')
+        .isMongoId()
+        .withMessage('Invalid member ID')
+];
+
+exports.getMembersValidator = [
+    query('status')
+        .optional()
+        .isIn(['invited', 'active', 'revoked'])
+        .withMessage('Status must be one of: invited, active, revoked')
+];
+
+const permissionRules = (optional) => [
+    (optional ? body('permissions').optional() : body('permissions'))
+        .isArray()
+        .withMessage('Permissions must be an array'),
+    body('permissions.*')
+        .isIn(ALL_PERMISSIONS)
+        .withMessage('Unknown permission')
+];
+
+exports.createRoleValidator = [
+    ...roleNameRules('name'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be less than 200 characters'),
+    ...permissionRules(false)
+];
+
+exports.updateRoleValidator = [
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be less than 200 characters'),
+    ...permissionRules(true)
+];
+
+exports.twoFactorPolicyValidator = [
+    body('requireTwoFactorForAdmins')
+        .isBoolean()
+        .withMessage('requireTwoFactorForAdmins must be true or false')
+        .toBoolean()
+];
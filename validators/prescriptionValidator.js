@@ -0,0 +1,110 @@
+const { body, query } = require('express-validator');
+
+// Multipart forms send nested fields as JSON strings
+const parseJson = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+const prescriptionRules = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('prescriber')
+            .customSanitizer(parseJson)
+            .isObject()
+            .withMessage('Prescriber details are required'),
+        field('prescriber.name')
+            .trim()
+            .notEmpty()
+            .withMessage('Prescriber name is required'),
+        field('prescriber.licenseNumber')
+            .trim()
+            .notEmpty()
+            .withMessage('Prescriber license number is required'),
+        field('patient')
+            .customSanitizer(parseJson)
+            .isObject()
+            .withMessage('Patient details are required'),
+        field('patient.name')
+            .trim()
+            .notEmpty()
+            .withMessage('Patient name is required'),
+        body('patient.dateOfBirth')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid date of birth format'),
+        field('issueDate')
+            .isISO8601()
+            .withMessage('Invalid issue date format')
+            .custom((value) => {
+                if (new Date(value) > new Date()) {
+                    throw new Error('Issue date cannot be in the future');
+                }
+                return true;
+            }),
+        body('validUntil')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid expiry date format')
+            .custom((value, { req }) => {
+                if (req.body.issueDate && new Date(value) < new Date(req.body.issueDate)) {
+                    throw new Error('Expiry date must be after the issue date');
+                }
+                return true;
+            }),
+        field('items')
+            .customSanitizer(parseJson)
+            .isArray({ min: 1 })
+            .withMessage('At least one prescribed item is required'),
+        body('items.*.medicineId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid medicine ID'),
+        body('items.*.genericName')
+            .trim()
+            .notEmpty()
+            .withMessage('Generic name is required for each item'),
+        body('items.*.quantity')
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be a positive integer')
+            .toInt(),
+        body('items.*.dosageInstructions')
+            .optional()
+            .isLength({ max: 200 })
+            .withMessage('Dosage instructions must be less than 200 characters'),
+        body('refillsAllowed')
+            .optional()
+            .isInt({ min: 0, max: 12 })
+            .withMessage('Refills allowed must be between 0 and 12')
+            .toInt(),
+        body('notes')
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage('Notes must be less than 500 characters')
+    ];
+};
+
+exports.createPrescriptionValidator = prescriptionRules(false);
+
+exports.updatePrescriptionValidator = prescriptionRules(true);
+
+exports.cancelPrescriptionValidator = [
+    body('reason')
+        .trim()
+        .notEmpty()
+        .withMessage('Cancellation reason is required')
+        .isLength({ max: 200 })
+        .withMessage('Reason must be less than 200 characters')
+];
+
+exports.getPrescriptionsValidator = [
+    query('status')
+        .optional()
+        .isIn(['active', 'completed', 'cancelled'])
+        .withMessage('Status must be active, completed or cancelled')
+];
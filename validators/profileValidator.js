@@ -51,7 +51,29 @@ exports.updateProfileValidator = [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Country cannot exceed 100 characters')
+    .withMessage('Country cannot exceed 100 characters'),
+
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .custom((value, { req }) => {
+      if (req.body.longitude === undefined) {
+        throw new Error('Longitude is required with latitude');
+      }
+      return true;
+    }),
+
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .custom((value, { req }) => {
+      if (req.body.latitude === undefined) {
+        throw new Error('Latitude is required with longitude');
+      }
+      return true;
+    })
 ];
 
 exports.changePasswordValidator = [
@@ -0,0 +1,150 @@
+const { body, query } = require('express-validator');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const promotionRules = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Promotion name is required')
+            .isLength({ max: 100 })
+            .withMessage('Promotion name must be less than 100 characters'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Description must be less than 500 characters'),
+        field('type')
+            .isIn(['buy_x_get_y', 'percentage_off', 'bundle_price'])
+            .withMessage('Type must be one of: buy_x_get_y, percentage_off, bundle_price'),
+        body('target.medicineIds')
+            .optional()
+            .isArray()
+            .withMessage('Target medicines must be an array'),
+        body('target.medicineIds.*')
+            .isMongoId()
+            .withMessage('Invalid medicine ID'),
+        body('target.categories')
+            .optional()
+            .isArray()
+            .withMessage('Target categories must be an array'),
+        body('target.manufacturers')
+            .optional()
+            .isArray()
+            .withMessage('Target manufacturers must be an array'),
+        body('buyQuantity')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Buy quantity must be at least 1')
+            .toInt(),
+        body('getQuantity')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Get quantity must be at least 1')
+            .toInt(),
+        body('getDiscountPercent')
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Get discount must be between 0 and 100 percent')
+            .toFloat(),
+        body('percentOff')
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Percent off must be between 0 and 100')
+            .toFloat(),
+        body('bundleItems')
+            .optional()
+            .isArray()
+            .withMessage('Bundle items must be an array'),
+        body('bundleItems.*.medicineId')
+            .isMongoId()
+            .withMessage('Invalid medicine ID'),
+        body('bundleItems.*.quantity')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Bundle quantity must be at least 1')
+            .toInt(),
+        body('bundlePrice')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Bundle price must be a non-negative number')
+            .toFloat(),
+        body('minSubtotal')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Minimum subtotal must be a non-negative number')
+            .toFloat(),
+        body('schedule.startDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Start date must be a valid date'),
+        body('schedule.endDate')
+            .optional()
+            .isISO8601()
+            .withMessage('End date must be a valid date'),
+        body('schedule.daysOfWeek')
+            .optional()
+            .isArray()
+            .withMessage('Days of week must be an array'),
+        body('schedule.daysOfWeek.*')
+            .isInt({ min: 0, max: 6 })
+            .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)')
+            .toInt(),
+        body('schedule.startTime')
+            .optional()
+            .matches(TIME_PATTERN)
+            .withMessage('Start time must be HH:mm'),
+        body('schedule.endTime')
+            .optional()
+            .matches(TIME_PATTERN)
+            .withMessage('End time must be HH:mm'),
+        body('code')
+            .optional({ values: 'null' })
+            .trim()
+            .isLength({ min: 3, max: 30 })
+            .withMessage('Coupon code must be between 3 and 30 characters')
+            .matches(/^[A-Za-z0-9_-]+$/)
+            .withMessage('Coupon code may only contain letters, numbers, dashes and underscores'),
+        body('usageLimit')
+            .optional({ values: 'null' })
+            .isInt({ min: 1 })
+            .withMessage('Usage limit must be at least 1')
+            .toInt(),
+        body('priority')
+            .optional()
+            .isInt()
+            .withMessage('Priority must be a whole number')
+            .toInt(),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+            .toBoolean()
+    ];
+};
+
+exports.createPromotionValidator = promotionRules(false);
+
+exports.updatePromotionValidator = promotionRules(true);
+
+exports.getPromotionsValidator = [
+    query('type')
+        .optional()
+        .isIn(['buy_x_get_y', 'percentage_off', 'bundle_price'])
+        .withMessage('Invalid promotion type'),
+    query('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+];
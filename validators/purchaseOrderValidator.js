@@ -0,0 +1,87 @@
+const { body } = require('express-validator');
+
+const DISCREPANCY_TYPES = ['short_shipped', 'over_shipped', 'damaged', 'wrong_batch', 'wrong_item', 'short_dated', 'price_variance', 'other'];
+
+const orderItemRules = (required) => [
+    required
+        ? body('items').isArray({ min: 1 }).withMessage('At least one item is required')
+        : body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.medicineId')
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('items.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be a positive integer')
+        .toInt(),
+    body('items.*.expectedUnitPrice')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Expected unit price must be a positive number')
+        .toFloat()
+];
+
+exports.createPurchaseOrderValidator = [
+    body('supplierId')
+        .isMongoId()
+        .withMessage('Invalid supplier ID'),
+    ...orderItemRules(true),
+    body('expectedDeliveryDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid expected delivery date format'),
+    body('submit')
+        .optional()
+        .isBoolean()
+        .withMessage('Submit must be a boolean value')
+        .toBoolean()
+];
+
+exports.updatePurchaseOrderValidator = [
+    ...orderItemRules(false),
+    body('expectedDeliveryDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid expected delivery date format')
+];
+
+exports.receiveGoodsValidator = [
+    body('items')
+        .isArray({ min: 1 })
+        .withMessage('At least one received item is required'),
+    body('items.*.purchaseOrderItemId')
+        .isMongoId()
+        .withMessage('Invalid purchase order item ID'),
+    body('items.*.expiryDate')
+        .isISO8601()
+        .withMessage('Invalid expiry date format'),
+    body('items.*.batchNumber')
+        .optional()
+        .isLength({ max: 50 })
+        .withMessage('Batch number must be less than 50 characters'),
+    body('items.*.quantityReceived')
+        .isInt({ min: 0 })
+        .withMessage('Quantity received must be zero or more')
+        .toInt(),
+    body('items.*.quantityRejected')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Quantity rejected must be zero or more')
+        .toInt(),
+    body('items.*.unitCost')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Unit cost must be a positive number')
+        .toFloat(),
+    body('items.*.discrepancies')
+        .optional()
+        .isArray()
+        .withMessage('Discrepancies must be an array'),
+    body('items.*.discrepancies.*.type')
+        .isIn(DISCREPANCY_TYPES)
+        .withMessage(`Discrepancy type must be one of: ${DISCREPANCY_TYPES.join(', ')}`),
+    body('items.*.discrepancies.*.quantity')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Discrepancy quantity must be zero or more')
+        .toInt()
+];
@@ -23,6 +23,21 @@ exports.searchValidator = [
     .isFloat({ min: 0 })
     .withMessage('Maximum price must be a positive number'),
   
+  query('near')
+    .optional()
+    .matches(/^-?\d+(\.\d+)?,\s*-?\d+(\.\d+)?$/)
+    .withMessage('Near must be "latitude,longitude"'),
+
+  query('maxDistanceKm')
+    .optional()
+    .isFloat({ min: 0.1 })
+    .withMessage('Maximum distance must be a positive number of kilometres'),
+
+  query('sort')
+    .optional()
+    .isIn(['distance'])
+    .withMessage('Sort must be "distance"'),
+  
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -0,0 +1,70 @@
+const { body, query } = require('express-validator');
+
+exports.openShiftValidator = [
+    body('openingFloat')
+        .isFloat({ min: 0 })
+        .withMessage('Opening float must be a non-negative number')
+        .toFloat(),
+    body('drawerName')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Drawer name must be less than 50 characters'),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
+
+exports.cashMovementValidator = [
+    body('type')
+        .isIn(['cash_in', 'cash_out'])
+        .withMessage('Type must be cash_in or cash_out'),
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Amount must be greater than 0')
+        .toFloat(),
+    body('reason')
+        .trim()
+        .notEmpty()
+        .withMessage('Reason is required')
+        .isLength({ max: 200 })
+        .withMessage('Reason must be less than 200 characters')
+];
+
+exports.closeShiftValidator = [
+    body('countedCash')
+        .isFloat({ min: 0 })
+        .withMessage('Counted cash must be a non-negative number')
+        .toFloat(),
+    body('closingNotes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Closing notes must be less than 500 characters')
+];
+
+exports.getShiftsValidator = [
+    query('status')
+        .optional()
+        .isIn(['open', 'closed'])
+        .withMessage('Status must be open or closed'),
+    query('openedBy')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid user ID'),
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('End date must be a valid date')
+];
+
+exports.dailyReportValidator = [
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date must be a valid date')
+];
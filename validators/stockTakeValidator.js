@@ -0,0 +1,58 @@
+const { body, query } = require('express-validator');
+const Transaction = require('../models/Transaction');
+
+const REASON_CODES = Transaction.ADJUSTMENT_REASONS;
+
+exports.createStockTakeValidator = [
+    body('name')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Name must be less than 100 characters'),
+    body('medicineIds')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('medicineIds must be a non-empty array'),
+    body('medicineIds.*')
+        .isMongoId()
+        .withMessage('Invalid medicine ID'),
+    body('category')
+        .optional()
+        .isString()
+        .withMessage('Category must be a string')
+];
+
+exports.recordCountsValidator = [
+    body('counts')
+        .isArray({ min: 1 })
+        .withMessage('At least one count is required'),
+    body('counts.*.itemId')
+        .isMongoId()
+        .withMessage('Invalid stock take line ID'),
+    body('counts.*.countedQuantity')
+        .isInt({ min: 0 })
+        .withMessage('Counted quantity must be zero or more')
+        .toInt(),
+    body('counts.*.reasonCode')
+        .optional()
+        .isIn(REASON_CODES)
+        .withMessage(`Reason code must be one of: ${REASON_CODES.join(', ')}`),
+    body('counts.*.notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters')
+];
+
+exports.shrinkageReportValidator = [
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid end date format'),
+    query('period')
+        .optional()
+        .isIn(['day', 'week', 'month'])
+        .withMessage('Period must be one of: day, week, month')
+];
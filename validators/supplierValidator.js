@@ -0,0 +1,46 @@
+const { body } = require('express-validator');
+
+exports.createSupplierValidator = [
+    body('name')
+        .notEmpty()
+        .withMessage('Supplier name is required')
+        .isLength({ max: 100 })
+        .withMessage('Supplier name must be less than 100 characters')
+        .trim(),
+    body('email')
+        .optional()
+        .isEmail()
+        .withMessage('Please provide a valid email'),
+    body('phone')
+        .optional()
+        .isLength({ max: 30 })
+        .withMessage('Phone must be less than 30 characters'),
+    body('leadTimeDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('Lead time must be between 0 and 365 days')
+        .toInt()
+];
+
+exports.updateSupplierValidator = [
+    body('name')
+        .optional()
+        .notEmpty()
+        .withMessage('Supplier name cannot be empty')
+        .isLength({ max: 100 })
+        .withMessage('Supplier name must be less than 100 characters')
+        .trim(),
+    body('email')
+        .optional()
+        .isEmail()
+        .withMessage('Please provide a valid email'),
+    body('leadTimeDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('Lead time must be between 0 and 365 days')
+        .toInt(),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean value')
+];
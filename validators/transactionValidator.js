@@ -121,7 +121,44 @@ exports.createTransactionValidator = [
   body('status')
     .optional()
     .isIn(['draft', 'pending', 'completed', 'cancelled'])
-    .withMessage('Status must be one of: draft, pending, completed, cancelled')
+    .withMessage('Status must be one of: draft, pending, completed, cancelled'),
+  
+  body('prescriptionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Prescription ID must be a valid MongoDB ObjectId')
+];
+
+// Validation for quick sales at the counter
+exports.quickSaleValidator = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items array is required and cannot be empty'),
+  
+  body('items.*.medicineId')
+    .isMongoId()
+    .withMessage('Medicine ID must be a valid MongoDB ObjectId'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1 for all items')
+    .toInt(),
+  
+  // Provider payments are authorised and captured at checkout
+  body('paymentMethod')
+    .optional()
+    .isIn(['cash', 'credit'])
+    .withMessage('Quick sales are paid in cash or on credit; card, mobile money, bank transfer and digital wallet payments go through checkout'),
+  
+  body('prescriptionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Prescription ID must be a valid MongoDB ObjectId'),
+  
+  body('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Customer ID must be a valid MongoDB ObjectId')
 ];
 
 // Validation for cart operations